@@ -0,0 +1,53 @@
+import React, { useState } from 'react';
+import { adminLogin } from './api';
+
+const AdminLogin = ({ onLogin }) => {
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    setError('');
+    try {
+      const profile = await adminLogin(email, password);
+      onLogin(profile);
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Login failed.');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="admin-login">
+      <h2>Admin Login</h2>
+      <form className="product-form" onSubmit={handleSubmit}>
+        <input
+          type="email"
+          placeholder="Email"
+          value={email}
+          onChange={(e) => setEmail(e.target.value)}
+          autoComplete="username"
+          required
+        />
+        <input
+          type="password"
+          placeholder="Password"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          autoComplete="current-password"
+          required
+        />
+        {error && <p className="admin-error">{error}</p>}
+        <button type="submit" disabled={busy}>
+          {busy ? 'Signing in…' : 'Sign in'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default AdminLogin;
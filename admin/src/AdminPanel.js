@@ -1,29 +1,69 @@
 import React, { useState, useEffect } from 'react';
-import axios from 'axios';
+import api, { can } from './api';
+import AuditLog from './AuditLog';
+import StockHistory from './StockHistory';
+import VariantsEditor, { variantToRow, rowToVariant } from './VariantsEditor';
 import './AdminPanel.css'
 
-const AdminPanel = () => {
+const errorMessage = (err, fallback) =>
+  err?.response?.status === 403 ? "You don't have permission to do that." : fallback;
+
+const emptyForm = {
+  id: '',
+  title: '',
+  description: '',
+  price: '',
+  category: '',
+  type: '',
+  rating: '',
+  sku: '',
+  upc: '',
+  unitSize: '',
+  brand: '',
+  origin: '',
+  dietaryTags: '',
+  allergens: '',
+};
+
+const AdminPanel = ({ profile, onLogout }) => {
+  const canWrite = can(profile, 'catalog:write');
+  const canReadAudit = can(profile, 'audit:read');
+  const canManageStock = can(profile, 'inventory:manage');
+
   const [products, setProducts] = useState([]);
   const [isEditing, setIsEditing] = useState(false);
-  const [formData, setFormData] = useState({
-    id: '',
-    title: '',
-    description: '',
-    price: '',
-    category: '',
-  });
+  const [formData, setFormData] = useState(emptyForm);
   const [image, setImage] = useState(null);
+  // Gallery: images already on the product (kept on edit) and extra uploads
+  const [keptImages, setKeptImages] = useState([]);
+  const [moreImages, setMoreImages] = useState([]);
+  const [variants, setVariants] = useState([]);
+  // Tracked stock by productId (the product's own stock, not its variants')
+  const [inventory, setInventory] = useState({});
+  const [restockQty, setRestockQty] = useState({});
+  const [historyFor, setHistoryFor] = useState(null);
+
+  const fetchInventory = async () => {
+    try {
+      const { data } = await api.get('/admin/inventory');
+      setInventory(Object.fromEntries(data.items.filter((i) => !i.variantKey).map((i) => [i.productId, i])));
+    } catch (err) {
+      console.error(err);
+    }
+  };
 
   useEffect(() => {
     const fetchProducts = async () => {
       try {
-        const res = await axios.get('http://localhost:4000/products');
+        const res = await api.get('/products');
         setProducts(res.data);
       } catch (err) {
         console.error(err);
       }
     };
     fetchProducts();
+    if (canManageStock) fetchInventory();
+    // eslint-disable-next-line
   }, []);
 
   const handleInputChange = (e) => {
@@ -37,39 +77,58 @@ const AdminPanel = () => {
   const handleSubmit = async (e) => {
     e.preventDefault();
     const data = new FormData();
-    data.append('title', formData.title);
-    data.append('description', formData.description);
-    data.append('price', formData.price);
-    data.append('category', formData.category);
-  
+    for (const field of ['title', 'description', 'price', 'category', 'type', 'rating', 'sku', 'upc', 'unitSize']) {
+      data.append(field, formData[field] ?? '');
+    }
+    data.append(
+      'attributes',
+      JSON.stringify({
+        brand: formData.brand,
+        origin: formData.origin,
+        dietaryTags: formData.dietaryTags,
+        allergens: formData.allergens,
+      })
+    );
+    data.append('variants', JSON.stringify(variants.map(rowToVariant)));
+    if (isEditing) data.append('images', JSON.stringify(keptImages));
+
     if (image) data.append('image', image);
+    for (const file of moreImages) data.append('images', file);
   
     try {
       if (isEditing) {
-        await axios.put(`http://localhost:4000/products/edit/${formData.id}`, data, {
+        await api.put(`/products/edit/${formData.id}`, data, {
           headers: { 'Content-Type': 'multipart/form-data' },
         });
         alert('Product updated successfully!');
       } else {
-        await axios.post('http://localhost:4000/products/add', data, {
+        await api.post('/products/add', data, {
           headers: { 'Content-Type': 'multipart/form-data' },
         });
         alert('Product added successfully!');
       }
   
-      setFormData({ id: '', title: '', description: '', price: '', category: '' });
-      setImage(null);
-      setIsEditing(false);
+      resetForm();
   
-      const res = await axios.get('http://localhost:4000/products');
+      const res = await api.get('/products');
       setProducts(res.data);
     } catch (err) {
       console.error(err);
-      alert('Failed to save product.');
+      alert(err?.response?.data?.error || errorMessage(err, 'Failed to save product.'));
     }
   };  
 
+  const resetForm = () => {
+    setFormData(emptyForm);
+    setImage(null);
+    setKeptImages([]);
+    setMoreImages([]);
+    setVariants([]);
+    setIsEditing(false);
+  };
+
   const handleEditClick = (product) => {
+    const attributes = product.attributes || {};
     setIsEditing(true);
     setFormData({
       id: product._id,
@@ -77,61 +136,203 @@ const AdminPanel = () => {
       description: product.description,
       price: product.price,
       category: product.category,
+      type: product.type || '',
+      rating: product.rating ?? '',
+      sku: product.sku || '',
+      upc: product.upc || '',
+      unitSize: product.unitSize || '',
+      brand: attributes.brand || '',
+      origin: attributes.origin || '',
+      dietaryTags: (attributes.dietaryTags || []).join(', '),
+      allergens: (attributes.allergens || []).join(', '),
     });
+    setKeptImages((product.images || []).map((img) => ({ url: img.url, alt: img.alt || '' })));
+    setMoreImages([]);
+    setImage(null);
+    setVariants((product.variants || []).map(variantToRow));
+  };
+
+  const hasVariants = variants.some((v) => v.active);
+
+  const handleRestock = async (productId) => {
+    const quantity = Number(restockQty[productId]);
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      alert('Enter how many units arrived.');
+      return;
+    }
+    try {
+      const { data } = await api.post(`/admin/inventory/${productId}/restock`, { quantity });
+      setInventory((prev) => ({ ...prev, [productId]: data.item }));
+      setRestockQty((prev) => ({ ...prev, [productId]: '' }));
+    } catch (err) {
+      console.error(err);
+      alert(err?.response?.data?.error || errorMessage(err, 'Failed to restock product.'));
+    }
   };
 
+  const handleThreshold = async (productId, current) => {
+    const answer = window.prompt('Warn when available stock is at or below:', current ?? '');
+    if (answer === null) return;
+    try {
+      const { data } = await api.put(`/admin/inventory/${productId}`, {
+        lowStockThreshold: answer.trim() === '' ? null : Number(answer),
+      });
+      setInventory((prev) => ({ ...prev, [productId]: data.item }));
+    } catch (err) {
+      console.error(err);
+      alert(err?.response?.data?.error || errorMessage(err, 'Failed to update the threshold.'));
+    }
+  };
+
+  const lowStock = Object.values(inventory)
+    .filter((i) => i.lowStock)
+    .sort((a, b) => a.available - b.available);
+
   const handleDelete = async (id) => {
     try {
-      await axios.delete(`http://localhost:4000/products/delete/${id}`);
+      await api.delete(`/products/delete/${id}`);
       setProducts(products.filter((product) => product._id !== id));
       alert('Product deleted successfully!');
     } catch (err) {
       console.error(err);
-      alert('Failed to delete product.');
+      alert(errorMessage(err, 'Failed to delete product.'));
     }
   };
 
   return (
     <div className="admin-panel">
-      <h2>Admin Panel</h2>
+      <div className="admin-header">
+        <h2>Admin Panel</h2>
+        <span>
+          {profile?.email} ({profile?.role}) <button onClick={onLogout}>Log out</button>
+        </span>
+      </div>
+
+      {/* Low stock */}
+      {canManageStock && lowStock.length > 0 && (
+        <div className="low-stock">
+          <h3>Low stock</h3>
+          <ul>
+            {lowStock.map((i) => (
+              <li key={i._id}>
+                <b>{i.title}</b>: {i.available} available ({i.onHand} on hand, {i.reserved} in carts), threshold{' '}
+                {i.lowStockThreshold}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
 
       {/* Add/Edit Product Form */}
-      <form className="product-form" onSubmit={handleSubmit}>
-        <h3>{isEditing ? 'Edit Product' : 'Add Product'}</h3>
-        <input
-          type="text"
-          name="title"
-          placeholder="Product Title"
-          value={formData.title}
-          onChange={handleInputChange}
-          required
-        />
-        <textarea
-          name="description"
-          placeholder="Product Description"
-          value={formData.description}
-          onChange={handleInputChange}
-          required
-        ></textarea>
-        <input
-          type="number"
-          name="price"
-          placeholder="Price"
-          value={formData.price}
-          onChange={handleInputChange}
-          required
-        />
-        <input
-          type="text"
-          name="category"
-          placeholder="Category"
-          value={formData.category}
-          onChange={handleInputChange}
-          required
-        />
-        <input type="file" onChange={handleImageChange} />
-        <button type="submit">{isEditing ? 'Update Product' : 'Add Product'}</button>
-      </form>
+      {canWrite && (
+        <form className="product-form" onSubmit={handleSubmit}>
+          <h3>{isEditing ? 'Edit Product' : 'Add Product'}</h3>
+          <input
+            type="text"
+            name="title"
+            placeholder="Product Title"
+            value={formData.title}
+            onChange={handleInputChange}
+            required
+          />
+          <textarea
+            name="description"
+            placeholder="Product Description"
+            value={formData.description}
+            onChange={handleInputChange}
+            required
+          ></textarea>
+          <input
+            type="number"
+            step="0.01"
+            name="price"
+            placeholder={hasVariants ? 'Price (cheapest variant)' : 'Price'}
+            value={formData.price}
+            onChange={handleInputChange}
+            disabled={hasVariants}
+            required={!hasVariants}
+          />
+          <input
+            type="text"
+            name="category"
+            placeholder="Category"
+            value={formData.category}
+            onChange={handleInputChange}
+            required
+          />
+          <input type="text" name="type" placeholder="Type (e.g. dairy)" value={formData.type} onChange={handleInputChange} />
+          <input
+            type="number"
+            name="rating"
+            min="0"
+            max="5"
+            step="0.1"
+            placeholder="Rating (0-5)"
+            value={formData.rating}
+            onChange={handleInputChange}
+          />
+          <input type="text" name="brand" placeholder="Brand" value={formData.brand} onChange={handleInputChange} />
+          <input type="text" name="origin" placeholder="Origin" value={formData.origin} onChange={handleInputChange} />
+          <input
+            type="text"
+            name="dietaryTags"
+            placeholder="Dietary tags (comma separated, e.g. vegan, gluten free)"
+            value={formData.dietaryTags}
+            onChange={handleInputChange}
+          />
+          <input
+            type="text"
+            name="allergens"
+            placeholder="Allergens (comma separated, e.g. milk, tree nuts)"
+            value={formData.allergens}
+            onChange={handleInputChange}
+          />
+          {!hasVariants && (
+            <>
+              <input type="text" name="sku" placeholder="SKU" value={formData.sku} onChange={handleInputChange} />
+              <input type="text" name="upc" placeholder="UPC / EAN" value={formData.upc} onChange={handleInputChange} />
+              <input
+                type="text"
+                name="unitSize"
+                placeholder="Unit size (e.g. 12 oz)"
+                value={formData.unitSize}
+                onChange={handleInputChange}
+              />
+            </>
+          )}
+          <VariantsEditor variants={variants} onChange={setVariants} />
+          <label>
+            {isEditing ? 'Replace main image' : 'Main image'}
+            <input type="file" accept="image/*" onChange={handleImageChange} required={!isEditing} />
+          </label>
+          {keptImages.length > 0 && (
+            <div className="kept-images">
+              {keptImages.map((img, i) => (
+                <span key={img.url}>
+                  <img src={img.url} alt={img.alt} />
+                  <button
+                    type="button"
+                    disabled={keptImages.length === 1 && !image}
+                    onClick={() => setKeptImages(keptImages.filter((_, j) => j !== i))}
+                  >
+                    Remove
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <label>
+            More images
+            <input type="file" accept="image/*" multiple onChange={(e) => setMoreImages([...e.target.files])} />
+          </label>
+          {isEditing && (
+            <button type="button" onClick={resetForm}>
+              Cancel
+            </button>
+          )}
+          <button type="submit">{isEditing ? 'Update Product' : 'Add Product'}</button>
+        </form>
+      )}
 
       {/* Display Products */}
       <div className="product-list">
@@ -140,13 +341,58 @@ const AdminPanel = () => {
             <img src={product.imageUrl} alt={product.title} style={{ height: '100px', width: '70px' }} />
             <h3>{product.title}</h3>
             <p>{product.description}</p>
-            <p>${product.price}</p>
+            <p>
+              {product.variants?.length ? 'From ' : ''}${product.price}
+            </p>
             <p>{product.category}</p>
-            <button onClick={() => handleEditClick(product)}>Edit</button>
-            <button onClick={() => handleDelete(product._id)}>Delete</button>
+            {product.sku && <p className="muted">SKU {product.sku}</p>}
+            {product.upc && <p className="muted">UPC {product.upc}</p>}
+            {product.variants?.length > 0 && (
+              <ul className="product-variants">
+                {product.variants.map((v) => (
+                  <li key={v._id} className={v.active ? '' : 'muted'}>
+                    {v.label}: ${v.price} ({v.sku}
+                    {v.upc ? `, UPC ${v.upc}` : ''}){v.active ? '' : ' - inactive'}
+                  </li>
+                ))}
+              </ul>
+            )}
+            {canManageStock && (
+              <div className="product-stock">
+                {inventory[product._id] ? (
+                  <p className={inventory[product._id].lowStock ? 'low' : ''}>
+                    Stock: {inventory[product._id].available} available / {inventory[product._id].onHand} on hand
+                  </p>
+                ) : (
+                  <p className="muted">Stock not tracked</p>
+                )}
+                <input
+                  type="number"
+                  min="1"
+                  placeholder="Qty"
+                  value={restockQty[product._id] || ''}
+                  onChange={(e) => setRestockQty((prev) => ({ ...prev, [product._id]: e.target.value }))}
+                />
+                <button onClick={() => handleRestock(product._id)}>Restock</button>
+                <button onClick={() => handleThreshold(product._id, inventory[product._id]?.lowStockThreshold)}>
+                  Threshold
+                </button>
+                <button onClick={() => setHistoryFor(product._id)}>History</button>
+              </div>
+            )}
+            {canWrite && (
+              <>
+                <button onClick={() => handleEditClick(product)}>Edit</button>
+                <button onClick={() => handleDelete(product._id)}>Delete</button>
+              </>
+            )}
           </div>
         ))}
       </div>
+
+      {historyFor && <StockHistory productId={historyFor} onClose={() => setHistoryFor(null)} />}
+
+      {canReadAudit && <AuditLog />}
     </div>
   );
 };
@@ -1,10 +1,29 @@
+import { useState, useEffect } from 'react';
 import './App.css';
 import AdminPanel from './AdminPanel';
+import AdminLogin from './AdminLogin';
+import { getProfile, hasToken, adminLogout, setSessionExpiredHandler } from './api';
 
 function App() {
+  const [profile, setProfile] = useState(() => (hasToken() ? getProfile() : null));
+
+  useEffect(() => {
+    setSessionExpiredHandler(() => setProfile(null));
+    return () => setSessionExpiredHandler(null);
+  }, []);
+
+  const handleLogout = async () => {
+    await adminLogout();
+    setProfile(null);
+  };
+
   return (
     <div className="App">
-      <AdminPanel/>
+      {profile ? (
+        <AdminPanel profile={profile} onLogout={handleLogout} />
+      ) : (
+        <AdminLogin onLogin={setProfile} />
+      )}
     </div>
   );
 }
@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import api from './api';
+
+const AuditLog = () => {
+  const [entries, setEntries] = useState([]);
+  const [nextBefore, setNextBefore] = useState(null);
+  const [error, setError] = useState('');
+
+  const load = async (before = null) => {
+    try {
+      const { data } = await api.get('/admin/audit', { params: { limit: 50, ...(before ? { before } : {}) } });
+      setEntries((prev) => (before ? [...prev, ...data.entries] : data.entries));
+      setNextBefore(data.nextBefore);
+      setError('');
+    } catch (err) {
+      setError(err?.response?.data?.error || 'Failed to load audit log.');
+    }
+  };
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line
+  }, []);
+
+  return (
+    <div className="audit-log">
+      <h3>Audit Log</h3>
+      {error && <p className="admin-error">{error}</p>}
+      <table>
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>Who</th>
+            <th>Action</th>
+            <th>Item</th>
+            <th>Changed</th>
+          </tr>
+        </thead>
+        <tbody>
+          {entries.map((e) => (
+            <tr key={e._id}>
+              <td>{new Date(e.createdAt).toLocaleString()}</td>
+              <td>
+                {e.actor?.email} <span className="muted">({e.actor?.role})</span>
+              </td>
+              <td>{e.action}</td>
+              <td>{e.after?.title || e.before?.title || e.after?.email || e.entityId}</td>
+              <td>
+                {(e.changedFields || []).map((f) => (
+                  <div key={f}>
+                    {f}: {JSON.stringify(e.before?.[f] ?? null)} → {JSON.stringify(e.after?.[f] ?? null)}
+                  </div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {nextBefore && <button onClick={() => load(nextBefore)}>Load more</button>}
+    </div>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,70 @@
+import React, { useState, useEffect } from 'react';
+import api from './api';
+
+const REASON_LABELS = {
+  restock: 'Restock',
+  adjustment: 'Adjustment',
+  order: 'Order',
+  order_cancelled: 'Order cancelled',
+};
+
+// Restocks, adjustments and order movements for one product, newest first.
+const StockHistory = ({ productId, onClose }) => {
+  const [title, setTitle] = useState('');
+  const [movements, setMovements] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const { data } = await api.get(`/admin/inventory/${productId}/history`, { params: { limit: 100 } });
+        setTitle(data.title);
+        setMovements(data.movements);
+        setError('');
+      } catch (err) {
+        setError(err?.response?.data?.error || 'Failed to load stock history.');
+      }
+    };
+    load();
+  }, [productId]);
+
+  return (
+    <div className="audit-log stock-history">
+      <h3>
+        Stock history: {title} <button onClick={onClose}>Close</button>
+      </h3>
+      {error && <p className="admin-error">{error}</p>}
+      <table>
+        <thead>
+          <tr>
+            <th>When</th>
+            <th>What</th>
+            <th>Change</th>
+            <th>On hand after</th>
+            <th>By</th>
+            <th>Note</th>
+          </tr>
+        </thead>
+        <tbody>
+          {movements.map((m) => (
+            <tr key={m._id}>
+              <td>{new Date(m.createdAt).toLocaleString()}</td>
+              <td>
+                {REASON_LABELS[m.reason] || m.reason}
+                {m.orderId ? <span className="muted"> #{m.orderId}</span> : null}
+              </td>
+              <td>{m.delta > 0 ? `+${m.delta}` : m.delta}</td>
+              <td>{m.onHandAfter}</td>
+              <td>
+                {m.actor?.kind} {m.actor?.label ? <span className="muted">({m.actor.label})</span> : null}
+              </td>
+              <td>{m.note}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default StockHistory;
@@ -0,0 +1,100 @@
+import React from 'react';
+
+export const emptyVariant = () => ({
+  label: '',
+  size: '',
+  packCount: '',
+  flavor: '',
+  sku: '',
+  upc: '',
+  price: '',
+  unitSize: '',
+  active: true,
+});
+
+// A stored variant as an editable row (and back); `_id` is kept so carts and stock still match.
+export const variantToRow = (v) => ({
+  _id: v._id,
+  label: v.label || '',
+  size: v.options?.size || '',
+  packCount: v.options?.packCount ?? '',
+  flavor: v.options?.flavor || '',
+  sku: v.sku || '',
+  upc: v.upc || '',
+  price: v.price ?? '',
+  unitSize: v.unitSize || '',
+  active: v.active !== false,
+});
+
+export const rowToVariant = ({ _id, size, packCount, flavor, ...rest }) => ({
+  ...(_id ? { _id } : {}),
+  ...rest,
+  options: { size, packCount, flavor },
+});
+
+const COLUMNS = [
+  ['label', 'Label', 'text'],
+  ['size', 'Size', 'text'],
+  ['packCount', 'Pack', 'number'],
+  ['flavor', 'Flavor', 'text'],
+  ['sku', 'SKU', 'text'],
+  ['upc', 'UPC', 'text'],
+  ['price', 'Price', 'number'],
+  ['unitSize', 'Unit size', 'text'],
+];
+
+// Sizes, pack counts and flavors of one product, each with its own SKU, UPC and price.
+const VariantsEditor = ({ variants, onChange }) => {
+  const update = (index, field, value) =>
+    onChange(variants.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+
+  return (
+    <div className="variants-editor">
+      <h4>Variants</h4>
+      {variants.length > 0 && (
+        <table>
+          <thead>
+            <tr>
+              {COLUMNS.map(([field, label]) => (
+                <th key={field}>{label}</th>
+              ))}
+              <th>Active</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {variants.map((row, i) => (
+              <tr key={row._id || i}>
+                {COLUMNS.map(([field, label, type]) => (
+                  <td key={field}>
+                    <input
+                      type={type}
+                      step={field === 'price' ? '0.01' : undefined}
+                      placeholder={label}
+                      value={row[field]}
+                      required={field === 'sku' || field === 'price'}
+                      onChange={(e) => update(i, field, e.target.value)}
+                    />
+                  </td>
+                ))}
+                <td>
+                  <input type="checkbox" checked={row.active} onChange={(e) => update(i, 'active', e.target.checked)} />
+                </td>
+                <td>
+                  <button type="button" onClick={() => onChange(variants.filter((_, j) => j !== i))}>
+                    Remove
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      <button type="button" onClick={() => onChange([...variants, emptyVariant()])}>
+        Add variant
+      </button>
+    </div>
+  );
+};
+
+export default VariantsEditor;
@@ -0,0 +1,97 @@
+import axios from 'axios';
+
+export const API_BASE = 'http://localhost:4000';
+
+// Admin sessions are kept apart from the storefront's keys.
+const TOKEN_KEY = 'adminToken';
+const REFRESH_KEY = 'adminRefreshToken';
+const PROFILE_KEY = 'adminProfile';
+
+const api = axios.create({ baseURL: API_BASE });
+
+export const getProfile = () => {
+  try {
+    return JSON.parse(localStorage.getItem(PROFILE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+export const saveSession = ({ token, refreshToken, username, email, role, permissions }) => {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_KEY, refreshToken);
+  localStorage.setItem(PROFILE_KEY, JSON.stringify({ username, email, role, permissions }));
+};
+
+export const clearSession = () => {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+  localStorage.removeItem(PROFILE_KEY);
+};
+
+export const hasToken = () => Boolean(localStorage.getItem(TOKEN_KEY));
+
+export const can = (profile, permission) => Boolean(profile?.permissions?.includes(permission));
+
+api.interceptors.request.use((config) => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  if (token) config.headers.Authorization = `Bearer ${token}`;
+  return config;
+});
+
+// One refresh at a time; a 401 on any call refreshes and replays it once.
+let refreshInFlight = null;
+
+const refreshSession = () => {
+  if (!refreshInFlight) {
+    refreshInFlight = (async () => {
+      const refreshToken = localStorage.getItem(REFRESH_KEY);
+      if (!refreshToken) return null;
+      try {
+        const { data } = await axios.post(`${API_BASE}/auth/refresh`, { refreshToken });
+        localStorage.setItem(TOKEN_KEY, data.token);
+        localStorage.setItem(REFRESH_KEY, data.refreshToken);
+        return data.token;
+      } catch {
+        return null;
+      }
+    })().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
+let onSessionExpired = () => {};
+export const setSessionExpiredHandler = (fn) => {
+  onSessionExpired = fn || (() => {});
+};
+
+api.interceptors.response.use(undefined, async (err) => {
+  const original = err?.config;
+  if (err?.response?.status !== 401 || !original || original._retried || original.url?.startsWith('/auth/')) {
+    throw err;
+  }
+  const token = await refreshSession();
+  if (!token) {
+    clearSession();
+    onSessionExpired();
+    throw err;
+  }
+  original._retried = true;
+  return api(original);
+});
+
+export const adminLogin = async (email, password) => {
+  const { data } = await api.post('/auth/admin/login', { email, password });
+  saveSession(data);
+  return data;
+};
+
+export const adminLogout = async () => {
+  const refreshToken = localStorage.getItem(REFRESH_KEY);
+  clearSession();
+  if (refreshToken) await axios.post(`${API_BASE}/auth/logout`, { refreshToken }).catch(() => {});
+};
+
+export default api;
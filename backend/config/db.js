@@ -10,4 +10,42 @@ const connectDB = () => {
     }
 }
 
-export default connectDB;
\ No newline at end of file
+export default connectDB;
+
+let warnedNoTransactions = false;
+
+// Standalone mongod (no replica set) can't run transactions.
+const transactionsUnsupported = (e) =>
+  e?.code === 20 || /Transaction numbers are only allowed|replica set/i.test(e?.message || "");
+
+// Unprotected writes are a local-development opt-in, never allowed in production.
+const nonTransactionalAllowed = () =>
+  process.env.NODE_ENV !== "production" && process.env.ALLOW_NON_TRANSACTIONAL_WRITES === "1";
+
+/**
+ * Run `fn(session)` in a MongoDB transaction; its writes commit together or
+ * not at all. On a standalone server this throws, unless local development
+ * sets ALLOW_NON_TRANSACTIONAL_WRITES=1: then `fn` runs once more without a
+ * session, after a warning.
+ */
+export async function withTransaction(fn) {
+  const session = await mongoose.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } catch (e) {
+    if (!transactionsUnsupported(e)) throw e;
+    if (!nonTransactionalAllowed()) {
+      throw new Error(
+        "MongoDB transactions are unavailable (no replica set). Set ALLOW_NON_TRANSACTIONAL_WRITES=1 to run without them in development.",
+        { cause: e }
+      );
+    }
+    if (!warnedNoTransactions) {
+      warnedNoTransactions = true;
+      console.warn("[DB] MongoDB has no replica set; running writes without a transaction");
+    }
+    return fn(null);
+  } finally {
+    await session.endSession();
+  }
+}
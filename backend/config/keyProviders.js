@@ -0,0 +1,119 @@
+// config/keyProviders.js
+// Key-encryption keys (KEKs) for secrets stored in MongoDB. A provider hands
+// out the active key for new ciphertexts and any older key by id, so data
+// written before a rotation stays readable until it is re-encrypted
+// (see scripts/reencryptTokens.js).
+//
+//   TOKEN_KEY_PROVIDER=env   (default)
+//     TOKEN_ENCRYPTION_KEY=<base64 32 bytes>   TOKEN_ENCRYPTION_KEY_ID=k1
+//     TOKEN_ENCRYPTION_OLD_KEYS=k0:<base64>,...  (retired keys, decrypt only)
+//   TOKEN_KEY_PROVIDER=file
+//     TOKEN_KEYRING_FILE=/run/secrets/token-keyring.json
+//     { "active": "2026-10", "keys": { "2026-09": "<base64>", "2026-10": "<base64>" } }
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * @typedef {Object} KeyProvider
+ * @property {string} id
+ * @property {() => {id:string, key:Buffer}} activeKey
+ * @property {(id:string) => Buffer|null} getKey
+ */
+
+const KEY_ID_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function decodeKey(id, value) {
+  if (!KEY_ID_RE.test(String(id || ''))) {
+    throw new Error(`Invalid token key id "${id}" (letters, digits, _ and - only)`);
+  }
+  const key = Buffer.from(String(value || '').trim(), 'base64');
+  if (key.length !== 32) throw new Error(`Token key "${id}" must be 32 bytes, base64 encoded`);
+  return key;
+}
+
+function keyring(active, keys) {
+  if (!keys.has(active)) throw new Error(`Active token key "${active}" is not in the keyring`);
+  return {
+    activeKey: () => ({ id: active, key: keys.get(active) }),
+    getKey: (id) => keys.get(id) || null,
+  };
+}
+
+// Keys from the environment. Outside production a key is derived from the
+// app secret when none is configured, so local setups work out of the box.
+export function envKeyProvider(env = process.env) {
+  const keys = new Map();
+  for (const entry of String(env.TOKEN_ENCRYPTION_OLD_KEYS || '').split(',')) {
+    const s = entry.trim();
+    if (!s) continue;
+    const i = s.indexOf(':');
+    if (i < 1) throw new Error('TOKEN_ENCRYPTION_OLD_KEYS entries look like <id>:<base64 key>');
+    keys.set(s.slice(0, i), decodeKey(s.slice(0, i), s.slice(i + 1)));
+  }
+
+  let active = String(env.TOKEN_ENCRYPTION_KEY_ID || 'k1').trim();
+  if (env.TOKEN_ENCRYPTION_KEY) {
+    keys.set(active, decodeKey(active, env.TOKEN_ENCRYPTION_KEY));
+  } else if (env.NODE_ENV === 'production') {
+    throw new Error('TOKEN_ENCRYPTION_KEY is required in production');
+  } else {
+    active = 'dev';
+    const secret = env.JWT_SECRET || env.APP_SECRET || 'dev-secret';
+    keys.set(active, crypto.createHash('sha256').update(`token-kek:${secret}`).digest());
+  }
+
+  return { id: 'env', ...keyring(active, keys) };
+}
+
+// Keys from a JSON keyring file (mounted secret). Rotation = add a key,
+// point "active" at it, restart, run the re-encryption command.
+export function fileKeyProvider(file = process.env.TOKEN_KEYRING_FILE) {
+  if (!file) throw new Error('TOKEN_KEYRING_FILE is not set');
+  const json = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+  const keys = new Map();
+  for (const [id, value] of Object.entries(json?.keys || {})) keys.set(id, decodeKey(id, value));
+
+  return { id: 'file', ...keyring(String(json?.active || ''), keys) };
+}
+
+const factories = new Map([
+  ['env', envKeyProvider],
+  ['file', fileKeyProvider],
+]);
+
+// Other backends (KMS, Vault...) plug in here before the first token is read.
+export function registerKeyProvider(name, factory) {
+  if (!name || typeof factory !== 'function') throw new Error('Key provider needs a name and a factory');
+  factories.set(name, factory);
+}
+
+let current = null;
+
+/** The configured provider, created on first use (after dotenv has run). */
+export function getKeyProvider() {
+  if (current) return current;
+  const name = String(process.env.TOKEN_KEY_PROVIDER || 'env').trim();
+  const factory = factories.get(name);
+  if (!factory) throw new Error(`Unknown TOKEN_KEY_PROVIDER "${name}"`);
+  current = factory();
+  return current;
+}
+
+// Swap the provider (tests, or a reload after the keyring changed); null = re-read config.
+export function setKeyProvider(provider) {
+  current = provider || null;
+}
+
+export function generateKey() {
+  return crypto.randomBytes(32).toString('base64');
+}
+
+export default {
+  envKeyProvider,
+  fileKeyProvider,
+  registerKeyProvider,
+  getKeyProvider,
+  setKeyProvider,
+  generateKey,
+};
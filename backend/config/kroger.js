@@ -2,6 +2,9 @@
 import axios from 'axios';
 import https from 'https';
 import { redis } from './redis.js';
+import { FIXTURE_MODE } from '../mocks/fixtureMode.js';
+import krogerFixture from '../mocks/krogerFixture.js';
+import { withCassette } from '../mocks/cassette.js';
 
 const BASE = process.env.KROGER_BASE_URL || 'https://api.kroger.com/v1';
 const ID = process.env.KROGER_CLIENT_ID;
@@ -72,19 +75,21 @@ async function getAppToken() {
 }
 
 async function authGet(path, { params } = {}) {
-  const token = await getAppToken();
-  return withRetry(() =>
-    http.get(path, {
-      params,
-      headers: { Authorization: `Bearer ${token}` },
-    })
-  );
+  return withCassette({ service: 'kroger', method: 'GET', path, params }, async () => {
+    const token = await getAppToken();
+    return withRetry(() =>
+      http.get(path, {
+        params,
+        headers: { Authorization: `Bearer ${token}` },
+      })
+    );
+  });
 }
 
 /** ----------------------------- CACHED APIs ----------------------------- **/
 
 // Resolve first nearby store by ZIP (cached 7d)
-export async function getLocationIdByZip(zip) {
+async function liveGetLocationIdByZip(zip) {
   const key = `kroger:locid:v1:${slug(zip)}`;
   const hit = await redis.get(key);
   if (hit) return hit;
@@ -98,7 +103,7 @@ export async function getLocationIdByZip(zip) {
 }
 
 // Search products, with optional fallback; cached 6h per (term, locId, limit)
-export async function searchProductsByTerm(term, { locationId, limit = 10, allowNoLocationFallback = true } = {}) {
+async function liveSearchProductsByTerm(term, { locationId, limit = 10, allowNoLocationFallback = true } = {}) {
   const key = `kroger:search:v1:loc=${locationId || 'none'}:limit=${limit}:q=${slug(term)}`;
   const cached = await redis.get(key);
   if (cached) return JSON.parse(cached);
@@ -129,4 +134,115 @@ export async function searchProductsByTerm(term, { locationId, limit = 10, allow
   }
 }
 
-export default { getLocationIdByZip, searchProductsByTerm };
+/** --------------------------- USER-TOKEN APIs --------------------------- **/
+
+// Exchange a user refresh token; resolves to Kroger's raw token response.
+async function liveRefreshUserToken(refreshToken) {
+  const form = new URLSearchParams({
+    grant_type: 'refresh_token',
+    refresh_token: refreshToken,
+    scope: process.env.KROGER_SCOPES || 'cart.basic:write product.compact',
+  });
+  const { data } = await axios.post(`${BASE}/connect/oauth2/token`, form, {
+    auth: { username: ID, password: SECRET },
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: TIMEOUT,
+  });
+  return data;
+}
+
+// Exchange an authorization code from the OAuth callback; resolves to Kroger's raw token response.
+async function liveExchangeAuthorizationCode(code, { redirectUri, codeVerifier } = {}) {
+  const form = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: redirectUri || process.env.KROGER_REDIRECT_URI,
+  });
+  if (codeVerifier) form.set('code_verifier', codeVerifier);
+  const { data } = await axios.post(`${BASE}/connect/oauth2/token`, form, {
+    auth: { username: ID, password: SECRET },
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    timeout: TIMEOUT,
+  });
+  return data;
+}
+
+// RFC 7009 token revocation. Resolves to true when Kroger accepted it; never throws,
+// since a failed revoke must not keep a user from disconnecting.
+async function liveRevokeToken(token, { tokenTypeHint = 'refresh_token' } = {}) {
+  if (!token) return false;
+  const url = process.env.KROGER_REVOKE_URL || `${BASE}/connect/oauth2/revoke`;
+  const form = new URLSearchParams({ token, token_type_hint: tokenTypeHint });
+  try {
+    const resp = await axios.post(url, form, {
+      auth: { username: ID, password: SECRET },
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: TIMEOUT,
+      validateStatus: () => true,
+    });
+    return resp.status >= 200 && resp.status < 300;
+  } catch (e) {
+    console.log('[KROGER][REVOKE]', e?.message || e);
+    return false;
+  }
+}
+
+// PUT /cart/add with a user token. Never throws on HTTP status; callers inspect resp.status.
+async function liveCartAdd(accessToken, items) {
+  return withCassette({ service: 'kroger', method: 'PUT', path: '/cart/add', body: { items } }, () =>
+    http.put(
+      '/cart/add',
+      { items },
+      {
+        headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+        validateStatus: () => true,
+      }
+    )
+  );
+}
+
+// PUT /cart/remove with a user token. Same contract as liveCartAdd.
+async function liveCartRemove(accessToken, items) {
+  return withCassette({ service: 'kroger', method: 'PUT', path: '/cart/remove', body: { items } }, () =>
+    http.put(
+      '/cart/remove',
+      { items },
+      {
+        headers: { Authorization: `Bearer ${accessToken}`, 'Content-Type': 'application/json' },
+        validateStatus: () => true,
+      }
+    )
+  );
+}
+
+const impl = FIXTURE_MODE
+  ? krogerFixture
+  : {
+      getLocationIdByZip: liveGetLocationIdByZip,
+      searchProductsByTerm: liveSearchProductsByTerm,
+      refreshUserToken: liveRefreshUserToken,
+      exchangeAuthorizationCode: liveExchangeAuthorizationCode,
+      revokeToken: liveRevokeToken,
+      cartAdd: liveCartAdd,
+      cartRemove: liveCartRemove,
+    };
+
+export const {
+  getLocationIdByZip,
+  searchProductsByTerm,
+  refreshUserToken,
+  exchangeAuthorizationCode,
+  revokeToken,
+  cartAdd,
+  cartRemove,
+} = impl;
+
+export default {
+  getLocationIdByZip,
+  searchProductsByTerm,
+  refreshUserToken,
+  exchangeAuthorizationCode,
+  revokeToken,
+  cartAdd,
+  cartRemove,
+};
@@ -0,0 +1,260 @@
+// config/krogerAuth.js
+// Kroger account linking: server-side OAuth state with PKCE, parked cart
+// intents, the authorize URL and the lifecycle of the user tokens kept on
+// `user.kroger`. Both Kroger controllers go through this module, so there is
+// one refresh path and one way to connect or disconnect an account.
+import crypto from 'crypto';
+import Kroger from './kroger.js';
+import { redis } from './redis.js';
+
+const BASE = process.env.KROGER_BASE_URL || 'https://api.kroger.com/v1';
+const ID = process.env.KROGER_CLIENT_ID;
+const REDIRECT = process.env.KROGER_REDIRECT_URI;
+
+// Request only the scopes you actually registered
+export const KROGER_SCOPES = process.env.KROGER_SCOPES || 'cart.basic:write product.compact';
+
+// Where the callback may send the browser back to (besides relative paths).
+const RETURN_ORIGINS = String(
+  process.env.KROGER_RETURN_ORIGINS || process.env.FRONTEND_URL || 'http://localhost:3000'
+)
+  .split(',')
+  .map((s) => s.trim().replace(/\/+$/, ''))
+  .filter(Boolean);
+
+// Tokens this close to expiry are refreshed before use.
+const EXPIRY_SKEW_MS = 60_000;
+
+/* ----------------------------- OAuth state ----------------------------- */
+// The `state` sent to Kroger is an opaque nonce. What it stands for (user,
+// return URL, PKCE verifier, pending cart intent) stays in Redis, expires,
+// and can be consumed exactly once.
+export const OAUTH_STATE_TTL_S = 10 * 60;
+// Longer than a state, so a user who abandons the consent screen can retry.
+export const CART_INTENT_TTL_S = 30 * 60;
+const MAX_INTENT_ITEMS = 100;
+
+const STATE_PREFIX = 'kroger:oauth:state:';
+const INTENT_PREFIX = 'kroger:oauth:intent:';
+const NONCE_RE = /^[A-Za-z0-9_-]{32,128}$/;
+
+// 32 random bytes -> 43 base64url chars (also a valid PKCE verifier length).
+const nonce = () => crypto.randomBytes(32).toString('base64url');
+
+export function pkceChallenge(codeVerifier) {
+  return crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+}
+
+async function takeJson(key) {
+  try {
+    const raw = await redis.getdel(key);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+export async function createOAuthState({ userId, returnTo, intentId = null }) {
+  const state = nonce();
+  const codeVerifier = nonce();
+  const record = {
+    userId: String(userId),
+    returnTo: safeReturnTo(returnTo),
+    intentId: intentId || null,
+    codeVerifier,
+    createdAt: Date.now(),
+  };
+  await redis.set(STATE_PREFIX + state, JSON.stringify(record), 'EX', OAUTH_STATE_TTL_S);
+  return { state, codeChallenge: pkceChallenge(codeVerifier) };
+}
+
+/** The stored state record, deleted on read; null when unknown, expired or already used. */
+export async function consumeOAuthState(state) {
+  const s = String(state || '');
+  if (!NONCE_RE.test(s)) return null;
+  return takeJson(STATE_PREFIX + s);
+}
+
+export async function buildAuthorizeUrl({ userId, returnTo, intentId = null }) {
+  const { state, codeChallenge } = await createOAuthState({ userId, returnTo, intentId });
+  const params = new URLSearchParams({
+    scope: KROGER_SCOPES,
+    response_type: 'code',
+    client_id: ID,
+    redirect_uri: REDIRECT,
+    state,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+  return `${BASE}/connect/oauth2/authorize?${params.toString()}`;
+}
+
+/**
+ * Park the items a user wanted in their cart while they connect Kroger.
+ * Resolves to the intent id (null when there is nothing to add).
+ */
+export async function saveCartIntent(userId, items) {
+  const clean = (Array.isArray(items) ? items : [])
+    .map((it) => ({
+      upc: String(it?.upc || '').trim(),
+      quantity: Math.max(1, Math.floor(Number(it?.quantity) || 1)),
+    }))
+    .filter((it) => it.upc)
+    .slice(0, MAX_INTENT_ITEMS);
+  if (!clean.length) return null;
+
+  const id = nonce();
+  await redis.set(INTENT_PREFIX + id, JSON.stringify({ userId: String(userId), items: clean }), 'EX', CART_INTENT_TTL_S);
+  return id;
+}
+
+// The parked items, once, and only for the user who parked them.
+export async function consumeCartIntent(intentId, userId) {
+  const id = String(intentId || '');
+  if (!NONCE_RE.test(id)) return null;
+  const intent = await takeJson(INTENT_PREFIX + id);
+  return intent && intent.userId === String(userId) ? intent.items : null;
+}
+
+/**
+ * Only relative paths and the configured frontend origins are valid
+ * post-login destinations; anything else becomes `fallback`.
+ */
+export function safeReturnTo(url, fallback = '/') {
+  const s = String(url || '').trim();
+  if (!s) return fallback;
+  if (s.startsWith('/') && !s.startsWith('//') && !s.startsWith('/\\')) return s;
+  try {
+    const u = new URL(s);
+    return RETURN_ORIGINS.includes(u.origin) ? u.toString() : fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+/* ----------------------------- User tokens ----------------------------- */
+export function isTokenValid(kroger) {
+  if (!kroger?.accessToken || !kroger?.expiresAt) return false;
+  return new Date(kroger.expiresAt).getTime() - Date.now() > EXPIRY_SKEW_MS;
+}
+
+// Copy a Kroger token response onto the user (caller saves).
+export function storeUserTokens(user, data) {
+  user.kroger = user.kroger || {};
+  user.kroger.accessToken = data.access_token;
+  user.kroger.refreshToken = data.refresh_token || user.kroger.refreshToken;
+  user.kroger.expiresAt = new Date(Date.now() + Number(data.expires_in || 0) * 1000);
+  if (!user.kroger.connectedAt) user.kroger.connectedAt = new Date();
+}
+
+function clearUserTokens(user) {
+  user.kroger = user.kroger || {};
+  user.kroger.accessToken = undefined;
+  user.kroger.refreshToken = undefined;
+  user.kroger.expiresAt = undefined;
+  user.kroger.connectedAt = undefined;
+  user.kroger.cartSnapshot = new Map();
+}
+
+function isInvalidGrant(e) {
+  const status = e?.response?.status;
+  const code = e?.response?.data?.error;
+  return (status === 400 || status === 401) && (code === 'invalid_grant' || code === 'invalid_token');
+}
+
+// userId -> in-flight refresh, so concurrent requests do not spend the same
+// refresh token twice (Kroger rotates it on use).
+const refreshing = new Map();
+
+/**
+ * Exchange the stored refresh token for a new access token and save it.
+ * Resolves to the access token, or null when there is no refresh token or
+ * Kroger rejected it (the dead tokens are wiped so the UI asks to reconnect).
+ */
+export async function refreshUserTokens(user) {
+  if (!user?.kroger?.refreshToken) return null;
+
+  const key = String(user._id);
+  if (refreshing.has(key)) return refreshing.get(key);
+
+  const run = (async () => {
+    try {
+      const data = await Kroger.refreshUserToken(user.kroger.refreshToken);
+      storeUserTokens(user, data);
+      await user.save();
+      return user.kroger.accessToken;
+    } catch (e) {
+      if (!isInvalidGrant(e)) throw e;
+      console.log('[KROGER][AUTH] Refresh token rejected; clearing connection', { userId: key });
+      clearUserTokens(user);
+      await user.save();
+      return null;
+    } finally {
+      refreshing.delete(key);
+    }
+  })();
+
+  refreshing.set(key, run);
+  return run;
+}
+
+// A usable access token for the user, refreshing if needed; null = (re)connect required.
+export async function getValidUserToken(user) {
+  if (isTokenValid(user?.kroger)) return user.kroger.accessToken;
+  if (user?.kroger?.refreshToken) {
+    try {
+      return await refreshUserTokens(user);
+    } catch {}
+  }
+  return null;
+}
+
+/**
+ * Revoke the user's tokens at Kroger (best effort) and wipe them locally,
+ * along with the cart snapshot that belonged to that Kroger account.
+ */
+export async function disconnectUser(user) {
+  const { refreshToken, accessToken } = user?.kroger || {};
+  const [refreshRevoked, accessRevoked] = await Promise.all([
+    refreshToken ? Kroger.revokeToken(refreshToken, { tokenTypeHint: 'refresh_token' }) : false,
+    accessToken ? Kroger.revokeToken(accessToken, { tokenTypeHint: 'access_token' }) : false,
+  ]);
+
+  clearUserTokens(user);
+  await user.save();
+
+  return { revoked: Boolean(refreshRevoked || accessRevoked) };
+}
+
+export function connectionStatus(user) {
+  const k = user?.kroger || {};
+  const linked = Boolean(k.refreshToken || k.accessToken);
+  return {
+    connected: linked,
+    // Access token expired and nothing to refresh it with
+    needsReauth: linked && !k.refreshToken && !isTokenValid(k),
+    expiresAt: k.expiresAt || null,
+    connectedAt: k.connectedAt || null,
+    locationId: k.locationId || null,
+    scopes: KROGER_SCOPES.split(/\s+/).filter(Boolean),
+  };
+}
+
+export default {
+  KROGER_SCOPES,
+  OAUTH_STATE_TTL_S,
+  CART_INTENT_TTL_S,
+  pkceChallenge,
+  createOAuthState,
+  consumeOAuthState,
+  buildAuthorizeUrl,
+  saveCartIntent,
+  consumeCartIntent,
+  safeReturnTo,
+  isTokenValid,
+  storeUserTokens,
+  refreshUserTokens,
+  getValidUserToken,
+  disconnectUser,
+  connectionStatus,
+};
@@ -0,0 +1,149 @@
+// config/llmMeter.js
+// Records every LLM call (and every cache hit that saved one) and keeps
+// per-user spend counters for the quotas in controllers/llmUsage.js.
+//
+// Keys:
+//   llm:spend:<user:id|ip:addr>:d:<YYYY-MM-DD>   micro-dollars spent that UTC day
+//   llm:spend:<user:id|ip:addr>:m:<YYYY-MM>      ... that calendar month
+//
+// Call sites pass a context { requestId, route, userId, ip }; in
+// KrogerController it rides on the request logger (log.context).
+import mongoose from 'mongoose';
+import redis from './redis.js';
+import LlmUsage from '../models/LlmUsage.js';
+import {
+  normalizeUsage,
+  costUsd,
+  toMicros,
+  fromMicros,
+  quotaFor,
+  quotaPeriods,
+  checkQuota,
+} from '../controllers/llmUsage.js';
+
+const mongoReady = () => mongoose.connection.readyState === 1;
+const disabled = () => process.env.LLM_QUOTA_DISABLED === '1';
+
+// Quota subject: the user when signed in, else the caller's IP.
+export function spendSubject({ userId, ip } = {}) {
+  if (userId) return `user:${userId}`;
+  if (ip) return `ip:${ip}`;
+  return null;
+}
+
+const spendKeys = (subject, now) => {
+  const p = quotaPeriods(now);
+  return {
+    day: `llm:spend:${subject}:d:${p.day}`,
+    month: `llm:spend:${subject}:m:${p.month}`,
+    // Kept a little past the period end so a late read still finds them.
+    dayTtlMs: p.dayEndsInMs + 60 * 60 * 1000,
+    monthTtlMs: p.monthEndsInMs + 24 * 60 * 60 * 1000,
+  };
+};
+
+export async function addSpend(subject, micros, now = new Date()) {
+  if (!subject || !(micros > 0)) return;
+  const k = spendKeys(subject, now);
+  await redis.set(k.day, '0', 'PX', k.dayTtlMs, 'NX');
+  await redis.set(k.month, '0', 'PX', k.monthTtlMs, 'NX');
+  await redis.incrby(k.day, micros);
+  await redis.incrby(k.month, micros);
+}
+
+// { dayUsd, monthUsd } spent so far.
+export async function getSpend(subject, now = new Date()) {
+  if (!subject) return { dayUsd: 0, monthUsd: 0 };
+  const k = spendKeys(subject, now);
+  const [day, month] = await redis.mget(k.day, k.month);
+  return { dayUsd: fromMicros(day), monthUsd: fromMicros(month) };
+}
+
+/**
+ * Whether `user` (a User document, or null for anonymous callers from `ip`)
+ * may start another LLM pipeline. Resolves to checkQuota()'s result plus the
+ * quota and spend it was judged on.
+ */
+export async function checkLlmQuota({ user = null, ip = '' } = {}, now = new Date()) {
+  const quota = quotaFor(user);
+  if (disabled()) return { allowed: true, retryAfterMs: 0, quota };
+  const spent = await getSpend(spendSubject({ userId: user?._id, ip }), now);
+  return { ...checkQuota(spent, quota, now), quota, spent };
+}
+
+async function persist(doc) {
+  if (!mongoReady()) return;
+  try {
+    await LlmUsage.create(doc);
+  } catch (e) {
+    console.warn('[LLM METER] Failed to record usage', { tag: doc.tag, err: e?.message || e });
+  }
+}
+
+/**
+ * Record one finished (or failed) model call. `resp` is the raw API response;
+ * token counts and cost come from its `usage`. Never throws: accounting must
+ * not break a search.
+ */
+export async function recordLlmCall({
+  context = {},
+  tag = '',
+  provider = 'openai',
+  costFree = false,
+  model = '',
+  resp = null,
+  latencyMs = 0,
+  cache = 'none',
+  cacheKey = '',
+  error = null,
+}) {
+  try {
+    const usage = normalizeUsage(resp);
+    // Local and stub providers bill nothing, whatever their model is called.
+    const cost = costFree ? 0 : costUsd(resp?.model || model, usage);
+    await addSpend(spendSubject(context), toMicros(cost || 0));
+    await persist({
+      userId: context.userId || null,
+      ip: context.ip || '',
+      requestId: context.requestId || '',
+      route: context.route || '',
+      tag,
+      provider,
+      model: resp?.model || model,
+      cache,
+      cacheKey: String(cacheKey || '').slice(0, 300),
+      ...usage,
+      costUsd: cost || 0,
+      priced: cost !== null,
+      latencyMs: Math.round(latencyMs),
+      ok: !error,
+      error: error ? String(error?.message || error).slice(0, 300) : '',
+    });
+  } catch (e) {
+    console.warn('[LLM METER] Failed to meter call', { tag, err: e?.message || e });
+  }
+}
+
+// A cached answer served instead of a call: no tokens, no cost, but it shows
+// up in the hit rate.
+export async function recordLlmCacheHit({ context = {}, tag = '', model = '', cacheKey = '' }) {
+  await persist({
+    userId: context.userId || null,
+    ip: context.ip || '',
+    requestId: context.requestId || '',
+    route: context.route || '',
+    tag,
+    model,
+    cache: 'hit',
+    cacheKey: String(cacheKey || '').slice(0, 300),
+  });
+}
+
+export default {
+  spendSubject,
+  addSpend,
+  getSpend,
+  checkLlmQuota,
+  recordLlmCall,
+  recordLlmCacheHit,
+};
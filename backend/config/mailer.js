@@ -0,0 +1,83 @@
+// config/mailer.js
+// Outgoing mail through a pluggable transport. No SMTP client is bundled;
+// the built-in transports are:
+//
+//   MAIL_TRANSPORT=console  full message on stdout (default outside production)
+//   MAIL_TRANSPORT=file     one JSON file per message in MAIL_DIR (default <tmp>/smart-ecom-mail)
+//   MAIL_TRANSPORT=log      recipient and subject only (default in production and fixture mode)
+//   MAIL_TRANSPORT=http
+//     MAIL_HTTP_URL=https://mail.example.com/send   receives { from, to, subject, text }
+//     MAIL_HTTP_TOKEN=...                           sent as a Bearer token
+//
+//   MAIL_FROM="Smart Ecom <alerts@example.com>"
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import axios from 'axios';
+import { FIXTURE_MODE } from '../mocks/fixtureMode.js';
+
+const DEFAULT_TRANSPORT = process.env.NODE_ENV === 'production' ? 'log' : 'console';
+const FROM = process.env.MAIL_FROM || 'Smart Ecom <no-reply@localhost>';
+const TIMEOUT = Number(process.env.MAIL_TIMEOUT_MS || 8000);
+
+// Read per send so a test or script can switch transports. Fixture runs
+// never reach a real mail API.
+function transportName() {
+  const name = String(process.env.MAIL_TRANSPORT || (FIXTURE_MODE ? 'log' : DEFAULT_TRANSPORT)).toLowerCase();
+  return FIXTURE_MODE && name === 'http' ? 'log' : name;
+}
+
+async function logTransport(msg) {
+  console.log('[MAIL]', { to: msg.to, subject: msg.subject });
+  return { ok: true, transport: 'log' };
+}
+
+async function consoleTransport(msg) {
+  console.log(`[MAIL] ----\nFrom: ${msg.from}\nTo: ${msg.to}\nSubject: ${msg.subject}\n\n${msg.text}\n[MAIL] ----`);
+  return { ok: true, transport: 'console' };
+}
+
+async function fileTransport(msg) {
+  const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'smart-ecom-mail');
+  await fs.mkdir(dir, { recursive: true });
+  const file = path.join(dir, `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...msg, sentAt: new Date().toISOString() }, null, 2));
+  return { ok: true, transport: 'file', file };
+}
+
+async function httpTransport(msg) {
+  const url = process.env.MAIL_HTTP_URL;
+  if (!url) throw new Error('MAIL_HTTP_URL is not set');
+  const headers = { 'Content-Type': 'application/json' };
+  if (process.env.MAIL_HTTP_TOKEN) headers.Authorization = `Bearer ${process.env.MAIL_HTTP_TOKEN}`;
+  await axios.post(url, msg, { headers, timeout: TIMEOUT });
+  return { ok: true, transport: 'http' };
+}
+
+const transports = new Map([
+  ['log', logTransport],
+  ['console', consoleTransport],
+  ['file', fileTransport],
+  ['http', httpTransport],
+]);
+
+// Plug in another transport (SES, SMTP client...): fn(msg) -> { ok, transport }.
+export function registerTransport(name, fn) {
+  if (!name || typeof fn !== 'function') throw new Error('Mail transport needs a name and a function');
+  transports.set(String(name).toLowerCase(), fn);
+}
+
+/**
+ * Send a plain-text mail. Resolves to { ok, transport }; throws when the
+ * transport fails so callers can record the error.
+ */
+export async function sendMail({ to, subject, text }) {
+  if (!to) throw new Error('Missing recipient');
+  const name = transportName();
+  const send = transports.get(name);
+  if (!send) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+  return send({ from: FROM, to, subject, text });
+}
+
+export default { sendMail, registerTransport };
@@ -1,10 +1,32 @@
 import OpenAI from 'openai';
 import dotenv from 'dotenv';
+import { FIXTURE_MODE } from '../mocks/fixtureMode.js';
+import { createFixtureOpenAI } from '../mocks/openaiFixture.js';
+import { CASSETTE_MODE, withCassette } from '../mocks/cassette.js';
 
 dotenv.config();
 
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY,
-});
+// Route Responses API calls through the record/replay cassette (no-op when disabled).
+function withRecordedResponses(client) {
+  if (!CASSETTE_MODE) return client;
+  const create = client.responses.create.bind(client.responses);
+  client.responses.create = async (payload) => {
+    const resp = await withCassette(
+      { service: 'openai', method: 'POST', path: '/responses', body: payload },
+      async () => ({ status: 200, data: await create(payload) })
+    );
+    return resp.data;
+  };
+  return client;
+}
+
+const openai = FIXTURE_MODE
+  ? createFixtureOpenAI()
+  : withRecordedResponses(
+      new OpenAI({
+        // Replays never reach the API, so they don't need a real key.
+        apiKey: process.env.OPENAI_API_KEY || (CASSETTE_MODE === 'replay' ? 'cassette-replay' : undefined),
+      })
+    );
 
 export default openai;
@@ -0,0 +1,190 @@
+// config/rateLimit.js
+// Redis-backed rate limits (fixed windows) and progressive login lockout.
+//
+// Keys:
+//   rl:<policy>:<ip|user>:<id>     request counter for one window
+//   auth:fail:<email|ip>:<id>      failed logins since the last success
+//   auth:lock:<email|ip>:<id>      present while that subject is locked out
+//
+//   RATE_LIMIT_DISABLED=1          skip every check (local load tests)
+import crypto from 'crypto';
+import redis from './redis.js';
+
+/**
+ * Per-route budgets. Each policy counts separately per IP and, when the
+ * request is signed in, per user; whichever runs out first blocks.
+ * LLM-heavy routes get small budgets: each request costs one or more model calls.
+ */
+export const RATE_LIMITS = {
+  login: { windowS: 15 * 60, perIp: 30 },
+  signup: { windowS: 60 * 60, perIp: 10 },
+  password_forgot: { windowS: 60 * 60, perIp: 10 },
+  kroger_search: { windowS: 10 * 60, perUser: 20, perIp: 40 },
+  meal_plan: { windowS: 10 * 60, perUser: 6, perIp: 12 },
+  products_search: { windowS: 10 * 60, perUser: 20, perIp: 40 },
+  fridge_upload: { windowS: 10 * 60, perUser: 10, perIp: 20 },
+};
+
+// Rate-limited SSE streams, by ticket purpose. POST /auth/sse-ticket checks the
+// named budget (first one by default) so the browser sees the 429 up front.
+export const SSE_TICKET_BUDGETS = {
+  search: ['kroger_search', 'meal_plan'],
+};
+
+// Failed logins before a lock starts, then 1 min doubling up to 1 h.
+// Per email so one account can't be guessed at slowly from many IPs, and
+// per IP (with a higher threshold) so one IP can't walk through many accounts.
+export const LOGIN_LOCKOUT = {
+  email: { threshold: 5, baseMs: 60 * 1000, maxMs: 60 * 60 * 1000 },
+  ip: { threshold: 20, baseMs: 60 * 1000, maxMs: 60 * 60 * 1000 },
+  // Failure counts are forgotten after a quiet day.
+  memoryMs: 24 * 60 * 60 * 1000,
+};
+
+const disabled = () => process.env.RATE_LIMIT_DISABLED === '1';
+
+// Emails are hashed so the key space doesn't hold addresses.
+const emailId = (email) =>
+  crypto.createHash('sha256').update(String(email || '').trim().toLowerCase()).digest('hex').slice(0, 32);
+
+/* ===== Counters ===== */
+
+/**
+ * Count one request against `key` (window starts on the first hit).
+ * Resolves to { allowed, count, limit, remaining, retryAfterMs }.
+ */
+export async function hit(key, { limit, windowMs }) {
+  // NX+PX then INCR: the expiry is set together with the key, so a counter
+  // can never be left without one.
+  await redis.set(key, '0', 'PX', windowMs, 'NX');
+  const count = await redis.incr(key);
+  const ttl = await redis.pttl(key);
+  const retryAfterMs = ttl > 0 ? ttl : windowMs;
+  return {
+    allowed: count <= limit,
+    count,
+    limit,
+    remaining: Math.max(0, limit - count),
+    retryAfterMs: count <= limit ? 0 : retryAfterMs,
+  };
+}
+
+// Same as hit() but without counting; for "would this be allowed" checks.
+export async function peek(key, { limit, windowMs }) {
+  const count = Number((await redis.get(key)) || 0);
+  const ttl = count ? await redis.pttl(key) : -2;
+  return {
+    allowed: count < limit,
+    count,
+    limit,
+    remaining: Math.max(0, limit - count),
+    retryAfterMs: count < limit ? 0 : ttl > 0 ? ttl : windowMs,
+  };
+}
+
+function subjectsFor(policy, { ip, userId }) {
+  const out = [];
+  if (userId && policy.perUser) out.push({ scope: 'user', id: String(userId), limit: policy.perUser });
+  if (ip && policy.perIp) out.push({ scope: 'ip', id: String(ip), limit: policy.perIp });
+  return out;
+}
+
+/**
+ * Check (and by default count) one request against a named policy.
+ * Resolves to { allowed, retryAfterMs, limit, remaining, scope }; when
+ * blocked, `scope` says which bucket ran out.
+ */
+export async function consume(name, { ip, userId } = {}, { dryRun = false } = {}) {
+  const policy = RATE_LIMITS[name];
+  if (!policy) throw new Error(`Unknown rate limit policy "${name}"`);
+  if (disabled()) return { allowed: true, retryAfterMs: 0, limit: null, remaining: null, scope: null };
+
+  const windowMs = policy.windowS * 1000;
+  const check = dryRun ? peek : hit;
+  let tightest = null;
+  for (const s of subjectsFor(policy, { ip, userId })) {
+    const r = await check(`rl:${name}:${s.scope}:${s.id}`, { limit: s.limit, windowMs });
+    if (!r.allowed) return { allowed: false, retryAfterMs: r.retryAfterMs, limit: r.limit, remaining: 0, scope: s.scope };
+    if (!tightest || r.remaining < tightest.remaining) tightest = { ...r, scope: s.scope };
+  }
+  return {
+    allowed: true,
+    retryAfterMs: 0,
+    limit: tightest?.limit ?? null,
+    remaining: tightest?.remaining ?? null,
+    scope: null,
+  };
+}
+
+/* ===== Login lockout ===== */
+
+// Lock length after `failures` consecutive failures; 0 below the threshold.
+export function lockoutMs(failures, { threshold, baseMs, maxMs }) {
+  if (failures < threshold) return 0;
+  const steps = Math.min(failures - threshold, 30);
+  return Math.min(baseMs * 2 ** steps, maxMs);
+}
+
+const loginSubjects = ({ email, ip }) => {
+  const out = [];
+  if (email) out.push({ kind: 'email', id: emailId(email) });
+  if (ip) out.push({ kind: 'ip', id: String(ip) });
+  return out;
+};
+
+// ms until a login from this email/IP may be tried again; 0 when not locked.
+export async function loginLockRemaining({ email, ip }) {
+  if (disabled()) return 0;
+  let remaining = 0;
+  for (const s of loginSubjects({ email, ip })) {
+    const ttl = await redis.pttl(`auth:lock:${s.kind}:${s.id}`);
+    if (ttl > remaining) remaining = ttl;
+  }
+  return remaining;
+}
+
+/**
+ * Record a failed login for the email and the IP. Resolves to the lock now in
+ * force (ms, 0 when none) so the caller can say so right away.
+ */
+export async function recordLoginFailure({ email, ip }) {
+  if (disabled()) return 0;
+  let lockMs = 0;
+  for (const s of loginSubjects({ email, ip })) {
+    const failKey = `auth:fail:${s.kind}:${s.id}`;
+    await redis.set(failKey, '0', 'PX', LOGIN_LOCKOUT.memoryMs, 'NX');
+    const failures = await redis.incr(failKey);
+    await redis.pexpire(failKey, LOGIN_LOCKOUT.memoryMs);
+
+    const ms = lockoutMs(failures, LOGIN_LOCKOUT[s.kind]);
+    if (ms > 0) {
+      await redis.set(`auth:lock:${s.kind}:${s.id}`, String(failures), 'PX', ms);
+      lockMs = Math.max(lockMs, ms);
+    }
+  }
+  return lockMs;
+}
+
+// A correct password clears the account's count; the IP's count is left to
+// expire so one good login doesn't reset a credential-stuffing run.
+export async function clearLoginFailures({ email }) {
+  if (!email) return;
+  const id = emailId(email);
+  await redis.del(`auth:fail:email:${id}`, `auth:lock:email:${id}`);
+}
+
+export const retryAfterSeconds = (ms) => Math.max(1, Math.ceil(Number(ms || 0) / 1000));
+
+export default {
+  RATE_LIMITS,
+  SSE_TICKET_BUDGETS,
+  LOGIN_LOCKOUT,
+  hit,
+  peek,
+  consume,
+  lockoutMs,
+  loginLockRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+  retryAfterSeconds,
+};
@@ -1,10 +1,17 @@
 // config/redis.js
 import Redis from 'ioredis';
+import { FIXTURE_MODE } from '../mocks/fixtureMode.js';
+import { createMemoryRedis } from '../mocks/memoryRedis.js';
+import { CASSETTE_MODE } from '../mocks/cassette.js';
 
-export const redis = new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
-  maxRetriesPerRequest: null,
-  enableAutoPipelining: true,
-});
+// Fixture and cassette runs start from a cold, private cache so every upstream
+// call is served (or recorded) deterministically.
+export const redis = FIXTURE_MODE || CASSETTE_MODE
+  ? createMemoryRedis()
+  : new Redis(process.env.REDIS_URL || 'redis://127.0.0.1:6379', {
+      maxRetriesPerRequest: null,
+      enableAutoPipelining: true,
+    });
 
 redis.on('error', (e) => console.error('[REDIS]', e?.message || e));
 
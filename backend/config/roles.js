@@ -0,0 +1,59 @@
+// config/roles.js
+// Roles and what they may do. Routes check permissions, never role names, so
+// a new role is one entry here.
+
+export const ROLES = ['customer', 'catalog_admin', 'support', 'superadmin'];
+export const DEFAULT_ROLE = 'customer';
+
+export const PERMISSIONS = {
+  CATALOG_WRITE: 'catalog:write',
+  INVENTORY_MANAGE: 'inventory:manage',
+  AUDIT_READ: 'audit:read',
+  ORDERS_READ_ALL: 'orders:read_all',
+  ORDERS_MANAGE: 'orders:manage',
+  USERS_MANAGE: 'users:manage',
+  USAGE_READ: 'usage:read',
+  ADMIN_LOGIN: 'admin:login',
+};
+
+const ALL = Object.values(PERMISSIONS);
+
+const GRANTS = {
+  customer: [],
+  catalog_admin: [
+    PERMISSIONS.ADMIN_LOGIN,
+    PERMISSIONS.CATALOG_WRITE,
+    PERMISSIONS.INVENTORY_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+  ],
+  support: [
+    PERMISSIONS.ADMIN_LOGIN,
+    PERMISSIONS.ORDERS_READ_ALL,
+    PERMISSIONS.ORDERS_MANAGE,
+    PERMISSIONS.AUDIT_READ,
+    PERMISSIONS.USAGE_READ,
+  ],
+  superadmin: ALL,
+};
+
+export function isRole(role) {
+  return ROLES.includes(role);
+}
+
+export function permissionsFor(role) {
+  return [...(GRANTS[role] || [])];
+}
+
+// Unknown roles (and users saved before roles existed) get nothing.
+export function hasPermission(role, permission) {
+  return (GRANTS[role] || []).includes(permission);
+}
+
+export default {
+  ROLES,
+  DEFAULT_ROLE,
+  PERMISSIONS,
+  isRole,
+  permissionsFor,
+  hasPermission,
+};
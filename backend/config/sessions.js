@@ -0,0 +1,221 @@
+// config/sessions.js
+// App login sessions: short-lived access JWTs, rotating refresh tokens kept
+// (hashed) in Mongo, and one-time tickets in Redis for the SSE streams and
+// redirects that cannot send an Authorization header.
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import User from '../models/User.js';
+import { redis } from './redis.js';
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+// Two tabs refreshing at once both present the same token; the loser is told
+// to pick up the new one instead of being treated as a replay.
+export const ROTATION_GRACE_MS = 15_000;
+
+export const SSE_TICKET_TTL_S = 60;
+// search: /kroger/search/stream and /kroger/mealplan/stream
+// cart_add: /kroger/cart/add/stream
+// kroger_login: the /kroger/oauth/login redirect
+export const SSE_TICKET_PURPOSES = ['search', 'cart_add', 'kroger_login'];
+
+const TICKET_PREFIX = 'auth:ticket:';
+const TICKET_RE = /^[A-Za-z0-9_-]{43}$/;
+
+const jwtSecret = () => process.env.JWT_SECRET;
+const refreshExpiry = (now = Date.now()) => new Date(now + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function sameHash(a, b) {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a), Buffer.from(b));
+}
+
+/* ----------------------------- Tokens ----------------------------- */
+export function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { id: user._id, email: user.email, username: user.username, sid: String(sessionId) },
+    jwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+// `<sessionId>.<secret>`: the id finds the session, the secret proves possession.
+export function parseRefreshToken(token) {
+  const [sessionId, secret, extra] = String(token || '').split('.');
+  if (extra !== undefined || !secret || secret.length < 32) return null;
+  if (!mongoose.isValidObjectId(sessionId) || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return { sessionId, secret };
+}
+
+function newRefreshToken(sessionId) {
+  return `${sessionId}.${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+/**
+ * What a presented refresh token means for a session:
+ * 'ok' | 'stale' (just rotated by a concurrent refresh) | 'reused' |
+ * 'revoked' | 'expired' | 'invalid'.
+ */
+export function checkRefreshToken(session, token, now = Date.now()) {
+  if (!session) return 'invalid';
+  if (session.revokedAt) return 'revoked';
+  if (new Date(session.expiresAt).getTime() <= now) return 'expired';
+
+  const presented = hashToken(token);
+  if (sameHash(presented, session.tokenHash)) return 'ok';
+  if (sameHash(presented, session.previousTokenHash)) {
+    const rotatedAt = session.rotatedAt ? new Date(session.rotatedAt).getTime() : 0;
+    return now - rotatedAt <= ROTATION_GRACE_MS ? 'stale' : 'reused';
+  }
+  return 'invalid';
+}
+
+/* ----------------------------- Sessions ----------------------------- */
+export async function createSession(user, { userAgent = '', ip = '' } = {}) {
+  const _id = new mongoose.Types.ObjectId();
+  const refreshToken = newRefreshToken(_id);
+  const session = await Session.create({
+    _id,
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent: String(userAgent).slice(0, 300),
+    ip: String(ip).slice(0, 64),
+    expiresAt: refreshExpiry(),
+  });
+  return { session, accessToken: signAccessToken(user, _id), refreshToken };
+}
+
+/**
+ * Trade a refresh token for a new access + refresh token pair. Replaying a
+ * token that was already rotated revokes the whole session (it was copied).
+ * Resolves to { user, accessToken, refreshToken } or { error }.
+ */
+export async function rotateSession(token, { userAgent, ip } = {}) {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return { error: 'invalid' };
+
+  const session = await Session.findById(parsed.sessionId);
+  const outcome = checkRefreshToken(session, token);
+  if (outcome === 'reused') {
+    await revokeSession(session.userId, session._id, 'refresh_token_reuse');
+    console.warn('[AUTH] Refresh token reuse; session revoked', { sessionId: String(session._id) });
+  }
+  if (outcome !== 'ok') return { error: outcome };
+
+  const user = await User.findById(session.userId);
+  if (!user) return { error: 'invalid' };
+
+  // Compare-and-swap on the current hash so two refreshes cannot both win.
+  const refreshToken = newRefreshToken(session._id);
+  const now = new Date();
+  const updated = await Session.findOneAndUpdate(
+    { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+    {
+      $set: {
+        tokenHash: hashToken(refreshToken),
+        previousTokenHash: session.tokenHash,
+        rotatedAt: now,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now.getTime()),
+        ...(userAgent ? { userAgent: String(userAgent).slice(0, 300) } : {}),
+        ...(ip ? { ip: String(ip).slice(0, 64) } : {}),
+      },
+    },
+    { new: true }
+  );
+  if (!updated) return { error: 'stale' };
+
+  return { user, accessToken: signAccessToken(user, session._id), refreshToken };
+}
+
+// Logout: the refresh token itself is the proof, so no access token is needed.
+export async function endSession(token) {
+  const parsed = parseRefreshToken(token);
+  if (!parsed) return false;
+  const session = await Session.findById(parsed.sessionId);
+  if (!['ok', 'stale'].includes(checkRefreshToken(session, token))) return false;
+  return revokeSession(session.userId, session._id);
+}
+
+export async function revokeSession(userId, sessionId, reason = 'logout') {
+  const res = await Session.updateOne(
+    { _id: sessionId, userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  return res.modifiedCount > 0;
+}
+
+export async function revokeAllSessions(userId, { except = null, reason = 'logout_all' } = {}) {
+  const filter = { userId, revokedAt: null };
+  if (except) filter._id = { $ne: except };
+  const res = await Session.updateMany(filter, { $set: { revokedAt: new Date(), revokedReason: reason } });
+  return res.modifiedCount || 0;
+}
+
+export async function listSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip createdAt lastUsedAt expiresAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+export async function isSessionActive(sessionId) {
+  if (!mongoose.isValidObjectId(sessionId)) return false;
+  return Boolean(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+}
+
+/* ----------------------------- SSE tickets ----------------------------- */
+// A ticket stands in for the access token in a URL: it names one purpose,
+// lives a minute and works once, so a leaked URL is worthless.
+export async function mintSseTicket({ userId, sessionId = null, purpose }) {
+  if (!SSE_TICKET_PURPOSES.includes(purpose)) throw new Error(`Unknown ticket purpose "${purpose}"`);
+  const ticket = crypto.randomBytes(32).toString('base64url');
+  await redis.set(
+    TICKET_PREFIX + ticket,
+    JSON.stringify({ userId: String(userId), sessionId: sessionId ? String(sessionId) : null, purpose }),
+    'EX',
+    SSE_TICKET_TTL_S
+  );
+  return ticket;
+}
+
+// { userId, sessionId } for a valid ticket of this purpose, else null. Always consumes it.
+export async function redeemSseTicket(ticket, purpose) {
+  const t = String(ticket || '');
+  if (!TICKET_RE.test(t)) return null;
+  try {
+    const raw = await redis.getdel(TICKET_PREFIX + t);
+    const data = raw ? JSON.parse(raw) : null;
+    return data && data.purpose === purpose ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+export default {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  ROTATION_GRACE_MS,
+  SSE_TICKET_TTL_S,
+  SSE_TICKET_PURPOSES,
+  hashToken,
+  signAccessToken,
+  parseRefreshToken,
+  checkRefreshToken,
+  createSession,
+  rotateSession,
+  endSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  isSessionActive,
+  mintSseTicket,
+  redeemSseTicket,
+};
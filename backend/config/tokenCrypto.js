@@ -0,0 +1,122 @@
+// config/tokenCrypto.js
+// Envelope encryption for credentials stored on documents. Every value gets
+// its own random data key (AES-256-GCM); the data key is wrapped with the
+// provider's active key-encryption key and stored next to the ciphertext:
+//
+//   enc:v1:<keyId>:<wrapped data key>:<payload>      (base64url parts)
+//
+// Values without the prefix are legacy plaintext and are returned as-is, so
+// existing rows keep working until the re-encryption command has run.
+import crypto from 'crypto';
+import { getKeyProvider } from './keyProviders.js';
+
+const PREFIX = 'enc:v1:';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+}
+
+function open(key, sealed, aad) {
+  const buf = Buffer.from(sealed, 'base64url');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buf.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(buf.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(buf.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+export function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Id of the key that wrapped `value`, or null for plaintext.
+export function keyIdOf(value) {
+  if (!isEncrypted(value)) return null;
+  return value.slice(PREFIX.length).split(':')[0] || null;
+}
+
+export function encryptSecret(plaintext, provider = getKeyProvider()) {
+  if (plaintext == null || plaintext === '') return plaintext;
+  if (isEncrypted(plaintext)) return plaintext;
+
+  const { id, key } = provider.activeKey();
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = seal(key, dataKey, `kek:${id}`);
+  const payload = seal(dataKey, Buffer.from(String(plaintext), 'utf8'), 'data');
+  return `${PREFIX}${id}:${wrapped}:${payload}`;
+}
+
+/** Plaintext for a stored value; throws when the key is unknown or the value was tampered with. */
+export function decryptSecret(value, provider = getKeyProvider()) {
+  if (!isEncrypted(value)) return value;
+
+  const [id, wrapped, payload] = value.slice(PREFIX.length).split(':');
+  const key = provider.getKey(id);
+  if (!key) throw new Error(`Unknown token key "${id}"`);
+
+  const dataKey = open(key, wrapped || '', `kek:${id}`);
+  return open(dataKey, payload || '', 'data').toString('utf8');
+}
+
+// True when `value` is plaintext or wrapped with a key other than the active one.
+export function needsReencryption(value, provider = getKeyProvider()) {
+  if (value == null || value === '') return false;
+  return keyIdOf(value) !== provider.activeKey().id;
+}
+
+export function reencryptSecret(value, provider = getKeyProvider()) {
+  if (!needsReencryption(value, provider)) return value;
+  return encryptSecret(decryptSecret(value, provider), provider);
+}
+
+const getPath = (obj, path) => path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+
+/**
+ * `$set` updates that move the given dotted paths of a raw document onto the
+ * active key (plaintext included). Empty object = nothing to do.
+ */
+export function reencryptFields(doc, paths, provider = getKeyProvider()) {
+  const $set = {};
+  for (const path of paths) {
+    const value = getPath(doc, path);
+    if (needsReencryption(value, provider)) $set[path] = reencryptSecret(value, provider);
+  }
+  return $set;
+}
+
+/**
+ * Mongoose field definition for an encrypted string: assignments are
+ * encrypted, reads are decrypted. A value that cannot be decrypted (key
+ * removed from the keyring) reads as undefined, which the token code treats
+ * as "not connected".
+ */
+export function encryptedString(label = 'secret') {
+  return {
+    type: String,
+    set: (v) => encryptSecret(v),
+    get: (v) => {
+      try {
+        return decryptSecret(v);
+      } catch (e) {
+        console.warn(`[TOKENS] Could not decrypt ${label}:`, e.message);
+        return undefined;
+      }
+    },
+  };
+}
+
+export default {
+  isEncrypted,
+  keyIdOf,
+  encryptSecret,
+  decryptSecret,
+  needsReencryption,
+  reencryptSecret,
+  reencryptFields,
+  encryptedString,
+};
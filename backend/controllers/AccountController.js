@@ -0,0 +1,268 @@
+// backend/controllers/AccountController.js
+// Account lifecycle: email verification, forgot/reset password, change
+// email/password and account deletion. Links are mailed through
+// config/mailer.js; tokens are single use and only stored hashed.
+import crypto from "crypto";
+import bcrypt from "bcrypt";
+import User from "../models/User.js";
+import Order from "../models/Order.js";
+import ShoppingList from "../models/ShoppingList.js";
+import PriceWatch from "../models/PriceWatch.js";
+import Notification from "../models/Notification.js";
+import Session from "../models/Session.js";
+import AccountToken from "../models/AccountToken.js";
+import { sendMail } from "../config/mailer.js";
+import { hashToken, revokeAllSessions } from "../config/sessions.js";
+import { disconnectUser } from "../config/krogerAuth.js";
+import {
+  ACCOUNT_TOKEN_TTL_MS,
+  normalizeEmail,
+  isValidEmail,
+  passwordProblem,
+  accountLink,
+  verificationMail,
+  passwordResetMail,
+  emailChangeMail,
+  securityNoticeMail,
+} from "./accountRules.js";
+
+const FRONTEND_URL = () => process.env.FRONTEND_URL || "http://localhost:3000";
+
+/* ============================== Tokens ============================== */
+
+// Issue a new link token; older unused ones for the same purpose stop working.
+async function issueToken(user, purpose, email = user.email) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  await AccountToken.deleteMany({ userId: user._id, purpose, usedAt: null });
+  await AccountToken.create({
+    userId: user._id,
+    purpose,
+    tokenHash: hashToken(token),
+    email,
+    expiresAt: new Date(Date.now() + ACCOUNT_TOKEN_TTL_MS[purpose]),
+  });
+  return token;
+}
+
+// Mark the token used and return it; null when unknown, expired or already used.
+async function consumeToken(token, purpose) {
+  if (typeof token !== "string" || token.length < 32 || token.length > 128) return null;
+  return AccountToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+}
+
+// Mail failures are logged, never shown: they must not reveal whether an account exists.
+async function mail(to, { subject, text }) {
+  try {
+    await sendMail({ to, subject, text });
+    return true;
+  } catch (e) {
+    console.error("[ACCOUNT] Mail failed", { subject, err: e.message });
+    return false;
+  }
+}
+
+export async function sendVerificationMail(user) {
+  const token = await issueToken(user, "verify_email");
+  return mail(user.email, verificationMail(user, accountLink(FRONTEND_URL(), "verify", token)));
+}
+
+async function checkPassword(user, password) {
+  return Boolean(password) && bcrypt.compare(String(password), user.password);
+}
+
+/* ============================ HTTP Controllers ============================ */
+
+// POST /auth/verify-email/send   (signed in)
+export async function resendVerification(req, res) {
+  try {
+    if (req.user.emailVerifiedAt) return res.json({ ok: true, alreadyVerified: true });
+    await sendVerificationMail(req.user);
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to send verification email" });
+  }
+}
+
+// POST /auth/verify-email { token }
+export async function verifyEmail(req, res) {
+  try {
+    const record = await consumeToken(req.body?.token, "verify_email");
+    if (!record) return res.status(400).json({ error: "This link is invalid or has expired." });
+
+    const user = await User.findById(record.userId);
+    // The address changed since the mail went out; that link proves nothing now.
+    if (!user || user.email !== record.email) {
+      return res.status(400).json({ error: "This link is invalid or has expired." });
+    }
+
+    user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+    return res.json({ ok: true, email: user.email });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to verify email" });
+  }
+}
+
+// POST /auth/password/forgot { email } - same answer whether or not the account exists
+export async function forgotPassword(req, res) {
+  try {
+    const raw = String(req.body?.email || "").trim();
+    if (raw) {
+      const user = await User.findOne({ email: { $in: [raw, normalizeEmail(raw)] } });
+      if (user) {
+        const token = await issueToken(user, "reset_password");
+        await mail(user.email, passwordResetMail(user, accountLink(FRONTEND_URL(), "reset", token)));
+      }
+    }
+    return res.json({ ok: true, message: "If that email has an account, a reset link is on its way." });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to start password reset" });
+  }
+}
+
+// POST /auth/password/reset { token, password } - signs out every session
+export async function resetPassword(req, res) {
+  try {
+    const problem = passwordProblem(req.body?.password);
+    if (problem) return res.status(400).json({ error: problem });
+
+    const record = await consumeToken(req.body?.token, "reset_password");
+    const user = record ? await User.findById(record.userId) : null;
+    if (!user) return res.status(400).json({ error: "This link is invalid or has expired." });
+
+    user.password = String(req.body.password);
+    // Getting the link proves control of the mailbox.
+    if (user.email === record.email) user.emailVerifiedAt = user.emailVerifiedAt || new Date();
+    await user.save();
+    await revokeAllSessions(user._id, { reason: "password_reset" });
+
+    await mail(user.email, securityNoticeMail(user, "Your password was reset."));
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to reset password" });
+  }
+}
+
+// PUT /auth/password { currentPassword, newPassword } - other sessions are signed out
+export async function changePassword(req, res) {
+  try {
+    const { currentPassword, newPassword } = req.body || {};
+    const user = await User.findById(req.user._id);
+    if (!(await checkPassword(user, currentPassword))) {
+      return res.status(400).json({ error: "Current password is incorrect." });
+    }
+    const problem = passwordProblem(newPassword);
+    if (problem) return res.status(400).json({ error: problem });
+
+    user.password = String(newPassword);
+    await user.save();
+    const signedOut = await revokeAllSessions(user._id, { except: req.sessionId, reason: "password_change" });
+    await AccountToken.deleteMany({ userId: user._id, purpose: "reset_password", usedAt: null });
+
+    await mail(user.email, securityNoticeMail(user, "Your password was changed."));
+    return res.json({ ok: true, signedOut });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to change password" });
+  }
+}
+
+// PUT /auth/email { currentPassword, newEmail } - takes effect once the new address confirms
+export async function requestEmailChange(req, res) {
+  try {
+    const { currentPassword } = req.body || {};
+    const newEmail = normalizeEmail(req.body?.newEmail);
+
+    const user = await User.findById(req.user._id);
+    if (!(await checkPassword(user, currentPassword))) {
+      return res.status(400).json({ error: "Current password is incorrect." });
+    }
+    if (!isValidEmail(newEmail)) return res.status(400).json({ error: "Enter a valid email address." });
+    if (newEmail === normalizeEmail(user.email)) {
+      return res.status(400).json({ error: "That is already your email address." });
+    }
+    if (await User.exists({ email: newEmail })) {
+      return res.status(400).json({ error: "Email is already registered." });
+    }
+
+    const token = await issueToken(user, "change_email", newEmail);
+    await mail(newEmail, emailChangeMail(user, accountLink(FRONTEND_URL(), "email", token)));
+    await mail(user.email, securityNoticeMail(user, `A change of your account email to ${newEmail} was requested.`));
+    return res.json({ ok: true, pendingEmail: newEmail });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to change email" });
+  }
+}
+
+// POST /auth/email/confirm { token }
+export async function confirmEmailChange(req, res) {
+  try {
+    const record = await consumeToken(req.body?.token, "change_email");
+    const user = record ? await User.findById(record.userId) : null;
+    if (!user) return res.status(400).json({ error: "This link is invalid or has expired." });
+    if (await User.exists({ email: record.email, _id: { $ne: user._id } })) {
+      return res.status(400).json({ error: "Email is already registered." });
+    }
+
+    const previous = user.email;
+    user.email = record.email;
+    user.emailVerifiedAt = new Date();
+    await user.save();
+    // Links sent to the old address must not work anymore.
+    await AccountToken.deleteMany({ userId: user._id, usedAt: null });
+
+    await mail(previous, securityNoticeMail(user, `Your account email was changed to ${user.email}.`));
+    return res.json({ ok: true, email: user.email });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to confirm email" });
+  }
+}
+
+// DELETE /auth/account { password } - removes the user and everything tied to them
+export async function deleteAccount(req, res) {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!(await checkPassword(user, req.body?.password))) {
+      return res.status(400).json({ error: "Password is incorrect." });
+    }
+
+    // Revoke at Kroger while we still hold the tokens (best effort).
+    await disconnectUser(user).catch((e) => console.warn("[ACCOUNT] Kroger revoke failed", e.message));
+
+    const userId = user._id;
+    const [orders, lists, watches, notifications, sessions] = await Promise.all([
+      Order.deleteMany({ userId }),
+      ShoppingList.deleteMany({ userId }),
+      PriceWatch.deleteMany({ userId }),
+      Notification.deleteMany({ userId }),
+      Session.deleteMany({ userId }),
+      AccountToken.deleteMany({ userId }),
+    ]);
+    await User.deleteOne({ _id: userId });
+
+    await mail(user.email, securityNoticeMail(user, "Your account and its order history were deleted."));
+    return res.json({
+      ok: true,
+      deleted: {
+        orders: orders.deletedCount || 0,
+        shoppingLists: lists.deletedCount || 0,
+        priceWatches: watches.deletedCount || 0,
+        notifications: notifications.deletedCount || 0,
+        sessions: sessions.deletedCount || 0,
+      },
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to delete account" });
+  }
+}
@@ -0,0 +1,97 @@
+// backend/controllers/AuditController.js
+// Audit trail for admin mutations, and the admin endpoints to read it and
+// to manage user roles.
+import mongoose from "mongoose";
+import AuditLog from "../models/AuditLog.js";
+import User from "../models/User.js";
+import { isRole, permissionsFor } from "../config/roles.js";
+import { auditSnapshot, changedFields } from "./auditLog.js";
+
+/**
+ * Record one mutation made by `req.user`. Called after the change succeeded;
+ * a failed write is logged loudly but does not undo the change.
+ */
+export async function recordAudit(req, { action, entityType, entityId, before = null, after = null }) {
+  const beforeSnap = auditSnapshot(before);
+  const afterSnap = auditSnapshot(after);
+  try {
+    return await AuditLog.create({
+      action,
+      entityType,
+      entityId: String(entityId),
+      actor: {
+        userId: req.user?._id,
+        email: req.user?.email || "",
+        role: req.user?.role || "",
+      },
+      before: beforeSnap,
+      after: afterSnap,
+      changedFields: changedFields(beforeSnap, afterSnap),
+      ip: req.ip || "",
+      userAgent: String(req.get?.("user-agent") || "").slice(0, 300),
+    });
+  } catch (e) {
+    console.error("[AUDIT] Failed to record", { action, entityType, entityId: String(entityId), err: e.message });
+    return null;
+  }
+}
+
+/* ============================ HTTP Controllers ============================ */
+
+// GET /admin/audit?entityType=Product&entityId=...&actor=<userId>&before=<ISO date>&limit=50
+export async function listAuditLog(req, res) {
+  try {
+    const { entityType, entityId, actor, action } = req.query;
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 50));
+
+    const filter = {};
+    if (entityType) filter.entityType = String(entityType);
+    if (entityId) filter.entityId = String(entityId);
+    if (action) filter.action = String(action);
+    if (actor) {
+      if (!mongoose.isValidObjectId(actor)) return res.json({ entries: [], nextBefore: null });
+      filter["actor.userId"] = actor;
+    }
+    const before = req.query.before ? new Date(req.query.before) : null;
+    if (before && !Number.isNaN(before.getTime())) filter.createdAt = { $lt: before };
+
+    const entries = await AuditLog.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    const nextBefore = entries.length === limit ? entries[entries.length - 1].createdAt : null;
+    return res.json({ entries, nextBefore });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load audit log" });
+  }
+}
+
+// PUT /admin/users/:id/role { role }
+export async function setUserRole(req, res) {
+  try {
+    const { id } = req.params;
+    const role = String(req.body?.role || "");
+    if (!isRole(role)) return res.status(400).json({ error: "Unknown role" });
+    if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "User not found" });
+    if (String(id) === String(req.user._id)) {
+      return res.status(400).json({ error: "You cannot change your own role" });
+    }
+
+    const user = await User.findById(id);
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const before = { _id: user._id, email: user.email, role: user.role };
+    user.role = role;
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.role",
+      entityType: "User",
+      entityId: user._id,
+      before,
+      after: { _id: user._id, email: user.email, role: user.role },
+    });
+    return res.json({ _id: user._id, email: user.email, role: user.role, permissions: permissionsFor(user.role) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to update role" });
+  }
+}
@@ -1,31 +1,114 @@
 import bcrypt from 'bcrypt';
-import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
 import User from '../models/User.js';
-import Product from '../models/Product.js';
 import Order from '../models/Order.js';
+import {
+  ACCESS_TOKEN_TTL,
+  SSE_TICKET_PURPOSES,
+  SSE_TICKET_TTL_S,
+  createSession,
+  rotateSession,
+  endSession,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  mintSseTicket,
+} from '../config/sessions.js';
+import { PERMISSIONS, hasPermission, permissionsFor } from '../config/roles.js';
+import { sendVerificationMail } from './AccountController.js';
+import {
+  SSE_TICKET_BUDGETS,
+  consume,
+  loginLockRemaining,
+  recordLoginFailure,
+  clearLoginFailures,
+} from '../config/rateLimit.js';
+import { sendTooManyRequests, describeWait, llmQuotaMessage } from '../middleware/RateLimitMiddleware.js';
+import { checkLlmQuota } from '../config/llmMeter.js';
+import { reserveCart } from './InventoryController.js';
 
-const JWT_SECRET = process.env.JWT_SECRET;
+const sessionMeta = (req) => ({ userAgent: req.get('user-agent') || '', ip: req.ip || '' });
 
-const login = async (req, res) => {
-  const { email, password } = req.body;
+/* ===== Login lockout ===== */
 
-  try {
-    const user = await User.findOne({ email });
-    
-    if (!user) {
-      return res.status(400).json({ error: 'Invalid email or password.' });
-    }
+const lockedOut = (res, ms) =>
+  sendTooManyRequests(res, ms, `Too many failed login attempts. Try again in ${describeWait(ms)}.`);
 
-    const isPasswordValid = await bcrypt.compare(password, user.password);
-    
-    if (!isPasswordValid) {
-      return res.status(400).json({ error: 'Invalid email or password.' });
-    }
+// Lockout bookkeeping lives in Redis; if Redis is down, logins still work.
+const guard = (promise, fallback) =>
+  promise.catch((e) => {
+    console.warn('[AUTH] login lockout check failed:', e?.message || e);
+    return fallback;
+  });
+
+// Resolves to the user when the password matches. Otherwise the failure is
+// recorded (unknown emails count too, so lockouts don't reveal which exist)
+// and the 400/429 has been sent.
+const checkCredentials = async (req, res) => {
+  const { email, password } = req.body || {};
+  const subject = { email: String(email || ''), ip: req.ip };
+
+  const lockMs = await guard(loginLockRemaining(subject), 0);
+  if (lockMs > 0) {
+    lockedOut(res, lockMs);
+    return null;
+  }
+
+  const user = await User.findOne({ email });
+  if (user && (await bcrypt.compare(String(password || ''), user.password))) {
+    await guard(clearLoginFailures(subject));
+    return user;
+  }
+
+  const nowLocked = await guard(recordLoginFailure(subject), 0);
+  if (nowLocked > 0) lockedOut(res, nowLocked);
+  else res.status(400).json({ error: 'Invalid email or password.' });
+  return null;
+};
+
+const login = async (req, res) => {
+  try {
+    const user = await checkCredentials(req, res);
+    if (!user) return;
 
     const orders = await Order.find({ userId: user._id });
 
-    const token = jwt.sign({ id: user._id, email: user.email, username: user.username }, JWT_SECRET, { expiresIn: '1h' });
-    res.status(200).json({ message: 'Login successful', token, username: user.username, cart: user.cart, orders });
+    const { accessToken, refreshToken } = await createSession(user, sessionMeta(req));
+    res.status(200).json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      username: user.username,
+      cart: user.cart,
+      orders,
+    });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
+
+// POST /auth/admin/login - same credentials, but only for roles that may use the admin app
+const adminLogin = async (req, res) => {
+  try {
+    const user = await checkCredentials(req, res);
+    if (!user) return;
+    if (!hasPermission(user.role, PERMISSIONS.ADMIN_LOGIN)) {
+      return res.status(403).json({ error: 'This account has no admin access.' });
+    }
+
+    const { accessToken, refreshToken } = await createSession(user, sessionMeta(req));
+    res.status(200).json({
+      message: 'Login successful',
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      username: user.username,
+      email: user.email,
+      role: user.role,
+      permissions: permissionsFor(user.role),
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ error: 'Server error' });
@@ -42,38 +125,51 @@ const signup = async (req, res) => {
       return res.status(400).json({ error: 'Email is already registered.' });
     }
     
+    // A session is only issued for a user that was actually saved.
     const user = new User({ username, email, password });
-    await user.save().catch((error) => {
-      console.error('Error during user save:', error.message);
-    });
+    await user.save();
 
-    const token = jwt.sign({ id: user._id, email: user.email, username: user.username }, JWT_SECRET, { expiresIn: '1h' });
+    const { accessToken, refreshToken } = await createSession(user, sessionMeta(req));
+    sendVerificationMail(user).catch((e) => console.error('Verification mail failed:', e.message));
 
-    res.status(201).json({ message: 'Signup successful', token, username: user.username, cart: user.cart });
+    res.status(201).json({
+      message: 'Signup successful',
+      token: accessToken,
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      username: user.username,
+      cart: user.cart,
+    });
   } catch (error) {
+    // Another signup with the same email won the race past the findOne check.
+    if (error?.code === 11000) return res.status(409).json({ error: 'Email is already registered.' });
+    if (error?.name === 'ValidationError') return res.status(400).json({ error: error.message });
     console.error('Error during signup', error);
     res.status(500).json({ error: 'Server error' });
   }
 };
 
 const getUser = async (req, res) => {
-  const token = req.headers.authorization?.split(' ')[1];
-
-  if (!token) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
   try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    const user = await User.findById(decoded.id).select('-password');
+    const user = req.user;
     const orders = await Order.find({ userId: user._id });
-    res.status(200).json({ username: user.username, email: user.email, cart: user.cart, orders });
+    res.status(200).json({
+      username: user.username,
+      email: user.email,
+      emailVerified: Boolean(user.emailVerifiedAt),
+      role: user.role,
+      permissions: permissionsFor(user.role),
+      cart: user.cart,
+      orders,
+    });
   } catch (error) {
     console.error(error);
     res.status(401).json({ error: 'Unauthorized' });
   }
 };
 
+// PUT /auth/cart { cart } - also holds stock for tracked products until `reservedUntil`;
+// lines cut down to what is in stock come back in `cart` with the reasons in `problems`.
 export const updateCart = async (req, res) => {
   try {
     const { cart } = req.body;
@@ -84,55 +180,134 @@ export const updateCart = async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
 
-    user.cart = cart;
+    const reservation = await reserveCart(userId, cart);
+    user.cart = reservation.cart;
     await user.save();
 
-    res.status(200).json({ message: 'Cart updated successfully', cart: user.cart });
+    res.status(200).json({
+      message: 'Cart updated successfully',
+      cart: user.cart,
+      problems: reservation.problems,
+      reservedUntil: reservation.expiresAt,
+    });
   } catch (err) {
     console.error('Error updating cart:', err);
     res.status(500).json({ error: 'Failed to update cart' });
   }
 };
 
-export const placeOrder = async (req, res) => {
+/* ===== Sessions ===== */
+
+// POST /auth/refresh { refreshToken } -> new access + refresh token (the old refresh token stops working)
+export const refresh = async (req, res) => {
   try {
-    const { cart, total } = req.body;
-    const userId = req.user._id;
+    const result = await rotateSession(req.body?.refreshToken, sessionMeta(req));
+    if (result.error) {
+      // 'stale': another tab refreshed first and holds the new token
+      return res.status(401).json({ error: 'Session expired, please log in again', reason: result.error });
+    }
+    res.status(200).json({
+      token: result.accessToken,
+      refreshToken: result.refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+      username: result.user.username,
+    });
+  } catch (err) {
+    console.error('Error refreshing session:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
 
-    const orderItems = await Promise.all(
-      Object.entries(cart).map(async ([productId, quantity]) => {
-        const product = await Product.findById(productId);
-        console.log(product.title, product.ima);
-        
-        if (!product) {
-          throw new Error(`Product with ID ${productId} not found`);
-        }
-        return {
-          productId,
-          title: product.title,
-          image: product.imageUrl.split('/').pop(),
-          quantity,
-          total: quantity * product.price,
-        };
-      })
-    );
-
-    const order = new Order({ userId, items: orderItems, total });
-    console.log('Order backend', order);
-    
-    await order.save();
+// POST /auth/logout { refreshToken } - works with an expired access token
+export const logout = async (req, res) => {
+  try {
+    await endSession(req.body?.refreshToken);
+    res.status(200).json({ ok: true });
+  } catch (err) {
+    console.error('Error during logout:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
 
-    const user = await User.findById(userId);
-    user.cart = {};
-    await user.save();
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user._id);
+    res.status(200).json({
+      sessions: sessions.map((s) => ({ ...s, current: String(s._id) === String(req.sessionId || '') })),
+    });
+  } catch (err) {
+    console.error('Error listing sessions:', err);
+    res.status(500).json({ error: 'Failed to load sessions' });
+  }
+};
 
-    res.status(201).json({ message: 'Order placed successfully', order });
+export const deleteSession = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).json({ error: 'Session not found' });
+    const revoked = await revokeSession(req.user._id, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.status(200).json({ ok: true });
   } catch (err) {
-    console.error('Error placing order:', err);
-    res.status(500).json({ error: 'Failed to place order' });
+    console.error('Error revoking session:', err);
+    res.status(500).json({ error: 'Failed to revoke session' });
   }
 };
 
+// POST /auth/sessions/revoke-all { keepCurrent?: boolean }
+export const revokeAll = async (req, res) => {
+  try {
+    const except = req.body?.keepCurrent ? req.sessionId : null;
+    const revoked = await revokeAllSessions(req.user._id, { except });
+    res.status(200).json({ ok: true, revoked });
+  } catch (err) {
+    console.error('Error revoking sessions:', err);
+    res.status(500).json({ error: 'Failed to revoke sessions' });
+  }
+};
 
+// POST /auth/sse-ticket { purpose, budget? } -> single-use ticket for an SSE/redirect URL.
+// For rate-limited streams the budget and the LLM quota are checked (not spent)
+// here, because an EventSource can't read a 429; the stream route spends them.
+export const createSseTicket = async (req, res) => {
+  try {
+    const purpose = String(req.body?.purpose || '');
+    if (!SSE_TICKET_PURPOSES.includes(purpose)) {
+      return res.status(400).json({ error: `purpose must be one of ${SSE_TICKET_PURPOSES.join(', ')}` });
+    }
+
+    const budgets = SSE_TICKET_BUDGETS[purpose] || [];
+    const budget = budgets.includes(req.body?.budget) ? req.body.budget : budgets[0];
+    if (budget) {
+      const limit = await consume(budget, { ip: req.ip, userId: req.user._id }, { dryRun: true });
+      if (!limit.allowed) {
+        return sendTooManyRequests(
+          res,
+          limit.retryAfterMs,
+          `You've reached the search limit. Try again in ${describeWait(limit.retryAfterMs)}.`
+        );
+      }
+      const quota = await checkLlmQuota({ user: req.user, ip: req.ip });
+      if (!quota.allowed) return sendTooManyRequests(res, quota.retryAfterMs, llmQuotaMessage(quota));
+    }
+
+    const ticket = await mintSseTicket({ userId: req.user._id, sessionId: req.sessionId, purpose });
+    res.status(201).json({ ticket, expiresIn: SSE_TICKET_TTL_S });
+  } catch (err) {
+    console.error('Error creating ticket:', err);
+    res.status(500).json({ error: 'Failed to create ticket' });
+  }
+};
 
-export default { signup, login, getUser, updateCart, placeOrder };
+export default {
+  signup,
+  login,
+  adminLogin,
+  getUser,
+  updateCart,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  revokeAll,
+  createSseTicket,
+};
@@ -0,0 +1,456 @@
+// backend/controllers/InventoryController.js
+// Stock for the in-house catalog: cart reservations, what orders take and
+// give back, and the admin's restocks and adjustments. Every count change is
+// a conditional $inc so two shoppers can't both buy the last unit; the rules
+// themselves live in inventory.js.
+import mongoose from "mongoose";
+import Product from "../models/Product.js";
+import InventoryItem from "../models/InventoryItem.js";
+import StockReservation from "../models/StockReservation.js";
+import StockMovement from "../models/StockMovement.js";
+import {
+  BASE_VARIANT,
+  stockKey,
+  reservationExpiry,
+  availableStock,
+  isLowStock,
+  lowStockThreshold,
+  stockSummary,
+} from "./inventory.js";
+import { findVariant, variantLabel } from "./catalog.js";
+import { recordAudit } from "./AuditController.js";
+
+/* ============================== Lookups ============================== */
+
+// Inventory records for these products, keyed by stockKey.
+export async function inventoryFor(productIds, { session = null } = {}) {
+  if (!productIds.length) return {};
+  const items = await InventoryItem.find({ productId: { $in: productIds } })
+    .session(session)
+    .lean();
+  return Object.fromEntries(items.map((i) => [stockKey(i.productId, i.variantKey), i]));
+}
+
+// What the user's cart holds right now, keyed by stockKey.
+export async function heldBy(userId, { session = null } = {}) {
+  if (!userId) return {};
+  const holds = await StockReservation.find({ userId, expiresAt: { $gt: new Date() } })
+    .session(session)
+    .lean();
+  return Object.fromEntries(holds.map((r) => [stockKey(r.productId, r.variantKey), r.quantity]));
+}
+
+/** Storefront stock badges for a list of products (plain objects with _id), and for each of their variants. */
+export async function withStock(products) {
+  await releaseExpiredReservations();
+  const items = await inventoryFor(products.map((p) => p._id));
+  return products.map((p) => ({
+    ...p,
+    stock: stockSummary(items[stockKey(p._id)]),
+    variants: (p.variants || []).map((v) => ({ ...v, stock: stockSummary(items[stockKey(p._id, String(v._id))]) })),
+  }));
+}
+
+/* ============================== Reservations ============================== */
+
+/**
+ * Give expired holds back to stock. Safe to run anywhere at any time: a hold
+ * refreshed meanwhile no longer matches and is left alone.
+ */
+export async function releaseExpiredReservations({ userId = null, limit = 500 } = {}) {
+  const now = new Date();
+  const expired = await StockReservation.find({ expiresAt: { $lte: now }, ...(userId ? { userId } : {}) })
+    .limit(limit)
+    .lean();
+
+  let released = 0;
+  for (const r of expired) {
+    const { deletedCount } = await StockReservation.deleteOne({ _id: r._id, expiresAt: { $lte: now } });
+    if (!deletedCount) continue;
+    await InventoryItem.updateOne({ productId: r.productId, variantKey: r.variantKey }, { $inc: { reserved: -r.quantity } });
+    released += 1;
+  }
+  return released;
+}
+
+// Drop every hold the user has and give the units back.
+export async function releaseReservations(userId, { session = null } = {}) {
+  const holds = await StockReservation.find({ userId }).session(session).lean();
+  for (const r of holds) {
+    const { deletedCount } = await StockReservation.deleteOne({ _id: r._id }, { session });
+    if (!deletedCount) continue;
+    await InventoryItem.updateOne(
+      { productId: r.productId, variantKey: r.variantKey },
+      { $inc: { reserved: -r.quantity } },
+      { session }
+    );
+  }
+}
+
+// Reserve up to `want` more units; resolves to how many were granted.
+async function growReservation(item, want) {
+  for (let attempt = 0; attempt < 3 && want > 0; attempt++) {
+    const updated = await InventoryItem.findOneAndUpdate(
+      { _id: item._id, $expr: { $gte: [{ $subtract: ["$onHand", "$reserved"] }, want] } },
+      { $inc: { reserved: want } }
+    );
+    if (updated) return want;
+    // Not that many left: take whatever is free now.
+    const fresh = await InventoryItem.findById(item._id).lean();
+    want = Math.min(want, availableStock(fresh));
+  }
+  return 0;
+}
+
+/**
+ * Hold stock for a saved cart ({ productId or "productId:variantId": quantity })
+ * and refresh the expiry of everything it holds. Lines asking for more than is
+ * free are cut down to what could be held. Resolves to { cart, problems, expiresAt }.
+ */
+export async function reserveCart(userId, cart = {}) {
+  await releaseExpiredReservations({ userId });
+
+  // Cart keys are stock keys: "productId" or "productId:variantId".
+  const wanted = {};
+  for (const [key, qty] of Object.entries(cart || {})) {
+    const [productId] = key.split(":");
+    if (mongoose.isValidObjectId(productId) && Number(qty) > 0) wanted[key] = Math.floor(Number(qty));
+  }
+
+  const existing = await StockReservation.find({ userId }).lean();
+  const productIds = [
+    ...new Set([...Object.keys(wanted).map((k) => k.split(":")[0]), ...existing.map((r) => String(r.productId))]),
+  ];
+  const items = await inventoryFor(productIds);
+  const holds = Object.fromEntries(existing.map((r) => [stockKey(r.productId, r.variantKey), r]));
+  const keys = new Set([...Object.keys(wanted), ...Object.keys(holds)]);
+
+  const expiresAt = reservationExpiry();
+  const adjusted = { ...(cart || {}) };
+  const problems = [];
+  let titles = null;
+
+  for (const key of keys) {
+    const item = items[key];
+    const hold = holds[key];
+    if (!item) {
+      if (hold) await StockReservation.deleteOne({ _id: hold._id });
+      continue;
+    }
+
+    const want = wanted[key] || 0;
+    const have = hold?.quantity || 0;
+    let quantity = want;
+
+    if (want > have) {
+      const granted = await growReservation(item, want - have);
+      quantity = have + granted;
+      if (quantity < want) {
+        titles ??= Object.fromEntries(
+          (await Product.find({ _id: { $in: productIds } }, { title: 1 }).lean()).map((p) => [String(p._id), p.title])
+        );
+        const title = titles[String(item.productId)] || "An item in your cart";
+        problems.push(quantity ? `Only ${quantity} of "${title}" could be added.` : `"${title}" is out of stock.`);
+        if (quantity) adjusted[key] = quantity;
+        else delete adjusted[key];
+      }
+    } else if (want < have) {
+      await InventoryItem.updateOne({ _id: item._id }, { $inc: { reserved: want - have } });
+    }
+
+    const filter = { userId, productId: item.productId, variantKey: item.variantKey };
+    if (quantity > 0) {
+      await StockReservation.updateOne(filter, { $set: { quantity, expiresAt } }, { upsert: true });
+    } else if (hold) {
+      await StockReservation.deleteOne(filter);
+    }
+  }
+
+  return { cart: adjusted, problems, expiresAt };
+}
+
+/* ============================== Orders ============================== */
+
+const movementActor = (actor = {}) => ({ kind: actor.kind || "system", userId: actor.userId || null, label: actor.label || "" });
+
+/**
+ * Take an order's lines out of stock, inside the placing transaction. The
+ * user's own holds turn into the sale. Resolves to problems (empty when every
+ * tracked line was taken); the caller aborts the transaction on any. When a
+ * line is short, the lines already taken are put back first, so stock is
+ * right even where writes run without a transaction.
+ */
+export async function commitOrderStock(userId, lines, { orderId, session = null, titles = {} } = {}) {
+  const items = await inventoryFor(lines.map((l) => l.productId), { session });
+  const held = await heldBy(userId, { session });
+  const problems = [];
+  const taken = [];
+
+  for (const line of lines) {
+    const key = stockKey(line.productId, line.variantKey);
+    const item = items[key];
+    if (!item) continue;
+
+    const mine = held[key] || 0;
+    const updated = await InventoryItem.findOneAndUpdate(
+      {
+        _id: item._id,
+        $expr: { $gte: [{ $subtract: ["$onHand", { $subtract: ["$reserved", mine] }] }, line.quantity] },
+      },
+      { $inc: { onHand: -line.quantity, reserved: -mine } },
+      { new: true, session }
+    );
+    if (!updated) {
+      const title = titles[String(line.productId)] || "An item in your cart";
+      problems.push(`"${title}" no longer has ${line.quantity} in stock.`);
+      continue;
+    }
+    held[key] = 0;
+    taken.push({ item, quantity: line.quantity, mine, onHandAfter: updated.onHand });
+  }
+
+  if (problems.length) {
+    for (const t of taken) {
+      await InventoryItem.updateOne({ _id: t.item._id }, { $inc: { onHand: t.quantity, reserved: t.mine } }, { session });
+    }
+    return problems;
+  }
+
+  for (const { item, quantity, onHandAfter } of taken) {
+    await StockReservation.deleteOne({ userId, productId: item.productId, variantKey: item.variantKey }, { session });
+    await StockMovement.create(
+      [
+        {
+          productId: item.productId,
+          variantKey: item.variantKey,
+          delta: -quantity,
+          onHandAfter,
+          reason: "order",
+          orderId,
+          actor: { kind: "customer", userId },
+        },
+      ],
+      { session }
+    );
+  }
+  // The cart is emptied with the order, so nothing else stays held for it.
+  await releaseReservations(userId, { session });
+  return problems;
+}
+
+/** Put back what a cancelled order took (orders placed before tracking took nothing). */
+export async function restoreOrderStock(order, actor = {}) {
+  const taken = await StockMovement.find({ orderId: order._id }).lean();
+  const net = {};
+  for (const m of taken) {
+    const key = stockKey(m.productId, m.variantKey);
+    net[key] ??= { productId: m.productId, variantKey: m.variantKey, delta: 0 };
+    net[key].delta += m.delta;
+  }
+
+  for (const { productId, variantKey, delta } of Object.values(net)) {
+    if (delta >= 0) continue; // already given back
+    const updated = await InventoryItem.findOneAndUpdate(
+      { productId, variantKey },
+      { $inc: { onHand: -delta } },
+      { new: true }
+    );
+    if (!updated) continue;
+    await StockMovement.create({
+      productId,
+      variantKey,
+      delta: -delta,
+      onHandAfter: updated.onHand,
+      reason: "order_cancelled",
+      orderId: order._id,
+      actor: movementActor(actor),
+    });
+  }
+}
+
+// A deleted product (or some of its variants) stops being tracked; the movement history stays.
+export async function dropProductStock(productId, { variantKeys = null } = {}) {
+  const filter = { productId, ...(variantKeys ? { variantKey: { $in: variantKeys } } : {}) };
+  await StockReservation.deleteMany(filter);
+  await InventoryItem.deleteMany(filter);
+}
+
+/* ============================== Admin ============================== */
+
+const staffActor = (req) => ({ kind: "staff", userId: req.user._id, label: req.user.role || "" });
+
+const adminView = (item, product) => {
+  const variant = findVariant(product, item.variantKey);
+  return {
+    ...item,
+    title: variant ? `${product.title} (${variantLabel(variant)})` : product?.title || "",
+    sku: (variant ? variant.sku : product?.sku) || "",
+    available: availableStock(item),
+    lowStockThreshold: lowStockThreshold(item),
+    lowStock: isLowStock(item),
+  };
+};
+
+const parseCount = (value) => {
+  const n = Number(value);
+  return Number.isInteger(n) && n >= 0 ? n : null;
+};
+
+async function loadProduct(req, res) {
+  if (!mongoose.isValidObjectId(req.params.productId)) {
+    res.status(404).json({ error: "Product not found" });
+    return null;
+  }
+  const product = await Product.findById(req.params.productId).lean();
+  if (!product) res.status(404).json({ error: "Product not found" });
+  return product;
+}
+
+// GET /admin/inventory?lowStock=1 - tracked stock, lowest available first
+export const listInventory = async (req, res) => {
+  try {
+    await releaseExpiredReservations();
+    const items = await InventoryItem.find().lean();
+    const products = await Product.find({ _id: { $in: items.map((i) => i.productId) } }, { title: 1, sku: 1, variants: 1 }).lean();
+    const byId = Object.fromEntries(products.map((p) => [String(p._id), p]));
+
+    let rows = items.map((i) => adminView(i, byId[String(i.productId)]));
+    if (req.query.lowStock === "1" || req.query.lowStock === "true") rows = rows.filter((r) => r.lowStock);
+    rows.sort((a, b) => a.available - b.available || a.title.localeCompare(b.title));
+    res.status(200).json({ items: rows });
+  } catch (err) {
+    console.error("Error listing inventory:", err);
+    res.status(500).json({ error: "Failed to list inventory" });
+  }
+};
+
+// PUT /admin/inventory/:productId { onHand?, lowStockThreshold?, variantKey?, note? }
+// Starts tracking the product; a new onHand is recorded as an adjustment.
+export const setInventory = async (req, res) => {
+  try {
+    const product = await loadProduct(req, res);
+    if (!product) return;
+
+    const { onHand, lowStockThreshold: threshold, note } = req.body || {};
+    const variantKey = String(req.body?.variantKey || BASE_VARIANT);
+    if (variantKey && !findVariant(product, variantKey)) return res.status(400).json({ error: "Unknown variant" });
+    const $set = {};
+    if (onHand !== undefined) {
+      if (parseCount(onHand) === null) return res.status(400).json({ error: "onHand must be a whole number of 0 or more" });
+      $set.onHand = parseCount(onHand);
+    }
+    if (threshold !== undefined) {
+      if (threshold !== null && parseCount(threshold) === null) {
+        return res.status(400).json({ error: "lowStockThreshold must be a whole number of 0 or more, or null" });
+      }
+      $set.lowStockThreshold = threshold === null ? null : parseCount(threshold);
+    }
+
+    const before = await InventoryItem.findOne({ productId: product._id, variantKey }).lean();
+    const item = await InventoryItem.findOneAndUpdate(
+      { productId: product._id, variantKey },
+      { $set, $setOnInsert: { reserved: 0 } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    const delta = item.onHand - (before?.onHand || 0);
+    if (delta) {
+      await StockMovement.create({
+        productId: product._id,
+        variantKey,
+        delta,
+        onHandAfter: item.onHand,
+        reason: "adjustment",
+        actor: staffActor(req),
+        note: String(note || "").slice(0, 500),
+      });
+    }
+
+    await recordAudit(req, {
+      action: "inventory.update",
+      entityType: "inventory",
+      entityId: stockKey(product._id, variantKey),
+      before: before && { onHand: before.onHand, lowStockThreshold: before.lowStockThreshold },
+      after: { onHand: item.onHand, lowStockThreshold: item.lowStockThreshold },
+    });
+    res.status(200).json({ item: adminView(item, product) });
+  } catch (err) {
+    console.error("Error updating inventory:", err);
+    res.status(500).json({ error: "Failed to update inventory" });
+  }
+};
+
+// POST /admin/inventory/:productId/restock { quantity, variantKey?, note? }
+export const restockProduct = async (req, res) => {
+  try {
+    const product = await loadProduct(req, res);
+    if (!product) return;
+
+    const quantity = parseCount(req.body?.quantity);
+    if (!quantity) return res.status(400).json({ error: "quantity must be a whole number above 0" });
+    const variantKey = String(req.body?.variantKey || BASE_VARIANT);
+    if (variantKey && !findVariant(product, variantKey)) return res.status(400).json({ error: "Unknown variant" });
+
+    const item = await InventoryItem.findOneAndUpdate(
+      { productId: product._id, variantKey },
+      { $inc: { onHand: quantity }, $set: { lastRestockedAt: new Date() } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    ).lean();
+
+    await StockMovement.create({
+      productId: product._id,
+      variantKey,
+      delta: quantity,
+      onHandAfter: item.onHand,
+      reason: "restock",
+      actor: staffActor(req),
+      note: String(req.body?.note || "").slice(0, 500),
+    });
+    await recordAudit(req, {
+      action: "inventory.restock",
+      entityType: "inventory",
+      entityId: stockKey(product._id, variantKey),
+      before: { onHand: item.onHand - quantity },
+      after: { onHand: item.onHand },
+    });
+    res.status(200).json({ item: adminView(item, product) });
+  } catch (err) {
+    console.error("Error restocking product:", err);
+    res.status(500).json({ error: "Failed to restock product" });
+  }
+};
+
+// GET /admin/inventory/:productId/history?variantKey=&reason=&limit= - newest first
+export const inventoryHistory = async (req, res) => {
+  try {
+    const product = await loadProduct(req, res);
+    if (!product) return;
+
+    const filter = { productId: product._id };
+    if (req.query.variantKey !== undefined) filter.variantKey = String(req.query.variantKey);
+    if (req.query.reason) filter.reason = String(req.query.reason);
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+
+    const movements = await StockMovement.find(filter).sort({ createdAt: -1 }).limit(limit).lean();
+    res.status(200).json({ title: product.title, movements });
+  } catch (err) {
+    console.error("Error loading inventory history:", err);
+    res.status(500).json({ error: "Failed to load inventory history" });
+  }
+};
+
+export default {
+  inventoryFor,
+  heldBy,
+  withStock,
+  releaseExpiredReservations,
+  releaseReservations,
+  reserveCart,
+  commitOrderStock,
+  restoreOrderStock,
+  dropProductStock,
+  listInventory,
+  setInventory,
+  restockProduct,
+  inventoryHistory,
+};
@@ -1,15 +1,41 @@
 // backend/controllers/KrogerController.js
-import axios from "axios";
 import crypto from "crypto";
-import openai from "../config/openai.js";
 import Kroger from "../config/kroger.js";
 import User from "../models/User.js";
 import { redis } from "../config/redis.js";
+import { recordLlmCacheHit } from "../config/llmMeter.js";
+import { completeJSON } from "../llm/index.js";
+import { safeJSONParse } from "../llm/json.js";
 import {
-  rawSearch as walmartRawSearch,
-  normalize as normalizeWalmart,
-} from "../config/walmartAffiliate.js";
+  INGREDIENTS_SCHEMA,
+  FRIDGE_ITEMS_SCHEMA,
+  finalPicksSchema,
+  picksProblems,
+  hasPicks,
+} from "../llm/schemas.js";
+import {
+  buildAuthorizeUrl,
+  saveCartIntent,
+  getValidUserToken,
+  refreshUserTokens,
+} from "../config/krogerAuth.js";
+import {
+  getRetailer,
+  getPrimaryRetailer,
+  getSecondaryRetailers,
+} from "../retailers/index.js";
 
+import { chooseWinnerForIngredient } from "./budgetCompare.js";
+import {
+  normalizeServings,
+  servingsScale,
+  scaleIngredientAmounts,
+  normalizeRecipeIngredients,
+  buildCartPlan,
+  estimateRetailerCosts,
+} from "./cartPlan.js";
+import { parseDishList, consolidateMealPlan } from "./mealPlan.js";
+import { recordSearchPrices } from "./PriceHistoryController.js";
 import { buildBudgetSearchGraphRunner } from "./budgetSearchGraph.js";
 import { buildAgenticSearchGraphRunner } from "./agenticSearchGraph.js";
 
@@ -50,8 +76,11 @@ function redact(obj) {
   }
 }
 
-function mkLogger(requestId, extra = {}) {
+// `extra` (route, userId, ip) is also exposed as `log.context`, which the
+// LLM meter uses to attribute each model call to its request and user.
+export function mkLogger(requestId, extra = {}) {
   return {
+    context: { requestId, ...extra },
     info: (msg, meta) => {
       if (!DEBUG) return;
       console.log(`[SmartEcom:${requestId}] ${msg}`, redact(meta ?? extra));
@@ -68,18 +97,6 @@ function mkLogger(requestId, extra = {}) {
 }
 
 /* ============================== Helpers ============================== */
-function safeJSONParse(text, fallback) {
-  try {
-    if (text && typeof text === "object") return text;
-    const cleaned = String(text)
-      .replace(/^```(?:json)?\s*/i, "")
-      .replace(/```$/i, "");
-    return JSON.parse(cleaned);
-  } catch {
-    return fallback;
-  }
-}
-
 function normText(s) {
   return String(s || "")
     .toLowerCase()
@@ -123,374 +140,68 @@ function looksLikeCovered(fridgeItems, ingredient, productTitle) {
   return false;
 }
 
-function pickBestImage(p) {
-  const prefOrder = ["xlarge", "large", "medium", "small", "thumbnail"];
-  const imgs = Array.isArray(p.images) ? p.images : [];
-  const front = imgs.find((i) => i.perspective === "front") || {};
-  const sizes = [
-    ...(front.sizes || []),
-    ...imgs.filter((i) => i !== front).flatMap((i) => i.sizes || []),
-  ];
-  if (!sizes.length) return "";
-  sizes.sort(
-    (a, b) => prefOrder.indexOf(a.size || "") - prefOrder.indexOf(b.size || "")
-  );
-  return sizes[0]?.url || "";
-}
-
-function normalizeKroger(p, locationId) {
-  const img = pickBestImage(p);
-  const price =
-    p.items?.[0]?.price?.promo ?? p.items?.[0]?.price?.regular ?? 0;
-  const size = p.items?.[0]?.size || p.items?.[0]?.soldBy || "";
-  return {
-    _id: p.productId,
-    title: p.description,
-    imageUrl: img,
-    price,
-    category: p.categories?.[0] || "",
-    description: p.brand,
-    upc: p.upc,
-    locationId,
-    retailer: "kroger",
-    size,
-    raw: p,
-  };
-}
-
-/* ===================== Budget compare helpers ===================== */
-function parseUnitQuantityFromText(text) {
-  const s = String(text || "").toLowerCase().replace(/\s+/g, " ").trim();
-  if (!s) return null;
-  const t = s.replace(/×/g, "x");
-
-  const mult = t.match(
-    /\b(\d+(?:\.\d+)?)\s*x\s*(\d+(?:\.\d+)?)\s*(fl\s*oz|floz|oz|lb|g|kg|ml|l|ct|count|pk|pack)\b/
-  );
-  if (mult) {
-    const a = Number(mult[1]);
-    const b = Number(mult[2]);
-    const unit = String(mult[3] || "").replace(/\s+/g, "");
-    if (Number.isFinite(a) && Number.isFinite(b) && a > 0 && b > 0) {
-      const total = a * b;
-      const parsedSingle = parseUnitQuantityFromText(`${total} ${unit}`);
-      if (parsedSingle) return parsedSingle;
-    }
-  }
-
-  const packOf = t.match(/\bpack\s*of\s*(\d+(?:\.\d+)?)\b/);
-  if (packOf) {
-    const n = Number(packOf[1]);
-    if (Number.isFinite(n) && n > 0) return { kind: "count", qty: n };
-  }
-  const count = t.match(/\b(\d+(?:\.\d+)?)\s*(ct|count)\b/);
-  if (count) {
-    const n = Number(count[1]);
-    if (Number.isFinite(n) && n > 0) return { kind: "count", qty: n };
-  }
-  const pk = t.match(/\b(\d+(?:\.\d+)?)\s*(pk|pack)\b/);
-  if (pk) {
-    const n = Number(pk[1]);
-    if (Number.isFinite(n) && n > 0) return { kind: "count", qty: n };
-  }
-  const dashPack = t.match(/\b(\d+(?:\.\d+)?)\s*-\s*pack\b/);
-  if (dashPack) {
-    const n = Number(dashPack[1]);
-    if (Number.isFinite(n) && n > 0) return { kind: "count", qty: n };
-  }
-
-  const flOz = t.match(/\b(\d+(?:\.\d+)?)\s*(fl\s*oz|floz)\b/);
-  if (flOz) {
-    const n = Number(flOz[1]);
-    if (Number.isFinite(n) && n > 0) return { kind: "volume_floz", qty: n };
-  }
-  const ml = t.match(/\b(\d+(?:\.\d+)?)\s*ml\b/);
-  if (ml) {
-    const n = Number(ml[1]);
-    if (Number.isFinite(n) && n > 0)
-      return { kind: "volume_floz", qty: n * 0.0338140227 };
-  }
-  const liter = t.match(/\b(\d+(?:\.\d+)?)\s*l\b/);
-  if (liter) {
-    const n = Number(liter[1]);
-    if (Number.isFinite(n) && n > 0)
-      return { kind: "volume_floz", qty: n * 33.8140227 };
-  }
-
-  const oz = t.match(/\b(\d+(?:\.\d+)?)\s*oz\b/);
-  if (oz) {
-    const n = Number(oz[1]);
-    if (Number.isFinite(n) && n > 0) return { kind: "weight_oz", qty: n };
-  }
-  const lb = t.match(/\b(\d+(?:\.\d+)?)\s*lb\b/);
-  if (lb) {
-    const n = Number(lb[1]);
-    if (Number.isFinite(n) && n > 0) return { kind: "weight_oz", qty: n * 16 };
-  }
-  const g = t.match(/\b(\d+(?:\.\d+)?)\s*g\b/);
-  if (g) {
-    const n = Number(g[1]);
-    if (Number.isFinite(n) && n > 0)
-      return { kind: "weight_oz", qty: n * 0.0352739619 };
-  }
-  const kg = t.match(/\b(\d+(?:\.\d+)?)\s*kg\b/);
-  if (kg) {
-    const n = Number(kg[1]);
-    if (Number.isFinite(n) && n > 0)
-      return { kind: "weight_oz", qty: n * 35.2739619 };
-  }
-
-  return null;
-}
-
-function bestComparableOffer(products = []) {
-  const list = Array.isArray(products) ? products : [];
-  if (!list.length) return null;
-
-  let best = null;
-
-  for (const p of list) {
-    const price = typeof p?.price === "number" ? p.price : Number(p?.price || 0);
-    const title = p?.title || "";
-    const size = p?.size || "";
-    const raw = p?.raw || null;
-
-    const candidates = [];
-    if (size) candidates.push(size);
-
-    if (raw && typeof raw === "object") {
-      const maybe = [
-        raw?.size,
-        raw?.sizeString,
-        raw?.packageSize,
-        raw?.packSize,
-        raw?.name,
-      ]
-        .map((x) => (typeof x === "string" ? x : ""))
-        .filter(Boolean);
-      candidates.push(...maybe);
-    }
-    candidates.push(title);
-
-    let parsed = null;
-    for (const c of candidates) {
-      parsed = parseUnitQuantityFromText(c);
-      if (parsed) break;
-    }
-
-    const hasUnit = parsed && parsed.qty > 0;
-    const unitPrice = hasUnit ? price / parsed.qty : null;
-
-    const offer = {
-      product: p,
-      price: Number.isFinite(price) ? price : 0,
-      unitKind: hasUnit ? parsed.kind : null,
-      unitQty: hasUnit ? parsed.qty : null,
-      unitPrice: hasUnit && Number.isFinite(unitPrice) ? unitPrice : null,
-      basis: hasUnit ? "unit" : "price",
-    };
-
-    if (!best) {
-      best = offer;
-      continue;
-    }
-
-    if (
-      offer.unitPrice !== null &&
-      best.unitPrice !== null &&
-      offer.unitKind === best.unitKind
-    ) {
-      if (offer.unitPrice < best.unitPrice) best = offer;
-      continue;
-    }
-
-    if (offer.price < best.price) best = offer;
-  }
-
-  return best;
-}
-
-function chooseWinnerForIngredient(kArr, wArr) {
-  const krogerBest = bestComparableOffer(kArr);
-  const walmartBest = bestComparableOffer(wArr);
-
-  if (krogerBest && !walmartBest) {
-    return { winner: "kroger", krogerBest, walmartBest, reason: "only_kroger" };
-  }
-  if (!krogerBest && walmartBest) {
-    return { winner: "walmart", krogerBest, walmartBest, reason: "only_walmart" };
-  }
-  if (!krogerBest && !walmartBest) {
-    return { winner: "none", krogerBest: null, walmartBest: null, reason: "none" };
-  }
-
-  if (
-    krogerBest.unitPrice !== null &&
-    walmartBest.unitPrice !== null &&
-    krogerBest.unitKind === walmartBest.unitKind
-  ) {
-    if (krogerBest.unitPrice <= walmartBest.unitPrice) {
-      return { winner: "kroger", krogerBest, walmartBest, reason: "unit_price" };
-    }
-    return { winner: "walmart", krogerBest, walmartBest, reason: "unit_price" };
-  }
-
-  if (krogerBest.price <= walmartBest.price) {
-    return { winner: "kroger", krogerBest, walmartBest, reason: "price_fallback" };
-  }
-  return { winner: "walmart", krogerBest, walmartBest, reason: "price_fallback" };
-}
-
-/* ===================== Responses API Utils ===================== */
-function buildResponsesInput(messages) {
-  return messages.map(({ role, content }) => ({
-    role,
-    content: [{ type: "input_text", text: String(content ?? "") }],
-  }));
-}
-
-function extractResponsesText(resp) {
-  if (typeof resp?.output_text === "string" && resp.output_text.length)
-    return resp.output_text;
-
-  const source = resp?.output || resp?.data?.output || [];
-  const parts = [];
-  for (const item of source) {
-    for (const c of item?.content || []) {
-      if (typeof c?.parsed !== "undefined") return c.parsed;
-      if (typeof c?.json !== "undefined") return c.json;
-      if (c?.type === "output_text" && typeof c.text === "string") parts.push(c.text);
-      else if (typeof c?.text === "string") parts.push(c.text);
-    }
-  }
-  return parts.join("");
-}
-
-async function callGPT5JSON(
-  messages,
-  { maxTokens = 4000, schema = null, log = null, tag = "openai" } = {}
-) {
-  const input = buildResponsesInput(messages);
-  const textFormat = schema
-    ? { type: "json_schema", name: schema.name, strict: true, schema: schema.schema }
-    : { type: "json_object" };
-
-  if (!(openai && typeof openai.responses?.create === "function")) {
-    throw new Error(
-      'OpenAI SDK does not support Responses API. Please upgrade the "openai" package.'
-    );
-  }
-
-  const payload = {
-    model: "gpt-5",
-    input,
-    top_p: 1,
-    max_output_tokens: maxTokens,
-    reasoning: { effort: "low" },
-    text: { format: textFormat, verbosity: "low" },
-  };
-
-  if (payload.text.format?.type === "json_schema") {
-    const sch = payload.text.format.schema;
-    const keys = Object.keys(sch?.properties || {});
-    if (!Array.isArray(sch.required) || keys.some((k) => !sch.required.includes(k))) {
-      sch.required = keys;
-    }
-  }
+/* ===================== LLM gateway calls ===================== */
+// Ask `task` (llm/index.js) for JSON that fits `schema` and `validate`.
+// Throws when no provider produced a valid answer: callers must not mistake a
+// model failure for an empty result (or cache it).
+async function callLLMJSON(task, messages, { schema = null, validate = null, log = null, tag = task, cacheKey = "" } = {}) {
+  log?.info("LLM request start", {
+    task,
+    tag,
+    schema: schema?.name || null,
+    messages: messages?.map((m) => ({ role: m.role, len: String(m.content || "").length })) || [],
+  });
 
-  if (log) {
-    log.info("OpenAI request start", {
+  const started = nowMs();
+  try {
+    const { data, provider, model, attempts } = await completeJSON(task, {
+      messages,
+      schema,
+      validate,
+      log,
       tag,
-      model: payload.model,
-      max_output_tokens: payload.max_output_tokens,
-      format: payload.text?.format?.type || "unknown",
-      messages: messages?.map((m) => ({ role: m.role, len: String(m.content || "").length })) || [],
+      cacheKey,
     });
-  }
-
-  const started = nowMs();
-  const resp = await openai.responses.create(payload);
-  const extracted = extractResponsesText(resp);
-
-  if (log) {
-    const outTextLen =
-      typeof resp?.output_text === "string" ? resp.output_text.length : null;
-
-    log.info("OpenAI response summary", {
+    log?.info("LLM response summary", {
       tag,
+      provider,
+      model,
+      attempts,
       elapsedMs: elapsedMs(started),
-      output_text_len: outTextLen,
-      extracted_type: typeof extracted,
-      extracted_len: typeof extracted === "string" ? extracted.length : null,
-      has_output: Array.isArray(resp?.output) ? resp.output.length : null,
-      resp_keys: Object.keys(resp || {}).slice(0, 20),
-      extracted_preview: typeof extracted === "string" ? safeShort(extracted, 500) : safeShort(extracted, 500),
+      preview: safeShort(data, 500),
     });
-
-    if (
-      (typeof extracted === "string" && extracted.trim().length === 0) ||
-      (extracted && typeof extracted === "object" && Object.keys(extracted).length === 0)
-    ) {
-      log.warn("OpenAI extracted output is empty", {
-        tag,
-        resp_preview: safeShort(resp, 1200),
-      });
-    }
+    return data;
+  } catch (e) {
+    log?.error("LLM call failed", {
+      tag,
+      code: e?.code || null,
+      err: e?.message || String(e),
+      problems: e?.problems?.slice(0, 5),
+      lastTextPreview: e?.lastText ? safeShort(e.lastText, 1200) : null,
+    });
+    throw e;
   }
-
-  return extracted;
 }
 
-async function callGPT5VisionFridgeItems({ imageDataUrl }) {
-  if (!(openai && typeof openai.responses?.create === "function")) {
-    throw new Error(
-      'OpenAI SDK does not support Responses API. Please upgrade the "openai" package.'
-    );
-  }
-
-  const schema = {
-    name: "fridge_items_schema",
-    schema: {
-      type: "object",
-      additionalProperties: false,
-      properties: {
-        items: {
-          type: "array",
-          items: { type: "string" },
-        },
-      },
-      required: ["items"],
+async function callVisionFridgeItems({ imageDataUrl, log = null, cacheKey = "" }) {
+  const messages = [
+    {
+      role: "user",
+      content:
+        "You are extracting groceries from a fridge/pantry photo. " +
+        'Return ONLY JSON: {"items":[...]} where items are plain-English ingredient nouns (singular). ' +
+        'Examples: "ginger", "garlic", "milk", "onion", "heavy cream", "tomato", "coriander". ' +
+        "Exclude brand names, packaging text, and non-food objects. Keep it short (<= 30).",
+      images: [imageDataUrl],
     },
-  };
+  ];
 
-  const resp = await openai.responses.create({
-    model: "gpt-5",
-    input: [
-      {
-        role: "user",
-        content: [
-          {
-            type: "input_text",
-            text:
-              "You are extracting groceries from a fridge/pantry photo. " +
-              'Return ONLY JSON: {"items":[...]} where items are plain-English ingredient nouns (singular). ' +
-              'Examples: "ginger", "garlic", "milk", "onion", "heavy cream", "tomato", "coriander". ' +
-              "Exclude brand names, packaging text, and non-food objects. Keep it short (<= 30).",
-          },
-          { type: "input_image", image_url: imageDataUrl },
-        ],
-      },
-    ],
-    max_output_tokens: 800,
-    reasoning: { effort: "low" },
-    text: {
-      format: { type: "json_schema", name: schema.name, strict: true, schema: schema.schema },
-    },
+  const { items } = await callLLMJSON("fridge_vision", messages, {
+    schema: FRIDGE_ITEMS_SCHEMA,
+    log,
+    tag: "vision_fridge",
+    cacheKey,
   });
-
-  const raw = extractResponsesText(resp);
-  const parsed = safeJSONParse(raw, { items: [] });
-  const items = Array.isArray(parsed?.items) ? parsed.items : [];
   return items
     .map((x) => String(x || "").trim())
     .filter(Boolean)
@@ -498,7 +209,7 @@ async function callGPT5VisionFridgeItems({ imageDataUrl }) {
 }
 
 /* ===================== Dish-level cache version ===================== */
-const DISHCACHE_VERSION = "v2";
+const DISHCACHE_VERSION = "v4";
 
 /* ===================== Shared Search Pipeline (Kroger) ===================== */
 async function runKrogerSearchPipeline({
@@ -509,9 +220,15 @@ async function runKrogerSearchPipeline({
   onDebug,
   passCount = 20,
   chooseMax = 2,
+  servings: requestedServings = null,
+  meals: requestedMeals = 1,
   log,
 }) {
   const pipelineStart = nowMs();
+  const { servings: wantServings, meals } = normalizeServings({
+    servings: requestedServings,
+    meals: requestedMeals,
+  });
 
   const sendPhase = (p) => {
     if (typeof onPhase === "function") onPhase(p);
@@ -525,9 +242,9 @@ async function runKrogerSearchPipeline({
   const fastKey = `dishcache:${DISHCACHE_VERSION}:q=${qNorm}:zip=${zipKey}:max=${Math.max(
     1,
     Math.min(2, chooseMax)
-  )}`;
+  )}:srv=${wantServings || "recipe"}:meals=${meals}`;
 
-  log?.info("Kroger pipeline start", { query, zip, qNorm, fastKey });
+  log?.info("Kroger pipeline start", { query, zip, qNorm, servings: wantServings, meals, fastKey });
 
   try {
     const t0 = nowMs();
@@ -574,25 +291,29 @@ async function runKrogerSearchPipeline({
 Classify the user query as either (A) a prepared dish/recipe or (B) a single grocery ingredient, and respond as follows:
 
 • If it is a single grocery ingredient (possibly in a regional language), translate to plain English and return ONLY:
-  ["<ingredient>"]
+  {"dish":null,"servings":null,"ingredients":[{"name":"<ingredient>","amount":null,"unit":null}]}
 
 • Otherwise, if it is a prepared dish/recipe, return ONLY:
-  ["<dish name in English>", "<ingredient 1>", "<ingredient 2>", ...]
+  {"dish":"<dish name in English>","servings":<number of people the amounts are for>,"ingredients":[{"name":"<ingredient 1>","amount":<number>,"unit":"<unit>"}, ...]}
+  If the query names a number of people or servings (e.g. "biryani for 12"), scale every amount to it.
 
 Output rules:
-- Plain English nouns, singular
-- Exclude water/brands/measurements
-- Return ONLY: {"result":[...]}
+- name: plain English noun, singular; exclude water and brands
+- amount/unit: how much of the ingredient the recipe uses, e.g. 2 "cup", 500 "g", 3 "" (three whole items)
+- unit is one of: g, kg, oz, lb, ml, l, tsp, tbsp, cup, fl oz, pt, qt, gal, dozen, bunch, or "" for whole items
+- use null for amount and unit when there is no sensible amount (e.g. "salt to taste")
 
 Query: ${query}
       `.trim(),
     },
   ];
 
-  const keyLLM1 = `llm1:ingredients:v1:model=gpt-5:q=${normText(query)}`;
+  const keyLLM1 = `llm1:ingredients:v3:model=gpt-5:q=${normText(query)}`;
 
   let dishName;
   let ingredients;
+  let ingredientAmounts = {};
+  let servings = null; // what LLM1's amounts are written for
 
   {
     const t0 = nowMs();
@@ -604,79 +325,88 @@ Query: ${query}
     });
 
     if (cachedLLM1) {
-      const arr = JSON.parse(cachedLLM1);
-      const dishDetected = Array.isArray(arr) && arr.length > 1;
-      dishName = dishDetected ? arr[0] : null;
-      ingredients = Array.isArray(arr) ? (dishDetected ? arr.slice(1) : arr) : [];
-      log?.info("LLM1 cache HIT", { keyLLM1, dishName, ingredientsCount: ingredients.length, ingredients });
-      sendDebug({ where: "llm1_cache_hit", dishName, ingredients });
+      const cached = safeJSONParse(cachedLLM1, {});
+      dishName = cached?.dishName || null;
+      servings = cached?.servings || null;
+      ingredients = Array.isArray(cached?.ingredients) ? cached.ingredients : [];
+      ingredientAmounts = cached?.ingredientAmounts || {};
+      log?.info("LLM1 cache HIT", { keyLLM1, dishName, servings, ingredientsCount: ingredients.length, ingredients });
+      recordLlmCacheHit({ context: log?.context, tag: "LLM1_ingredients", model: "gpt-5", cacheKey: keyLLM1 });
+      sendDebug({ where: "llm1_cache_hit", dishName, servings, ingredients });
     } else {
-      log?.info("LLM1 cache MISS -> calling OpenAI", { keyLLM1 });
-      const llm1Raw = await callGPT5JSON(messages1, {
-        maxTokens: 1200,
-        schema: {
-          name: "ingredients_payload",
-          schema: {
-            type: "object",
-            properties: { result: { type: "array", items: { type: "string" } } },
-            required: ["result"],
-            additionalProperties: false,
-          },
-        },
+      log?.info("LLM1 cache MISS -> calling LLM", { keyLLM1 });
+      const parsed1 = await callLLMJSON("ingredients", messages1, {
+        schema: INGREDIENTS_SCHEMA,
         log,
         tag: "LLM1_ingredients",
+        cacheKey: keyLLM1,
       });
 
-      const parsed1 = safeJSONParse(llm1Raw, { result: [] });
-      const arr = Array.isArray(parsed1?.result) ? parsed1.result : [];
-      const dishDetected = arr.length > 1;
-      dishName = dishDetected ? arr[0] : null;
-      ingredients = dishDetected ? arr.slice(1) : arr;
+      ({ ingredients, ingredientAmounts } = normalizeRecipeIngredients(parsed1.ingredients));
+      dishName = (typeof parsed1?.dish === "string" && parsed1.dish.trim()) || null;
+      servings = dishName && Number(parsed1?.servings) > 0 ? Number(parsed1.servings) : null;
 
       log?.info("LLM1 result", {
         dishName,
+        servings,
         ingredientsCount: ingredients.length,
         ingredients,
-        rawPreview: safeShort(llm1Raw, 500),
+        ingredientAmounts,
       });
-      sendDebug({ where: "llm1_result", dishName, ingredients });
-
-      await redis.set(
-        keyLLM1,
-        JSON.stringify(dishDetected ? [dishName, ...ingredients] : ingredients),
-        "EX",
-        60 * 60 * 24 * 30
-      );
+      sendDebug({ where: "llm1_result", dishName, servings, ingredients, ingredientAmounts });
+
+      // An empty list is more likely a bad answer than a real one; let the next search ask again.
+      if (ingredients.length) {
+        await redis.set(
+          keyLLM1,
+          JSON.stringify({ dishName, servings, ingredients, ingredientAmounts }),
+          "EX",
+          60 * 60 * 24 * 30
+        );
+      }
     }
   }
 
+  // LLM1 amounts (cached per query) are for the recipe's own servings; scale
+  // them to what the caller asked for.
+  const recipeServings = servings;
+  servings = wantServings || recipeServings;
+  const scale = servingsScale({ recipeServings, servings, meals });
+  ingredientAmounts = scaleIngredientAmounts(ingredientAmounts, scale);
+
+  if (scale !== 1) {
+    log?.info("Scaled recipe amounts", { recipeServings, servings, meals, scale });
+    sendDebug({ where: "servings_scale", recipeServings, servings, meals, scale });
+  }
+
   if (!ingredients?.length) {
     log?.warn("No ingredients extracted", { query, totalMs: elapsedMs(pipelineStart) });
-    const early = {
+    return {
       products: [],
       warnings: ["no_ingredients"],
       dishName,
+      servings,
+      recipeServings,
+      meals,
       ingredients: [],
+      ingredientAmounts: {},
       matchedInKroger: [],
       krogerCandidateCounts: {},
       krogerMatchedByIngredient: {},
     };
-    try {
-      await redis.set(fastKey, JSON.stringify(early));
-    } catch {}
-    return early;
   }
 
   sendPhase("fetching");
 
+  const primary = getPrimaryRetailer();
   const userDoc = user ? await User.findById(user._id).lean() : null;
 
   let locationId = null;
   try {
     const t0 = nowMs();
-    locationId =
-      userDoc?.kroger?.locationId ||
-      (await Kroger.getLocationIdByZip(zip || process.env.KROGER_DEFAULT_ZIP));
+    locationId = primary.resolveLocation
+      ? await primary.resolveLocation(zip, { user: userDoc })
+      : null;
     log?.info("Kroger location lookup finished", {
       zip,
       locationId,
@@ -701,14 +431,11 @@ Query: ${query}
     try {
       const t0 = nowMs();
       const limit = Math.max(passCount, 20);
-      const list = await Kroger.searchProductsByTerm(ing, {
-        locationId,
-        limit,
-        allowNoLocationFallback: true,
-      });
+      const list = await primary.search(ing, { locationId, limit });
+      recordSearchPrices(primary, list, { locationId, log });
 
       fullByIng[ing] = list;
-      titlesByIng[ing] = list.map((p) => p.description).slice(0, passCount);
+      titlesByIng[ing] = list.map((p) => primary.candidateTitle(p)).slice(0, passCount);
 
       log?.info("Kroger candidates", {
         ingredient: ing,
@@ -742,19 +469,19 @@ Query: ${query}
   sendDebug({ where: "kroger_candidates_summary", ingList, warnings });
 
   if (!ingList.length) {
-    const early = {
+    return {
       products: [],
       warnings: warnings.length ? warnings : ["no_candidates"],
       dishName,
+      servings,
+      recipeServings,
+      meals,
       ingredients,
+      ingredientAmounts,
       matchedInKroger: [],
       krogerCandidateCounts: {},
       krogerMatchedByIngredient: {},
     };
-    try {
-      await redis.set(fastKey, JSON.stringify(early));
-    } catch {}
-    return early;
   }
 
   sendPhase("matching");
@@ -763,12 +490,15 @@ Query: ${query}
   for (const ing of ingList) {
     enumerated[ing] = titlesByIng[ing].map((t, idx) => `${idx}: ${t}`);
   }
+  const krogerCandidateCounts = Object.fromEntries(
+    ingList.map((ing) => [ing, (titlesByIng[ing] || []).length])
+  );
 
   const fp = crypto
     .createHash("sha1")
     .update(JSON.stringify({ ingList, enumerated, chooseMax }))
     .digest("hex");
-  const keyLLM2 = `llm2:match:v2:model=gpt-5:max=${Math.max(
+  const keyLLM2 = `llm2:match:v3:model=gpt-5:max=${Math.max(
     1,
     Math.min(2, chooseMax)
   )}:fp=${fp}`;
@@ -787,9 +517,10 @@ Query: ${query}
       const parsed2 = safeJSONParse(cachedLLM2, { final_picks: [] });
       entries = Array.isArray(parsed2.final_picks) ? parsed2.final_picks : [];
       log?.info("LLM2 cache HIT", { keyLLM2, picksCount: entries.length, picks: entries });
+      recordLlmCacheHit({ context: log?.context, tag: "LLM2_kroger_match", model: "gpt-5", cacheKey: keyLLM2 });
       sendDebug({ where: "llm2_cache_hit", picks: entries });
     } else {
-      log?.info("LLM2 cache MISS -> calling OpenAI", { keyLLM2 });
+      log?.info("LLM2 cache MISS -> calling LLM", { keyLLM2 });
 
       const messages2 = [
         { role: "system", content: "Return ONLY raw JSON. No prose. No code fences." },
@@ -825,67 +556,36 @@ ${JSON.stringify(enumerated, null, 2)}
         },
       ];
 
-      const llm2Raw = await callGPT5JSON(messages2, {
-        maxTokens: 4000,
-        schema: {
-          name: "final_picks_schema",
-          schema: {
-            type: "object",
-            additionalProperties: false,
-            properties: {
-              final_picks: {
-                type: "array",
-                minItems: ingList.length,
-                maxItems: ingList.length,
-                items: {
-                  type: "object",
-                  additionalProperties: false,
-                  properties: {
-                    ingredient: { type: "string", enum: ingList },
-                    indices: {
-                      type: "array",
-                      items: { type: "integer", minimum: 0 },
-                      minItems: 0,
-                      maxItems: Math.max(1, Math.min(2, chooseMax)),
-                    },
-                  },
-                  required: ["ingredient", "indices"],
-                },
-              },
-            },
-            required: ["final_picks"],
-          },
-        },
+      const parsed2 = await callLLMJSON("kroger_match", messages2, {
+        schema: finalPicksSchema(ingList, Math.max(1, Math.min(2, chooseMax))),
+        validate: (data) => picksProblems(data, krogerCandidateCounts),
         log,
         tag: "LLM2_kroger_match",
+        cacheKey: keyLLM2,
       });
 
-      const parsed2 = safeJSONParse(llm2Raw, { final_picks: [] });
-      entries = Array.isArray(parsed2.final_picks) ? parsed2.final_picks : [];
+      entries = parsed2.final_picks;
 
       log?.info("LLM2 result", {
         picksCount: entries.length,
         picks: entries,
-        rawType: typeof llm2Raw,
-        rawPreview: safeShort(llm2Raw, 800),
       });
 
-      if (!entries.length) {
+      sendDebug({ where: "llm2_result", picks: entries });
+
+      if (hasPicks(entries)) {
+        await redis.set(
+          keyLLM2,
+          JSON.stringify({ final_picks: entries }),
+          "EX",
+          60 * 60 * 24 * 30
+        );
+      } else {
         log?.warn("LLM2 returned no picks", {
           ingListCount: ingList.length,
           exampleCandidates: enumerated?.[ingList?.[0]]?.slice?.(0, 10) || null,
-          rawPreview: safeShort(llm2Raw, 1000),
         });
       }
-
-      sendDebug({ where: "llm2_result", picks: entries });
-
-      await redis.set(
-        keyLLM2,
-        JSON.stringify({ final_picks: entries }),
-        "EX",
-        60 * 60 * 24 * 30
-      );
     }
   }
 
@@ -929,7 +629,7 @@ ${JSON.stringify(enumerated, null, 2)}
       }
 
       const title = titles[i];
-      const hit = pool.find((p) => p.description === title) || pool[i];
+      const hit = pool.find((p) => primary.candidateTitle(p) === title) || pool[i];
 
       if (!hit) {
         log?.warn("Kroger picked title but no product resolved", {
@@ -940,7 +640,7 @@ ${JSON.stringify(enumerated, null, 2)}
         continue;
       }
 
-      const norm = normalizeKroger(hit, locationId);
+      const norm = primary.normalize(hit, { locationId });
       products.push(norm);
       (krogerMatchedByIngredient[ing] ||= []).push(norm);
       matchedProductsHere.push({
@@ -960,10 +660,6 @@ ${JSON.stringify(enumerated, null, 2)}
     });
   }
 
-  const krogerCandidateCounts = Object.fromEntries(
-    ingList.map((ing) => [ing, (titlesByIng[ing] || []).length])
-  );
-
   log?.info("Kroger pipeline result", {
     productsCount: products.length,
     matchedIngredientsCount: matchedInKrogerSet.size,
@@ -985,22 +681,33 @@ ${JSON.stringify(enumerated, null, 2)}
     products,
     warnings,
     dishName: dishName || null,
+    servings,
+    recipeServings,
+    meals,
     ingredients,
+    ingredientAmounts,
     matchedInKroger: Array.from(matchedInKrogerSet),
     krogerCandidateCounts,
     krogerMatchedByIngredient,
   };
 
-  try {
-    await redis.set(fastKey, JSON.stringify(resultPayload));
-  } catch (e) {
-    log?.warn("dishcache write failed", { err: e?.message || String(e) });
+  // The dish cache never expires: keep out empty results and ones missing
+  // ingredients because a retailer search failed.
+  const searchFailed = warnings.some((w) => w?.error === "product_search_failed");
+  if (products.length && !searchFailed) {
+    try {
+      await redis.set(fastKey, JSON.stringify(resultPayload));
+    } catch (e) {
+      log?.warn("dishcache write failed", { err: e?.message || String(e) });
+    }
+  } else {
+    log?.info("dishcache write skipped", { productsCount: products.length, searchFailed });
   }
 
   return resultPayload;
 }
 
-/* ===================== Walmart: LLM index-based matching ===================== */
+/* ================= Secondary retailers: LLM index-based matching ================= */
 function normTitle(s) {
   return String(s)
     .toLowerCase()
@@ -1029,19 +736,23 @@ function extractUnmatchedTerms(warnings = []) {
   return Array.from(new Set(terms.map((t) => t.toLowerCase()))).slice(0, 6);
 }
 
-async function runWalmartMatchByIndexDetailed(
+async function runRetailerMatchByIndexDetailed(
+  adapter,
   terms = [],
   { passCount = 20, chooseMax = 2, log, onDebug } = {}
 ) {
-  const walmartStart = nowMs();
+  const retailer = adapter.id;
+  const label = adapter.label;
+  const retailerStart = nowMs();
   const ingList = Array.from(new Set((terms || []).filter(Boolean)));
+  const empty = { retailer, products: [], matched: [], candidateCounts: {}, byIngredient: {} };
   if (!ingList.length) {
-    log?.info("Walmart skipped (no terms)");
-    return { products: [], matchedInWalmart: [], walmartCandidateCounts: {}, byIngredient: {} };
+    log?.info(`${label} skipped (no terms)`);
+    return empty;
   }
 
-  log?.info("Walmart matching start", { terms: ingList });
-  onDebug?.({ where: "walmart_start", terms: ingList });
+  log?.info(`${label} matching start`, { terms: ingList });
+  onDebug?.({ where: `${retailer}_start`, terms: ingList });
 
   const titlesByIng = {};
   const fullByIng = {};
@@ -1049,17 +760,21 @@ async function runWalmartMatchByIndexDetailed(
   for (const ing of ingList) {
     try {
       const t0 = nowMs();
-      const items = await walmartRawSearch(ing);
+      const items = await adapter.search(ing, { limit: Math.max(passCount, 20) });
+      recordSearchPrices(adapter, items, { log });
       fullByIng[ing] = items;
-      titlesByIng[ing] = items.map((it) => it?.name || "").filter(Boolean).slice(0, passCount);
-      log?.info("Walmart candidates", {
+      titlesByIng[ing] = items
+        .map((it) => adapter.candidateTitle(it))
+        .filter(Boolean)
+        .slice(0, passCount);
+      log?.info(`${label} candidates`, {
         ingredient: ing,
         candidates: titlesByIng[ing].length,
         top10: titlesByIng[ing].slice(0, 10),
         ms: elapsedMs(t0),
       });
     } catch (e) {
-      log?.error("Walmart search failed", { ingredient: ing, err: e?.message || String(e) });
+      log?.error(`${label} search failed`, { ingredient: ing, err: e?.message || String(e) });
       fullByIng[ing] = [];
       titlesByIng[ing] = [];
     }
@@ -1073,7 +788,7 @@ async function runWalmartMatchByIndexDetailed(
     {
       role: "user",
       content: `
-You are matching recipe ingredients to Walmart grocery search results.
+You are matching recipe ingredients to ${label} grocery search results.
 
 Task:
 For each ingredient, choose up to ${Math.max(1, Math.min(2, chooseMax))} candidate items by returning their indices.
@@ -1095,52 +810,25 @@ ${JSON.stringify(enumerated, null, 2)}
     },
   ];
 
-  const raw = await callGPT5JSON(messages, {
-    maxTokens: 1200,
-    schema: {
-      name: "final_picks_schema",
-      schema: {
-        type: "object",
-        additionalProperties: false,
-        properties: {
-          final_picks: {
-            type: "array",
-            minItems: ingList.length,
-            maxItems: ingList.length,
-            items: {
-              type: "object",
-              additionalProperties: false,
-              properties: {
-                ingredient: { type: "string", enum: ingList },
-                indices: {
-                  type: "array",
-                  items: { type: "integer", minimum: 0 },
-                  minItems: 0,
-                  maxItems: Math.max(1, Math.min(2, chooseMax)),
-                },
-              },
-              required: ["ingredient", "indices"],
-            },
-          },
-        },
-        required: ["final_picks"],
-      },
-    },
+  const candidateCounts = Object.fromEntries(
+    ingList.map((ing) => [ing, (titlesByIng[ing] || []).length])
+  );
+
+  const { final_picks: entries } = await callLLMJSON("retailer_match", messages, {
+    schema: finalPicksSchema(ingList, Math.max(1, Math.min(2, chooseMax))),
+    validate: (data) => picksProblems(data, candidateCounts),
     log,
-    tag: "LLM_walmart_match",
+    tag: `LLM_${retailer}_match`,
   });
 
-  const parsed = safeJSONParse(raw, { final_picks: [] });
-  const entries = (parsed?.final_picks || []).filter((e) => e && ingList.includes(e.ingredient));
-  log?.info("Walmart LLM picks", {
-    rawPreview: safeShort(raw, 800),
+  log?.info(`${label} LLM picks`, {
     picksCount: entries.length,
     picks: entries,
   });
-  if (!entries.length) {
-    log?.warn("Walmart LLM returned no picks", { rawPreview: safeShort(raw, 1000) });
+  if (!hasPicks(entries)) {
+    log?.warn(`${label} LLM returned no picks`, { ingList });
   }
-  onDebug?.({ where: "walmart_llm_picks", picks: entries });
+  onDebug?.({ where: `${retailer}_llm_picks`, picks: entries });
 
   const out = [];
   const matchedSet = new Set();
@@ -1155,7 +843,7 @@ ${JSON.stringify(enumerated, null, 2)}
       new Set(rawIndices.filter(Number.isInteger))
     );
 
-    log?.info("Walmart pick evaluation start", {
+    log?.info(`${label} pick evaluation start`, {
       ingredient: ing,
       candidateCount: titles.length,
       selectedIndices: idx,
@@ -1163,7 +851,7 @@ ${JSON.stringify(enumerated, null, 2)}
     });
 
     if (!idx.length) {
-      log?.warn("No Walmart picks for ingredient", {
+      log?.warn(`No ${label} picks for ingredient`, {
         ingredient: ing,
         candidatesTop10: titles.slice(0, 10),
       });
@@ -1174,7 +862,7 @@ ${JSON.stringify(enumerated, null, 2)}
     for (const i of idx) {
       if (i >= 0 && i < titles.length) chosen.push(titles[i]);
       else {
-        log?.warn("Walmart picked invalid index", {
+        log?.warn(`${label} picked invalid index`, {
           ingredient: ing,
           index: i,
           candidateCount: titles.length,
@@ -1183,15 +871,15 @@ ${JSON.stringify(enumerated, null, 2)}
     }
     if (!chosen.length) continue;
 
-    const byNorm = new Map(pool.map((it) => [normTitle(it?.name || ""), it]));
+    const byNorm = new Map(pool.map((it) => [normTitle(adapter.candidateTitle(it)), it]));
     let matchedHere = 0;
     const matchedProductsHere = [];
 
     for (const t of chosen) {
       const n = normTitle(t);
-      const hit = pool.find((it) => (it?.name || "") === t) || byNorm.get(n);
+      const hit = pool.find((it) => adapter.candidateTitle(it) === t) || byNorm.get(n);
       if (hit) {
-        const norm = normalizeWalmart(hit);
+        const norm = adapter.normalize(hit, {});
         out.push(norm);
         (byIngredient[ing] ||= []).push(norm);
         matchedProductsHere.push({
@@ -1201,7 +889,7 @@ ${JSON.stringify(enumerated, null, 2)}
         });
         matchedHere++;
       } else {
-        log?.warn("Walmart picked title but no product resolved", {
+        log?.warn(`${label} picked title but no product resolved`, {
           ingredient: ing,
           title: t,
         });
@@ -1210,46 +898,120 @@ ${JSON.stringify(enumerated, null, 2)}
 
     if (matchedHere > 0) matchedSet.add(ing);
 
-    log?.info("Walmart pick evaluation done", {
+    log?.info(`${label} pick evaluation done`, {
       ingredient: ing,
       matchedCount: matchedHere,
       matchedProducts: matchedProductsHere,
     });
   }
 
-  const walmartCandidateCounts = Object.fromEntries(
-    ingList.map((ing) => [ing, (titlesByIng[ing] || []).length])
-  );
-
-  log?.info("Walmart matching result", {
+  log?.info(`${label} matching result`, {
     productsCount: out.length,
     matchedIngredientsCount: matchedSet.size,
     matchedIngredients: Array.from(matchedSet),
     byIngredientKeys: Object.keys(byIngredient || {}),
-    totalMs: elapsedMs(walmartStart),
+    totalMs: elapsedMs(retailerStart),
   });
 
   onDebug?.({
-    where: "walmart_done",
+    where: `${retailer}_done`,
     productsCount: out.length,
     matchedIngredients: Array.from(matchedSet),
   });
 
   return {
+    retailer,
     products: out,
-    matchedInWalmart: Array.from(matchedSet),
-    walmartCandidateCounts,
+    matched: Array.from(matchedSet),
+    candidateCounts,
     byIngredient,
   };
 }
 
+/**
+ * Fan out to every enabled non-primary retailer in parallel.
+ * Returns { [retailerId]: runRetailerMatchByIndexDetailed result }.
+ * A failing retailer yields an empty result instead of failing the search.
+ */
+async function runRetailerMatches(terms = [], { retailers = getSecondaryRetailers(), ...opts } = {}) {
+  const settled = await Promise.all(
+    retailers.map(async (adapter) => {
+      try {
+        return await runRetailerMatchByIndexDetailed(adapter, terms, opts);
+      } catch (e) {
+        opts.log?.error(`${adapter.label} matching failed`, { err: e?.message || String(e) });
+        return { retailer: adapter.id, products: [], matched: [], candidateCounts: {}, byIngredient: {} };
+      }
+    })
+  );
+  return Object.fromEntries(settled.map((r) => [r.retailer, r]));
+}
+
 /* ===================== Build final payload ===================== */
-function buildFinalPayload(krogerResult, walmartResult, { budgetSearch, log, onDebug } = {}) {
+function retailerEntry(id, { products = [], matched = [], byIngredient = {}, candidateCounts = {} } = {}) {
+  const adapter = getRetailer(id);
+  return {
+    id,
+    label: adapter?.label || id,
+    capabilities: adapter?.capabilities || {},
+    products,
+    matched,
+    byIngredient,
+    candidateCounts,
+  };
+}
+
+// Pre-adapter field names, still read by SearchResults.js and test.js.
+function legacyRetailerFields(byRetailer) {
+  return {
+    krogerProducts: byRetailer.kroger?.products || [],
+    walmartProducts: byRetailer.walmart?.products || [],
+    matchedInKroger: byRetailer.kroger?.matched || [],
+    matchedInWalmart: byRetailer.walmart?.matched || [],
+    krogerByIngredient: byRetailer.kroger?.byIngredient || {},
+    walmartByIngredient: byRetailer.walmart?.byIngredient || {},
+  };
+}
+
+function summarizeRetailers(byRetailer) {
+  return Object.fromEntries(
+    Object.values(byRetailer).map((r) => [
+      r.id,
+      { products: r.products.length, matched: r.matched, byIngredientKeys: Object.keys(r.byIngredient || {}) },
+    ])
+  );
+}
+
+function summarizeOffer(offer) {
+  if (!offer) return null;
+  return {
+    price: offer.price,
+    unitKind: offer.unitKind,
+    unitQty: offer.unitQty,
+    unitPrice: offer.unitPrice,
+    dimension: offer.quantity?.dimension || null,
+    perUnit: Boolean(offer.quantity?.perUnit),
+    title: offer.product?.title || "",
+  };
+}
+
+const retailerSizeTexts = (id) => getRetailer(id)?.sizeTexts;
+
+export function buildFinalPayload(krogerResult, retailerResults, { budgetSearch, log, onDebug } = {}) {
   const k = krogerResult || {};
-  const w = walmartResult || {};
   const ingredients = Array.isArray(k.ingredients) ? k.ingredients : [];
-  const krogerByIngredient = k.krogerMatchedByIngredient || {};
-  const walmartByIngredient = w.byIngredient || {};
+
+  const byRetailer = {
+    kroger: retailerEntry("kroger", {
+      products: k.products || [],
+      matched: k.matchedInKroger || [],
+      byIngredient: k.krogerMatchedByIngredient || {},
+      candidateCounts: k.krogerCandidateCounts || {},
+    }),
+  };
+  for (const [id, r] of Object.entries(retailerResults || {})) {
+    byRetailer[id] = retailerEntry(id, r);
+  }
 
   if (!budgetSearch) {
     const krogerMatchedSet = new Set(k.matchedInKroger || []);
@@ -1258,25 +1020,23 @@ function buildFinalPayload(krogerResult, walmartResult, { budgetSearch, log, onD
     const payload = {
       budgetSearch: false,
       dishName: k.dishName || null,
+      servings: k.servings || null,
+      recipeServings: k.recipeServings || null,
+      meals: k.meals || 1,
       ingredients,
-      krogerProducts: k.products || [],
-      walmartProducts: w.products || [],
-      matchedInKroger: k.matchedInKroger || [],
-      matchedInWalmart: w.matchedInWalmart || [],
-      krogerByIngredient,
-      walmartByIngredient,
+      ingredientAmounts: k.ingredientAmounts || {},
+      byRetailer,
+      ...legacyRetailerFields(byRetailer),
       unmatchedIngredients,
       unmatchedTerms: extractUnmatchedTerms(k.warnings || []),
       warnings: k.warnings || [],
+      cartEstimate: estimateRetailerCosts(byRetailer, k.ingredientAmounts, {
+        sizeTextsFor: retailerSizeTexts,
+      }),
     };
 
     log?.info("Final payload (non-budget)", {
-      krogerProducts: payload.krogerProducts.length,
-      walmartProducts: payload.walmartProducts.length,
-      matchedInKroger: payload.matchedInKroger,
-      matchedInWalmart: payload.matchedInWalmart,
-      krogerByIngredientKeys: Object.keys(payload.krogerByIngredient || {}),
-      walmartByIngredientKeys: Object.keys(payload.walmartByIngredient || {}),
+      retailers: summarizeRetailers(byRetailer),
       unmatchedIngredients: payload.unmatchedIngredients,
       unmatchedTerms: payload.unmatchedTerms,
       warnings: payload.warnings,
@@ -1284,89 +1044,77 @@ function buildFinalPayload(krogerResult, walmartResult, { budgetSearch, log, onD
 
     onDebug?.({
       where: "final_payload_non_budget",
-      counts: {
-        krogerProducts: payload.krogerProducts.length,
-        walmartProducts: payload.walmartProducts.length,
-      },
+      counts: Object.fromEntries(Object.values(byRetailer).map((r) => [r.id, r.products.length])),
     });
 
     return payload;
   }
 
-  const finalKrogerByIngredient = {};
-  const finalWalmartByIngredient = {};
+  const finalByIngredient = Object.fromEntries(Object.keys(byRetailer).map((id) => [id, {}]));
   const budgetDecisions = [];
 
   for (const ing of ingredients) {
-    const kArr = Array.isArray(krogerByIngredient?.[ing]) ? krogerByIngredient[ing] : [];
-    const wArr = Array.isArray(walmartByIngredient?.[ing]) ? walmartByIngredient[ing] : [];
+    const productsByRetailer = {};
+    for (const [id, r] of Object.entries(byRetailer)) {
+      const arr = r.byIngredient?.[ing];
+      productsByRetailer[id] = Array.isArray(arr) ? arr : [];
+    }
 
-    const decision = chooseWinnerForIngredient(kArr, wArr);
+    const decision = chooseWinnerForIngredient(productsByRetailer, {
+      sizeTextsFor: retailerSizeTexts,
+      ingredient: ing,
+    });
 
-    if (decision.winner === "kroger") {
-      if (kArr.length) finalKrogerByIngredient[ing] = kArr;
-    } else if (decision.winner === "walmart") {
-      if (wArr.length) finalWalmartByIngredient[ing] = wArr;
+    if (decision.winner !== "none" && productsByRetailer[decision.winner]?.length) {
+      finalByIngredient[decision.winner][ing] = productsByRetailer[decision.winner];
     }
 
     budgetDecisions.push({
       ingredient: ing,
       winner: decision.winner,
       reason: decision.reason,
-      kroger: decision.krogerBest
-        ? {
-            price: decision.krogerBest.price,
-            unitKind: decision.krogerBest.unitKind,
-            unitQty: decision.krogerBest.unitQty,
-            unitPrice: decision.krogerBest.unitPrice,
-            title: decision.krogerBest.product?.title || "",
-          }
-        : null,
-      walmart: decision.walmartBest
-        ? {
-            price: decision.walmartBest.price,
-            unitKind: decision.walmartBest.unitKind,
-            unitQty: decision.walmartBest.unitQty,
-            unitPrice: decision.walmartBest.unitPrice,
-            title: decision.walmartBest.product?.title || "",
-          }
-        : null,
+      comparedIn: decision.comparedIn,
+      offers: Object.fromEntries(
+        Object.entries(decision.best).map(([id, offer]) => [id, summarizeOffer(offer)])
+      ),
     });
   }
 
-  const finalKrogerProducts = [];
-  for (const arr of Object.values(finalKrogerByIngredient)) for (const p of arr) finalKrogerProducts.push(p);
-
-  const finalWalmartProducts = [];
-  for (const arr of Object.values(finalWalmartByIngredient)) for (const p of arr) finalWalmartProducts.push(p);
-
-  const matchedInKroger = Object.keys(finalKrogerByIngredient);
-  const matchedInWalmart = Object.keys(finalWalmartByIngredient);
+  const finalByRetailer = {};
+  for (const [id, r] of Object.entries(byRetailer)) {
+    const byIng = finalByIngredient[id];
+    finalByRetailer[id] = {
+      ...r,
+      products: Object.values(byIng).flat(),
+      matched: Object.keys(byIng),
+      byIngredient: byIng,
+    };
+  }
 
   const payload = {
     budgetSearch: true,
     dishName: k.dishName || null,
+    servings: k.servings || null,
+    recipeServings: k.recipeServings || null,
+    meals: k.meals || 1,
     ingredients,
-    krogerProducts: finalKrogerProducts,
-    walmartProducts: finalWalmartProducts,
-    matchedInKroger,
-    matchedInWalmart,
-    krogerByIngredient: finalKrogerByIngredient,
-    walmartByIngredient: finalWalmartByIngredient,
+    ingredientAmounts: k.ingredientAmounts || {},
+    byRetailer: finalByRetailer,
+    ...legacyRetailerFields(finalByRetailer),
     unmatchedTerms: extractUnmatchedTerms(k.warnings || []),
     warnings: k.warnings || [],
     budgetDecisions,
+    cartEstimate: estimateRetailerCosts(finalByRetailer, k.ingredientAmounts, {
+      sizeTextsFor: retailerSizeTexts,
+    }),
   };
 
   log?.info("Final payload (budget)", {
-    krogerProducts: payload.krogerProducts.length,
-    walmartProducts: payload.walmartProducts.length,
-    matchedInKroger: payload.matchedInKroger,
-    matchedInWalmart: payload.matchedInWalmart,
+    retailers: summarizeRetailers(finalByRetailer),
     budgetDecisionsPreview: budgetDecisions.slice(0, 10),
   });
 
-  if (!payload.krogerProducts.length && !payload.walmartProducts.length) {
+  if (Object.values(finalByRetailer).every((r) => !r.products.length)) {
     log?.warn("Budget payload is empty (no winners). Inspect decisions.", {
       decisionsPreview: budgetDecisions.slice(0, 10),
     });
@@ -1374,10 +1122,7 @@ function buildFinalPayload(krogerResult, walmartResult, { budgetSearch, log, onD
 
   onDebug?.({
     where: "final_payload_budget",
-    counts: {
-      krogerProducts: payload.krogerProducts.length,
-      walmartProducts: payload.walmartProducts.length,
-    },
+    counts: Object.fromEntries(Object.values(finalByRetailer).map((r) => [r.id, r.products.length])),
     decisionsPreview: budgetDecisions.slice(0, 10),
   });
 
@@ -1385,80 +1130,16 @@ function buildFinalPayload(krogerResult, walmartResult, { budgetSearch, log, onD
 }
 
 /* ===================== Cart Add Helpers ===================== */
-const KROGER_BASE = process.env.KROGER_BASE_URL || "https://api.kroger.com/v1";
-const KROGER_ID = process.env.KROGER_CLIENT_ID;
-const KROGER_SECRET = process.env.KROGER_CLIENT_SECRET;
-const KROGER_REDIRECT = process.env.KROGER_REDIRECT_URI;
-const KROGER_SCOPES = process.env.KROGER_SCOPES || "cart.basic:write product.compact";
-const APP_SECRET = process.env.JWT_SECRET || process.env.APP_SECRET || "dev-secret";
-
-function b64u(input) {
-  return Buffer.from(input)
-    .toString("base64")
-    .replace(/=/g, "")
-    .replace(/\+/g, "-")
-    .replace(/\//g, "_");
-}
-function b64uJson(obj) {
-  return b64u(JSON.stringify(obj));
-}
-function signState(stateObj) {
-  const body = b64uJson(stateObj);
-  const sig = crypto
-    .createHmac("sha256", APP_SECRET)
-    .update(body)
-    .digest("base64url");
-  return `${body}.${sig}`;
-}
-function buildAuthorizeUrl(stateObj) {
-  const state = signState(stateObj);
-  const params = new URLSearchParams({
-    scope: KROGER_SCOPES,
-    response_type: "code",
-    client_id: KROGER_ID,
-    redirect_uri: KROGER_REDIRECT,
-    state,
-  });
-  return `${KROGER_BASE}/connect/oauth2/authorize?${params.toString()}`;
-}
-function isTokenValid(kroger) {
-  if (!kroger?.accessToken || !kroger?.expiresAt) return false;
-  return new Date(kroger.expiresAt).getTime() - Date.now() > 60_000;
-}
-async function refreshWithRefreshToken(user) {
-  if (!user?.kroger?.refreshToken) return null;
-
-  const form = new URLSearchParams({
-    grant_type: "refresh_token",
-    refresh_token: user.kroger.refreshToken,
-    scope: KROGER_SCOPES,
-  });
-
-  const auth = Buffer.from(`${KROGER_ID}:${KROGER_SECRET}`).toString("base64");
-  const { data } = await axios.post(`${KROGER_BASE}/connect/oauth2/token`, form, {
-    headers: {
-      "Content-Type": "application/x-www-form-urlencoded",
-      Authorization: `Basic ${auth}`,
-    },
-  });
-
-  user.kroger.accessToken = data.access_token;
-  user.kroger.refreshToken = data.refresh_token || user.kroger.refreshToken;
-  user.kroger.expiresAt = new Date(Date.now() + data.expires_in * 1000);
-  await user.save();
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
-  return user.kroger.accessToken;
-}
-async function getValidUserToken(user) {
-  if (isTokenValid(user?.kroger)) return user.kroger.accessToken;
-  if (user?.kroger?.refreshToken) {
-    try {
-      return await refreshWithRefreshToken(user);
-    } catch {}
-  }
-  return null;
+// One line per matched ingredient, sized to the recipe amount from LLM1.
+function buildKrogerCartPlan(payload) {
+  return buildCartPlan(
+    payload?.byRetailer?.kroger?.byIngredient || {},
+    payload?.ingredientAmounts || {},
+    { sizeTexts: getRetailer("kroger")?.sizeTexts }
+  );
 }
-const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
 
 async function clearCartSnapshotForUser(userId) {
   if (!userId) return;
@@ -1471,7 +1152,7 @@ async function clearCartSnapshotForUser(userId) {
   } catch {}
 }
 
-async function addKrogerItemsToCart({ user, itemsToAdd, returnTo, onCartEvent, log }) {
+export async function addKrogerItemsToCart({ user, itemsToAdd, returnTo, onCartEvent, log }) {
   const u = await User.findById(user._id);
   if (!u) return { ok: false, error: "user_not_found" };
 
@@ -1484,12 +1165,18 @@ async function addKrogerItemsToCart({ user, itemsToAdd, returnTo, onCartEvent, l
     }))
     .filter((x) => x.upc);
 
+  // The same product can cover two ingredients; add it once with both quantities.
   const uniq = [];
-  const seen = new Set();
+  const byUpc = new Map();
   for (const it of items) {
-    if (seen.has(it.upc)) continue;
-    seen.add(it.upc);
-    uniq.push(it);
+    const prev = byUpc.get(it.upc);
+    if (prev) {
+      prev.quantity += it.quantity;
+      continue;
+    }
+    const copy = { ...it };
+    byUpc.set(it.upc, copy);
+    uniq.push(copy);
   }
 
   log?.info("Cart add start", { total: uniq.length, returnTo });
@@ -1504,13 +1191,9 @@ async function addKrogerItemsToCart({ user, itemsToAdd, returnTo, onCartEvent, l
 
   let token = await getValidUserToken(u);
   if (!token) {
-    const loginUrl = buildAuthorizeUrl({
-      userId: String(u._id),
-      action: "add_to_cart",
-      items: uniq.map((x) => ({ upc: x.upc, quantity: x.quantity })),
-      returnTo: returnTo || "/",
-      t: Date.now(),
-    });
+    // The items wait in Redis under an id; only the id travels through Kroger.
+    const intentId = await saveCartIntent(u._id, uniq);
+    const loginUrl = await buildAuthorizeUrl({ userId: u._id, returnTo: returnTo || "/", intentId });
     log?.warn("Cart add needs Kroger OAuth", { loginUrl });
     return {
       ok: false,
@@ -1532,20 +1215,14 @@ async function addKrogerItemsToCart({ user, itemsToAdd, returnTo, onCartEvent, l
     const it = uniq[i];
 
     const attempt = async (bearer) => {
-      return axios.put(
-        `${KROGER_BASE}/cart/add`,
-        { items: [{ upc: it.upc, quantity: it.quantity }] },
-        {
-          headers: { Authorization: `Bearer ${bearer}`, "Content-Type": "application/json" },
-          validateStatus: () => true,
-        }
-      );
+      return Kroger.cartAdd(bearer, [{ upc: it.upc, quantity: it.quantity }]);
     };
 
     let resp = await attempt(token);
 
     if (resp.status === 401 || resp.status === 403) {
-      const refreshed = await getValidUserToken(u);
+      // Kroger rejected a token we thought was valid: force a refresh.
+      const refreshed = await refreshUserTokens(u).catch(() => null);
       if (refreshed && refreshed !== token) {
         token = refreshed;
         resp = await attempt(token);
@@ -1600,13 +1277,13 @@ async function addKrogerItemsToCart({ user, itemsToAdd, returnTo, onCartEvent, l
 /* ===================== LangGraph runners (kept) ===================== */
 const budgetSearchRunner = buildBudgetSearchGraphRunner({
   runKrogerSearchPipeline,
-  runWalmartMatchByIndexDetailed,
+  runRetailerMatches,
   buildFinalPayload,
 });
 
 const agenticRunner = buildAgenticSearchGraphRunner({
   runKrogerSearchPipeline,
-  runWalmartMatchByIndexDetailed,
+  runRetailerMatches,
   buildFinalPayload,
   addAllKrogerItemsToCart: async () => ({ ok: false, error: "disabled_in_stream_mode" }),
 });
@@ -1614,7 +1291,7 @@ const agenticRunner = buildAgenticSearchGraphRunner({
 /* ============================ FRIDGE UPLOAD ============================ */
 export async function krogerFridgeUpload(req, res) {
   const requestId = crypto.randomBytes(6).toString("hex");
-  const log = mkLogger(requestId, { route: "krogerFridgeUpload" });
+  const log = mkLogger(requestId, { route: "krogerFridgeUpload", userId: req.user?._id || null, ip: req.ip });
 
   try {
     log.info("Fridge upload start", { userId: req.user?._id || null });
@@ -1636,20 +1313,23 @@ export async function krogerFridgeUpload(req, res) {
     if (cached) {
       items = JSON.parse(cached);
       log.info("Fridge vision cache HIT", { cacheKey, itemsCount: items?.length || 0 });
+      recordLlmCacheHit({ context: log.context, tag: "vision_fridge", model: "gpt-5", cacheKey });
     } else {
-      log.info("Fridge vision cache MISS -> calling OpenAI", { cacheKey });
+      log.info("Fridge vision cache MISS -> calling LLM", { cacheKey });
 
       const mime = file.mimetype || "image/jpeg";
       const b64 = file.buffer.toString("base64");
       const dataUrl = `data:${mime};base64,${b64}`;
 
-      items = await callGPT5VisionFridgeItems({ imageDataUrl: dataUrl });
+      items = await callVisionFridgeItems({ imageDataUrl: dataUrl, log, cacheKey });
 
       const cleaned = Array.from(new Set(items.map((x) => normText(x)).filter(Boolean))).slice(0, 30);
       items = cleaned;
 
-      await redis.set(cacheKey, JSON.stringify(items), "EX", 60 * 60 * 24 * 30);
-      log.info("Fridge vision stored", { itemsCount: items.length, top: items.slice(0, 10) });
+      if (items.length) {
+        await redis.set(cacheKey, JSON.stringify(items), "EX", 60 * 60 * 24 * 30);
+        log.info("Fridge vision stored", { itemsCount: items.length, top: items.slice(0, 10) });
+      }
     }
 
     const fridgeSessionId = crypto.randomBytes(12).toString("hex");
@@ -1663,63 +1343,103 @@ export async function krogerFridgeUpload(req, res) {
   }
 }
 
+/* ===================== SSE search helpers ===================== */
+// One dish, end to end: Kroger pipeline -> secondary retailers -> final payload.
+// Shared by every search route (JSON, stream, test eval) and the meal plan
+// stream; callers only shape the response. onPhase/onDebug are optional.
+async function searchDishForStream({ query, zip, user, budget, servings, meals, onPhase, onDebug, log }) {
+  const krogerResult = await runKrogerSearchPipeline({
+    query,
+    zip,
+    user,
+    passCount: 20,
+    chooseMax: 2,
+    servings,
+    meals,
+    onPhase,
+    onDebug,
+    log,
+  });
+
+  const krogerMatchedSet = new Set(krogerResult?.matchedInKroger || []);
+  const unmatchedIngredients = (krogerResult?.ingredients || []).filter((ing) => !krogerMatchedSet.has(ing));
+  const fromWarnings = extractUnmatchedTerms(krogerResult?.warnings || []);
+
+  const retailerTerms = budget
+    ? (krogerResult.ingredients || [])
+    : (fromWarnings.length ? fromWarnings : unmatchedIngredients.slice(0, 6));
+
+  onPhase?.("retailers");
+  log.info("Secondary retailer terms decided", {
+    budget,
+    fromWarningsCount: fromWarnings.length,
+    unmatchedIngredientsCount: unmatchedIngredients.length,
+    unmatchedIngredients,
+    retailerTerms,
+    reason: budget ? "budget_all_ingredients" : (fromWarnings.length ? "warnings_terms" : "fallback_unmatched_ingredients"),
+  });
+
+  const retailerResults = await runRetailerMatches(retailerTerms, {
+    passCount: 20,
+    chooseMax: 2,
+    log,
+    onDebug,
+  });
+
+  onPhase?.("selecting");
+
+  return buildFinalPayload(krogerResult, retailerResults, {
+    budgetSearch: budget,
+    log,
+    onDebug,
+  });
+}
+
+// Cart plans are picked up by /cart/add/stream?sid=... within 10 minutes.
+async function storeCartPlan(plan) {
+  const cartSessionId = crypto.randomBytes(12).toString("hex");
+  await redis.set(`cartplan:${cartSessionId}`, JSON.stringify(plan), "EX", 60 * 10);
+  return cartSessionId;
+}
+
 /* ============================ HTTP Controllers ============================ */
 
 // JSON route
 export async function krogerSearch(req, res) {
   const requestId = crypto.randomBytes(6).toString("hex");
-  const log = mkLogger(requestId, { route: "krogerSearch" });
+  const log = mkLogger(requestId, { route: "krogerSearch", userId: req.user?._id || null, ip: req.ip });
 
   try {
     const { query, zip, budgetSearch, autoAdd } = req.body || {};
+    const { servings, meals } = normalizeServings(req.body || {});
     const budget = Boolean(budgetSearch);
     const doAutoAdd = Boolean(autoAdd);
     const returnTo = req.get("referer") || "/";
 
-    log.info("JSON search request", { query, zip, budget, autoAdd: doAutoAdd, userId: req.user?._id || null });
+    log.info("JSON search request", {
+      query,
+      zip,
+      budget,
+      autoAdd: doAutoAdd,
+      servings,
+      meals,
+      userId: req.user?._id || null,
+    });
 
     if (doAutoAdd) {
       await clearCartSnapshotForUser(req.user?._id);
 
-      const krogerResult = await runKrogerSearchPipeline({
+      const payload = await searchDishForStream({
         query,
         zip,
         user: req.user,
-        passCount: 20,
-        chooseMax: 2,
-        onPhase: null,
-        onDebug: null,
-        log,
-      });
-
-      const krogerMatchedSet = new Set(krogerResult?.matchedInKroger || []);
-      const unmatchedIngredients = (krogerResult?.ingredients || []).filter((ing) => !krogerMatchedSet.has(ing));
-      const fromWarnings = extractUnmatchedTerms(krogerResult?.warnings || []);
-
-      const walmartTerms = budget
-        ? (krogerResult.ingredients || [])
-        : (fromWarnings.length ? fromWarnings : unmatchedIngredients.slice(0, 6));
-
-      log.info("Walmart terms decided", {
         budget,
-        fromWarningsCount: fromWarnings.length,
-        unmatchedIngredientsCount: unmatchedIngredients.length,
-        unmatchedIngredients,
-        walmartTerms,
-        reason: budget ? "budget_all_ingredients" : (fromWarnings.length ? "warnings_terms" : "fallback_unmatched_ingredients"),
-      });
-
-      const walmartResult = await runWalmartMatchByIndexDetailed(walmartTerms, {
-        passCount: 20,
-        chooseMax: 2,
+        servings,
+        meals,
         log,
       });
 
-      const payload = buildFinalPayload(krogerResult, walmartResult, { budgetSearch: budget, log });
-
-      const plan = (payload?.krogerProducts || [])
-        .map((p) => ({ upc: p.upc, quantity: 1 }))
-        .filter((x) => x.upc);
+      const plan = buildKrogerCartPlan(payload);
 
       log.info("AutoAdd plan built (JSON route)", { planCount: plan.length });
 
@@ -1734,59 +1454,15 @@ export async function krogerSearch(req, res) {
       return res.json({ ...payload, autoAdd: true, cartAdd });
     }
 
-    if (budget) {
-      const result = await budgetSearchRunner.invoke({
-        query,
-        zip,
-        user: req.user,
-        budgetSearch: true,
-        passCount: 20,
-        chooseMaxKroger: 2,
-        chooseMaxWalmart: 2,
-        onPhase: null,
-      });
-
-      log.info("Budget graph runner result", {
-        hasPayload: Boolean(result?.payload),
-        krogerProducts: result?.payload?.krogerProducts?.length || 0,
-        walmartProducts: result?.payload?.walmartProducts?.length || 0,
-      });
-
-      return res.json({ ...(result?.payload || {}) });
-    }
-
-    const krogerResult = await runKrogerSearchPipeline({
+    const payload = await searchDishForStream({
       query,
       zip,
       user: req.user,
-      passCount: 20,
-      chooseMax: 2,
-      onPhase: null,
-      onDebug: null,
-      log,
-    });
-
-    const krogerMatchedSet = new Set(krogerResult?.matchedInKroger || []);
-    const unmatchedIngredients = (krogerResult?.ingredients || []).filter((ing) => !krogerMatchedSet.has(ing));
-    const fromWarnings = extractUnmatchedTerms(krogerResult?.warnings || []);
-
-    const walmartTerms = fromWarnings.length ? fromWarnings : unmatchedIngredients.slice(0, 6);
-
-    log.info("Walmart terms decided (non-budget)", {
-      fromWarningsCount: fromWarnings.length,
-      unmatchedIngredientsCount: unmatchedIngredients.length,
-      unmatchedIngredients,
-      walmartTerms,
-      reason: fromWarnings.length ? "warnings_terms" : "fallback_unmatched_ingredients",
-    });
-
-    const walmartResult = await runWalmartMatchByIndexDetailed(walmartTerms, {
-      passCount: 20,
-      chooseMax: 2,
+      budget,
+      servings,
+      meals,
       log,
     });
-
-    const payload = buildFinalPayload(krogerResult, walmartResult, { budgetSearch: false, log });
     return res.json(payload);
   } catch (e) {
     log.error("JSON search failed", { err: e?.response?.data || e?.message || e });
@@ -1797,7 +1473,7 @@ export async function krogerSearch(req, res) {
 // STREAMING (SSE): search+match only, returns cartSessionId
 export async function krogerSearchStream(req, res) {
   const requestId = crypto.randomBytes(6).toString("hex");
-  const log = mkLogger(requestId, { route: "krogerSearchStream" });
+  const log = mkLogger(requestId, { route: "krogerSearchStream", userId: req.user?._id || null, ip: req.ip });
 
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
@@ -1809,6 +1485,7 @@ export async function krogerSearchStream(req, res) {
   const budget = req.query.budget === "1" || req.query.budget === "true";
   const autoAdd = req.query.autoAdd === "1" || req.query.autoAdd === "true";
   const fridgeSid = String(req.query.fridgeSid || "").trim() || null;
+  const { servings, meals } = normalizeServings(req.query);
 
   const send = (event, data) => {
     res.write(`event: ${event}\n`);
@@ -1831,57 +1508,28 @@ export async function krogerSearchStream(req, res) {
     budget,
     autoAdd,
     fridgeSid,
+    servings,
+    meals,
     userId: req.user?._id || null,
   });
 
   try {
-    const krogerResult = await runKrogerSearchPipeline({
+    const payload = await searchDishForStream({
       query,
       zip,
       user: req.user,
-      passCount: 20,
-      chooseMax: 2,
-      onPhase,
-      onDebug,
-      log,
-    });
-
-    const krogerMatchedSet = new Set(krogerResult?.matchedInKroger || []);
-    const unmatchedIngredients = (krogerResult?.ingredients || []).filter((ing) => !krogerMatchedSet.has(ing));
-    const fromWarnings = extractUnmatchedTerms(krogerResult?.warnings || []);
-
-    const walmartTerms = budget
-      ? (krogerResult.ingredients || [])
-      : (fromWarnings.length ? fromWarnings : unmatchedIngredients.slice(0, 6));
-
-    onPhase("walmart");
-    log.info("Walmart terms decided (SSE)", {
       budget,
-      fromWarningsCount: fromWarnings.length,
-      unmatchedIngredientsCount: unmatchedIngredients.length,
-      unmatchedIngredients,
-      walmartTerms,
-      reason: budget ? "budget_all_ingredients" : (fromWarnings.length ? "warnings_terms" : "fallback_unmatched_ingredients"),
-    });
-
-    const walmartResult = await runWalmartMatchByIndexDetailed(walmartTerms, {
-      passCount: 20,
-      chooseMax: 2,
-      log,
+      servings,
+      meals,
+      onPhase,
       onDebug,
-    });
-
-    onPhase("selecting");
-
-    const payload = buildFinalPayload(krogerResult, walmartResult, {
-      budgetSearch: budget,
       log,
-      onDebug,
     });
 
     log.info("SSE payload counts", {
       krogerProducts: payload?.krogerProducts?.length || 0,
       walmartProducts: payload?.walmartProducts?.length || 0,
+      retailers: Object.keys(payload?.byRetailer || {}),
     });
 
     let cartSessionId = null;
@@ -1894,31 +1542,15 @@ export async function krogerSearchStream(req, res) {
 
       await clearCartSnapshotForUser(req.user?._id);
 
-      const plan = [];
-      const byIng = payload?.krogerByIngredient || {};
-      for (const [ingredient, arr] of Object.entries(byIng)) {
-        const p = Array.isArray(arr) ? arr[0] : null;
-        if (!p?.upc) continue;
-        plan.push({
-          upc: p.upc,
-          quantity: 1,
-          ingredient,
-          title: p.title || "",
-        });
-      }
+      const plan = buildKrogerCartPlan(payload);
 
-      cartSessionId = crypto.randomBytes(12).toString("hex");
-
-      await redis.set(
-        `cartplan:${cartSessionId}`,
-        JSON.stringify({
-          items: plan,
-          fridgeSid,
-          returnTo: req.get("referer") || "/",
-        }),
-        "EX",
-        60 * 10
-      );
+      cartSessionId = await storeCartPlan({
+        items: plan,
+        fridgeSid,
+        servings: payload.servings || null,
+        meals: payload.meals || 1,
+        returnTo: req.get("referer") || "/",
+      });
 
       log.info("Cartplan stored", { cartSessionId, planCount: plan.length, fridgeSid });
       onDebug({ where: "cartplan", cartSessionId, planCount: plan.length, fridgeSid });
@@ -1938,13 +1570,154 @@ export async function krogerSearchStream(req, res) {
   }
 }
 
+/**
+ * SSE meal plan stream: several dishes, one consolidated shopping list.
+ * Runs the single-dish search per dish (phase events carry the dish index),
+ * merges overlapping ingredients and, with autoAdd, stores one combined cart
+ * plan for /cart/add/stream.
+ */
+export async function krogerMealPlanStream(req, res) {
+  const requestId = crypto.randomBytes(6).toString("hex");
+  const log = mkLogger(requestId, { route: "krogerMealPlanStream", userId: req.user?._id || null, ip: req.ip });
+
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.flushHeaders?.();
+
+  const dishes = parseDishList(req.query);
+  const zip = req.query.zip || undefined;
+  const budget = req.query.budget === "1" || req.query.budget === "true";
+  const autoAdd = req.query.autoAdd === "1" || req.query.autoAdd === "true";
+  const fridgeSid = String(req.query.fridgeSid || "").trim() || null;
+  const { servings, meals } = normalizeServings(req.query);
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const onDebug = (obj) => {
+    if (!DEBUG) return;
+    send("debug", { requestId, ...obj });
+  };
+
+  log.info("SSE meal plan request", {
+    dishes,
+    zip,
+    budget,
+    autoAdd,
+    fridgeSid,
+    servings,
+    meals,
+    userId: req.user?._id || null,
+  });
+
+  if (!dishes.length) {
+    send("done", { error: "no_dishes", requestId });
+    return res.end();
+  }
+
+  try {
+    send("mealplan_start", { dishes, total: dishes.length });
+
+    const dishResults = [];
+    const failed = [];
+
+    for (let index = 0; index < dishes.length; index++) {
+      const query = dishes[index];
+      const onPhase = (phase) => {
+        send("phase", { phase, dish: query, index, total: dishes.length });
+        log.info("SSE meal plan phase", { phase, dish: query, index });
+      };
+
+      try {
+        const payload = await searchDishForStream({
+          query,
+          zip,
+          user: req.user,
+          budget,
+          servings,
+          meals,
+          onPhase,
+          onDebug,
+          log,
+        });
+        dishResults.push({ query, payload });
+
+        send("dish_done", {
+          index,
+          total: dishes.length,
+          query,
+          dishName: payload.dishName || null,
+          ingredients: payload.ingredients || [],
+          matched: Object.fromEntries(
+            Object.values(payload.byRetailer || {}).map((r) => [r.id, r.matched?.length || 0])
+          ),
+        });
+      } catch (e) {
+        log.error("Meal plan dish failed", { dish: query, err: e?.response?.data || e?.message || e });
+        failed.push(query);
+        send("dish_error", { index, total: dishes.length, query, error: "Search failed" });
+      }
+    }
+
+    send("phase", { phase: "consolidating", total: dishes.length });
+
+    const plan = consolidateMealPlan(dishResults, { sizeTextsFor: retailerSizeTexts });
+
+    log.info("Meal plan consolidated", {
+      dishes: plan.dishes.map((d) => d.dishName),
+      failed,
+      ingredients: plan.ingredients.length,
+      shared: plan.shoppingList.filter((l) => l.dishes.length > 1).map((l) => l.ingredient),
+      cartPlanCount: plan.cartPlan.length,
+      estimatedTotal: plan.cartEstimate.total,
+    });
+
+    let cartSessionId = null;
+
+    if (autoAdd && req.user?._id && plan.cartPlan.length) {
+      await clearCartSnapshotForUser(req.user._id);
+      cartSessionId = await storeCartPlan({
+        items: plan.cartPlan,
+        fridgeSid,
+        servings,
+        meals,
+        dishes: plan.dishes.map((d) => d.dishName),
+        returnTo: req.get("referer") || "/",
+      });
+      log.info("Meal plan cartplan stored", { cartSessionId, planCount: plan.cartPlan.length });
+    }
+
+    send("done", {
+      mealPlan: true,
+      budgetSearch: budget,
+      servings,
+      meals,
+      ...plan,
+      ...legacyRetailerFields(plan.byRetailer),
+      failedDishes: failed,
+      autoAdd: Boolean(autoAdd && cartSessionId),
+      cartSessionId,
+      ...(autoAdd && !req.user?._id ? { error: "Login required for auto-add." } : {}),
+    });
+
+    return res.end();
+  } catch (e) {
+    log.error("SSE meal plan failed", { err: e?.response?.data || e?.message || e });
+    send("done", { error: "Meal plan failed", requestId });
+    return res.end();
+  }
+}
+
 /**
  * SSE cart add stream:
  * Filters plan using fridgeSid (if present).
  */
 export async function krogerCartAddStream(req, res) {
   const requestId = crypto.randomBytes(6).toString("hex");
-  const log = mkLogger(requestId, { route: "krogerCartAddStream" });
+  const log = mkLogger(requestId, { route: "krogerCartAddStream", userId: req.user?._id || null, ip: req.ip });
 
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
@@ -2080,47 +1853,25 @@ export async function krogerCartAddStream(req, res) {
 
 export async function krogerTestEval(req, res) {
   const requestId = crypto.randomBytes(6).toString("hex");
-  const log = mkLogger(requestId, { route: "krogerTestEval" });
+  const log = mkLogger(requestId, { route: "krogerTestEval", userId: req.user?._id || null, ip: req.ip });
 
   try {
     const src = req.method === "GET" ? req.query : req.body || {};
     const query = String(src.query || "").trim();
     const zip = src.zip ? String(src.zip).trim() : undefined;
+    const { servings, meals } = normalizeServings(src);
 
     if (!query) {
       return res.status(400).json({ error: "query is required" });
     }
 
-    const krogerResult = await runKrogerSearchPipeline({
+    const payload = await searchDishForStream({
       query,
       zip,
       user: req.user,
-      passCount: 20,
-      chooseMax: 2,
-      onPhase: null,
-      onDebug: null,
-      log,
-    });
-
-    const krogerMatchedSet = new Set(krogerResult?.matchedInKroger || []);
-    const unmatchedIngredients = (krogerResult?.ingredients || []).filter((ing) => !krogerMatchedSet.has(ing));
-    const fromWarnings = extractUnmatchedTerms(krogerResult?.warnings || []);
-    const walmartTerms = fromWarnings.length ? fromWarnings : unmatchedIngredients.slice(0, 6);
-
-    log?.info("Test eval walmart terms", {
-      unmatchedIngredients,
-      fromWarnings,
-      walmartTerms,
-    });
-
-    const walmartResult = await runWalmartMatchByIndexDetailed(walmartTerms, {
-      passCount: 20,
-      chooseMax: 2,
-      log,
-    });
-
-    const payload = buildFinalPayload(krogerResult, walmartResult, {
-      budgetSearch: false,
+      budget: false,
+      servings,
+      meals,
       log,
     });
 
@@ -1,193 +1,156 @@
 // controllers/KrogerOAuthController.js
-import crypto from 'crypto';
-import axios from 'axios';
+// Kroger account linking (login/callback, status, disconnect) and the manual
+// cart endpoints. Token handling lives in config/krogerAuth.js.
 import mongoose from 'mongoose';
 import User from '../models/User.js';
+import Kroger from '../config/kroger.js';
+import {
+  buildAuthorizeUrl,
+  consumeOAuthState,
+  saveCartIntent,
+  consumeCartIntent,
+  safeReturnTo,
+  storeUserTokens,
+  getValidUserToken,
+  disconnectUser,
+  connectionStatus,
+} from '../config/krogerAuth.js';
+
+function withParam(url, key, value) {
+  return `${url}${url.includes('?') ? '&' : '?'}${key}=${encodeURIComponent(value)}`;
+}
 
-const BASE = process.env.KROGER_BASE_URL || 'https://api.kroger.com/v1';
-const ID = process.env.KROGER_CLIENT_ID;
-const SECRET = process.env.KROGER_CLIENT_SECRET;
-const REDIRECT = process.env.KROGER_REDIRECT_URI;
-
-// Request only the scopes you actually registered
-const SCOPES = process.env.KROGER_SCOPES || 'cart.basic:write product.compact';
+/* ------------------------- OAuth: Login & Callback ------------------------- */
 
-const APP_SECRET = process.env.JWT_SECRET || process.env.APP_SECRET || 'dev-secret';
+// GET /kroger/oauth/login?ticket=...&returnTo=...&intent=...   (needs the app user, via a kroger_login ticket)
+export async function krogerLogin(req, res) {
+  if (!req.user?._id) {
+    return res.status(401).json({ error: 'Log in before connecting a Kroger account' });
+  }
 
-// ---- helpers (unchanged) ----
-function b64u(input) {
-  return Buffer.from(input).toString('base64').replace(/=/g, '').replace(/\+/g, '-').replace(/\//g, '_');
-}
-function b64uJson(obj) { return b64u(JSON.stringify(obj)); }
-function parseB64u(str) {
-  return JSON.parse(Buffer.from(str.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
-}
-function sign(stateObj) {
-  const body = b64uJson(stateObj);
-  const sig = crypto.createHmac('sha256', APP_SECRET).update(body).digest('base64url');
-  return `${body}.${sig}`;
-}
-function verify(state) {
   try {
-    if (!state || !state.includes('.')) return null;
-    const [body, sig] = state.split('.');
-    const good = crypto.createHmac('sha256', APP_SECRET).update(body).digest('base64url');
-    if (sig !== good) return null;
-    return parseB64u(body);
-  } catch { return null; }
+    const url = await buildAuthorizeUrl({
+      userId: req.user._id,
+      returnTo: req.query.returnTo || req.get('referer'),
+      // A parked cart intent; the callback only honours it for its owner.
+      intentId: req.query.intent ? String(req.query.intent) : null,
+    });
+    return res.redirect(url);
+  } catch (e) {
+    console.error('[Kroger OAuth Login] error', e.message);
+    return res.status(503).json({ error: 'Could not start Kroger login' });
+  }
 }
 
-function isTokenValid(kroger) {
-  if (!kroger?.accessToken || !kroger?.expiresAt) return false;
-  return new Date(kroger.expiresAt).getTime() - Date.now() > 60_000;
-}
+// GET /kroger/oauth/callback   (called by Kroger; the user is identified by the stored state)
+export async function krogerCallback(req, res) {
+  const { code, state, error } = req.query;
 
-async function refreshWithRefreshToken(user) {
-  if (!user?.kroger?.refreshToken) return null;
-  const form = new URLSearchParams({
-    grant_type: 'refresh_token',
-    refresh_token: user.kroger.refreshToken,
-    scope: SCOPES,
-  });
-  const auth = Buffer.from(`${ID}:${SECRET}`).toString('base64');
-  const { data } = await axios.post(`${BASE}/connect/oauth2/token`, form, {
-    headers: { 'Content-Type': 'application/x-www-form-urlencoded', Authorization: `Basic ${auth}` },
-  });
-
-  user.kroger.accessToken = data.access_token;
-  user.kroger.refreshToken = data.refresh_token || user.kroger.refreshToken;
-  user.kroger.expiresAt = new Date(Date.now() + data.expires_in * 1000);
-  await user.save();
-
-  return user.kroger.accessToken;
-}
+  let saved;
+  try {
+    saved = await consumeOAuthState(state);
+  } catch (e) {
+    console.error('[Kroger OAuth Callback] state error', e.message);
+    return res.status(500).json({ error: 'Could not complete Kroger login' });
+  }
 
-async function getValidUserToken(user) {
-  if (isTokenValid(user?.kroger)) return user.kroger.accessToken;
-  if (user?.kroger?.refreshToken) {
-    try { return await refreshWithRefreshToken(user); } catch { /* ignore */ }
+  if (!saved?.userId) {
+    return res.status(400).json({ error: 'OAuth state is invalid, expired or already used' });
+  }
+  if (!mongoose.Types.ObjectId.isValid(saved.userId)) {
+    return res.status(400).json({ error: 'Invalid user id in OAuth state' });
   }
-  return null;
-}
 
-function buildAuthorizeUrl(stateObj) {
-  const state = sign(stateObj);
-  const params = new URLSearchParams({
-    scope: SCOPES,
-    response_type: 'code',
-    client_id: ID,
-    redirect_uri: REDIRECT,
-    state,
-  });
-  return `${BASE}/connect/oauth2/authorize?${params.toString()}`;
-}
+  const returnTo = safeReturnTo(saved.returnTo);
 
-/* ------------------------- OAuth: Login & Callback ------------------------- */
+  // User declined on Kroger's consent screen
+  if (error || !code) return res.redirect(withParam(returnTo, 'kroger', 'denied'));
 
-// GET /kroger/oauth/login   (UNPROTECTED)
-export function krogerLogin(req, res) {
-  // allow calling this while authenticated OR by passing ?uid=
-  const uid = req.query.uid || (req.user && String(req.user._id));
-  const returnTo = req.query.returnTo || '/';
+  let user;
+  try {
+    user = await User.findById(saved.userId);
+    if (!user) return res.status(400).json({ error: 'User not found' });
 
-  if (!uid) {
-    return res.status(400).json({ error: 'Missing uid: provide ?uid=... or call while authenticated' });
+    const data = await Kroger.exchangeAuthorizationCode(code, { codeVerifier: saved.codeVerifier });
+    storeUserTokens(user, data);
+    user.kroger.connectedAt = new Date();
+    await user.save();
+  } catch (e) {
+    console.error('[Kroger OAuth Callback] error', e?.response?.data || e.message);
+    return res.redirect(withParam(returnTo, 'kroger', 'error'));
   }
 
-  let customState = {};
-  if (req.query.state) {
-    try {
-      customState = verify(req.query.state) || JSON.parse(req.query.state);
-    } catch { /* ignore */ }
+  // Items the user tried to add before connecting
+  try {
+    const items = saved.intentId ? await consumeCartIntent(saved.intentId, user._id) : null;
+    if (items?.length) {
+      const resp = await Kroger.cartAdd(user.kroger.accessToken, items);
+      if (resp.status < 200 || resp.status >= 300) throw new Error(`cart add failed: ${resp.status}`);
+
+      // update local snapshot so UI can show “In Cart: X”
+      user.kroger.cartSnapshot = user.kroger.cartSnapshot || new Map();
+      for (const it of items) {
+        const prev = Number(user.kroger.cartSnapshot.get(it.upc) || 0);
+        user.kroger.cartSnapshot.set(it.upc, prev + it.quantity);
+      }
+      await user.save();
+
+      return res.redirect(withParam(returnTo, 'kroger', 'added'));
+    }
+  } catch (e) {
+    console.error('[Kroger OAuth Callback] cart add error', e?.response?.data || e.message);
   }
 
-  const stateObj = { userId: uid, returnTo, t: Date.now(), ...customState };
-  return res.redirect(buildAuthorizeUrl(stateObj));
+  return res.redirect(withParam(returnTo, 'kroger', 'connected'));
 }
 
-// GET /kroger/oauth/callback   (UNPROTECTED)
-export async function krogerCallback(req, res) {
-  const { code, state } = req.query;
-  const decoded = verify(state);
+/* --------------------------- Connection lifecycle -------------------------- */
 
-  if (!decoded?.userId) {
-    return res.status(400).json({ error: 'Missing user context in OAuth state' });
-  }
-  if (!mongoose.Types.ObjectId.isValid(decoded.userId)) {
-    return res.status(400).json({ error: 'Invalid user id in OAuth state' });
+// GET /kroger/connection
+export async function getKrogerConnection(req, res) {
+  try {
+    const user = await User.findById(req.user._id);
+    return res.json(connectionStatus(user));
+  } catch (e) {
+    console.error('[Kroger connection] error', e.message);
+    return res.status(500).json({ error: 'Failed to load Kroger connection' });
   }
+}
 
-  const user = await User.findById(decoded.userId);
-  if (!user) return res.status(400).json({ error: 'User not found' });
-
-  const form = new URLSearchParams({
-    grant_type: 'authorization_code',
-    code,
-    redirect_uri: REDIRECT,
-  });
-  const auth = Buffer.from(`${ID}:${SECRET}`).toString('base64');
-
+// POST /kroger/disconnect — revoke at Kroger (best effort) and wipe local tokens
+export async function disconnectKroger(req, res) {
   try {
-    const { data } = await axios.post(`${BASE}/connect/oauth2/token`, form, {
-      headers: {
-        'Content-Type': 'application/x-www-form-urlencoded',
-        Authorization: `Basic ${auth}`,
-      },
-    });
-
-    user.kroger = user.kroger || {};
-    user.kroger.accessToken = data.access_token;
-    user.kroger.refreshToken = data.refresh_token || user.kroger.refreshToken;
-    user.kroger.expiresAt = new Date(Date.now() + data.expires_in * 1000);
-    await user.save();
+    const user = await User.findById(req.user._id);
+    if (!user) return res.status(404).json({ error: 'User not found' });
 
-    // handle "add_to_cart" intent encoded in state (optional)
-    if (decoded?.action === 'add_to_cart' && Array.isArray(decoded.items) && decoded.items.length) {
-      try {
-        await axios.put(`${BASE}/cart/add`, { items: decoded.items }, {
-          headers: { Authorization: `Bearer ${user.kroger.accessToken}` },
-        });
-
-        // update local snapshot so UI can show “In Cart: X”
-        user.kroger.cartSnapshot = user.kroger.cartSnapshot || new Map();
-        for (const it of decoded.items) {
-          const prev = Number(user.kroger.cartSnapshot.get(it.upc) || 0);
-          user.kroger.cartSnapshot.set(it.upc, prev + Number(it.quantity || 1));
-        }
-        await user.save();
-
-        const rt = decoded.returnTo || '/';
-        return res.redirect(`${rt}${rt.includes('?') ? '&' : '?'}kroger=added`);
-      } catch {
-        const rt = decoded.returnTo || '/';
-        return res.redirect(rt);
-      }
-    }
+    const wasConnected = connectionStatus(user).connected;
+    const { revoked } = await disconnectUser(user);
 
-    return res.redirect(decoded?.returnTo || '/');
+    return res.json({ ok: true, wasConnected, revoked, ...connectionStatus(user) });
   } catch (e) {
-    console.error('[Kroger OAuth Callback] error', e?.response?.data || e.message);
-    return res.status(500).json({ error: 'OAuth exchange failed' });
+    console.error('[Kroger disconnect] error', e?.response?.data || e.message);
+    return res.status(500).json({ error: 'Failed to disconnect Kroger account' });
   }
 }
 
 /* ----------------------------- Cart endpoints ----------------------------- */
 
-// controllers/KrogerOAuthController.js
-
+// POST /kroger/cart/add { items: [{ upc, quantity }] } — negative quantities remove
 export async function addToKrogerCart(req, res) {
   try {
     const user = await User.findById(req.user._id);
-    const { items } = req.body;
+    const items = Array.isArray(req.body?.items) ? req.body.items : [];
 
-    let token = await getValidUserToken(user);
+    const token = await getValidUserToken(user);
     if (!token) {
-      const loginUrl = buildAuthorizeUrl({
-        userId: String(user._id),
-        action: 'add_to_cart',
-        items,
-        returnTo: req.get('referer') || req.query.returnTo || '/',
-        t: Date.now(),
+      const intentId = await saveCartIntent(
+        user._id,
+        items.filter((it) => Number(it?.quantity ?? 1) > 0)
+      );
+      const loginUrl = await buildAuthorizeUrl({
+        userId: user._id,
+        returnTo: req.get('referer') || req.query.returnTo,
+        intentId,
       });
       return res.status(401).json({ needKrogerAuth: true, loginUrl });
     }
@@ -200,7 +163,7 @@ export async function addToKrogerCart(req, res) {
     const toAdd = [];
 
     // Partition work: positives -> add, negatives -> remove then add desired
-    for (const it of items || []) {
+    for (const it of items) {
       const upc = String(it.upc);
       const delta = Number(it.quantity ?? 1);
 
@@ -220,15 +183,15 @@ export async function addToKrogerCart(req, res) {
       }
     }
 
-    const headers = { Authorization: `Bearer ${token}` };
-
     // Order matters: remove first, then add
     if (toRemove.length) {
-      await axios.put(`${BASE}/cart/remove`, { items: toRemove }, { headers });
+      const resp = await Kroger.cartRemove(token, toRemove);
+      if (resp.status < 200 || resp.status >= 300) throw new Error(`cart remove failed: ${resp.status}`);
     }
     let data = null;
     if (toAdd.length) {
-      const resp = await axios.put(`${BASE}/cart/add`, { items: toAdd }, { headers });
+      const resp = await Kroger.cartAdd(token, toAdd);
+      if (resp.status < 200 || resp.status >= 300) throw new Error(`cart add failed: ${resp.status}`);
       data = resp.data;
     }
 
@@ -241,14 +204,19 @@ export async function addToKrogerCart(req, res) {
 }
 
 export async function getKrogerCartSnapshot(req, res) {
-  const user = await User.findById(req.user._id);
-  const m = user?.kroger?.cartSnapshot || new Map();
-
-  const obj = {};
-  if (m instanceof Map) {
-    for (const [k, v] of m.entries()) obj[String(k)] = Number(v);
-  } else {
-    for (const [k, v] of Object.entries(m)) obj[String(k)] = Number(v);
+  try {
+    const user = await User.findById(req.user._id);
+    const m = user?.kroger?.cartSnapshot || new Map();
+
+    const obj = {};
+    if (m instanceof Map) {
+      for (const [k, v] of m.entries()) obj[String(k)] = Number(v);
+    } else {
+      for (const [k, v] of Object.entries(m)) obj[String(k)] = Number(v);
+    }
+    return res.json({ items: obj });
+  } catch (e) {
+    console.error('[Kroger cart snapshot] error', e.message);
+    return res.status(500).json({ error: 'Failed to load Kroger cart' });
   }
-  return res.json({ items: obj });
 }
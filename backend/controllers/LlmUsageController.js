@@ -0,0 +1,173 @@
+// backend/controllers/LlmUsageController.js
+// Admin reports on LLM spend (from the LlmUsage records written by
+// config/llmMeter.js) and per-user quota settings.
+import mongoose from "mongoose";
+import LlmUsage from "../models/LlmUsage.js";
+import User from "../models/User.js";
+import { getSpend, spendSubject } from "../config/llmMeter.js";
+import { PLANS, quotaFor } from "./llmUsage.js";
+import { recordAudit } from "./AuditController.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round6 = (n) => Math.round(Number(n || 0) * 1e6) / 1e6;
+
+// Sums shared by every grouping.
+const SUMS = {
+  calls: { $sum: { $cond: [{ $eq: ["$cache", "hit"] }, 0, 1] } },
+  cacheHits: { $sum: { $cond: [{ $eq: ["$cache", "hit"] }, 1, 0] } },
+  cacheMisses: { $sum: { $cond: [{ $eq: ["$cache", "miss"] }, 1, 0] } },
+  errors: { $sum: { $cond: ["$ok", 0, 1] } },
+  inputTokens: { $sum: "$inputTokens" },
+  cachedInputTokens: { $sum: "$cachedInputTokens" },
+  outputTokens: { $sum: "$outputTokens" },
+  costUsd: { $sum: "$costUsd" },
+  unpriced: { $sum: { $cond: ["$priced", 0, 1] } },
+  latencyMs: { $sum: { $cond: [{ $eq: ["$cache", "hit"] }, 0, "$latencyMs"] } },
+};
+
+const EMPTY_SUMS = Object.fromEntries(Object.keys(SUMS).map((k) => [k, 0]));
+
+function shapeRow({ _id, latencyMs, ...sums }) {
+  const cacheable = sums.cacheHits + sums.cacheMisses;
+  return {
+    ...sums,
+    costUsd: round6(sums.costUsd),
+    avgLatencyMs: sums.calls ? Math.round(latencyMs / sums.calls) : null,
+    cacheHitRate: cacheable ? Math.round((sums.cacheHits / cacheable) * 1000) / 1000 : null,
+  };
+}
+
+function parseRange(query) {
+  const to = query.to ? new Date(query.to) : new Date();
+  const from = query.from ? new Date(query.from) : new Date(to.getTime() - 30 * DAY_MS);
+  if (Number.isNaN(to.getTime()) || Number.isNaN(from.getTime()) || from > to) return null;
+  return { from, to };
+}
+
+/* ============================ HTTP Controllers ============================ */
+
+// GET /admin/llm-usage?from=<ISO>&to=<ISO>&limit=20
+// Spend by route (and the tags under it), by user and by model; default range is the last 30 days.
+export async function getLlmUsageReport(req, res) {
+  try {
+    const range = parseRange(req.query);
+    if (!range) return res.status(400).json({ error: "from/to must be ISO dates with from <= to" });
+    const limit = Math.min(200, Math.max(1, Number(req.query.limit) || 20));
+    const match = { createdAt: { $gte: range.from, $lte: range.to } };
+
+    const [totals, byRoute, byTag, byUser, byModel] = await Promise.all([
+      LlmUsage.aggregate([{ $match: match }, { $group: { _id: null, ...SUMS } }]),
+      LlmUsage.aggregate([{ $match: match }, { $group: { _id: "$route", ...SUMS } }, { $sort: { costUsd: -1 } }]),
+      LlmUsage.aggregate([
+        { $match: match },
+        { $group: { _id: { route: "$route", tag: "$tag" }, ...SUMS } },
+        { $sort: { costUsd: -1 } },
+      ]),
+      LlmUsage.aggregate([
+        { $match: { ...match, userId: { $ne: null } } },
+        { $group: { _id: "$userId", ...SUMS } },
+        { $sort: { costUsd: -1 } },
+        { $limit: limit },
+      ]),
+      LlmUsage.aggregate([
+        { $match: { ...match, cache: { $ne: "hit" } } },
+        { $group: { _id: "$model", ...SUMS } },
+        { $sort: { costUsd: -1 } },
+      ]),
+    ]);
+
+    const users = await User.find({ _id: { $in: byUser.map((u) => u._id) } })
+      .select("username email plan llmQuota")
+      .lean();
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+
+    const tagsByRoute = {};
+    for (const row of byTag) {
+      const route = row._id.route || "";
+      (tagsByRoute[route] ||= []).push({ tag: row._id.tag, ...shapeRow(row) });
+    }
+
+    return res.json({
+      from: range.from,
+      to: range.to,
+      totals: shapeRow(totals[0] || EMPTY_SUMS),
+      byRoute: byRoute.map((row) => ({ route: row._id || "", ...shapeRow(row), tags: tagsByRoute[row._id || ""] || [] })),
+      byUser: byUser.map((row) => {
+        const user = userById.get(String(row._id));
+        return {
+          userId: row._id,
+          username: user?.username || "",
+          email: user?.email || "",
+          plan: user ? quotaFor(user).plan : null,
+          ...shapeRow(row),
+        };
+      }),
+      byModel: byModel.map((row) => ({ model: row._id || "", ...shapeRow(row) })),
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load LLM usage" });
+  }
+}
+
+// GET /admin/users/:id/llm-quota - the quota in force and today's / this month's spend
+export async function getUserLlmQuota(req, res) {
+  try {
+    const { id } = req.params;
+    const user = mongoose.isValidObjectId(id) ? await User.findById(id).select("email plan llmQuota") : null;
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const spent = await getSpend(spendSubject({ userId: user._id }));
+    return res.json({ userId: user._id, email: user.email, quota: quotaFor(user), spent });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load quota" });
+  }
+}
+
+// PUT /admin/users/:id/llm-quota { plan?, dailyUsd?, monthlyUsd? } - null clears an override
+export async function setUserLlmQuota(req, res) {
+  try {
+    const { id } = req.params;
+    const body = req.body || {};
+    if (body.plan !== undefined && !PLANS.includes(body.plan)) {
+      return res.status(400).json({ error: `plan must be one of ${PLANS.join(", ")}` });
+    }
+    for (const field of ["dailyUsd", "monthlyUsd"]) {
+      const v = body[field];
+      if (v !== undefined && v !== null && !(Number.isFinite(Number(v)) && Number(v) >= 0)) {
+        return res.status(400).json({ error: `${field} must be a non-negative number or null` });
+      }
+    }
+
+    const user = mongoose.isValidObjectId(id) ? await User.findById(id) : null;
+    if (!user) return res.status(404).json({ error: "User not found" });
+
+    const snapshot = () => ({
+      _id: user._id,
+      email: user.email,
+      plan: user.plan,
+      llmQuota: { dailyUsd: user.llmQuota?.dailyUsd ?? null, monthlyUsd: user.llmQuota?.monthlyUsd ?? null },
+    });
+    const before = snapshot();
+
+    if (body.plan !== undefined) user.plan = body.plan;
+    for (const field of ["dailyUsd", "monthlyUsd"]) {
+      if (body[field] !== undefined) user.set(`llmQuota.${field}`, body[field] === null ? null : Number(body[field]));
+    }
+    await user.save();
+
+    await recordAudit(req, {
+      action: "user.llm_quota",
+      entityType: "User",
+      entityId: user._id,
+      before,
+      after: snapshot(),
+    });
+    return res.json({ userId: user._id, email: user.email, quota: quotaFor(user) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to update quota" });
+  }
+}
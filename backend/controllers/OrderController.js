@@ -0,0 +1,331 @@
+// backend/controllers/OrderController.js
+// Checkout and the order lifecycle. Quotes and orders are priced here from
+// catalog prices (orderPricing.js); the total the client shows is only
+// compared against ours, never stored. Status changes follow the graph in
+// orderStatus.js and are kept in each order's statusHistory. Payment is taken
+// through PaymentController.js; its webhooks are what mark an order paid.
+import crypto from "crypto";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import Product from "../models/Product.js";
+import Order from "../models/Order.js";
+import { withTransaction } from "../config/db.js";
+import { pricingRules, normalizeCart, priceOrder, totalMismatch } from "./orderPricing.js";
+import {
+  ORDER_STATUSES,
+  statusOf,
+  transitionProblem,
+  historyEntry,
+  timeline,
+} from "./orderStatus.js";
+import { recordAudit } from "./AuditController.js";
+import { startPayment, refundOrderPayment } from "./PaymentController.js";
+import {
+  inventoryFor,
+  heldBy,
+  releaseExpiredReservations,
+  commitOrderStock,
+  restoreOrderStock,
+} from "./InventoryController.js";
+import { stockProblems } from "./inventory.js";
+
+/* ============================== Pricing ============================== */
+
+// Price a { productId: quantity } cart; `problems` lists whatever blocks ordering it,
+// including lines asking for more than is in stock (the user's own holds count as theirs).
+async function quoteCart(cart, { promoCode = "", session = null, userId = null } = {}) {
+  const { lines, problems } = normalizeCart(cart);
+  const productIds = lines.map((l) => l.productId);
+  const docs = lines.length
+    ? await Product.find({ _id: { $in: productIds } })
+        .session(session)
+        .lean()
+    : [];
+  const products = Object.fromEntries(docs.map((p) => [String(p._id), p]));
+  const quote = priceOrder({ lines, products, rules: pricingRules(), promoCode });
+
+  const titles = Object.fromEntries(docs.map((p) => [String(p._id), p.title]));
+  const stock = stockProblems(lines, {
+    items: await inventoryFor(productIds, { session }),
+    held: await heldBy(userId, { session }),
+    titles,
+  });
+  quote.problems = [...problems, ...quote.problems, ...stock];
+  return quote;
+}
+
+/* ============================== Idempotency ============================== */
+
+const IDEMPOTENCY_KEY_MAX = 255;
+
+// Hash of what a placeOrder request asks for; a reused key must ask for the same thing.
+function requestFingerprint({ cart, total, promoCode }) {
+  const lines = normalizeCart(cart).lines.map((l) => [String(l.productId), l.quantity]);
+  lines.sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const payload = JSON.stringify({ lines, total: Number(total) || 0, promoCode: String(promoCode || "").trim().toUpperCase() });
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
+
+/* ============================== Lifecycle ============================== */
+
+const customerActor = (req) => ({ kind: "customer", userId: req.user._id });
+const staffActor = (req) => ({ kind: "staff", userId: req.user._id, label: req.user.role || "" });
+
+/**
+ * Move `order` to `to` if `actor` may. The update only applies while the
+ * order still has the status it was read with, so two concurrent changes
+ * can't both win. Resolves to { order } or { error, status } (HTTP status).
+ * Payments (system actor) use this too.
+ */
+export async function transitionOrder(order, to, actor, { note = "" } = {}) {
+  const problem = transitionProblem(order, to, actor);
+  if (problem) return { error: problem, status: 409 };
+
+  // Orders from before history was kept get their starting point recorded first.
+  const entries = order.statusHistory?.length ? [] : timeline(order);
+  entries.push(historyEntry(to, actor, { note }));
+
+  const updated = await Order.findOneAndUpdate(
+    { _id: order._id, status: order.status || null },
+    { $set: { status: to }, $push: { statusHistory: { $each: entries } } },
+    { new: true }
+  );
+  if (!updated) return { error: "The order was updated meanwhile. Please reload it and try again.", status: 409 };
+
+  // Cancelled before it left the store: its items go back on the shelf.
+  if (to === "cancelled") {
+    await restoreOrderStock(updated, actor).catch((err) => console.error(`Restocking order ${order._id} failed:`, err));
+  }
+  return { order: updated };
+}
+
+const findOrder = (id, filter = {}) =>
+  mongoose.isValidObjectId(id) ? Order.findOne({ _id: id, ...filter }) : Promise.resolve(null);
+
+// Thrown inside the transaction to abort it with a response for the client.
+const rejection = (status, body) => Object.assign(new Error(body.error), { rejection: { status, body } });
+
+/* ============================== Handlers ============================== */
+
+// POST /auth/order/quote { cart, promoCode? } -> the breakdown placeOrder will charge
+export const quoteOrder = async (req, res) => {
+  try {
+    const quote = await quoteCart(req.body?.cart, { promoCode: req.body?.promoCode, userId: req.user._id });
+    res.status(200).json({ quote });
+  } catch (err) {
+    console.error("Error pricing cart:", err);
+    res.status(500).json({ error: "Failed to price cart" });
+  }
+};
+
+// POST /auth/placeOrder { cart, total, promoCode? }   Idempotency-Key: <uuid>
+// `total` is what the customer confirmed; 409 with a fresh quote when prices moved.
+// The order starts pending with a payment intent; a retry with the same
+// Idempotency-Key gets the same order and intent back instead of a second charge.
+export const placeOrder = async (req, res) => {
+  const { cart, total, promoCode } = req.body || {};
+  const userId = req.user._id;
+  const idempotencyKey = req.get("Idempotency-Key") || null;
+  if (idempotencyKey && idempotencyKey.length > IDEMPOTENCY_KEY_MAX) {
+    return res.status(400).json({ error: `Idempotency-Key must be at most ${IDEMPOTENCY_KEY_MAX} characters` });
+  }
+  const fingerprint = idempotencyKey ? requestFingerprint({ cart, total, promoCode }) : undefined;
+
+  // The order an earlier attempt with this key created, or a 422 when the key was used for something else.
+  const replay = async () => {
+    const existing = await Order.findOne({ userId, idempotencyKey });
+    if (!existing) return null;
+    if (existing.idempotencyFingerprint !== fingerprint) {
+      throw rejection(422, { error: "This Idempotency-Key was already used for a different order." });
+    }
+    return existing;
+  };
+
+  const respond = async (order, status) => {
+    if (statusOf(order) !== "pending") return res.status(200).json({ message: "Order already placed", order, payment: null });
+    try {
+      const payment = await startPayment(order);
+      res.status(status).json({ message: "Order placed successfully", order, payment });
+    } catch (err) {
+      console.error("Error starting payment:", err);
+      res.status(502).json({ error: "Your order was saved but payment could not be started. Please try again.", order });
+    }
+  };
+
+  try {
+    if (idempotencyKey) {
+      const existing = await replay();
+      if (existing) return respond(existing, 200);
+    }
+
+    await releaseExpiredReservations({ userId });
+    const orderId = new mongoose.Types.ObjectId();
+
+    const order = await withTransaction(async (session) => {
+      const quote = await quoteCart(cart, { promoCode, session, userId });
+      if (quote.problems.length) {
+        throw rejection(400, { error: quote.problems[0], problems: quote.problems, quote });
+      }
+      if (totalMismatch(total, quote)) {
+        throw rejection(409, { error: "Your order total has changed. Please review it and try again.", quote });
+      }
+
+      const titles = Object.fromEntries(quote.items.map((i) => [String(i.productId), i.title]));
+      const soldOut = await commitOrderStock(userId, normalizeCart(cart).lines, { orderId, session, titles });
+      if (soldOut.length) throw rejection(409, { error: soldOut[0], problems: soldOut, quote });
+
+      const [created] = await Order.create(
+        [
+          {
+            _id: orderId,
+            userId,
+            items: quote.items.map(({ category, ...item }) => item),
+            currency: quote.currency,
+            subtotal: quote.subtotal,
+            fees: quote.fees,
+            discounts: quote.discounts,
+            tax: quote.tax,
+            promoCode: quote.promoCode,
+            total: quote.total,
+            status: "pending",
+            statusHistory: [historyEntry("pending", customerActor(req), { note: "Order placed" })],
+            idempotencyKey: idempotencyKey || undefined,
+            idempotencyFingerprint: fingerprint,
+          },
+        ],
+        { session }
+      );
+      await User.updateOne({ _id: userId }, { $set: { cart: {} } }, { session });
+      return created;
+    });
+
+    await respond(order, 201);
+  } catch (err) {
+    if (err.rejection) return res.status(err.rejection.status).json(err.rejection.body);
+    // A concurrent retry with the same key won the insert: answer with its order.
+    if (err?.code === 11000 && idempotencyKey) {
+      try {
+        const existing = await replay();
+        if (existing) return respond(existing, 200);
+      } catch (replayErr) {
+        if (replayErr.rejection) return res.status(replayErr.rejection.status).json(replayErr.rejection.body);
+      }
+    }
+    console.error("Error placing order:", err);
+    res.status(500).json({ error: "Failed to place order" });
+  }
+};
+
+// POST /auth/orders/:id/cancel { reason? } - the customer's own order, before picking starts
+export const cancelOrder = async (req, res) => {
+  try {
+    const order = await findOrder(req.params.id, { userId: req.user._id });
+    if (!order) return res.status(404).json({ error: "Order not found" });
+
+    const result = await transitionOrder(order, "cancelled", customerActor(req), { note: req.body?.reason });
+    if (result.error) return res.status(result.status).json({ error: result.error, status: statusOf(order) });
+
+    // Money already taken goes back; the refund webhook moves the order on to refunded.
+    if (order.payment?.status === "succeeded") {
+      try {
+        await refundOrderPayment(result.order);
+      } catch (err) {
+        console.error(`Refund for cancelled order ${order._id} failed:`, err);
+      }
+    }
+    res.status(200).json({ order: (await Order.findById(order._id)) || result.order });
+  } catch (err) {
+    console.error("Error cancelling order:", err);
+    res.status(500).json({ error: "Failed to cancel order" });
+  }
+};
+
+/* ============================== Admin ============================== */
+
+// GET /admin/orders?status=&userId=&limit= - newest first
+export const listOrders = async (req, res) => {
+  try {
+    const filter = {};
+    const { status, userId } = req.query;
+    if (status) {
+      if (!ORDER_STATUSES.includes(status)) return res.status(400).json({ error: `Unknown status "${status}"` });
+      filter.status = status;
+    }
+    if (userId) {
+      if (!mongoose.isValidObjectId(userId)) return res.status(400).json({ error: "Invalid userId" });
+      filter.userId = userId;
+    }
+    const limit = Math.min(Math.max(Number(req.query.limit) || 50, 1), 200);
+    const orders = await Order.find(filter).sort({ date: -1 }).limit(limit).lean();
+    res.status(200).json({ orders: orders.map((o) => ({ ...o, status: statusOf(o) })) });
+  } catch (err) {
+    console.error("Error listing orders:", err);
+    res.status(500).json({ error: "Failed to list orders" });
+  }
+};
+
+async function staffTransition(req, res, to) {
+  const order = await findOrder(req.params.id);
+  if (!order) return res.status(404).json({ error: "Order not found" });
+
+  const before = { status: statusOf(order) };
+  const actor = staffActor(req);
+  const problem = transitionProblem(order, to, actor);
+  if (problem) return res.status(409).json({ error: problem, status: before.status });
+
+  // Paid through a provider: the refund webhook moves the order once the money is back.
+  if (to === "refunded" && order.payment?.intentId) {
+    let refund;
+    try {
+      refund = await refundOrderPayment(order, actor);
+    } catch (err) {
+      console.error(`Refund for order ${order._id} failed:`, err);
+      return res.status(502).json({ error: "The payment provider could not refund this order.", status: before.status });
+    }
+    const updated = await Order.findById(order._id);
+    await recordAudit(req, {
+      action: "order.refund",
+      entityType: "order",
+      entityId: order._id,
+      before,
+      after: { status: statusOf(updated), refundId: refund?.id || null },
+    });
+    return res.status(statusOf(updated) === "refunded" ? 200 : 202).json({ order: updated, refund });
+  }
+
+  const result = await transitionOrder(order, to, actor, { note: req.body?.note });
+  if (result.error) return res.status(result.status).json({ error: result.error, status: before.status });
+
+  await recordAudit(req, {
+    action: to === "refunded" ? "order.refund" : "order.status",
+    entityType: "order",
+    entityId: order._id,
+    before,
+    after: { status: to },
+  });
+  res.status(200).json({ order: result.order });
+}
+
+// PUT /admin/orders/:id/status { status, note? }
+export const setOrderStatus = async (req, res) => {
+  try {
+    const status = req.body?.status;
+    if (!ORDER_STATUSES.includes(status)) return res.status(400).json({ error: `Unknown status "${status}"` });
+    await staffTransition(req, res, status);
+  } catch (err) {
+    console.error("Error updating order status:", err);
+    res.status(500).json({ error: "Failed to update order status" });
+  }
+};
+
+// POST /admin/orders/:id/refund { note? }
+export const refundOrder = async (req, res) => {
+  try {
+    await staffTransition(req, res, "refunded");
+  } catch (err) {
+    console.error("Error refunding order:", err);
+    res.status(500).json({ error: "Failed to refund order" });
+  }
+};
+
+export default { quoteOrder, placeOrder, transitionOrder, cancelOrder, listOrders, setOrderStatus, refundOrder };
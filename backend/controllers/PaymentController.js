@@ -0,0 +1,238 @@
+// backend/controllers/PaymentController.js
+// Payments for orders through the active provider (payments/index.js).
+// Orders never move on what the browser reports: they become paid, cancelled
+// or refunded only when a webhook whose signature checks out says so.
+import Order from "../models/Order.js";
+import PaymentEvent from "../models/PaymentEvent.js";
+import { activePaymentProvider, getPaymentProvider } from "../payments/index.js";
+import { toCents, fromCents } from "./orderPricing.js";
+import { statusOf, wasPaid } from "./orderStatus.js";
+import { transitionOrder } from "./OrderController.js";
+
+const SYSTEM = { kind: "system" };
+
+/* ============================== Intents ============================== */
+
+// What the browser needs to finish paying.
+const clientPayment = (provider, intent) => ({
+  provider: provider.id,
+  intentId: intent.id,
+  clientSecret: intent.clientSecret,
+  status: intent.status,
+  amountCents: intent.amountCents,
+  currency: intent.currency,
+  sandbox: provider.capabilities.sandbox,
+});
+
+/**
+ * Create (or, on a retry, get back) the payment intent for a pending order.
+ * The provider idempotency key is derived from the order, so however often
+ * checkout is retried there is only ever one charge for it. Resolves to what
+ * the browser needs to pay, or null for a free order (marked paid right away).
+ */
+export async function startPayment(order) {
+  // Promotions can bring a total to zero; there is nothing to collect then.
+  if (toCents(order.total) <= 0) {
+    await transitionOrder(order, "paid", SYSTEM, { note: "Nothing to charge" });
+    return null;
+  }
+
+  const provider = order.payment?.provider ? getPaymentProvider(order.payment.provider) : activePaymentProvider();
+  if (!provider) throw new Error(`Payment provider "${order.payment.provider}" is not registered`);
+
+  const { intent } = await provider.createIntent({
+    amountCents: toCents(order.total),
+    currency: order.currency || "USD",
+    idempotencyKey: `order:${order._id}`,
+    metadata: { orderId: String(order._id), userId: String(order.userId) },
+  });
+
+  if (order.payment?.intentId !== intent.id) {
+    order.payment = {
+      provider: provider.id,
+      intentId: intent.id,
+      status: intent.status,
+      amount: fromCents(intent.amountCents),
+      currency: intent.currency,
+      updatedAt: new Date(),
+    };
+    await Order.updateOne({ _id: order._id }, { $set: { payment: order.payment } });
+  }
+  return clientPayment(provider, intent);
+}
+
+/**
+ * Ask the provider to refund what is left of the order's payment. The order
+ * itself moves to refunded when the refund webhook arrives; `actor` is who
+ * that history entry is attributed to.
+ */
+export async function refundOrderPayment(order, actor = SYSTEM) {
+  const provider = getPaymentProvider(order.payment?.provider);
+  if (!provider) throw new Error(`Payment provider "${order.payment?.provider}" is not registered`);
+
+  await Order.updateOne({ _id: order._id }, { $set: { "payment.refundRequestedBy": actor } });
+  const { refund, webhooks } = await provider.refund(order.payment.intentId, {
+    idempotencyKey: `refund:${order._id}`,
+  });
+  await deliverSandboxWebhooks(provider, webhooks);
+  return refund;
+}
+
+/* ============================== Webhooks ============================== */
+
+const paymentUpdate = (fields) =>
+  Object.fromEntries(Object.entries({ ...fields, updatedAt: new Date() }).map(([k, v]) => [`payment.${k}`, v]));
+
+// The event is logged either way; a move the graph refuses is recorded, not retried.
+const moved = (result, outcome) => (result.error ? `not applied: ${result.error}` : outcome);
+
+// Apply one verified event to its order; resolves to a short outcome for the event log.
+async function applyEvent(provider, event, order) {
+  if (!order) return "ignored: no order for this intent";
+
+  switch (event.type) {
+    case "payment.authorized":
+      await Order.updateOne({ _id: order._id }, { $set: paymentUpdate({ status: "requires_capture" }) });
+      return "authorized";
+
+    case "payment.succeeded": {
+      if (event.amountCents !== toCents(order.total) || event.currency !== (order.currency || "USD")) {
+        console.error(`[payments] ${provider.id} ${event.intentId}: paid ${event.amountCents} ${event.currency}, order ${order._id} is ${order.total}`);
+        return "ignored: amount mismatch";
+      }
+      await Order.updateOne({ _id: order._id }, { $set: paymentUpdate({ status: "succeeded", lastError: "" }) });
+
+      // Paid after the customer cancelled: give the money straight back.
+      if (statusOf(order) === "cancelled") {
+        await refundOrderPayment(order, SYSTEM);
+        return "refunded: order was cancelled";
+      }
+      if (statusOf(order) !== "pending") return `recorded: order is ${statusOf(order)}`;
+      const result = await transitionOrder(order, "paid", SYSTEM, { note: `Payment confirmed by ${provider.label}` });
+      return moved(result, "paid");
+    }
+
+    case "payment.failed": {
+      await Order.updateOne({ _id: order._id }, { $set: paymentUpdate({ status: "failed", lastError: event.reason || "" }) });
+      if (statusOf(order) !== "pending") return "failed";
+      const note = `Payment failed${event.reason ? ` (${event.reason.replace(/_/g, " ")})` : ""}`;
+      return moved(await transitionOrder(order, "cancelled", SYSTEM, { note }), "cancelled");
+    }
+
+    case "refund.succeeded": {
+      const refunded = fromCents(toCents(order.payment?.refundedAmount || 0) + event.amountCents);
+      const full = toCents(refunded) >= toCents(order.total);
+      await Order.updateOne(
+        { _id: order._id },
+        { $set: paymentUpdate({ refundedAmount: refunded, status: full ? "refunded" : "partially_refunded" }) }
+      );
+      // A cancelled order that was never marked paid keeps its status; its payment shows the refund.
+      if (!full || statusOf(order) === "refunded" || !wasPaid(order)) return "refund recorded";
+      const actor = order.payment?.refundRequestedBy?.kind ? order.payment.refundRequestedBy : SYSTEM;
+      return moved(await transitionOrder(order, "refunded", actor, { note: `Refunded by ${provider.label}` }), "refunded");
+    }
+
+    case "refund.failed":
+      await Order.updateOne({ _id: order._id }, { $set: paymentUpdate({ lastError: event.reason || "refund_failed" }) });
+      return "refund failed";
+
+    default:
+      return `ignored: ${event.type}`;
+  }
+}
+
+/**
+ * Verify and apply one webhook delivery. Providers redeliver until they get a
+ * 2xx, so each event is applied once (PaymentEvent's unique index) and a
+ * failure releases it for the retry. Resolves to { status, body } for the reply.
+ */
+export async function processWebhook(providerId, rawBody, headers = {}) {
+  const provider = getPaymentProvider(providerId);
+  if (!provider) return { status: 404, body: { error: "Unknown payment provider" } };
+
+  let event;
+  try {
+    event = provider.verifyWebhook(rawBody, headers);
+  } catch (err) {
+    console.warn(`[payments] rejected ${provider.id} webhook: ${err.message}`);
+    return { status: 400, body: { error: "Invalid webhook" } };
+  }
+
+  let record;
+  try {
+    record = await PaymentEvent.create({ provider: provider.id, eventId: event.id, type: event.type, intentId: event.intentId || "" });
+  } catch (err) {
+    if (err?.code === 11000) return { status: 200, body: { received: true, duplicate: true } };
+    throw err;
+  }
+
+  try {
+    const order = event.intentId
+      ? await Order.findOne({ "payment.provider": provider.id, "payment.intentId": event.intentId })
+      : null;
+    const outcome = await applyEvent(provider, event, order);
+    await PaymentEvent.updateOne({ _id: record._id }, { $set: { orderId: order?._id || null, outcome } });
+    return { status: 200, body: { received: true, outcome } };
+  } catch (err) {
+    await PaymentEvent.deleteOne({ _id: record._id }).catch(() => {});
+    throw err;
+  }
+}
+
+// Sandbox providers hand their webhooks back instead of sending them; post them here.
+export async function deliverSandboxWebhooks(provider, webhooks = []) {
+  for (const { rawBody, headers } of webhooks) {
+    const { status, body } = await processWebhook(provider.id, rawBody, headers);
+    if (status !== 200) throw new Error(`Sandbox webhook was not accepted: ${body.error}`);
+  }
+}
+
+/* ============================== Handlers ============================== */
+
+// POST /payments/webhook/:provider  (raw body; the signature covers the exact bytes)
+export const paymentWebhook = async (req, res) => {
+  try {
+    const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from("");
+    const { status, body } = await processWebhook(req.params.provider, rawBody, req.headers);
+    res.status(status).json(body);
+  } catch (err) {
+    console.error("Error handling payment webhook:", err);
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+};
+
+// POST /payments/sandbox/intents/:id/confirm { clientSecret, paymentMethod? }
+// Stands in for a provider's hosted payment page; sandbox providers only.
+export const confirmSandboxPayment = async (req, res) => {
+  try {
+    const order = await Order.findOne({ "payment.intentId": String(req.params.id), userId: req.user._id });
+    if (!order) return res.status(404).json({ error: "Payment not found" });
+
+    const provider = getPaymentProvider(order.payment.provider);
+    if (!provider?.capabilities.sandbox || typeof provider.confirmIntent !== "function") {
+      return res.status(400).json({ error: "This payment must be completed with the payment provider" });
+    }
+
+    const { intent, webhooks } = await provider.confirmIntent(order.payment.intentId, {
+      clientSecret: req.body?.clientSecret,
+      paymentMethod: req.body?.paymentMethod,
+    });
+    await deliverSandboxWebhooks(provider, webhooks);
+
+    const updated = await Order.findById(order._id);
+    res.status(200).json({ payment: clientPayment(provider, intent), order: updated });
+  } catch (err) {
+    if (err.code === "bad_client_secret") return res.status(403).json({ error: err.message });
+    console.error("Error confirming sandbox payment:", err);
+    res.status(500).json({ error: "Failed to confirm payment" });
+  }
+};
+
+export default {
+  startPayment,
+  refundOrderPayment,
+  processWebhook,
+  deliverSandboxWebhooks,
+  paymentWebhook,
+  confirmSandboxPayment,
+};
@@ -0,0 +1,318 @@
+// backend/controllers/PriceHistoryController.js
+// Price history: every product a search returns is recorded as a PricePoint,
+// and watchlist entries for those products are checked against the new price.
+// Recording never blocks or fails a search.
+import mongoose from "mongoose";
+import PricePoint from "../models/PricePoint.js";
+import PriceWatch from "../models/PriceWatch.js";
+import Notification from "../models/Notification.js";
+import User from "../models/User.js";
+import { deliverNotification } from "../notifications/index.js";
+import {
+  MAX_HISTORY_DAYS,
+  observationFromProduct,
+  dedupeObservations,
+  evaluateWatch,
+  sanitizeWatchInput,
+  summarizeHistory,
+  isAllowedWebhookUrl,
+} from "./priceWatch.js";
+
+/* ============================== Recording ============================== */
+const ENABLED = String(process.env.PRICE_HISTORY || "1").trim() !== "0";
+const ALLOW_HTTP_WEBHOOKS = process.env.NODE_ENV !== "production";
+const MAX_WATCHES_PER_USER = 200;
+
+// key -> { price, at }; bounded so a long-running process does not grow forever.
+const recentlySeen = new Map();
+const MAX_SEEN = 50_000;
+
+const mongoReady = () => mongoose.connection.readyState === 1;
+
+const money = (n) => `$${Number(n).toFixed(2)}`;
+
+/**
+ * Record the prices in one retailer search result (raw adapter products).
+ * Fire-and-forget: resolves to the number of points written, never rejects.
+ */
+export async function recordSearchPrices(adapter, rawList, { locationId = null, log } = {}) {
+  if (!ENABLED || !adapter || !mongoReady()) return 0;
+
+  try {
+    if (recentlySeen.size > MAX_SEEN) recentlySeen.clear();
+
+    const observedAt = new Date();
+    const observations = dedupeObservations(
+      (Array.isArray(rawList) ? rawList : []).map((raw) =>
+        observationFromProduct(adapter.id, adapter.normalize(raw, { locationId }), {
+          locationId,
+          sizeTexts: adapter.sizeTexts,
+          observedAt,
+        })
+      ),
+      recentlySeen
+    );
+    if (!observations.length) return 0;
+
+    await PricePoint.insertMany(observations, { ordered: false });
+    await checkWatches(observations, { log });
+    return observations.length;
+  } catch (e) {
+    log?.warn("Price history record failed", { retailer: adapter?.id, err: e?.message || e });
+    return 0;
+  }
+}
+
+/* ============================== Watchlist ============================== */
+function watchMatches(watch, obs) {
+  return (
+    obs.meta.retailer === watch.retailer &&
+    obs.meta.upc === watch.upc &&
+    (!watch.locationId || obs.meta.locationId === watch.locationId)
+  );
+}
+
+async function checkWatches(observations, { log } = {}) {
+  const byRetailer = {};
+  for (const obs of observations) {
+    (byRetailer[obs.meta.retailer] ||= new Set()).add(obs.meta.upc);
+  }
+
+  const watches = await PriceWatch.find({
+    active: true,
+    $or: Object.entries(byRetailer).map(([retailer, upcs]) => ({ retailer, upc: { $in: [...upcs] } })),
+  });
+
+  for (const watch of watches) {
+    // Cheapest matching store wins when the watch is not pinned to one.
+    let best = null;
+    for (const obs of observations.filter((o) => watchMatches(watch, o))) {
+      const result = evaluateWatch(watch, obs);
+      if (result.value === null) continue;
+      if (!best || result.value < best.result.value) best = { obs, result };
+    }
+    if (!best) continue;
+
+    const { obs, result } = best;
+    watch.lastPrice = obs.price;
+    watch.lastUnitPrice = obs.unitPrice;
+    watch.lastObservedAt = obs.observedAt;
+    watch.armed = result.armed;
+    if (result.fire) watch.lastAlertAt = new Date();
+    await watch.save();
+
+    if (result.fire) {
+      await sendPriceDropAlert(watch, obs, result.value).catch((e) =>
+        log?.warn("Price alert delivery failed", { watchId: String(watch._id), err: e?.message || e })
+      );
+    }
+  }
+}
+
+async function sendPriceDropAlert(watch, obs, value) {
+  const name = obs.title || watch.title || watch.upc;
+  const what =
+    watch.basis === "price"
+      ? `${money(value)} (below ${money(watch.threshold)})`
+      : `${money(value)} per ${obs.unitKind} unit (below ${money(watch.threshold)})`;
+
+  const notification = await Notification.create({
+    userId: watch.userId,
+    type: "price_drop",
+    title: `Price drop: ${name}`,
+    body: `${name} is now ${what} at ${watch.retailer}. Shelf price ${money(obs.price)}.`,
+    data: {
+      watchId: watch._id,
+      retailer: watch.retailer,
+      upc: watch.upc,
+      locationId: obs.meta.locationId,
+      price: obs.price,
+      unitPrice: obs.unitPrice,
+      unitKind: obs.unitKind,
+      threshold: watch.threshold,
+      basis: watch.basis,
+    },
+  });
+
+  const targets = [];
+  if (watch.email) targets.push({ channel: "email", user: await User.findById(watch.userId).lean() });
+  if (watch.webhookUrl) targets.push({ channel: "webhook", url: watch.webhookUrl });
+  if (!targets.length) return notification;
+
+  notification.deliveries = await deliverNotification(notification, targets);
+  await notification.save();
+  return notification;
+}
+
+/* ============================ HTTP Controllers ============================ */
+
+// GET /prices/history/:upc?retailer=kroger&locationId=...&days=90
+export async function getPriceHistory(req, res) {
+  try {
+    const upc = String(req.params.upc || "").trim();
+    const retailer = String(req.query.retailer || "kroger").trim().toLowerCase();
+    const locationId = String(req.query.locationId || "").trim();
+    const days = Math.min(MAX_HISTORY_DAYS, Math.max(1, Number(req.query.days) || 90));
+
+    const filter = {
+      "meta.upc": upc,
+      "meta.retailer": retailer,
+      observedAt: { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) },
+    };
+    if (locationId) filter["meta.locationId"] = locationId;
+
+    const docs = await PricePoint.find(filter).sort({ observedAt: 1 }).limit(5000).lean();
+    const points = docs.map((d) => ({
+      observedAt: d.observedAt,
+      locationId: d.meta?.locationId || "",
+      price: d.price,
+      unitPrice: d.unitPrice,
+      unitKind: d.unitKind,
+    }));
+
+    return res.json({
+      upc,
+      retailer,
+      locationId: locationId || null,
+      days,
+      title: docs[docs.length - 1]?.title || "",
+      size: docs[docs.length - 1]?.size || "",
+      summary: summarizeHistory(points),
+      points,
+    });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load price history" });
+  }
+}
+
+export async function listPriceWatches(req, res) {
+  try {
+    const watches = await PriceWatch.find({ userId: req.user._id }).sort({ createdAt: -1 }).lean();
+    return res.json({ watches });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load watchlist" });
+  }
+}
+
+export async function createPriceWatch(req, res) {
+  try {
+    const { value, error } = sanitizeWatchInput(req.body || {});
+    if (error) return res.status(400).json({ error });
+    if (value.webhookUrl && !isAllowedWebhookUrl(value.webhookUrl, { allowHttp: ALLOW_HTTP_WEBHOOKS })) {
+      return res.status(400).json({ error: "webhookUrl must be a public https URL" });
+    }
+
+    const count = await PriceWatch.countDocuments({ userId: req.user._id });
+    if (count >= MAX_WATCHES_PER_USER) {
+      return res.status(400).json({ error: `You can watch up to ${MAX_WATCHES_PER_USER} products` });
+    }
+
+    // Unit-price watches compare in the unit the product is sold in; take it
+    // from the latest observation when the client did not say.
+    const latest = await PricePoint.findOne({ "meta.upc": value.upc, "meta.retailer": value.retailer })
+      .sort({ observedAt: -1 })
+      .lean();
+    if (value.basis === "unit" && !value.unitKind) {
+      if (!latest?.unitKind) {
+        return res.status(400).json({ error: "No unit price known for this product; watch the shelf price instead" });
+      }
+      value.unitKind = latest.unitKind;
+    }
+    if (!value.title && latest?.title) value.title = latest.title;
+
+    const exists = await PriceWatch.findOne({
+      userId: req.user._id,
+      retailer: value.retailer,
+      upc: value.upc,
+      locationId: value.locationId || "",
+    });
+    if (exists) return res.status(409).json({ error: "Already on your watchlist", watch: exists });
+
+    const watch = await PriceWatch.create({ ...value, userId: req.user._id });
+    return res.status(201).json({ watch });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to add to watchlist" });
+  }
+}
+
+async function findOwnWatch(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "Watch not found" });
+    return null;
+  }
+  const watch = await PriceWatch.findOne({ _id: id, userId: req.user._id });
+  if (!watch) res.status(404).json({ error: "Watch not found" });
+  return watch;
+}
+
+export async function updatePriceWatch(req, res) {
+  try {
+    const watch = await findOwnWatch(req, res);
+    if (!watch) return;
+
+    const body = { ...(req.body || {}) };
+    delete body.retailer;
+    delete body.upc;
+
+    const { value, error } = sanitizeWatchInput(body, { partial: true });
+    if (error) return res.status(400).json({ error });
+    if (value.webhookUrl && !isAllowedWebhookUrl(value.webhookUrl, { allowHttp: ALLOW_HTTP_WEBHOOKS })) {
+      return res.status(400).json({ error: "webhookUrl must be a public https URL" });
+    }
+
+    watch.set(value);
+    await watch.save();
+    return res.json({ watch });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to update watch" });
+  }
+}
+
+export async function deletePriceWatch(req, res) {
+  try {
+    const watch = await findOwnWatch(req, res);
+    if (!watch) return;
+    await watch.deleteOne();
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to delete watch" });
+  }
+}
+
+// GET /notifications?unread=1
+export async function listNotifications(req, res) {
+  try {
+    const filter = { userId: req.user._id };
+    if (req.query.unread === "1" || req.query.unread === "true") filter.readAt = null;
+
+    const [notifications, unreadCount] = await Promise.all([
+      Notification.find(filter).sort({ createdAt: -1 }).limit(100).lean(),
+      Notification.countDocuments({ userId: req.user._id, readAt: null }),
+    ]);
+    return res.json({ notifications, unreadCount });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load notifications" });
+  }
+}
+
+// POST /notifications/read { ids?: string[] } - no ids marks everything read
+export async function markNotificationsRead(req, res) {
+  try {
+    const ids = (Array.isArray(req.body?.ids) ? req.body.ids : []).filter((id) => mongoose.isValidObjectId(id));
+    const filter = { userId: req.user._id, readAt: null };
+    if (ids.length) filter._id = { $in: ids };
+
+    const result = await Notification.updateMany(filter, { $set: { readAt: new Date() } });
+    return res.json({ ok: true, updated: result.modifiedCount || 0 });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to update notifications" });
+  }
+}
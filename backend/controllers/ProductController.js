@@ -1,62 +1,108 @@
 // controllers/ProductController.js
 
+import crypto from 'crypto';
+import mongoose from 'mongoose';
 import Product from '../models/Product.js';
 import s3 from '../config/s3.js';
 import User from '../models/User.js';
-import openai from '../config/openai.js';
 import queryLlamaIndex from './queryLlamaIndex.js';
+import { recordAudit } from './AuditController.js';
+import { completeJSON } from '../llm/index.js';
+import { withStock, dropProductStock } from './InventoryController.js';
+import {
+  MAX_IMAGES,
+  sanitizeProductInput,
+  activeVariants,
+  variantLabel,
+  unitPriceOf,
+  upcLookupKeys,
+  compareOffers,
+} from './catalog.js';
+import PricePoint from '../models/PricePoint.js';
+
+/* --------------------------- LLM schemas --------------------------- */
+
+const INGREDIENTS_SCHEMA = {
+  name: 'products_ingredients',
+  schema: { type: 'array', items: { type: 'string' } },
+};
 
-/* ----------------------------- helpers ----------------------------- */
-
-/**
- * Robustly parse JSON even if the model adds prose or ``` fences.
- * - Tries direct parse.
- * - Strips common code-fence wrappers.
- * - Falls back to extracting the first {...} or [...] block.
- */
-function safeJSONParse(text) {
-  if (!text) throw new Error('Empty model response');
-  const trimmed = String(text).trim();
-
-  // Remove leading/trailing code fences if present
-  let cleaned = trimmed.replace(/^```(?:json)?\s*/i, '').replace(/```$/i, '').trim();
-
-  // Try direct parse first
-  try {
-    return JSON.parse(cleaned);
-  } catch (_) {}
-
-  // Fallback: extract the first JSON-looking block
-  const start = cleaned.search(/[\[{]/);
-  const endObj = cleaned.lastIndexOf('}');
-  const endArr = cleaned.lastIndexOf(']');
-  const end = Math.max(endObj, endArr);
-  if (start >= 0 && end > start) {
-    const snippet = cleaned.slice(start, end + 1);
-    return JSON.parse(snippet);
-  }
+const MATCH_SCHEMA = {
+  name: 'products_match',
+  schema: {
+    type: 'object',
+    properties: { final_ingredients: { type: 'array', items: { type: 'string' } } },
+    required: ['final_ingredients'],
+  },
+};
 
-  // Last resort: strip all backticks and try again
-  cleaned = cleaned.replace(/```/g, '');
-  return JSON.parse(cleaned);
-}
+/* ----------------------------- helpers ------------------------------ */
+
+const imageKey = (url) => String(url || '').split('/').pop();
+const cdnUrl = (url) => (url ? `${process.env.AWS_CLOUDFRONT_URL}${imageKey(url)}` : url);
+
+// Files from upload.fields(): `image` replaces the primary image, `images` are added to the gallery.
+const uploadedImages = (req) => ({
+  primary: req.files?.image?.[0]?.location || null,
+  extra: (req.files?.images || []).map((f) => ({ url: f.location, alt: '' })),
+});
+
+// Gallery of a product saved before `images` existed.
+const galleryOf = (product) =>
+  product.images?.length ? product.images : product.imageUrl ? [{ url: product.imageUrl, alt: product.title || '' }] : [];
+
+const deleteImages = (urls) =>
+  Promise.all(
+    urls.map((url) =>
+      s3
+        .deleteObject({ Bucket: process.env.S3_BUCKET_NAME, Key: imageKey(url) })
+        .promise()
+        .catch((err) => console.error('Failed to delete image', imageKey(url), err.message))
+    )
+  );
+
+const duplicateSku = (err) => err?.code === 11000 && /sku/i.test(JSON.stringify(err.keyPattern || err.message));
+
+// What the storefront gets: CDN image URLs and unit prices for the product and each variant.
+const storefrontProduct = (product) => ({
+  ...product,
+  imageUrl: cdnUrl(product.imageUrl),
+  images: galleryOf(product).map((img) => ({ ...img, url: cdnUrl(img.url) })),
+  ...unitPriceOf(product.price, product.unitSize),
+  variants: (product.variants || []).map((v) => ({
+    ...v,
+    label: variantLabel(v),
+    imageUrl: v.imageUrl ? cdnUrl(v.imageUrl) : '',
+    ...unitPriceOf(v.price, v.unitSize),
+  })),
+});
 
 /* ---------------------------- controllers --------------------------- */
 
 const addProduct = async (req, res) => {
   try {
-    const { title, description, price, category } = req.body;
+    const { value, error } = sanitizeProductInput(req.body);
+    if (error) return res.status(400).json({ error });
 
-    if (!req.file) {
+    const { primary, extra } = uploadedImages(req);
+    if (!primary) {
       return res.status(400).json({ error: 'Image upload failed' });
     }
 
-    const imageUrl = req.file.location;
-    const product = new Product({ title, description, price, category, imageUrl });
+    const images = [{ url: primary, alt: value.title }, ...extra].slice(0, MAX_IMAGES);
+    const product = new Product({ ...value, imageUrl: primary, images });
     await product.save();
 
+    await recordAudit(req, {
+      action: 'product.create',
+      entityType: 'Product',
+      entityId: product._id,
+      after: product,
+    });
+
     res.status(201).json(product);
   } catch (err) {
+    if (duplicateSku(err)) return res.status(409).json({ error: 'That SKU is already used by another product' });
     console.error(err);
     res.status(500).json({ error: err.message });
   }
@@ -64,48 +110,79 @@ const addProduct = async (req, res) => {
 
 const getAllProducts = async (_req, res) => {
   try {
-    const products = await Product.find();
+    const products = await Product.find().lean();
 
-    const updatedProducts = products.map((product) => {
-      const imageKey = product.imageUrl.split('/').pop();
-      const cloudFrontUrl = `${process.env.AWS_CLOUDFRONT_URL}${imageKey}`;
-      return { ...product.toObject(), imageUrl: cloudFrontUrl };
-    });
-
-    res.status(200).json(updatedProducts);
+    // Each product (and variant) carries its stock badge: { tracked, inStock, lowStock, available }
+    res.status(200).json(await withStock(products.map(storefrontProduct)));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: err.message });
   }
 };
 
+// PUT /products/edit/:id - only the fields sent change. `images` (JSON list of
+// URLs) is the gallery to keep, in order; uploads replace the primary image
+// (`image`) or are added to the gallery (`images`).
 const editProduct = async (req, res) => {
   try {
-    const { title, description, price, category } = req.body;
-    const updateFields = { title, description, price, category };
-
-    if (req.file) {
-      const product = await Product.findById(req.params.id);
-      if (product) {
-        const oldImageKey = product.imageUrl.split('/').pop();
-        await s3
-          .deleteObject({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: oldImageKey,
-          })
-          .promise();
-      }
-      updateFields.imageUrl = req.file.location;
+    const { value: updateFields, error } = sanitizeProductInput(req.body, { partial: true });
+    if (error) return res.status(400).json({ error });
+
+    const product = await Product.findById(req.params.id);
+    if (!product) return res.status(404).json({ message: 'Product not found' });
+
+    const current = galleryOf(product.toObject());
+    const { primary, extra } = uploadedImages(req);
+    if (updateFields.images || primary || extra.length) {
+      // Kept images come back as CDN URLs; match them to the stored ones by key.
+      let gallery = updateFields.images
+        ? updateFields.images
+            .map((img) => {
+              const stored = current.find((c) => imageKey(c.url) === imageKey(img.url));
+              return stored && { ...stored, alt: img.alt || stored.alt };
+            })
+            .filter(Boolean)
+        : current;
+      if (primary) gallery = [{ url: primary, alt: product.title }, ...gallery.slice(1)];
+      gallery = [...gallery, ...extra].slice(0, MAX_IMAGES);
+      if (!gallery.length) return res.status(400).json({ error: 'A product needs at least one image' });
+
+      updateFields.images = gallery;
+      updateFields.imageUrl = gallery[0].url;
     }
 
+    const removedVariants = updateFields.variants
+      ? product.variants.filter((v) => !updateFields.variants.some((n) => String(n._id) === String(v._id)))
+      : [];
+
     const updatedProduct = await Product.findByIdAndUpdate(
       req.params.id,
       updateFields,
-      { new: true }
+      { new: true, runValidators: true }
     );
 
+    if (updateFields.images) {
+      const kept = new Set(updateFields.images.map((img) => imageKey(img.url)));
+      await deleteImages(current.map((img) => img.url).filter((url) => !kept.has(imageKey(url))));
+    }
+    // Carts and stock can't hold variants that no longer exist.
+    if (removedVariants.length) {
+      const keys = removedVariants.map((v) => String(v._id));
+      await User.updateMany({}, { $unset: Object.fromEntries(keys.map((k) => [`cart.${product._id}:${k}`, ''])) });
+      await dropProductStock(product._id, { variantKeys: keys });
+    }
+
+    await recordAudit(req, {
+      action: 'product.update',
+      entityType: 'Product',
+      entityId: product._id,
+      before: product,
+      after: updatedProduct,
+    });
+
     res.status(200).json(updatedProduct);
   } catch (err) {
+    if (duplicateSku(err)) return res.status(409).json({ error: 'That SKU is already used by another product' });
     console.error(err);
     res.status(500).json({ error: err.message });
   }
@@ -116,19 +193,21 @@ const deleteProduct = async (req, res) => {
     const product = await Product.findById(req.params.id);
     if (!product) return res.status(404).json({ message: 'Product not found' });
 
-    const imageKey = product.imageUrl.split('/').pop();
-
     await Product.findByIdAndDelete(req.params.id);
 
-    await s3
-      .deleteObject({
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: imageKey,
-      })
-      .promise();
+    await recordAudit(req, {
+      action: 'product.delete',
+      entityType: 'Product',
+      entityId: product._id,
+      before: product,
+    });
 
-    // Remove the deleted product from all users' carts
-    await User.updateMany({}, { $unset: { [`cart.${req.params.id}`]: '' } });
+    await deleteImages(galleryOf(product.toObject()).map((img) => img.url));
+
+    // Remove the deleted product (and its variants) from all users' carts
+    const cartKeys = [req.params.id, ...product.variants.map((v) => `${req.params.id}:${v._id}`)];
+    await User.updateMany({}, { $unset: Object.fromEntries(cartKeys.map((k) => [`cart.${k}`, ''])) });
+    await dropProductStock(product._id);
 
     res.status(200).json({ message: 'Product deleted successfully' });
   } catch (err) {
@@ -137,6 +216,45 @@ const deleteProduct = async (req, res) => {
   }
 };
 
+/**
+ * GET /products/:id/offers?days=30
+ * Our price for the product and each variant with a UPC, next to the latest
+ * price every retailer was seen at for the same barcode (PricePoint).
+ */
+const getProductOffers = async (req, res) => {
+  try {
+    const product = mongoose.isValidObjectId(req.params.id) ? await Product.findById(req.params.id).lean() : null;
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+
+    const days = Math.min(Math.max(Number(req.query.days) || 30, 1), 365);
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const sellable = activeVariants(product).length
+      ? activeVariants(product).map((v) => ({ ...v, variantKey: String(v._id), label: variantLabel(v) }))
+      : [{ variantKey: '', label: '', sku: product.sku, upc: product.upc, price: product.price, unitSize: product.unitSize }];
+
+    const comparisons = [];
+    for (const unit of sellable.filter((u) => u.upc)) {
+      const points = await PricePoint.aggregate([
+        { $match: { 'meta.upc': { $in: upcLookupKeys(unit.upc) }, observedAt: { $gte: since } } },
+        { $sort: { observedAt: -1 } },
+        { $group: { _id: '$meta.retailer', latest: { $first: '$$ROOT' } } },
+      ]);
+      comparisons.push({
+        variantKey: unit.variantKey,
+        label: unit.label,
+        sku: unit.sku || '',
+        upc: unit.upc,
+        ...compareOffers(unit, points.map((p) => p.latest)),
+      });
+    }
+
+    res.status(200).json({ productId: product._id, title: product.title, days, comparisons });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Failed to load retailer offers' });
+  }
+};
+
 /**
  * POST /products/search
  * Body: { query: string }
@@ -149,6 +267,12 @@ const deleteProduct = async (req, res) => {
  */
 const searchProducts = async (req, res) => {
   const { query } = req.body;
+  const llmContext = {
+    requestId: crypto.randomBytes(6).toString('hex'),
+    route: 'productsSearch',
+    userId: req.user?._id || null,
+    ip: req.ip,
+  };
 
   try {
     /* ---------------- LLM #1: Get ingredients (keep prompt as-is) --------------- */
@@ -184,14 +308,12 @@ const searchProducts = async (req, res) => {
       }
     ];
 
-    const response = await openai.chat.completions.create({
-      model: 'gpt-4-turbo',
+    // Throws when no answer fits the schema: a failed call is not "no matches".
+    const { data: actual_ingredients } = await completeJSON('products_ingredients', {
       messages,
-      max_tokens: 300,
-      temperature: 0.2,
+      schema: INGREDIENTS_SCHEMA,
+      context: llmContext,
     });
-
-    const actual_ingredients = safeJSONParse(response.choices[0].message.content);
     // ---- Parse both cases: single ingredient OR dish + ingredients
     let dishName = null;
     let ingredients = [];
@@ -250,21 +372,16 @@ loosely_matched_ingredients = ${JSON.stringify(loose)}`,
       },
     ];
 
-    const matchResponse = await openai.chat.completions.create({
-      model: 'gpt-4-turbo',
-      messages: matchMessages,
-      max_tokens: 400,
-      temperature: 0.1,
-    });
-
     let final_ingredients = [];
     try {
-      const parsed = safeJSONParse(matchResponse.choices[0].message.content);
-      final_ingredients = Array.isArray(parsed.final_ingredients)
-        ? parsed.final_ingredients.filter((t) => typeof t === 'string')
-        : [];
+      const { data: parsed } = await completeJSON('products_match', {
+        messages: matchMessages,
+        schema: MATCH_SCHEMA,
+        context: llmContext,
+      });
+      final_ingredients = parsed.final_ingredients;
     } catch (e) {
-      console.error('Parse error on precise match:', e.message);
+      console.error('Precise match failed:', e.message);
       // Soft fallback: if the second pass fails, return the loose list
       final_ingredients = loose;
     }
@@ -276,6 +393,11 @@ loosely_matched_ingredients = ${JSON.stringify(loose)}`,
     return res.status(200).json({ matchedProducts: final_ingredients });
   } catch (error) {
     console.error('Error querying products:', error?.response?.data || error);
+    if (String(error?.code).startsWith('llm_')) {
+      return res
+        .status(502)
+        .json({ success: false, error: 'Could not interpret the search right now. Please try again.' });
+    }
     return res
       .status(500)
       .json({ success: false, error: 'Failed to fetch search results' });
@@ -287,5 +409,6 @@ export default {
   getAllProducts,
   editProduct,
   deleteProduct,
+  getProductOffers,
   searchProducts,
 };
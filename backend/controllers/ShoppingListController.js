@@ -0,0 +1,219 @@
+// backend/controllers/ShoppingListController.js
+// Saved recipes / shopping lists: the ingredient -> product mapping from a
+// search, kept per user so it can be edited, re-priced and sent to the cart
+// again later (search results themselves only live in Redis for minutes).
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ShoppingList from "../models/ShoppingList.js";
+import { getRetailer } from "../retailers/index.js";
+import { mkLogger, addKrogerItemsToCart } from "./KrogerController.js";
+import {
+  sanitizeListFields,
+  itemsFromSearchPayload,
+  listItemKey,
+  applyFreshPrices,
+  listTotal,
+  krogerCartItems,
+} from "./shoppingListItems.js";
+
+/* ============================== Helpers ============================== */
+const MAX_LISTS_PER_USER = 200;
+
+function toClient(list) {
+  const obj = typeof list?.toObject === "function" ? list.toObject() : list;
+  return { ...obj, total: listTotal(obj?.items) };
+}
+
+async function findOwnList(req, res) {
+  const { id } = req.params;
+  if (!mongoose.isValidObjectId(id)) {
+    res.status(404).json({ error: "List not found" });
+    return null;
+  }
+  const list = await ShoppingList.findOne({ _id: id, userId: req.user._id });
+  if (!list) res.status(404).json({ error: "List not found" });
+  return list;
+}
+
+/**
+ * Current price for every saved product, looked up through the retailer
+ * adapter by the saved title (falling back to the ingredient). Returns
+ * Map<listItemKey, product|null>; retailers that fail are left out so their
+ * lines keep the saved price.
+ */
+async function lookupFreshPrices(items, { zip, user, log }) {
+  const fresh = new Map();
+  const locations = new Map();
+
+  for (const it of items) {
+    const key = listItemKey(it);
+    if (!key || fresh.has(key)) continue;
+
+    const adapter = getRetailer(it.retailer);
+    if (!adapter) continue;
+
+    try {
+      if (!locations.has(adapter.id)) {
+        const locationId = adapter.resolveLocation
+          ? await adapter.resolveLocation(zip || undefined, { user })
+          : null;
+        locations.set(adapter.id, locationId || null);
+      }
+      const locationId = locations.get(adapter.id);
+
+      const raw = await adapter.search(it.title || it.ingredient, { locationId, limit: 20 });
+      const products = (Array.isArray(raw) ? raw : []).map((r) => adapter.normalize(r, { locationId }));
+      const hit = products.find(
+        (p) => (it.upc && String(p.upc || "") === it.upc) || (it.productId && String(p._id || "") === it.productId)
+      );
+      fresh.set(key, hit || null);
+    } catch (e) {
+      log.warn("Re-price lookup failed", { retailer: it.retailer, title: it.title, err: e?.message || e });
+    }
+  }
+
+  return fresh;
+}
+
+/* ============================ HTTP Controllers ============================ */
+
+export async function listShoppingLists(req, res) {
+  try {
+    const lists = await ShoppingList.find({ userId: req.user._id }).sort({ updatedAt: -1 });
+    return res.json({ lists: lists.map(toClient) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load lists" });
+  }
+}
+
+export async function getShoppingList(req, res) {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    return res.json({ list: toClient(list) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to load list" });
+  }
+}
+
+/**
+ * Body: { name, query?, dishes?, servings?, meals?, zip?, budgetSearch?,
+ *         items? | search? }
+ * `search` is a search result ({ ingredients, ingredientAmounts, byRetailer,
+ * cartEstimate }) to save as-is; `items` are explicit lines.
+ */
+export async function createShoppingList(req, res) {
+  try {
+    const body = req.body || {};
+    const fields = sanitizeListFields(body);
+
+    if (!fields.name) fields.name = fields.query || body.search?.dishName || "";
+    if (!fields.name) return res.status(400).json({ error: "name is required" });
+    if (body.items === undefined && body.search) fields.items = itemsFromSearchPayload(body.search);
+    if (!fields.items?.length) return res.status(400).json({ error: "List has no items" });
+
+    const count = await ShoppingList.countDocuments({ userId: req.user._id });
+    if (count >= MAX_LISTS_PER_USER) {
+      return res.status(400).json({ error: `You can save up to ${MAX_LISTS_PER_USER} lists` });
+    }
+
+    const list = await ShoppingList.create({ ...fields, userId: req.user._id, pricedAt: new Date() });
+    return res.status(201).json({ list: toClient(list) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to save list" });
+  }
+}
+
+export async function updateShoppingList(req, res) {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const fields = sanitizeListFields(req.body || {});
+    if (fields.name === "") return res.status(400).json({ error: "name cannot be empty" });
+
+    list.set(fields);
+    await list.save();
+    return res.json({ list: toClient(list) });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to update list" });
+  }
+}
+
+export async function deleteShoppingList(req, res) {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+    await list.deleteOne();
+    return res.json({ ok: true });
+  } catch (e) {
+    console.error(e);
+    return res.status(500).json({ error: "Failed to delete list" });
+  }
+}
+
+// Re-price every saved product at its retailer; body.zip overrides the saved ZIP.
+export async function rerunShoppingList(req, res) {
+  const requestId = crypto.randomBytes(6).toString("hex");
+  const log = mkLogger(requestId, { route: "rerunShoppingList" });
+
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const items = list.toObject().items;
+    const previousTotal = listTotal(items);
+    const fresh = await lookupFreshPrices(items, {
+      zip: String(req.body?.zip || list.zip || "").trim(),
+      user: req.user,
+      log,
+    });
+    const { items: repriced, changes } = applyFreshPrices(items, fresh);
+
+    list.items = repriced;
+    list.pricedAt = new Date();
+    await list.save();
+
+    log.info("List re-priced", { listId: String(list._id), looked: fresh.size, changes: changes.length });
+
+    return res.json({ list: toClient(list), previousTotal, changes });
+  } catch (e) {
+    log.error("List re-price failed", { err: e?.response?.data || e?.message || e });
+    return res.status(500).json({ error: "Failed to re-price list" });
+  }
+}
+
+// Push the list's Kroger lines to the user's Kroger cart (same flow as auto-add).
+export async function addShoppingListToCart(req, res) {
+  const requestId = crypto.randomBytes(6).toString("hex");
+  const log = mkLogger(requestId, { route: "addShoppingListToCart" });
+
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const itemsToAdd = krogerCartItems(list.items);
+    if (!itemsToAdd.length) return res.status(400).json({ error: "No Kroger items to add" });
+
+    const result = await addKrogerItemsToCart({
+      user: req.user,
+      itemsToAdd,
+      returnTo: req.get("referer") || "/",
+      log,
+    });
+
+    if (result?.needKrogerAuth) {
+      return res.status(401).json({ needKrogerAuth: true, loginUrl: result.loginUrl });
+    }
+    if (!result?.ok) return res.status(400).json({ error: result?.error || "cart_add_failed" });
+
+    return res.json({ ok: true, addedCount: result.addedCount, total: itemsToAdd.length });
+  } catch (e) {
+    log.error("List cart add failed", { err: e?.response?.data || e?.message || e });
+    return res.status(500).json({ error: "Failed to add list to cart" });
+  }
+}
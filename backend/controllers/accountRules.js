@@ -0,0 +1,98 @@
+// backend/controllers/accountRules.js
+// Account lifecycle rules: input checks, token lifetimes and the mails we
+// send. Pure functions only; AccountController.js does the I/O.
+
+export const MIN_PASSWORD_LENGTH = 8;
+export const MAX_PASSWORD_LENGTH = 200;
+
+// How long each kind of emailed link stays valid.
+export const ACCOUNT_TOKEN_TTL_MS = {
+  verify_email: 24 * 60 * 60 * 1000,
+  reset_password: 60 * 60 * 1000,
+  change_email: 24 * 60 * 60 * 1000,
+};
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export function normalizeEmail(email) {
+  return String(email || "").trim().toLowerCase();
+}
+
+export function isValidEmail(email) {
+  const e = normalizeEmail(email);
+  return e.length <= 254 && EMAIL_RE.test(e);
+}
+
+// null when acceptable, else the message to show.
+export function passwordProblem(password) {
+  const p = String(password ?? "");
+  if (p.length < MIN_PASSWORD_LENGTH) return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  if (p.length > MAX_PASSWORD_LENGTH) return `Password must be at most ${MAX_PASSWORD_LENGTH} characters.`;
+  if (!/[A-Za-z]/.test(p) || !/[0-9]/.test(p)) return "Password must contain a letter and a number.";
+  return null;
+}
+
+export function accountLink(baseUrl, page, token) {
+  const base = String(baseUrl || "http://localhost:3000").replace(/\/+$/, "");
+  return `${base}/account/${page}?token=${encodeURIComponent(token)}`;
+}
+
+const hours = (ms) => Math.round(ms / (60 * 60 * 1000));
+
+/* ===== Mail templates ===== */
+
+export function verificationMail({ username }, link) {
+  return {
+    subject: "Confirm your email address",
+    text:
+      `Hi ${username || "there"},\n\n` +
+      `Please confirm your email address:\n${link}\n\n` +
+      `The link is valid for ${hours(ACCOUNT_TOKEN_TTL_MS.verify_email)} hours. ` +
+      "If you did not create an account, you can ignore this message.",
+  };
+}
+
+export function passwordResetMail({ username }, link) {
+  return {
+    subject: "Reset your password",
+    text:
+      `Hi ${username || "there"},\n\n` +
+      `Someone asked to reset the password for your account. To choose a new one, open:\n${link}\n\n` +
+      `The link is valid for ${hours(ACCOUNT_TOKEN_TTL_MS.reset_password)} hour and works once. ` +
+      "If this wasn't you, ignore this message; your password has not changed.",
+  };
+}
+
+export function emailChangeMail({ username }, link) {
+  return {
+    subject: "Confirm your new email address",
+    text:
+      `Hi ${username || "there"},\n\n` +
+      `Confirm that this is the new email address for your account:\n${link}\n\n` +
+      `The link is valid for ${hours(ACCOUNT_TOKEN_TTL_MS.change_email)} hours.`,
+  };
+}
+
+export function securityNoticeMail({ username }, what) {
+  return {
+    subject: "Your account was changed",
+    text:
+      `Hi ${username || "there"},\n\n` +
+      `${what}\n\n` +
+      "If this wasn't you, reset your password right away and contact support.",
+  };
+}
+
+export default {
+  MIN_PASSWORD_LENGTH,
+  MAX_PASSWORD_LENGTH,
+  ACCOUNT_TOKEN_TTL_MS,
+  normalizeEmail,
+  isValidEmail,
+  passwordProblem,
+  accountLink,
+  verificationMail,
+  passwordResetMail,
+  emailChangeMail,
+  securityNoticeMail,
+};
@@ -3,13 +3,13 @@ import { StateGraph, START, END } from "@langchain/langgraph";
 
 /**
  * Agentic LangGraph:
- * kroger -> walmart -> select -> add_to_cart -> end
+ * kroger -> retailers -> select -> add_to_cart -> end
  *
  * We inject your existing KrogerController functions to avoid refactoring.
  */
 export function buildAgenticSearchGraphRunner({
   runKrogerSearchPipeline,
-  runWalmartMatchByIndexDetailed,
+  runRetailerMatches, // (terms, options) => { [retailerId]: result }
   buildFinalPayload,
   addAllKrogerItemsToCart, // ({ user, payload, returnTo, onPhase, onCartEvent }) => cartAddResult
 }) {
@@ -24,13 +24,16 @@ export function buildAgenticSearchGraphRunner({
 
       passCount: null,
       chooseMaxKroger: null,
-      chooseMaxWalmart: null,
+      chooseMaxRetailers: null,
+      servings: null,
+      meals: null,
 
       onPhase: null,
       onCartEvent: null, // ✅ NEW
+      log: null, // request logger; its context attributes LLM spend
 
       krogerResult: null,
-      walmartResult: null,
+      retailerResults: null,
       payload: null,
       cartAdd: null,
     },
@@ -44,40 +47,45 @@ export function buildAgenticSearchGraphRunner({
       user: state.user,
       passCount: state.passCount ?? 20,
       chooseMax: state.chooseMaxKroger ?? 2,
+      servings: state.servings ?? null,
+      meals: state.meals ?? 1,
       onPhase,
+      log: state.log,
     });
     return { krogerResult };
   });
 
-  graph.addNode("walmart", async (state) => {
+  graph.addNode("retailers", async (state) => {
     const onPhase = state.onPhase;
-    if (typeof onPhase === "function") onPhase("walmart");
+    if (typeof onPhase === "function") onPhase("retailers");
 
     const kroger = state.krogerResult || {};
     const ingredients = Array.isArray(kroger.ingredients) ? kroger.ingredients : [];
 
-    // budget mode: search walmart for ALL ingredients
-    // non-budget: search walmart only for unmatched
-    let walmartTerms = ingredients;
+    // budget mode: search every secondary retailer for ALL ingredients
+    // non-budget: search them only for unmatched
+    let retailerTerms = ingredients;
     if (!state.budgetSearch) {
       const matched = new Set(kroger.matchedInKroger || []);
-      walmartTerms = ingredients.filter((ing) => !matched.has(ing));
+      retailerTerms = ingredients.filter((ing) => !matched.has(ing));
     }
 
-    const walmartResult = await runWalmartMatchByIndexDetailed(walmartTerms, {
+    const retailerResults = await runRetailerMatches(retailerTerms, {
       passCount: state.passCount ?? 20,
-      chooseMax: state.chooseMaxWalmart ?? 2,
+      chooseMax: state.chooseMaxRetailers ?? 2,
+      log: state.log,
     });
 
-    return { walmartResult };
+    return { retailerResults };
   });
 
   graph.addNode("select", async (state) => {
     const onPhase = state.onPhase;
     if (typeof onPhase === "function") onPhase("selecting");
 
-    const payload = buildFinalPayload(state.krogerResult, state.walmartResult, {
+    const payload = buildFinalPayload(state.krogerResult, state.retailerResults, {
       budgetSearch: Boolean(state.budgetSearch),
+      log: state.log,
     });
 
     return { payload };
@@ -107,8 +115,8 @@ export function buildAgenticSearchGraphRunner({
   });
 
   graph.addEdge(START, "kroger");
-  graph.addEdge("kroger", "walmart");
-  graph.addEdge("walmart", "select");
+  graph.addEdge("kroger", "retailers");
+  graph.addEdge("retailers", "select");
   graph.addEdge("select", "add_to_cart");
   graph.addEdge("add_to_cart", END);
 
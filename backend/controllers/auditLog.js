@@ -0,0 +1,29 @@
+// backend/controllers/auditLog.js
+// Snapshot and diff rules for the audit log. Pure functions only;
+// AuditController.js stores the entries.
+
+// Never copied into an audit entry.
+const OMIT_FIELDS = ["__v", "password"];
+
+/**
+ * Plain JSON copy of a document (Mongoose doc or object) as it should appear
+ * in the audit log; null stays null.
+ */
+export function auditSnapshot(doc) {
+  if (!doc) return null;
+  const obj = typeof doc.toObject === "function" ? doc.toObject({ getters: false, virtuals: false }) : doc;
+  const plain = JSON.parse(JSON.stringify(obj));
+  for (const f of OMIT_FIELDS) delete plain[f];
+  return plain;
+}
+
+/** Top-level fields whose values differ between two snapshots (sorted). */
+export function changedFields(before, after) {
+  const a = before || {};
+  const b = after || {};
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  keys.delete("updatedAt");
+  return [...keys].filter((k) => JSON.stringify(a[k]) !== JSON.stringify(b[k])).sort();
+}
+
+export default { auditSnapshot, changedFields };
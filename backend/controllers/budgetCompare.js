@@ -0,0 +1,176 @@
+// backend/controllers/budgetCompare.js
+// Budget-mode price comparison: parse package sizes out of retailer titles,
+// pick each retailer's best offer and choose a winner per ingredient.
+// Pure functions only (no I/O), so they can be unit tested in isolation.
+//
+// Sizes are parsed with the units library (backend/units). Offers in
+// different dimensions (a gallon of milk vs 8 lb of it, eggs by the dozen vs
+// by weight) are converted through a grocery profile when one is known for
+// the ingredient; otherwise they fall back to shelf price.
+import {
+  parseQuantity,
+  toDisplayQuantity,
+  convertQuantity,
+  commonDimension,
+  findGroceryProfile,
+} from "../units/index.js";
+
+/**
+ * Package size of a title/size string. `kind`/`qty` are the display units
+ * budget mode has always reported (weight_oz, volume_floz, count, area_sqft);
+ * `quantity` is the full units-library parse used for comparisons.
+ */
+export function parseUnitQuantityFromText(text) {
+  const quantity = parseQuantity(text);
+  if (!quantity) return null;
+  return { ...toDisplayQuantity(quantity), quantity };
+}
+
+// Generic size candidates; adapters provide their own via sizeTexts().
+export function defaultSizeTexts(p) {
+  const raw = p?.raw || null;
+  const candidates = [];
+  if (p?.size) candidates.push(p.size);
+
+  if (raw && typeof raw === "object") {
+    const maybe = [
+      raw?.size,
+      raw?.sizeString,
+      raw?.packageSize,
+      raw?.packSize,
+      raw?.name,
+    ]
+      .map((x) => (typeof x === "string" ? x : ""))
+      .filter(Boolean);
+    candidates.push(...maybe);
+  }
+  candidates.push(p?.title || "");
+  return candidates;
+}
+
+// Price per base unit of `dimension` (per g, ml, each or sq ft).
+function pricePerBase(offer, dimension, profile) {
+  const qty = convertQuantity(offer?.quantity, dimension, profile);
+  return qty > 0 ? offer.price / qty : null;
+}
+
+export function bestComparableOffer(
+  products = [],
+  sizeTexts = defaultSizeTexts,
+  { profile = null } = {}
+) {
+  const list = Array.isArray(products) ? products : [];
+  if (!list.length) return null;
+
+  let best = null;
+
+  for (const p of list) {
+    const price = typeof p?.price === "number" ? p.price : Number(p?.price || 0);
+
+    let parsed = null;
+    for (const c of sizeTexts(p) || []) {
+      parsed = parseUnitQuantityFromText(c);
+      if (parsed) break;
+    }
+
+    const hasUnit = parsed && parsed.qty > 0;
+    const unitPrice = hasUnit ? price / parsed.qty : null;
+
+    const offer = {
+      product: p,
+      price: Number.isFinite(price) ? price : 0,
+      unitKind: hasUnit ? parsed.kind : null,
+      unitQty: hasUnit ? parsed.qty : null,
+      unitPrice: hasUnit && Number.isFinite(unitPrice) ? unitPrice : null,
+      basis: hasUnit ? "unit" : "price",
+      quantity: hasUnit ? parsed.quantity : null,
+    };
+
+    if (!best) {
+      best = offer;
+      continue;
+    }
+
+    const common = commonDimension([offer.quantity, best.quantity], profile);
+    if (common) {
+      const a = pricePerBase(offer, common.dimension, profile);
+      const b = pricePerBase(best, common.dimension, profile);
+      if (a !== null && b !== null) {
+        if (a < b) best = offer;
+        continue;
+      }
+    }
+
+    if (offer.price < best.price) best = offer;
+  }
+
+  return best;
+}
+
+/**
+ * productsByRetailer: { [retailerId]: normalizedProduct[] }, in preference order
+ * (earlier retailers win ties).
+ *
+ * Unit prices are compared when every competing offer parsed to the same
+ * dimension ("unit_price"), or can be converted to one through the grocery
+ * profile of `ingredient` ("unit_price_converted"); otherwise we fall back to
+ * the shelf price. `comparedIn` is the dimension used, or null.
+ */
+export function chooseWinnerForIngredient(
+  productsByRetailer = {},
+  { sizeTextsFor, ingredient = "" } = {}
+) {
+  const entries = Object.entries(productsByRetailer || {});
+  const titles = entries.flatMap(([, arr]) =>
+    (Array.isArray(arr) ? arr : []).map((p) => p?.title || "")
+  );
+  const profile = findGroceryProfile(ingredient, ...titles);
+
+  const best = {};
+  const offers = [];
+
+  for (const [id, arr] of entries) {
+    const sizeTexts = (sizeTextsFor && sizeTextsFor(id)) || defaultSizeTexts;
+    const offer = bestComparableOffer(arr, sizeTexts, { profile });
+    best[id] = offer;
+    if (offer) offers.push([id, offer]);
+  }
+
+  if (!offers.length) {
+    return { winner: "none", best, reason: "none", comparedIn: null };
+  }
+  if (offers.length === 1) {
+    return { winner: offers[0][0], best, reason: `only_${offers[0][0]}`, comparedIn: null };
+  }
+
+  const common = commonDimension(
+    offers.map(([, o]) => o.quantity),
+    profile
+  );
+  const valueOf = common
+    ? (o) => pricePerBase(o, common.dimension, profile)
+    : (o) => o.price;
+
+  let [winner, top] = offers[0];
+  let topValue = valueOf(top);
+  for (const [id, o] of offers.slice(1)) {
+    const v = valueOf(o);
+    if (v < topValue) {
+      winner = id;
+      top = o;
+      topValue = v;
+    }
+  }
+
+  let reason = "price_fallback";
+  if (common) reason = common.converted ? "unit_price_converted" : "unit_price";
+
+  return { winner, best, reason, comparedIn: common ? common.dimension : null };
+}
+
+export default {
+  parseUnitQuantityFromText,
+  defaultSizeTexts,
+  bestComparableOffer,
+  chooseWinnerForIngredient,
+};
@@ -4,15 +4,15 @@ import { StateGraph, START, END } from "@langchain/langgraph";
 /**
  * Build a small LangGraph state machine that orchestrates:
  * 1) Kroger pipeline
- * 2) Walmart pipeline
+ * 2) Secondary retailer fan-out (Walmart + any registered adapters)
  * 3) Budget selection / final payload build
  *
  * We inject the existing functions from KrogerController so we don't refactor your pipeline files.
  */
 export function buildBudgetSearchGraphRunner({
   runKrogerSearchPipeline,
-  runWalmartMatchByIndexDetailed,
-  buildFinalPayload, // (krogerResult, walmartResult, options) => payload
+  runRetailerMatches, // (terms, options) => { [retailerId]: result }
+  buildFinalPayload, // (krogerResult, retailerResults, options) => payload
 }) {
   const graph = new StateGraph({
     channels: {
@@ -22,11 +22,14 @@ export function buildBudgetSearchGraphRunner({
       budgetSearch: null,
       passCount: null,
       chooseMaxKroger: null,
-      chooseMaxWalmart: null,
+      chooseMaxRetailers: null,
+      servings: null,
+      meals: null,
       onPhase: null,
+      log: null, // request logger; its context attributes LLM spend
 
       krogerResult: null,
-      walmartResult: null,
+      retailerResults: null,
       payload: null,
     },
   });
@@ -39,48 +42,53 @@ export function buildBudgetSearchGraphRunner({
       user: state.user,
       passCount: state.passCount ?? 20,
       chooseMax: state.chooseMaxKroger ?? 2,
+      servings: state.servings ?? null,
+      meals: state.meals ?? 1,
       onPhase,
+      log: state.log,
     });
     return { krogerResult };
   });
 
-  graph.addNode("walmart", async (state) => {
+  graph.addNode("retailers", async (state) => {
     const onPhase = state.onPhase;
-    if (typeof onPhase === "function") onPhase("walmart");
+    if (typeof onPhase === "function") onPhase("retailers");
 
     const kroger = state.krogerResult || {};
     const ingredients = Array.isArray(kroger.ingredients) ? kroger.ingredients : [];
 
-    // In budget mode: search Walmart for ALL ingredients
+    // In budget mode: search every secondary retailer for ALL ingredients
     // Otherwise: only unmatched (legacy behavior)
-    let walmartTerms = ingredients;
+    let retailerTerms = ingredients;
     if (!state.budgetSearch) {
       const matched = new Set(kroger.matchedInKroger || []);
-      walmartTerms = ingredients.filter((ing) => !matched.has(ing));
+      retailerTerms = ingredients.filter((ing) => !matched.has(ing));
     }
 
-    const walmartResult = await runWalmartMatchByIndexDetailed(walmartTerms, {
+    const retailerResults = await runRetailerMatches(retailerTerms, {
       passCount: state.passCount ?? 20,
-      chooseMax: state.chooseMaxWalmart ?? 2,
+      chooseMax: state.chooseMaxRetailers ?? 2,
+      log: state.log,
     });
 
-    return { walmartResult };
+    return { retailerResults };
   });
 
   graph.addNode("select", async (state) => {
     const onPhase = state.onPhase;
     if (typeof onPhase === "function") onPhase("selecting");
 
-    const payload = buildFinalPayload(state.krogerResult, state.walmartResult, {
+    const payload = buildFinalPayload(state.krogerResult, state.retailerResults, {
       budgetSearch: Boolean(state.budgetSearch),
+      log: state.log,
     });
 
     return { payload };
   });
 
   graph.addEdge(START, "kroger");
-  graph.addEdge("kroger", "walmart");
-  graph.addEdge("walmart", "select");
+  graph.addEdge("kroger", "retailers");
+  graph.addEdge("retailers", "select");
   graph.addEdge("select", END);
 
   return graph.compile();
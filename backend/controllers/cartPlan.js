@@ -0,0 +1,229 @@
+// backend/controllers/cartPlan.js
+// Cart planning: turn recipe amounts ("2 cups rice", "500 g paneer") and the
+// matched products' package sizes into how many packages to put in the cart.
+// Pure functions only (no I/O), like budgetCompare.js.
+import { parseQuantity, convertQuantity, commonDimension, findGroceryProfile } from "../units/index.js";
+import { defaultSizeTexts } from "./budgetCompare.js";
+
+// Guard rail against a bad parse ("5000 g" read off a 5 g packet) filling the cart.
+export const MAX_PACKAGES_PER_ITEM = 12;
+
+export const MAX_SERVINGS = 100;
+export const MAX_MEALS = 21;
+
+function clampInt(v, min, max) {
+  const n = Math.round(Number(v));
+  if (!Number.isFinite(n) || n < min) return null;
+  return Math.min(max, n);
+}
+
+/**
+ * Request-side servings/meals. `servings` is null when the caller did not ask
+ * for a size (the recipe's own servings are used); `meals` defaults to 1.
+ */
+export function normalizeServings({ servings, meals } = {}) {
+  return {
+    servings: clampInt(servings, 1, MAX_SERVINGS),
+    meals: clampInt(meals, 1, MAX_MEALS) || 1,
+  };
+}
+
+/**
+ * Factor to apply to LLM1's amounts (written for `recipeServings` people) so
+ * they cover `servings` people for `meals` meals. Without a recipe size there
+ * is nothing to scale servings against, so only meals apply.
+ */
+export function servingsScale({ recipeServings, servings, meals = 1 } = {}) {
+  const m = Number(meals) > 0 ? Number(meals) : 1;
+  if (!(Number(recipeServings) > 0) || !(Number(servings) > 0)) return m;
+  return (Number(servings) / Number(recipeServings)) * m;
+}
+
+export function scaleIngredientAmounts(ingredientAmounts = {}, factor = 1) {
+  if (!(factor > 0) || factor === 1) return { ...(ingredientAmounts || {}) };
+  return Object.fromEntries(
+    Object.entries(ingredientAmounts || {}).map(([name, a]) => [
+      name,
+      { ...a, amount: Math.round(a.amount * factor * 1000) / 1000 },
+    ])
+  );
+}
+
+/**
+ * Clean up LLM1's ingredient list: drop blanks and duplicates, and keep the
+ * amount for every ingredient that has one.
+ *
+ * @param {{name:string, amount:number|null, unit:string|null}[]} list
+ * @returns {{ingredients:string[], ingredientAmounts:Object<string,{amount:number, unit:string}>}}
+ */
+export function normalizeRecipeIngredients(list = []) {
+  const ingredients = [];
+  const ingredientAmounts = {};
+
+  for (const it of Array.isArray(list) ? list : []) {
+    const name = String((typeof it === "string" ? it : it?.name) || "").trim();
+    if (!name || ingredients.includes(name)) continue;
+    ingredients.push(name);
+
+    const amount = Number(it?.amount);
+    if (Number.isFinite(amount) && amount > 0) {
+      ingredientAmounts[name] = { amount, unit: String(it?.unit || "").trim() };
+    }
+  }
+
+  return { ingredients, ingredientAmounts };
+}
+
+/**
+ * Recipe amount as a units-library quantity. A bare number ("3 eggs",
+ * unit "") counts items; units the library does not know ("2 cloves") give null.
+ */
+export function recipeQuantity(amount) {
+  if (!amount || !(Number(amount.amount) > 0)) return null;
+  const unit = String(amount.unit || "").trim();
+  return parseQuantity(unit ? `${amount.amount} ${unit}` : `${amount.amount} each`);
+}
+
+export function formatRecipeAmount(amount) {
+  if (!amount) return "";
+  const n = Math.round(Number(amount.amount) * 100) / 100;
+  return [n, amount.unit].filter((x) => x !== "" && x !== null && x !== undefined).join(" ");
+}
+
+/**
+ * How many packages of `product` cover `amount` of `ingredient`.
+ *
+ * basis:
+ *   "recipe_amount" - amount and package size compared (possibly via density)
+ *   "default"       - no amount, no parseable size or no conversion: buy one
+ */
+export function packagesNeeded(amount, product, { ingredient = "", sizeTexts = defaultSizeTexts } = {}) {
+  const need = recipeQuantity(amount);
+
+  let pkg = null;
+  for (const text of sizeTexts(product) || []) {
+    pkg = parseQuantity(text);
+    if (pkg) break;
+  }
+
+  if (!need || !pkg) return { quantity: 1, basis: "default" };
+
+  const profile = findGroceryProfile(ingredient, product?.title);
+  const common = commonDimension([need, pkg], profile);
+  if (!common) return { quantity: 1, basis: "default" };
+
+  const needQty = convertQuantity(need, common.dimension, profile);
+  const pkgQty = convertQuantity(pkg, common.dimension, profile);
+  if (!(needQty > 0) || !(pkgQty > 0)) return { quantity: 1, basis: "default" };
+
+  // Small epsilon so 2 x 16 oz for "2 lb" is 2, not 3 after float rounding.
+  const raw = Math.ceil(needQty / pkgQty - 1e-6);
+  const quantity = Math.min(MAX_PACKAGES_PER_ITEM, Math.max(1, raw));
+
+  return { quantity, basis: "recipe_amount", dimension: common.dimension };
+}
+
+/**
+ * One cart line per ingredient, using the first matched product. Products
+ * without a UPC cannot go in the Kroger cart and are skipped unless
+ * `requireUpc` is false (estimates for link-out retailers).
+ *
+ * @param {Object<string, object[]>} byIngredient   retailer.byIngredient
+ * @param {Object<string, {amount:number, unit:string}>} ingredientAmounts
+ * @returns {{upc:string, quantity:number, ingredient:string, title:string, price:number, need:string, packageSize:string, basis:string}[]}
+ */
+export function buildCartPlan(
+  byIngredient = {},
+  ingredientAmounts = {},
+  { sizeTexts = defaultSizeTexts, requireUpc = true } = {}
+) {
+  const plan = [];
+
+  for (const [ingredient, arr] of Object.entries(byIngredient || {})) {
+    const p = Array.isArray(arr) ? arr[0] : null;
+    if (!p || (requireUpc && !p.upc)) continue;
+
+    const amount = ingredientAmounts?.[ingredient] || null;
+    const { quantity, basis } = packagesNeeded(amount, p, { ingredient, sizeTexts });
+
+    plan.push({
+      upc: p.upc || "",
+      quantity,
+      ingredient,
+      title: p.title || "",
+      price: Number(p.price) || 0,
+      need: formatRecipeAmount(amount),
+      packageSize: p.size || "",
+      basis,
+    });
+  }
+
+  return plan;
+}
+
+/**
+ * What buying `plan` would cost: { total, lines } with lineTotal = price x quantity.
+ */
+export function estimatePlanCost(plan = []) {
+  const lines = (Array.isArray(plan) ? plan : []).map((it) => ({
+    ...it,
+    lineTotal: Math.round(it.price * it.quantity * 100) / 100,
+  }));
+  const total = Math.round(lines.reduce((acc, it) => acc + it.lineTotal, 0) * 100) / 100;
+  return { total, lines };
+}
+
+/**
+ * Cost of the groceries in recipe-sized quantities:
+ * { byRetailer: { [id]: { total, lines } }, lines, total }.
+ *
+ * byRetailer[id] is "if you bought everything you can here": that retailer's
+ * first pick for every ingredient it matched. Retailers overlap, so these are
+ * alternatives, not parts of one basket. `lines`/`total` buy each ingredient
+ * once, from `suppliers[ingredient]` when given, otherwise from the first
+ * retailer (in byRetailer order) that matched it - the primary retailer, or
+ * the budget winner once losing offers have been dropped.
+ * `sizeTextsFor(id)` returns the retailer adapter's sizeTexts, if any.
+ */
+export function estimateRetailerCosts(byRetailer = {}, ingredientAmounts = {}, { sizeTextsFor, suppliers = {} } = {}) {
+  const estimates = {};
+  for (const [id, r] of Object.entries(byRetailer || {})) {
+    const plan = buildCartPlan(r?.byIngredient || {}, ingredientAmounts || {}, {
+      sizeTexts: (sizeTextsFor && sizeTextsFor(id)) || defaultSizeTexts,
+      requireUpc: false,
+    });
+    estimates[id] = estimatePlanCost(plan);
+  }
+
+  const lineFrom = (id, ingredient) => estimates[id]?.lines.find((l) => l.ingredient === ingredient);
+  const lines = [];
+  const seen = new Set();
+  for (const est of Object.values(estimates)) {
+    for (const { ingredient } of est.lines) {
+      if (seen.has(ingredient)) continue;
+      seen.add(ingredient);
+      const id = suppliers?.[ingredient] || Object.keys(estimates).find((rid) => lineFrom(rid, ingredient));
+      const line = lineFrom(id, ingredient);
+      if (line) lines.push({ ...line, retailer: id });
+    }
+  }
+  const total = Math.round(lines.reduce((acc, l) => acc + l.lineTotal, 0) * 100) / 100;
+
+  return { byRetailer: estimates, lines, total };
+}
+
+export default {
+  MAX_PACKAGES_PER_ITEM,
+  MAX_SERVINGS,
+  MAX_MEALS,
+  normalizeServings,
+  servingsScale,
+  scaleIngredientAmounts,
+  normalizeRecipeIngredients,
+  recipeQuantity,
+  formatRecipeAmount,
+  packagesNeeded,
+  buildCartPlan,
+  estimatePlanCost,
+  estimateRetailerCosts,
+};
@@ -0,0 +1,296 @@
+// backend/controllers/catalog.js
+// In-house catalog rules: product input validation, variants, SKUs/UPCs and
+// unit prices. Pure functions; ProductController.js stores the results and
+// orderPricing.js prices variants from them.
+import { parseUnitQuantityFromText } from "./budgetCompare.js";
+
+export const MAX_VARIANTS = 50;
+export const MAX_IMAGES = 8;
+export const MAX_TAGS = 20;
+
+// The major food allergens labels have to declare.
+export const ALLERGENS = ["milk", "eggs", "fish", "shellfish", "tree_nuts", "peanuts", "wheat", "soy", "sesame"];
+
+const SKU_RE = /^[A-Z0-9][A-Z0-9._-]{0,63}$/;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+/* ============================== Identifiers ============================== */
+
+export function normalizeSku(raw) {
+  return String(raw ?? "").trim().toUpperCase();
+}
+
+export const isValidSku = (sku) => SKU_RE.test(sku);
+
+// GTIN mod-10 check digit (UPC-A, EAN-13, GTIN-14 and UPC-E all use it).
+export function isValidGtin(digits) {
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(digits)) return false;
+  const body = digits.slice(0, -1);
+  let sum = 0;
+  for (let i = 0; i < body.length; i++) {
+    const d = Number(body[body.length - 1 - i]);
+    sum += i % 2 === 0 ? d * 3 : d;
+  }
+  return (10 - (sum % 10)) % 10 === Number(digits[digits.length - 1]);
+}
+
+/** Digits of a UPC/EAN as printed (spaces and dashes dropped), or "" when not a valid one. */
+export function normalizeUpc(raw) {
+  const digits = String(raw ?? "").replace(/[\s-]/g, "");
+  return isValidGtin(digits) ? digits : "";
+}
+
+/**
+ * Every form the same barcode is stored under by retailers: as printed,
+ * zero-padded to 12-14 digits, and Kroger's 13 digits without the check
+ * digit. Used to look up PricePoint.meta.upc.
+ */
+export function upcLookupKeys(upc) {
+  const digits = normalizeUpc(upc);
+  if (!digits) return [];
+  const trimmed = digits.replace(/^0+/, "");
+  const keys = new Set([digits]);
+  for (const len of [12, 13, 14]) if (trimmed.length <= len) keys.add(trimmed.padStart(len, "0"));
+  keys.add(trimmed.slice(0, -1).padStart(13, "0"));
+  return [...keys];
+}
+
+/* ============================== Variants ============================== */
+
+// "Large · 12 pack · Vanilla" when the admin gave no label.
+export function variantLabel(variant = {}) {
+  if (variant.label) return variant.label;
+  const { size, packCount, flavor } = variant.options || {};
+  return [size, packCount ? `${packCount} pack` : "", flavor].filter(Boolean).join(" · ") || variant.sku || "";
+}
+
+export function activeVariants(product) {
+  return (product?.variants || []).filter((v) => v.active !== false);
+}
+
+export function findVariant(product, variantKey) {
+  if (!variantKey) return null;
+  return (product?.variants || []).find((v) => String(v._id) === String(variantKey)) || null;
+}
+
+/** The "from" price of a product: its cheapest active variant, or its own price. */
+export function basePrice(product) {
+  const prices = activeVariants(product).map((v) => v.price).filter(Number.isFinite);
+  return prices.length ? Math.min(...prices) : product?.price;
+}
+
+/**
+ * Price per display unit (oz, fl oz, each, sq ft) from a unit size like
+ * "12 oz" or "6 x 330 ml" - the same units retailer price points use.
+ */
+export function unitPriceOf(price, unitSize) {
+  const parsed = unitSize ? parseUnitQuantityFromText(String(unitSize)) : null;
+  if (!parsed?.qty || !Number.isFinite(price)) return { unitPrice: null, unitKind: null };
+  return { unitPrice: round4(price / parsed.qty), unitKind: parsed.kind };
+}
+
+/**
+ * Our price for one sellable unit against the latest retailer price points
+ * for the same barcode. Unit prices are only compared within one unit kind.
+ */
+export function compareOffers(ours, points = []) {
+  const mine = { price: ours.price, ...unitPriceOf(ours.price, ours.unitSize) };
+  const offers = points
+    .map((p) => {
+      const comparable = mine.unitPrice != null && p.unitPrice != null && p.unitKind === mine.unitKind;
+      return {
+        retailer: p.meta?.retailer || "",
+        locationId: p.meta?.locationId || "",
+        title: p.title || "",
+        size: p.size || "",
+        price: p.price,
+        unitPrice: p.unitPrice ?? null,
+        unitKind: p.unitKind ?? null,
+        observedAt: p.observedAt,
+        priceDiff: Math.round((p.price - mine.price) * 100) / 100,
+        unitPriceDiff: comparable ? round4(p.unitPrice - mine.unitPrice) : null,
+      };
+    })
+    .sort((a, b) => a.price - b.price);
+  return { ...mine, offers, cheapest: !offers.length || mine.price <= offers[0].price };
+}
+
+/* ============================== Input ============================== */
+
+// Multipart forms send nested fields as JSON strings.
+function parseJsonField(value, name) {
+  if (typeof value !== "string") return { value };
+  if (!value.trim()) return { value: undefined };
+  try {
+    return { value: JSON.parse(value) };
+  } catch {
+    return { error: `${name} must be valid JSON` };
+  }
+}
+
+// "Gluten free, vegan" or ["Gluten free"] -> ["gluten_free", "vegan"]
+function tagList(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const tags = list.map((t) => String(t).trim().toLowerCase().replace(/[\s-]+/g, "_")).filter(Boolean);
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+function priceField(value, name) {
+  const price = Number(value);
+  if (value === "" || value === null || value === undefined || !Number.isFinite(price) || price < 0) {
+    return { error: `${name} must be a price of 0 or more` };
+  }
+  return { value: Math.round(price * 100) / 100 };
+}
+
+function sanitizeAttributes(raw) {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { error: "attributes must be an object" };
+  const allergens = tagList(raw.allergens);
+  const unknown = allergens.filter((a) => !ALLERGENS.includes(a));
+  if (unknown.length) return { error: `Unknown allergen "${unknown[0]}"; use ${ALLERGENS.join(", ")}` };
+  return {
+    value: {
+      brand: String(raw.brand ?? "").trim().slice(0, 120),
+      dietaryTags: tagList(raw.dietaryTags),
+      allergens,
+      origin: String(raw.origin ?? "").trim().slice(0, 120),
+    },
+  };
+}
+
+function sanitizeVariant(raw, i) {
+  const name = `Variant ${i + 1}`;
+  if (!raw || typeof raw !== "object") return { error: `${name} must be an object` };
+
+  const sku = normalizeSku(raw.sku);
+  if (!isValidSku(sku)) return { error: `${name}: SKU must be 1-64 letters, digits, ".", "_" or "-"` };
+  const upc = raw.upc ? normalizeUpc(raw.upc) : "";
+  if (raw.upc && !upc) return { error: `${name}: "${raw.upc}" is not a valid UPC/EAN` };
+  const price = priceField(raw.price, `${name}: price`);
+  if (price.error) return price;
+
+  const options = raw.options || {};
+  const packCount = options.packCount == null || options.packCount === "" ? null : Number(options.packCount);
+  if (packCount !== null && (!Number.isInteger(packCount) || packCount < 1)) {
+    return { error: `${name}: pack count must be a whole number above 0` };
+  }
+
+  const value = {
+    sku,
+    upc,
+    label: String(raw.label ?? "").trim().slice(0, 120),
+    options: {
+      size: String(options.size ?? "").trim().slice(0, 60),
+      packCount,
+      flavor: String(options.flavor ?? "").trim().slice(0, 60),
+    },
+    price: price.value,
+    unitSize: String(raw.unitSize ?? "").trim().slice(0, 60),
+    imageUrl: String(raw.imageUrl ?? "").trim(),
+    active: raw.active !== false,
+  };
+  // Keep the variant's id on edits: carts, stock and orders refer to it.
+  if (raw._id) value._id = String(raw._id);
+  return { value };
+}
+
+/**
+ * Validate an add/edit product body (JSON or multipart). Returns { value } or
+ * { error }. `partial` allows edits that only carry some fields.
+ */
+export function sanitizeProductInput(body = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || body.title !== undefined) {
+    value.title = String(body.title ?? "").trim().slice(0, 200);
+    if (!value.title) return { error: "title is required" };
+  }
+  for (const field of ["description", "category", "type"]) {
+    if (body[field] !== undefined) value[field] = String(body[field] ?? "").trim();
+  }
+  if (body.rating !== undefined && body.rating !== "") {
+    const rating = Number(body.rating);
+    if (!Number.isFinite(rating) || rating < 0 || rating > 5) return { error: "rating must be between 0 and 5" };
+    value.rating = rating;
+  }
+
+  if (body.sku !== undefined) {
+    value.sku = normalizeSku(body.sku);
+    if (value.sku && !isValidSku(value.sku)) return { error: 'SKU must be 1-64 letters, digits, ".", "_" or "-"' };
+  }
+  if (body.upc !== undefined) {
+    value.upc = body.upc ? normalizeUpc(body.upc) : "";
+    if (body.upc && !value.upc) return { error: `"${body.upc}" is not a valid UPC/EAN` };
+  }
+  if (body.unitSize !== undefined) value.unitSize = String(body.unitSize ?? "").trim().slice(0, 60);
+
+  const attributes = parseJsonField(body.attributes, "attributes");
+  if (attributes.error) return attributes;
+  if (attributes.value !== undefined) {
+    const clean = sanitizeAttributes(attributes.value);
+    if (clean.error) return clean;
+    value.attributes = clean.value;
+  }
+
+  const variants = parseJsonField(body.variants, "variants");
+  if (variants.error) return variants;
+  if (variants.value !== undefined) {
+    if (!Array.isArray(variants.value)) return { error: "variants must be a list" };
+    if (variants.value.length > MAX_VARIANTS) return { error: `A product can have at most ${MAX_VARIANTS} variants` };
+    value.variants = [];
+    for (const [i, raw] of variants.value.entries()) {
+      const clean = sanitizeVariant(raw, i);
+      if (clean.error) return clean;
+      value.variants.push(clean.value);
+    }
+    const skus = value.variants.map((v) => v.sku).concat(value.sku ? [value.sku] : []);
+    const dup = skus.find((s, i) => skus.indexOf(s) !== i);
+    if (dup) return { error: `SKU "${dup}" is used more than once` };
+  }
+
+  // Images kept on edit (uploads are added by the controller), in display order.
+  const images = parseJsonField(body.images, "images");
+  if (images.error) return images;
+  if (images.value !== undefined) {
+    if (!Array.isArray(images.value)) return { error: "images must be a list" };
+    value.images = images.value
+      .map((img) => (typeof img === "string" ? { url: img } : img))
+      .filter((img) => img && typeof img.url === "string" && img.url.trim())
+      .slice(0, MAX_IMAGES)
+      .map(({ url, alt, width, height }) => ({
+        url: url.trim(),
+        alt: String(alt ?? "").slice(0, 200),
+        ...(Number.isFinite(Number(width)) && width ? { width: Number(width) } : {}),
+        ...(Number.isFinite(Number(height)) && height ? { height: Number(height) } : {}),
+      }));
+  }
+
+  // With variants the listed price is the cheapest one; otherwise it is required.
+  if (value.variants?.some((v) => v.active)) {
+    value.price = basePrice(value);
+  } else if (!partial || body.price !== undefined) {
+    const price = priceField(body.price, "price");
+    if (price.error) return price;
+    value.price = price.value;
+  }
+
+  return { value };
+}
+
+export default {
+  ALLERGENS,
+  MAX_VARIANTS,
+  MAX_IMAGES,
+  normalizeSku,
+  isValidSku,
+  isValidGtin,
+  normalizeUpc,
+  upcLookupKeys,
+  variantLabel,
+  activeVariants,
+  findVariant,
+  basePrice,
+  unitPriceOf,
+  compareOffers,
+  sanitizeProductInput,
+};
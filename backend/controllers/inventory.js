@@ -0,0 +1,86 @@
+// backend/controllers/inventory.js
+// Stock arithmetic for the in-house catalog. Pure functions;
+// InventoryController.js keeps the counts in Mongo and applies them atomically.
+//
+// A product (or one of its variants) is only tracked once it has an
+// inventory record; untracked ones sell without limit, as before.
+//
+//   CART_RESERVATION_MINUTES=15   how long items in a cart stay held for the shopper
+
+export const BASE_VARIANT = ""; // stock for the product itself rather than one of its variants
+export const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+export const DEFAULT_RESERVATION_MINUTES = 15;
+export const MAX_RESERVATION_MINUTES = 24 * 60;
+
+// Why on-hand stock changed; every change is kept as a StockMovement.
+export const STOCK_MOVEMENT_REASONS = ["restock", "adjustment", "order", "order_cancelled"];
+
+export const stockKey = (productId, variantKey = BASE_VARIANT) =>
+  variantKey ? `${productId}:${variantKey}` : String(productId);
+
+export function reservationMinutes(env = process.env) {
+  const n = Number(env.CART_RESERVATION_MINUTES);
+  if (!Number.isFinite(n) || n <= 0) return DEFAULT_RESERVATION_MINUTES;
+  return Math.min(Math.round(n), MAX_RESERVATION_MINUTES) || 1;
+}
+
+export function reservationExpiry(now = new Date(), minutes = reservationMinutes()) {
+  return new Date(now.getTime() + minutes * 60 * 1000);
+}
+
+/**
+ * Units still free to sell. `heldByMe` is the caller's own reservation, which
+ * is already counted in item.reserved but is theirs to buy.
+ */
+export function availableStock(item, { heldByMe = 0 } = {}) {
+  if (!item) return Infinity;
+  return Math.max(0, (item.onHand || 0) - Math.max(0, (item.reserved || 0) - heldByMe));
+}
+
+export function lowStockThreshold(item) {
+  return Number.isFinite(item?.lowStockThreshold) ? item.lowStockThreshold : DEFAULT_LOW_STOCK_THRESHOLD;
+}
+
+export function isLowStock(item) {
+  return Boolean(item) && availableStock(item) <= lowStockThreshold(item);
+}
+
+/** What the storefront shows for a product: no counts beyond a few left. */
+export function stockSummary(item) {
+  if (!item) return { tracked: false, inStock: true, lowStock: false, available: null };
+  const available = availableStock(item);
+  return { tracked: true, inStock: available > 0, lowStock: available > 0 && isLowStock(item), available };
+}
+
+/**
+ * Messages for cart lines asking for more than is free to sell.
+ * `items` and `held` are keyed by stockKey; `titles` by productId.
+ */
+export function stockProblems(lines, { items = {}, held = {}, titles = {} } = {}) {
+  const problems = [];
+  for (const line of lines) {
+    const key = stockKey(line.productId, line.variantKey);
+    const item = items[key];
+    if (!item) continue;
+    const available = availableStock(item, { heldByMe: held[key] || 0 });
+    if (line.quantity <= available) continue;
+    const title = titles[String(line.productId)] || "An item in your cart";
+    problems.push(available ? `Only ${available} of "${title}" left in stock.` : `"${title}" is out of stock.`);
+  }
+  return problems;
+}
+
+export default {
+  BASE_VARIANT,
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  DEFAULT_RESERVATION_MINUTES,
+  STOCK_MOVEMENT_REASONS,
+  stockKey,
+  reservationMinutes,
+  reservationExpiry,
+  availableStock,
+  lowStockThreshold,
+  isLowStock,
+  stockSummary,
+  stockProblems,
+};
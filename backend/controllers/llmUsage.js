@@ -0,0 +1,132 @@
+// backend/controllers/llmUsage.js
+// LLM cost accounting rules: token usage from API responses, prices, and the
+// daily/monthly spend quotas per plan. Pure functions only; config/llmMeter.js
+// does the recording and the Redis counters.
+
+// USD per 1M tokens. Models are matched by prefix, so dated snapshots
+// ("gpt-5-2025-08-07") price like their family; the longest prefix wins.
+export const MODEL_PRICES = {
+  "gpt-5": { input: 1.25, cachedInput: 0.125, output: 10 },
+  "gpt-5-mini": { input: 0.25, cachedInput: 0.025, output: 2 },
+  "gpt-5-nano": { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  "gpt-4o": { input: 2.5, cachedInput: 1.25, output: 10 },
+  "gpt-4o-mini": { input: 0.15, cachedInput: 0.075, output: 0.6 },
+  "gpt-4-turbo": { input: 10, cachedInput: 10, output: 30 },
+};
+
+export const PLANS = ["free", "plus", "pro"];
+export const DEFAULT_PLAN = "free";
+
+// Spend allowed per UTC day and calendar month. Anonymous callers share a
+// budget per IP.
+export const PLAN_QUOTAS = {
+  anonymous: { dailyUsd: 0.25, monthlyUsd: 2 },
+  free: { dailyUsd: 0.5, monthlyUsd: 5 },
+  plus: { dailyUsd: 2, monthlyUsd: 30 },
+  pro: { dailyUsd: 10, monthlyUsd: 150 },
+};
+
+// Counters are kept in micro-dollars so Redis can add them as integers.
+export const toMicros = (usd) => Math.round(Number(usd || 0) * 1e6);
+export const fromMicros = (micros) => Number(micros || 0) / 1e6;
+
+/**
+ * Token counts from a Responses API or Chat Completions response:
+ * { inputTokens, cachedInputTokens, outputTokens, reasoningTokens }.
+ */
+export function normalizeUsage(resp) {
+  const u = resp?.usage || {};
+  const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : 0);
+  return {
+    inputTokens: num(u.input_tokens ?? u.prompt_tokens),
+    cachedInputTokens: num(u.input_tokens_details?.cached_tokens ?? u.prompt_tokens_details?.cached_tokens),
+    outputTokens: num(u.output_tokens ?? u.completion_tokens),
+    reasoningTokens: num(u.output_tokens_details?.reasoning_tokens ?? u.completion_tokens_details?.reasoning_tokens),
+  };
+}
+
+export function priceFor(model) {
+  const name = String(model || "").toLowerCase();
+  const match = Object.keys(MODEL_PRICES)
+    .filter((m) => name === m || name.startsWith(`${m}-`))
+    .sort((a, b) => b.length - a.length)[0];
+  return match ? MODEL_PRICES[match] : null;
+}
+
+// Cost in USD; null when the model has no price (recorded, flagged as unpriced).
+// Reasoning tokens are already part of the output count.
+export function costUsd(model, usage) {
+  const price = priceFor(model);
+  if (!price) return null;
+  const cached = Math.min(usage.cachedInputTokens || 0, usage.inputTokens || 0);
+  const fresh = (usage.inputTokens || 0) - cached;
+  return (fresh * price.input + cached * price.cachedInput + (usage.outputTokens || 0) * price.output) / 1e6;
+}
+
+// The quota for a user document (or null for anonymous): the plan's numbers,
+// with per-user overrides where set.
+export function quotaFor(user) {
+  if (!user) return { plan: "anonymous", ...PLAN_QUOTAS.anonymous };
+  const plan = PLAN_QUOTAS[user.plan] ? user.plan : DEFAULT_PLAN;
+  const base = PLAN_QUOTAS[plan];
+  const override = user.llmQuota || {};
+  const pick = (v, fallback) => (v === null || v === undefined || !Number.isFinite(Number(v)) ? fallback : Number(v));
+  return {
+    plan,
+    dailyUsd: pick(override.dailyUsd, base.dailyUsd),
+    monthlyUsd: pick(override.monthlyUsd, base.monthlyUsd),
+  };
+}
+
+/**
+ * The UTC day and month `now` falls in, as counter ids, with the ms left
+ * in each (used for counter TTLs and Retry-After).
+ */
+export function quotaPeriods(now = new Date()) {
+  const d = new Date(now);
+  const iso = d.toISOString();
+  const nextDay = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+  const nextMonth = Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 1);
+  return {
+    day: iso.slice(0, 10),
+    month: iso.slice(0, 7),
+    dayEndsInMs: nextDay - d.getTime(),
+    monthEndsInMs: nextMonth - d.getTime(),
+  };
+}
+
+/**
+ * Compare spend so far with a quota. Blocks once either period's spend has
+ * reached its limit; the call that crosses it is allowed (its cost is only
+ * known afterwards).
+ */
+export function checkQuota({ dayUsd = 0, monthUsd = 0 }, quota, now = new Date()) {
+  const periods = quotaPeriods(now);
+  if (monthUsd >= quota.monthlyUsd) {
+    return { allowed: false, period: "month", limitUsd: quota.monthlyUsd, spentUsd: monthUsd, retryAfterMs: periods.monthEndsInMs };
+  }
+  if (dayUsd >= quota.dailyUsd) {
+    return { allowed: false, period: "day", limitUsd: quota.dailyUsd, spentUsd: dayUsd, retryAfterMs: periods.dayEndsInMs };
+  }
+  return {
+    allowed: true,
+    period: null,
+    remainingUsd: Math.min(quota.dailyUsd - dayUsd, quota.monthlyUsd - monthUsd),
+    retryAfterMs: 0,
+  };
+}
+
+export default {
+  MODEL_PRICES,
+  PLANS,
+  DEFAULT_PLAN,
+  PLAN_QUOTAS,
+  toMicros,
+  fromMicros,
+  normalizeUsage,
+  priceFor,
+  costUsd,
+  quotaFor,
+  quotaPeriods,
+  checkQuota,
+};
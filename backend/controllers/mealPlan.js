@@ -0,0 +1,210 @@
+// backend/controllers/mealPlan.js
+// Meal plans: several dishes searched one after another, then merged into one
+// shopping list. Ingredients shared between dishes (soy sauce in three
+// stir-fries) become a single line with the amounts added up, so the cart gets
+// one bottle instead of three.
+// Pure functions only (no I/O), like budgetCompare.js and cartPlan.js.
+import { convertQuantity, commonDimension, findGroceryProfile } from "../units/index.js";
+import { defaultSizeTexts } from "./budgetCompare.js";
+import {
+  recipeQuantity,
+  formatRecipeAmount,
+  packagesNeeded,
+  buildCartPlan,
+  estimateRetailerCosts,
+} from "./cartPlan.js";
+
+export const MAX_MEAL_PLAN_DISHES = 14;
+
+const ingredientKey = (s) => String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+
+/**
+ * Dishes from a request: `dishes` as a JSON array or a ";"/newline separated
+ * string, and/or repeated `dish` params. Blank and duplicate dishes are dropped.
+ */
+export function parseDishList({ dishes, dish } = {}) {
+  const out = [];
+  const push = (v) => {
+    const name = String(v || "").trim();
+    if (name && !out.some((d) => ingredientKey(d) === ingredientKey(name))) out.push(name);
+  };
+
+  if (Array.isArray(dishes)) dishes.forEach(push);
+  else if (typeof dishes === "string" && dishes.trim().startsWith("[")) {
+    try {
+      const arr = JSON.parse(dishes);
+      if (Array.isArray(arr)) arr.forEach(push);
+    } catch {}
+  } else if (typeof dishes === "string") {
+    dishes.split(/[;\n]/).forEach(push);
+  }
+
+  (Array.isArray(dish) ? dish : [dish]).forEach(push);
+
+  return out.slice(0, MAX_MEAL_PLAN_DISHES);
+}
+
+/**
+ * Add recipe amounts together. Amounts in convertible units are summed and
+ * expressed in the first amount's unit ("2 tbsp" + "0.25 cup" = "6 tbsp");
+ * identical unknown units ("cloves") are added as-is. Anything else keeps the
+ * first amount and is flagged `approximate`.
+ */
+export function mergeRecipeAmounts(amounts = [], ingredient = "") {
+  const list = (Array.isArray(amounts) ? amounts : []).filter((a) => a && Number(a.amount) > 0);
+  if (!list.length) return null;
+
+  const profile = findGroceryProfile(ingredient);
+  let acc = { amount: Number(list[0].amount), unit: String(list[0].unit || "") };
+
+  for (const next of list.slice(1)) {
+    const unit = String(next.unit || "");
+    const qa = recipeQuantity(acc);
+    const qb = recipeQuantity(next);
+    const common = qa && qb ? commonDimension([qa, qb], profile) : null;
+
+    if (common) {
+      const a = convertQuantity(qa, common.dimension, profile);
+      const b = convertQuantity(qb, common.dimension, profile);
+      acc = { ...acc, amount: Math.round(acc.amount * ((a + b) / a) * 1000) / 1000 };
+    } else if (unit.toLowerCase() === acc.unit.toLowerCase()) {
+      acc = { ...acc, amount: acc.amount + Number(next.amount) };
+    } else {
+      acc = { ...acc, approximate: true };
+    }
+  }
+
+  return acc;
+}
+
+/**
+ * Merge per-dish search payloads (buildFinalPayload output) into one plan.
+ *
+ * @param {{query:string, payload:object}[]} dishResults  successful dishes, in order
+ * @param {{sizeTextsFor?:(id:string)=>Function}} opts
+ * @returns {{
+ *   dishes: object[],
+ *   ingredients: string[],
+ *   ingredientAmounts: Object<string, object>,
+ *   byRetailer: Object<string, object>,
+ *   shoppingList: object[],
+ *   cartPlan: object[],
+ *   cartEstimate: object,
+ * }}
+ */
+export function consolidateMealPlan(dishResults = [], { sizeTextsFor } = {}) {
+  const sizeTexts = (id) => (sizeTextsFor && sizeTextsFor(id)) || defaultSizeTexts;
+
+  const entries = new Map(); // ingredientKey -> { ingredient, dishes, amounts }
+  const byRetailer = {};
+  const dishes = [];
+
+  for (const { query, payload } of Array.isArray(dishResults) ? dishResults : []) {
+    if (!payload) continue;
+    const dishName = payload.dishName || query;
+    const names = Array.isArray(payload.ingredients) ? payload.ingredients : [];
+
+    dishes.push({
+      query,
+      dishName,
+      servings: payload.servings || null,
+      meals: payload.meals || 1,
+      ingredients: names,
+    });
+
+    for (const ing of names) {
+      const key = ingredientKey(ing);
+      if (!key) continue;
+      if (!entries.has(key)) entries.set(key, { ingredient: ing, dishes: [], amounts: [] });
+      const e = entries.get(key);
+      if (!e.dishes.includes(dishName)) e.dishes.push(dishName);
+      const amount = payload.ingredientAmounts?.[ing];
+      if (amount) e.amounts.push(amount);
+    }
+
+    // The first dish that matched an ingredient at a retailer supplies its products.
+    for (const [id, r] of Object.entries(payload.byRetailer || {})) {
+      byRetailer[id] ||= {
+        id,
+        label: r.label || id,
+        capabilities: r.capabilities || {},
+        products: [],
+        matched: [],
+        byIngredient: {},
+        candidateCounts: {},
+      };
+      for (const [ing, arr] of Object.entries(r.byIngredient || {})) {
+        const name = entries.get(ingredientKey(ing))?.ingredient || ing;
+        if (!Array.isArray(arr) || !arr.length || byRetailer[id].byIngredient[name]) continue;
+        byRetailer[id].byIngredient[name] = arr;
+      }
+    }
+  }
+
+  for (const r of Object.values(byRetailer)) {
+    r.products = Object.values(r.byIngredient).flat();
+    r.matched = Object.keys(r.byIngredient);
+  }
+
+  const ingredients = Array.from(entries.values()).map((e) => e.ingredient);
+  const ingredientAmounts = {};
+  for (const e of entries.values()) {
+    const merged = mergeRecipeAmounts(e.amounts, e.ingredient);
+    if (merged) ingredientAmounts[e.ingredient] = merged;
+  }
+
+  const shoppingList = Array.from(entries.values()).map((e) => {
+    const amount = ingredientAmounts[e.ingredient] || null;
+    const supplier = Object.values(byRetailer).find((r) => r.byIngredient[e.ingredient]?.length);
+    const line = {
+      ingredient: e.ingredient,
+      dishes: e.dishes,
+      need: formatRecipeAmount(amount),
+      approximate: Boolean(amount?.approximate),
+      retailer: supplier?.id || null,
+    };
+    if (!supplier) return { ...line, quantity: 0, lineTotal: 0, basis: "unmatched" };
+
+    const product = supplier.byIngredient[e.ingredient][0];
+    const { quantity, basis } = packagesNeeded(amount, product, {
+      ingredient: e.ingredient,
+      sizeTexts: sizeTexts(supplier.id),
+    });
+    const price = Number(product.price) || 0;
+    return {
+      ...line,
+      upc: product.upc || "",
+      title: product.title || "",
+      packageSize: product.size || "",
+      price,
+      quantity,
+      lineTotal: Math.round(price * quantity * 100) / 100,
+      basis,
+    };
+  });
+
+  const cartPlan = buildCartPlan(byRetailer.kroger?.byIngredient || {}, ingredientAmounts, {
+    sizeTexts: sizeTexts("kroger"),
+  });
+
+  return {
+    dishes,
+    ingredients,
+    ingredientAmounts,
+    byRetailer,
+    shoppingList,
+    cartPlan,
+    // Priced from the same supplier per ingredient as the shopping list.
+    cartEstimate: estimateRetailerCosts(byRetailer, ingredientAmounts, {
+      sizeTextsFor: sizeTexts,
+      suppliers: Object.fromEntries(shoppingList.filter((l) => l.retailer).map((l) => [l.ingredient, l.retailer])),
+    }),
+  };
+}
+
+export default {
+  MAX_MEAL_PLAN_DISHES,
+  parseDishList,
+  mergeRecipeAmounts,
+  consolidateMealPlan,
+};
@@ -0,0 +1,222 @@
+// backend/controllers/orderPricing.js
+// Order pricing: cart checks, line totals, fees, promotions and tax. Pure
+// functions; OrderController.js loads the products and stores the order.
+// All arithmetic is in integer cents so totals never drift.
+//
+//   ORDER_TAX_RATE=0.0725          sales tax on discounted goods (default 0)
+//   ORDER_TAX_FEES=1               tax fees too
+//   ORDER_DELIVERY_FEE=4           flat delivery fee per order
+//   ORDER_FREE_DELIVERY_OVER=35    subtotal from which delivery is free
+//   ORDER_PROMOTIONS=[...]         JSON list of promotions (see PROMOTION_TYPES)
+
+import { findVariant, activeVariants, variantLabel } from "./catalog.js";
+
+export const MAX_LINE_QUANTITY = 99;
+export const MAX_ORDER_LINES = 100;
+
+// Rules used when nothing is configured: what the shop has always charged.
+export const DEFAULT_PRICING_RULES = {
+  currency: "USD",
+  taxRate: 0,
+  taxFees: false,
+  fees: [{ code: "delivery", label: "Delivery Fee", amount: 4, freeOver: null }],
+  promotions: [],
+};
+
+/**
+ * Promotion shapes. Without `code` a promotion applies by itself; with one,
+ * only when the customer enters it. `minSubtotal` (before discounts) and
+ * `category` (percent only: eligible lines) narrow it.
+ *   { type: "percent", percent: 10, label, code?, minSubtotal?, category? }
+ *   { type: "amount", amount: 5, label, code?, minSubtotal? }
+ *   { type: "free_fee", fee: "delivery", label, code?, minSubtotal? }
+ */
+export const PROMOTION_TYPES = ["percent", "amount", "free_fee"];
+
+export const toCents = (n) => Math.round(Number(n) * 100);
+export const fromCents = (c) => Math.round(c) / 100;
+
+const num = (v) => (v === undefined || v === null || v === "" ? null : Number(v));
+
+/** DEFAULT_PRICING_RULES with the ORDER_* environment overrides applied. */
+export function pricingRules(env = process.env) {
+  const rules = JSON.parse(JSON.stringify(DEFAULT_PRICING_RULES));
+
+  const taxRate = num(env.ORDER_TAX_RATE);
+  if (Number.isFinite(taxRate) && taxRate >= 0 && taxRate < 1) rules.taxRate = taxRate;
+  if (env.ORDER_TAX_FEES) rules.taxFees = env.ORDER_TAX_FEES === "1";
+
+  const delivery = rules.fees.find((f) => f.code === "delivery");
+  const fee = num(env.ORDER_DELIVERY_FEE);
+  if (Number.isFinite(fee) && fee >= 0) delivery.amount = fee;
+  const freeOver = num(env.ORDER_FREE_DELIVERY_OVER);
+  if (Number.isFinite(freeOver) && freeOver >= 0) delivery.freeOver = freeOver;
+
+  if (env.ORDER_PROMOTIONS) {
+    try {
+      const promos = JSON.parse(env.ORDER_PROMOTIONS);
+      if (Array.isArray(promos)) rules.promotions = promos.filter((p) => PROMOTION_TYPES.includes(p?.type));
+    } catch {
+      console.warn("[PRICING] ORDER_PROMOTIONS is not valid JSON; ignoring it");
+    }
+  }
+  return rules;
+}
+
+/**
+ * Check a `{ productId: quantity }` cart; a variant's key is "productId:variantId".
+ * Zero quantities are dropped (the shop keeps removed items at 0).
+ * Returns { lines: [{ productId, variantKey?, quantity }], problems }.
+ */
+export function normalizeCart(cart, { isValidId = (id) => /^[a-f0-9]{24}$/i.test(id) } = {}) {
+  const problems = [];
+  if (!cart || typeof cart !== "object" || Array.isArray(cart)) {
+    return { lines: [], problems: ["Cart must be an object of product ids to quantities."] };
+  }
+
+  const lines = [];
+  for (const [key, raw] of Object.entries(cart)) {
+    const quantity = Number(raw);
+    if (quantity === 0) continue;
+    const [productId, variantKey, ...rest] = key.split(":");
+    if (!isValidId(productId) || (variantKey !== undefined && !isValidId(variantKey)) || rest.length) {
+      problems.push(`Unknown product "${key}".`);
+    } else if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_LINE_QUANTITY) {
+      problems.push(`Quantity for ${key} must be a whole number from 1 to ${MAX_LINE_QUANTITY}.`);
+    } else {
+      lines.push(variantKey ? { productId, variantKey, quantity } : { productId, quantity });
+    }
+  }
+
+  if (!lines.length && !problems.length) problems.push("Cart is empty.");
+  if (lines.length > MAX_ORDER_LINES) problems.push(`At most ${MAX_ORDER_LINES} different products per order.`);
+  return { lines, problems };
+}
+
+const promoApplies = (promo, subtotalCents, promoCode) => {
+  if (promo.code && String(promo.code).toLowerCase() !== String(promoCode || "").trim().toLowerCase()) return false;
+  return !promo.minSubtotal || subtotalCents >= toCents(promo.minSubtotal);
+};
+
+/**
+ * Price checked cart lines against catalog products (`products`: id -> product).
+ *
+ * Returns { currency, items, subtotal, fees, discounts, tax, total, promoCode, problems }.
+ * Amounts are dollars rounded to cents; `problems` lists what blocks the order
+ * (missing or unpriced products, unknown promo code).
+ */
+export function priceOrder({ lines, products, rules = DEFAULT_PRICING_RULES, promoCode = "" }) {
+  const problems = [];
+  const items = [];
+
+  for (const { productId, variantKey, quantity } of lines) {
+    const product = products[productId];
+    if (!product) {
+      problems.push(`Product ${productId} is no longer available.`);
+      continue;
+    }
+
+    // A product sold in variants is bought as one of them, at that variant's price.
+    const variant = findVariant(product, variantKey);
+    if (variantKey && (!variant || variant.active === false)) {
+      problems.push(`That option of "${product.title}" is no longer available.`);
+      continue;
+    }
+    if (!variant && activeVariants(product).length) {
+      problems.push(`Choose an option for "${product.title}".`);
+      continue;
+    }
+    const title = variant ? `${product.title} (${variantLabel(variant)})` : product.title;
+    const sku = (variant ? variant.sku : product.sku) || "";
+    const upc = (variant ? variant.upc : product.upc) || "";
+
+    const unitCents = toCents(variant ? variant.price : product.price);
+    if (!Number.isFinite(unitCents) || unitCents < 0) {
+      problems.push(`"${title}" has no valid price.`);
+      continue;
+    }
+    items.push({
+      productId,
+      ...(variant ? { variantKey: String(variant._id) } : {}),
+      ...(sku ? { sku } : {}),
+      ...(upc ? { upc } : {}),
+      title,
+      image: String(variant?.imageUrl || product.imageUrl || "").split("/").pop(),
+      category: product.category || "",
+      unitPrice: fromCents(unitCents),
+      quantity,
+      totalCents: unitCents * quantity,
+    });
+  }
+
+  const subtotalCents = items.reduce((sum, i) => sum + i.totalCents, 0);
+  const code = String(promoCode || "").trim();
+  const applied = (rules.promotions || []).filter((p) => promoApplies(p, subtotalCents, code));
+  if (code && !applied.some((p) => p.code)) problems.push(`Promo code "${code}" is not valid for this order.`);
+
+  // Fees, minus any a promotion waives
+  const waived = new Set(applied.filter((p) => p.type === "free_fee").map((p) => p.fee));
+  const fees = [];
+  for (const fee of rules.fees || []) {
+    const overThreshold = fee.freeOver !== null && fee.freeOver !== undefined && subtotalCents >= toCents(fee.freeOver);
+    if (!items.length || overThreshold || waived.has(fee.code)) continue;
+    fees.push({ code: fee.code, label: fee.label, amountCents: toCents(fee.amount) });
+  }
+
+  // Discounts, capped so goods never go below zero
+  const discounts = [];
+  let remaining = subtotalCents;
+  for (const promo of applied) {
+    let cents = 0;
+    if (promo.type === "percent") {
+      const base = promo.category
+        ? items.filter((i) => i.category === promo.category).reduce((s, i) => s + i.totalCents, 0)
+        : subtotalCents;
+      cents = Math.round((base * Number(promo.percent || 0)) / 100);
+    } else if (promo.type === "amount") {
+      cents = toCents(promo.amount || 0);
+    }
+    cents = Math.min(Math.max(cents, 0), remaining);
+    if (!cents) continue;
+    remaining -= cents;
+    discounts.push({ code: promo.code || "", label: promo.label || "Discount", amountCents: cents });
+  }
+
+  const feesCents = fees.reduce((s, f) => s + f.amountCents, 0);
+  const discountCents = subtotalCents - remaining;
+  const taxable = remaining + (rules.taxFees ? feesCents : 0);
+  const taxCents = Math.round(taxable * (rules.taxRate || 0));
+  const totalCents = remaining + feesCents + taxCents;
+
+  return {
+    currency: rules.currency || "USD",
+    items: items.map(({ totalCents, ...i }) => ({ ...i, total: fromCents(totalCents) })),
+    subtotal: fromCents(subtotalCents),
+    fees: fees.map(({ amountCents, ...f }) => ({ ...f, amount: fromCents(amountCents) })),
+    discounts: discounts.map(({ amountCents, ...d }) => ({ ...d, amount: fromCents(amountCents) })),
+    discountTotal: fromCents(discountCents),
+    tax: fromCents(taxCents),
+    total: fromCents(totalCents),
+    promoCode: code,
+    problems,
+  };
+}
+
+// True when the total the customer confirmed differs from ours by a cent or more.
+export function totalMismatch(clientTotal, quote) {
+  const cents = toCents(clientTotal);
+  return !Number.isFinite(cents) || cents !== toCents(quote.total);
+}
+
+export default {
+  MAX_LINE_QUANTITY,
+  MAX_ORDER_LINES,
+  DEFAULT_PRICING_RULES,
+  PROMOTION_TYPES,
+  toCents,
+  fromCents,
+  pricingRules,
+  normalizeCart,
+  priceOrder,
+  totalMismatch,
+};
@@ -0,0 +1,118 @@
+// backend/controllers/orderStatus.js
+// Order lifecycle: statuses, the transitions allowed between them and who may
+// make each one. Pure functions; OrderController.js applies them atomically.
+
+export const ORDER_STATUSES = [
+  "pending", // placed, not paid yet
+  "paid",
+  "picking", // store is collecting the items
+  "shipped",
+  "ready_for_pickup",
+  "delivered",
+  "cancelled",
+  "refunded",
+];
+
+// Orders saved before statuses existed were taken as soon as they were placed.
+export const LEGACY_STATUS = "paid";
+
+export const ORDER_TRANSITIONS = {
+  pending: ["paid", "cancelled"],
+  paid: ["picking", "cancelled", "refunded"],
+  picking: ["shipped", "ready_for_pickup", "cancelled"],
+  shipped: ["delivered"],
+  ready_for_pickup: ["delivered", "cancelled"],
+  delivered: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+};
+
+// Customers may cancel their own order until the store starts picking it.
+export const CUSTOMER_CANCELLABLE = ["pending", "paid"];
+
+export const STATUS_LABELS = {
+  pending: "Pending payment",
+  paid: "Paid",
+  picking: "Being picked",
+  shipped: "Shipped",
+  ready_for_pickup: "Ready for pickup",
+  delivered: "Delivered",
+  cancelled: "Cancelled",
+  refunded: "Refunded",
+};
+
+export const isOrderStatus = (s) => ORDER_STATUSES.includes(s);
+
+export function statusOf(order) {
+  return order?.status || LEGACY_STATUS;
+}
+
+export function canTransition(from, to) {
+  return (ORDER_TRANSITIONS[from] || []).includes(to);
+}
+
+// Whether money was ever taken for the order (refunds need it).
+export function wasPaid(order) {
+  const history = order?.statusHistory || [];
+  if (!history.length) return statusOf(order) !== "pending" && statusOf(order) !== "cancelled";
+  return history.some((h) => h.status === "paid");
+}
+
+/**
+ * null when `actor` may move `order` to `to`, else the message to show.
+ * actor.kind: "customer" (the order's owner), "staff" or "system" (payments).
+ */
+export function transitionProblem(order, to, actor) {
+  const from = statusOf(order);
+  if (!isOrderStatus(to)) return `Unknown order status "${to}".`;
+  if (from === to) return `Order is already ${STATUS_LABELS[to].toLowerCase()}.`;
+  if (!canTransition(from, to)) {
+    return `An order that is ${STATUS_LABELS[from].toLowerCase()} cannot become ${STATUS_LABELS[to].toLowerCase()}.`;
+  }
+  if (actor?.kind === "customer") {
+    if (to !== "cancelled") return "Only the store can change this order.";
+    if (!CUSTOMER_CANCELLABLE.includes(from)) return "This order is already being prepared and can no longer be cancelled.";
+  }
+  if (to === "paid" && actor?.kind !== "system") return "Orders are marked paid once the payment provider confirms the payment.";
+  if (to === "refunded" && !wasPaid(order)) return "This order was never paid, so there is nothing to refund.";
+  return null;
+}
+
+/** The history entry recording a move to `status`. */
+export function historyEntry(status, actor = {}, { note = "", at = new Date() } = {}) {
+  return {
+    status,
+    at,
+    actor: {
+      kind: actor.kind || "system",
+      userId: actor.userId || null,
+      label: String(actor.label || "").slice(0, 120),
+    },
+    note: String(note || "").slice(0, 500),
+  };
+}
+
+/**
+ * The statuses an order has been through, oldest first, for timelines.
+ * Orders from before history was kept get one entry at their order date.
+ */
+export function timeline(order) {
+  const history = order?.statusHistory || [];
+  if (history.length) return history;
+  return [historyEntry(statusOf(order), { kind: "system" }, { at: order?.date || null })];
+}
+
+export default {
+  ORDER_STATUSES,
+  LEGACY_STATUS,
+  ORDER_TRANSITIONS,
+  CUSTOMER_CANCELLABLE,
+  STATUS_LABELS,
+  isOrderStatus,
+  statusOf,
+  canTransition,
+  wasPaid,
+  transitionProblem,
+  historyEntry,
+  timeline,
+};
@@ -0,0 +1,233 @@
+// backend/controllers/priceWatch.js
+// Price history and watchlist rules: turn search results into price
+// observations, decide when a watched item's price crossed its threshold and
+// summarize a product's history. Pure functions only (no I/O), like
+// budgetCompare.js; PriceHistoryController.js does the storage and delivery.
+import net from "net";
+import { bestComparableOffer, defaultSizeTexts } from "./budgetCompare.js";
+
+// Identical observations of the same product within this window are dropped
+// (search results are cached for hours, so repeats are the norm).
+export const OBSERVATION_DEDUPE_MS = 60 * 60 * 1000;
+
+export const MAX_HISTORY_DAYS = 365;
+export const WATCH_BASES = ["unit", "price"];
+
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+/**
+ * One price observation for a normalized product, or null when it has no
+ * identifier or no usable price. `unitPrice` is per display unit (oz, fl oz,
+ * each, sq ft; see `unitKind`), the same units budget mode compares in.
+ */
+export function observationFromProduct(
+  retailer,
+  product,
+  { locationId = null, sizeTexts = defaultSizeTexts, observedAt = new Date() } = {}
+) {
+  const upc = String(product?.upc || "").trim();
+  const productId = String(product?._id || "").trim();
+  const price = Number(product?.price);
+  if ((!upc && !productId) || !Number.isFinite(price) || price <= 0) return null;
+
+  const offer = bestComparableOffer([product], sizeTexts);
+
+  return {
+    meta: {
+      retailer: String(retailer || product?.retailer || ""),
+      upc: upc || productId,
+      locationId: locationId || product?.locationId || "",
+    },
+    observedAt,
+    price,
+    unitPrice: offer?.unitPrice != null ? round4(offer.unitPrice) : null,
+    unitKind: offer?.unitKind || null,
+    title: String(product?.title || ""),
+    size: String(product?.size || ""),
+  };
+}
+
+export function observationKey(obs) {
+  return `${obs.meta.retailer}:${obs.meta.upc}:${obs.meta.locationId || ""}`;
+}
+
+/**
+ * Drop observations already recorded at the same price within
+ * OBSERVATION_DEDUPE_MS. `seen` (Map key -> {price, at}) is updated in place.
+ */
+export function dedupeObservations(observations = [], seen = new Map(), now = Date.now()) {
+  const out = [];
+  for (const obs of observations) {
+    if (!obs) continue;
+    const key = observationKey(obs);
+    const prev = seen.get(key);
+    if (prev && prev.price === obs.price && now - prev.at < OBSERVATION_DEDUPE_MS) continue;
+    seen.set(key, { price: obs.price, at: now });
+    out.push(obs);
+  }
+  return out;
+}
+
+/**
+ * The value a watch compares against its threshold: the unit price when the
+ * watch is on unit price and the observation is in the watch's unit kind,
+ * otherwise the shelf price for "price" watches. null = not comparable.
+ */
+export function watchValue(watch, obs) {
+  if (!obs) return null;
+  if (watch?.basis === "price") return obs.price;
+  if (obs.unitPrice == null) return null;
+  if (watch?.unitKind && obs.unitKind !== watch.unitKind) return null;
+  return obs.unitPrice;
+}
+
+/**
+ * Alerts fire once when the value drops below the threshold, then re-arm only
+ * after the value is back at or above it, so a price that stays low does not
+ * alert on every search.
+ *
+ * @returns {{value:number|null, fire:boolean, armed:boolean}}
+ */
+export function evaluateWatch(watch, obs) {
+  const armed = watch?.armed !== false;
+  const value = watchValue(watch, obs);
+  const threshold = Number(watch?.threshold);
+  if (value === null || !Number.isFinite(threshold)) return { value, fire: false, armed };
+
+  if (value < threshold) return { value, fire: armed, armed: false };
+  return { value, fire: false, armed: true };
+}
+
+/**
+ * Validate a watchlist body. Returns { value } or { error }. `partial` allows
+ * updates that only carry some fields.
+ */
+export function sanitizeWatchInput(body = {}, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || body.retailer !== undefined) {
+    value.retailer = String(body.retailer || "kroger").trim().toLowerCase();
+  }
+  if (!partial || body.upc !== undefined) {
+    value.upc = String(body.upc || "").trim();
+    if (!value.upc) return { error: "upc is required" };
+  }
+  if (body.locationId !== undefined) value.locationId = String(body.locationId || "").trim();
+  if (body.title !== undefined) value.title = String(body.title || "").trim().slice(0, 300);
+
+  if (!partial || body.basis !== undefined) {
+    value.basis = body.basis === undefined ? "unit" : String(body.basis);
+    if (!WATCH_BASES.includes(value.basis)) return { error: `basis must be one of ${WATCH_BASES.join(", ")}` };
+  }
+  if (body.unitKind !== undefined) value.unitKind = body.unitKind ? String(body.unitKind) : null;
+
+  if (!partial || body.threshold !== undefined) {
+    const threshold = Number(body.threshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) return { error: "threshold must be a positive number" };
+    value.threshold = threshold;
+    value.armed = true;
+  }
+
+  if (body.email !== undefined) value.email = Boolean(body.email);
+  if (body.webhookUrl !== undefined) value.webhookUrl = String(body.webhookUrl || "").trim();
+  if (body.active !== undefined) value.active = Boolean(body.active);
+
+  return { value };
+}
+
+/**
+ * min/max/first/latest of a price history (points sorted by observedAt).
+ * `unit*` fields are only set when every point with a unit price shares one
+ * unit kind.
+ */
+export function summarizeHistory(points = []) {
+  const list = Array.isArray(points) ? points : [];
+  if (!list.length) return { count: 0 };
+
+  const prices = list.map((p) => p.price);
+  const first = list[0];
+  const latest = list[list.length - 1];
+  const summary = {
+    count: list.length,
+    first: { price: first.price, observedAt: first.observedAt },
+    latest: { price: latest.price, observedAt: latest.observedAt },
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    change: Math.round((latest.price - first.price) * 100) / 100,
+  };
+
+  const units = list.filter((p) => p.unitPrice != null);
+  const kinds = new Set(units.map((p) => p.unitKind));
+  if (units.length && kinds.size === 1) {
+    summary.unitKind = units[0].unitKind;
+    summary.minUnitPrice = Math.min(...units.map((p) => p.unitPrice));
+    summary.latestUnitPrice = units[units.length - 1].unitPrice;
+  }
+  return summary;
+}
+
+const PRIVATE_HOST_RE = /^(localhost|.*\.localhost|.*\.local|.*\.internal)$/i;
+
+// Loopback, private, link-local, CGNAT, multicast and unspecified ranges. The
+// IPv4 rules also match IPv4-mapped IPv6 addresses (::ffff:7f00:1).
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv4");
+}
+for (const [prefix, bits] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  PRIVATE_ADDRESSES.addSubnet(prefix, bits, "ipv6");
+}
+
+/** True for an IP address a webhook must never reach; false for names. */
+export function isPrivateAddress(address) {
+  const family = net.isIP(String(address || ""));
+  if (!family) return false;
+  return PRIVATE_ADDRESSES.check(address, family === 6 ? "ipv6" : "ipv4");
+}
+
+/**
+ * Webhook URLs come from users, so only public https endpoints are accepted
+ * (http too when `allowHttp`, for local development). This only checks the URL
+ * itself; the webhook channel also checks what the host resolves to.
+ */
+export function isAllowedWebhookUrl(url, { allowHttp = false } = {}) {
+  let u;
+  try {
+    u = new URL(String(url || ""));
+  } catch {
+    return false;
+  }
+  if (u.protocol !== "https:" && !(allowHttp && u.protocol === "http:")) return false;
+  if (u.username || u.password) return false;
+  if (PRIVATE_HOST_RE.test(u.hostname)) return false;
+  return !isPrivateAddress(u.hostname.replace(/^\[|\]$/g, ""));
+}
+
+export default {
+  OBSERVATION_DEDUPE_MS,
+  MAX_HISTORY_DAYS,
+  WATCH_BASES,
+  observationFromProduct,
+  observationKey,
+  dedupeObservations,
+  watchValue,
+  evaluateWatch,
+  sanitizeWatchInput,
+  summarizeHistory,
+  isPrivateAddress,
+  isAllowedWebhookUrl,
+};
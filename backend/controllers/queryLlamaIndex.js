@@ -1,5 +1,7 @@
 // queryLlamaIndex.js
 import axios from 'axios';
+import { FIXTURE_MODE } from '../mocks/fixtureMode.js';
+import queryLlamaIndexFixture from '../mocks/llamaFixture.js';
 
 // Configure via env when needed, e.g.:
 //   LLAMA_URL=http://127.0.0.1:5001/query node index.js
@@ -12,6 +14,8 @@ const client = axios.create({
 });
 
 const queryLlamaIndex = async (query) => {
+  if (FIXTURE_MODE) return queryLlamaIndexFixture(query);
+
   try {
     if (!Array.isArray(query) || query.length === 0) {
       throw new Error('query must be a non-empty array');
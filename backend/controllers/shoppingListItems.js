@@ -0,0 +1,183 @@
+// backend/controllers/shoppingListItems.js
+// Saved shopping list lines: build them from a search payload, validate edits
+// coming from the client, and fold fresh retailer prices back in.
+// Pure functions only (no I/O), like cartPlan.js.
+import { MAX_PACKAGES_PER_ITEM, normalizeServings } from "./cartPlan.js";
+
+export const MAX_LIST_ITEMS = 100;
+export const MAX_LIST_NAME = 120;
+
+const str = (v, max = 500) => String(v ?? "").trim().slice(0, max);
+
+function num(v, fallback = null) {
+  const n = Number(v);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function clampQuantity(v) {
+  const n = Math.round(Number(v));
+  if (!Number.isFinite(n) || n < 1) return 1;
+  return Math.min(MAX_PACKAGES_PER_ITEM, n);
+}
+
+/**
+ * Validate list lines sent by the client. Lines without an ingredient are
+ * dropped; everything else is coerced to the model's types.
+ */
+export function sanitizeListItems(items = []) {
+  const out = [];
+  for (const it of Array.isArray(items) ? items : []) {
+    const ingredient = str(it?.ingredient, 200);
+    if (!ingredient) continue;
+
+    const amount = num(it?.amount);
+    out.push({
+      ingredient,
+      amount: amount > 0 ? amount : null,
+      unit: amount > 0 ? str(it?.unit, 40) : "",
+      retailer: str(it?.retailer, 40).toLowerCase() || "kroger",
+      upc: str(it?.upc, 40),
+      productId: str(it?.productId, 80),
+      title: str(it?.title),
+      imageUrl: str(it?.imageUrl, 1000),
+      size: str(it?.size, 120),
+      url: str(it?.url, 1000),
+      price: num(it?.price, 0),
+      quantity: clampQuantity(it?.quantity),
+      available: it?.available !== false,
+    });
+    if (out.length >= MAX_LIST_ITEMS) break;
+  }
+  return out;
+}
+
+/**
+ * Top-level list fields from a create/update body. Only keys present in the
+ * body are returned, so an update leaves the others alone.
+ */
+export function sanitizeListFields(body = {}) {
+  const out = {};
+  if (body.name !== undefined) out.name = str(body.name, MAX_LIST_NAME);
+  if (body.query !== undefined) out.query = str(body.query);
+  if (body.dishes !== undefined) {
+    out.dishes = (Array.isArray(body.dishes) ? body.dishes : []).map((d) => str(d, 200)).filter(Boolean);
+  }
+  if (body.servings !== undefined || body.meals !== undefined) {
+    const { servings, meals } = normalizeServings(body);
+    if (body.servings !== undefined) out.servings = servings;
+    if (body.meals !== undefined) out.meals = meals;
+  }
+  if (body.zip !== undefined) out.zip = str(body.zip, 10);
+  if (body.budgetSearch !== undefined) out.budgetSearch = Boolean(body.budgetSearch);
+  if (body.items !== undefined) out.items = sanitizeListItems(body.items);
+  return out;
+}
+
+/**
+ * List lines from a search result (buildFinalPayload / meal plan output):
+ * one line per ingredient, using the first retailer that matched it and the
+ * recipe-sized quantity from `cartEstimate` when there is one.
+ */
+export function itemsFromSearchPayload(payload = {}) {
+  const byRetailer = payload?.byRetailer || {};
+  const amounts = payload?.ingredientAmounts || {};
+  const ingredients = Array.isArray(payload?.ingredients) && payload.ingredients.length
+    ? payload.ingredients
+    : Array.from(new Set(Object.values(byRetailer).flatMap((r) => Object.keys(r?.byIngredient || {}))));
+
+  const items = [];
+  for (const ingredient of ingredients) {
+    const r = Object.values(byRetailer).find((x) => x?.byIngredient?.[ingredient]?.length);
+    const p = r ? r.byIngredient[ingredient][0] : null;
+    const line = (payload?.cartEstimate?.byRetailer?.[r?.id]?.lines || []).find(
+      (l) => l.ingredient === ingredient
+    );
+
+    items.push({
+      ingredient,
+      amount: amounts[ingredient]?.amount ?? null,
+      unit: amounts[ingredient]?.unit || "",
+      retailer: r?.id || "kroger",
+      upc: p?.upc || "",
+      productId: p?._id || "",
+      title: p?.title || "",
+      imageUrl: p?.imageUrl || "",
+      size: p?.size || "",
+      url: p?.url || "",
+      price: p?.price ?? 0,
+      quantity: line?.quantity || 1,
+      available: Boolean(p),
+    });
+  }
+  return sanitizeListItems(items);
+}
+
+// Identity of a saved product at its retailer.
+export function listItemKey(item) {
+  const id = item?.upc || item?.productId || "";
+  return id ? `${item.retailer || "kroger"}:${id}` : "";
+}
+
+/**
+ * Fold fresh prices into saved lines. `fresh` maps listItemKey -> normalized
+ * product (or null when the retailer no longer has it). Lines without a
+ * product, or not looked up, are left as they are.
+ *
+ * @returns {{items:object[], changes:{ingredient:string, title:string, from:number, to:number|null}[]}}
+ */
+export function applyFreshPrices(items = [], fresh = new Map()) {
+  const changes = [];
+  const next = (Array.isArray(items) ? items : []).map((it) => {
+    const key = listItemKey(it);
+    if (!key || !fresh.has(key)) return { ...it };
+
+    const p = fresh.get(key);
+    if (!p) {
+      if (it.available !== false) changes.push({ ingredient: it.ingredient, title: it.title, from: it.price, to: null });
+      return { ...it, available: false };
+    }
+
+    const price = num(p.price, it.price);
+    if (price !== it.price) changes.push({ ingredient: it.ingredient, title: it.title, from: it.price, to: price });
+    return {
+      ...it,
+      price,
+      title: p.title || it.title,
+      imageUrl: p.imageUrl || it.imageUrl,
+      size: p.size || it.size,
+      available: true,
+    };
+  });
+  return { items: next, changes };
+}
+
+export function listTotal(items = []) {
+  const total = (Array.isArray(items) ? items : [])
+    .filter((it) => it.available !== false && listItemKey(it))
+    .reduce((acc, it) => acc + (Number(it.price) || 0) * (Number(it.quantity) || 1), 0);
+  return Math.round(total * 100) / 100;
+}
+
+// Lines addKrogerItemsToCart can take: Kroger products still on the shelf.
+export function krogerCartItems(items = []) {
+  return (Array.isArray(items) ? items : [])
+    .filter((it) => it.retailer === "kroger" && it.upc && it.available !== false)
+    .map((it) => ({
+      upc: it.upc,
+      quantity: clampQuantity(it.quantity),
+      ingredient: it.ingredient,
+      title: it.title,
+    }));
+}
+
+export default {
+  MAX_LIST_ITEMS,
+  MAX_LIST_NAME,
+  sanitizeListItems,
+  sanitizeListFields,
+  itemsFromSearchPayload,
+  listItemKey,
+  applyFreshPrices,
+  listTotal,
+  krogerCartItems,
+};
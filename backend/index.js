@@ -3,6 +3,10 @@ import connectDB from './config/db.js'
 import productRoutes from './routes/ProductRoutes.js';
 import authRoutes from './routes/AuthRoutes.js'
 import KrogerRoutes from './routes/KrogerRoutes.js';
+import shoppingListRoutes from './routes/ShoppingListRoutes.js';
+import priceRoutes, { notificationRouter } from './routes/PriceRoutes.js';
+import adminRoutes from './routes/AdminRoutes.js';
+import paymentRoutes from './routes/PaymentRoutes.js';
 import cors from 'cors';
 import dotenv from 'dotenv';
 
@@ -10,12 +14,24 @@ dotenv.config();
 
 const port = 4000;
 const app =  express();
-app.use(cors({ origin: true, credentials: true }));
+// Behind a proxy/load balancer, set TRUST_PROXY (e.g. 1) so req.ip - and the
+// per-IP rate limits - use the client address instead of the proxy's.
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isFinite(hops) ? hops : process.env.TRUST_PROXY);
+}
+app.use(cors({ origin: true, credentials: true, exposedHeaders: ['Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining'] }));
 
+// Before express.json(): payment webhooks are verified against their raw body.
+app.use('/payments', paymentRoutes);
 app.use(express.json());
 app.use('/products', productRoutes);
 app.use('/auth', authRoutes)
 app.use('/kroger', KrogerRoutes);
+app.use('/lists', shoppingListRoutes);
+app.use('/prices', priceRoutes);
+app.use('/notifications', notificationRouter);
+app.use('/admin', adminRoutes);
 
 connectDB();
 
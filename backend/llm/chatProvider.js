@@ -0,0 +1,100 @@
+// backend/llm/chatProvider.js
+// Providers speaking the Chat Completions protocol: OpenAI's own endpoint
+// (older models such as gpt-4-turbo) and OpenAI-compatible local servers
+// (llama.cpp `llama-server`, Ollama, vLLM).
+//
+//   LLM_LOCAL_URL=http://127.0.0.1:11434/v1   base URL of the local server (Ollama default)
+//   LLM_LOCAL_API_KEY=...                      if the server wants one
+//   LLM_LOCAL_JSON_MODE=schema|object|none     how JSON output is requested (default schema)
+import OpenAI from "openai";
+import openai from "../config/openai.js";
+import { FIXTURE_MODE } from "../mocks/fixtureMode.js";
+import { createFixtureOpenAI } from "../mocks/openaiFixture.js";
+
+function toChatMessages(messages) {
+  return (messages || []).map((m) => {
+    const images = Array.isArray(m.images) ? m.images : [];
+    if (!images.length) return { role: m.role, content: String(m.content ?? "") };
+    return {
+      role: m.role,
+      content: [
+        { type: "text", text: String(m.content ?? "") },
+        ...images.map((url) => ({ type: "image_url", image_url: { url } })),
+      ],
+    };
+  });
+}
+
+// jsonMode: "schema" sends the JSON schema, "object" asks for any JSON object,
+// "none" relies on the prompt (older models reject both).
+function responseFormat(jsonMode, schema) {
+  if (jsonMode === "schema" && schema?.schema?.type === "object") {
+    return { type: "json_schema", json_schema: { name: schema.name, strict: true, schema: schema.schema } };
+  }
+  if ((jsonMode === "schema" || jsonMode === "object") && (!schema || schema.schema?.type === "object")) {
+    return { type: "json_object" };
+  }
+  return undefined;
+}
+
+/**
+ * @param {object} opts
+ * @param {string} opts.id
+ * @param {() => object} opts.client   OpenAI SDK client (resolved lazily)
+ * @param {"schema"|"object"|"none"} [opts.jsonMode]
+ * @param {boolean} [opts.costFree]   local models cost nothing per token
+ */
+export function createChatProvider({ id, label = id, client, jsonMode = "schema", vision = true, costFree = false }) {
+  return {
+    id,
+    label,
+    capabilities: { jsonSchema: jsonMode === "schema", vision },
+    costFree,
+
+    async complete({ model, messages, schema, maxTokens, temperature = 0.1 }) {
+      const payload = {
+        model,
+        messages: toChatMessages(messages),
+        max_tokens: maxTokens,
+        temperature,
+      };
+      const format = responseFormat(jsonMode, schema);
+      if (format) payload.response_format = format;
+
+      const resp = await client().chat.completions.create(payload);
+      return { text: resp?.choices?.[0]?.message?.content || "", raw: resp, model: resp?.model || model };
+    },
+  };
+}
+
+export const openaiChatProvider = createChatProvider({
+  id: "openai-chat",
+  label: "OpenAI (Chat Completions)",
+  client: () => openai,
+  jsonMode: "none",
+});
+
+let localClient = null;
+
+export const localProvider = createChatProvider({
+  id: "local",
+  label: "Local OpenAI-compatible server",
+  client: () => {
+    if (!localClient) {
+      localClient = FIXTURE_MODE
+        ? createFixtureOpenAI()
+        : new OpenAI({
+            baseURL: process.env.LLM_LOCAL_URL || "http://127.0.0.1:11434/v1",
+            apiKey: process.env.LLM_LOCAL_API_KEY || "local",
+            timeout: Number(process.env.LLM_LOCAL_TIMEOUT_MS || 60000),
+          });
+    }
+    return localClient;
+  },
+  jsonMode: ["schema", "object", "none"].includes(process.env.LLM_LOCAL_JSON_MODE)
+    ? process.env.LLM_LOCAL_JSON_MODE
+    : "schema",
+  costFree: true,
+});
+
+export default createChatProvider;
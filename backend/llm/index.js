@@ -0,0 +1,301 @@
+// backend/llm/index.js
+// LLM gateway: every model call in the app goes through completeJSON(task, ...).
+// A task names what is being asked (e.g. "ingredients"); its route says which
+// provider and model answer it, with fallbacks. Answers are parsed, validated
+// against the task's JSON schema, sent back for repair when they don't fit,
+// and metered (config/llmMeter.js).
+//
+//   LLM_ROUTE_<TASK>=local:llama3.1:8b,openai:gpt-5   per-task route; first entry first,
+//                                                       the rest are fallbacks
+//   LLM_FALLBACK=local:qwen2.5                          appended to every route
+//   LLM_LOCAL_MODEL=llama3.1                            model for a bare "local" entry
+//   LLM_SCHEMA_RETRIES=2                                repair attempts per provider on invalid output
+import openaiProvider from "./openaiProvider.js";
+import { openaiChatProvider, localProvider } from "./chatProvider.js";
+import stubProvider from "./stubProvider.js";
+import { parseModelJSON, validateSchema } from "./json.js";
+import { recordLlmCall } from "../config/llmMeter.js";
+
+/**
+ * LLM provider contract.
+ *
+ * @typedef {Object} LlmProvider
+ * @property {string} id                    key used in routes (e.g. "openai", "local")
+ * @property {string} label
+ * @property {{jsonSchema:boolean, vision:boolean}} capabilities
+ *           jsonSchema: the provider can enforce a schema itself (answers are validated anyway)
+ * @property {boolean} costFree             true when calls cost nothing per token (local, stub)
+ * @property {(req:{model:string, messages:LlmMessage[], schema:?{name:string, schema:object},
+ *             maxTokens:number, temperature?:number}) => Promise<{text:string, raw:object, model:string}>} complete
+ *           `raw` is the API response (its `usage` is metered)
+ *
+ * @typedef {Object} LlmMessage
+ * @property {"system"|"user"|"assistant"} role
+ * @property {string} content
+ * @property {string[]} [images]            data: or https: URLs, for vision tasks
+ */
+
+const registry = new Map();
+
+export function defineLlmProvider(provider) {
+  if (!provider || typeof provider !== "object") throw new Error("LLM provider must be an object");
+  if (!provider.id || typeof provider.id !== "string") throw new Error("LLM provider is missing a string id");
+  if (typeof provider.complete !== "function") throw new Error(`LLM provider "${provider.id}" is missing complete()`);
+  return {
+    label: provider.id,
+    costFree: false,
+    ...provider,
+    capabilities: { jsonSchema: false, vision: false, ...(provider.capabilities || {}) },
+  };
+}
+
+export function registerLlmProvider(provider) {
+  const def = defineLlmProvider(provider);
+  registry.set(def.id, def);
+  return def;
+}
+
+export function getLlmProvider(id) {
+  return registry.get(String(id || "").toLowerCase()) || null;
+}
+
+export function listLlmProviders() {
+  return Array.from(registry.values());
+}
+
+registerLlmProvider(openaiProvider);
+registerLlmProvider(openaiChatProvider);
+registerLlmProvider(localProvider);
+registerLlmProvider(stubProvider);
+
+/* ============================== Task routing ============================== */
+
+// Defaults keep each call on the model it was written for.
+export const LLM_TASKS = {
+  ingredients: { route: "openai:gpt-5", maxTokens: 1200 },
+  kroger_match: { route: "openai:gpt-5", maxTokens: 4000 },
+  retailer_match: { route: "openai:gpt-5", maxTokens: 1200 },
+  fridge_vision: { route: "openai:gpt-5", maxTokens: 800, vision: true },
+  products_ingredients: { route: "openai-chat:gpt-4-turbo", maxTokens: 300, temperature: 0.2 },
+  products_match: { route: "openai-chat:gpt-4-turbo", maxTokens: 400, temperature: 0.1 },
+};
+
+/**
+ * "local:llama3.1:8b, openai:gpt-5" -> [{ provider: "local", model: "llama3.1:8b" }, ...].
+ * Only the first ":" splits, so Ollama tags survive; a bare provider id means
+ * its default model.
+ */
+export function parseRoute(route) {
+  return String(route || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const i = entry.indexOf(":");
+      return i < 0
+        ? { provider: entry.toLowerCase(), model: "" }
+        : { provider: entry.slice(0, i).trim().toLowerCase(), model: entry.slice(i + 1).trim() };
+    });
+}
+
+const DEFAULT_MODELS = {
+  openai: () => "gpt-5",
+  "openai-chat": () => "gpt-4-turbo",
+  local: () => process.env.LLM_LOCAL_MODEL || "llama3.1",
+  stub: () => "stub",
+};
+
+// The providers (with models) that may answer `task`, in order; entries for
+// unknown providers, or without vision for a vision task, are skipped.
+export function routeFor(task) {
+  const cfg = LLM_TASKS[task];
+  if (!cfg) throw new Error(`Unknown LLM task "${task}"`);
+
+  const entries = [
+    ...parseRoute(process.env[`LLM_ROUTE_${task.toUpperCase()}`] || cfg.route),
+    ...parseRoute(process.env.LLM_FALLBACK),
+  ];
+  const seen = new Set();
+  const chain = [];
+  for (const { provider: id, model } of entries) {
+    const provider = getLlmProvider(id);
+    if (!provider) {
+      console.warn("[LLM] Unknown provider in route", { task, provider: id });
+      continue;
+    }
+    if (cfg.vision && !provider.capabilities.vision) continue;
+    const resolved = model || DEFAULT_MODELS[id]?.() || "";
+    const key = `${id}:${resolved}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    chain.push({ provider, model: resolved });
+  }
+  if (!chain.length) throw new Error(`No usable LLM provider for task "${task}"`);
+  return chain;
+}
+
+const schemaRetries = () => {
+  const n = Number(process.env.LLM_SCHEMA_RETRIES);
+  return Number.isInteger(n) && n >= 0 ? Math.min(n, 5) : 2;
+};
+
+/* ============================== Gateway ============================== */
+
+// Parse and validate one answer; no problems means it is usable. `validate`
+// only sees answers that already fit the schema.
+function answerProblems(text, schema, validate) {
+  let data;
+  try {
+    data = parseModelJSON(text);
+  } catch (e) {
+    return { data: undefined, problems: [`not valid JSON (${e.message})`] };
+  }
+  const problems = schema ? validateSchema(data, schema.schema) : [];
+  if (!problems.length && typeof validate === "function") problems.push(...(validate(data) || []));
+  return { data, problems };
+}
+
+const MAX_REPAIR_PROBLEMS = 8;
+
+// The original conversation, the answer that failed, and what was wrong with it.
+export function repairMessages(messages, badText, problems) {
+  const listed = problems.slice(0, MAX_REPAIR_PROBLEMS).map((p) => `- ${p}`);
+  if (problems.length > MAX_REPAIR_PROBLEMS) listed.push(`- ...and ${problems.length - MAX_REPAIR_PROBLEMS} more`);
+  return [
+    ...messages,
+    { role: "assistant", content: String(badText ?? "").slice(0, 4000) },
+    {
+      role: "user",
+      content:
+        "Your previous answer does not match the required JSON format:\n" +
+        listed.join("\n") +
+        "\nReturn the corrected JSON only, with no prose and no code fences.",
+    },
+  ];
+}
+
+/**
+ * Ask `task` for JSON. Tries each provider on the task's route; a provider
+ * that errors is skipped, one whose answer is not valid JSON for `schema` (or
+ * fails `validate`) is shown the problems and asked to repair its answer, up
+ * to LLM_SCHEMA_RETRIES times, before moving on.
+ *
+ * Resolves to { data, text, provider, model, attempts }. Rejects with an
+ * error whose code is "llm_invalid_output" (answers came back, none valid;
+ * `lastText` and `problems` attached) or "llm_unavailable" (every provider
+ * failed).
+ *
+ * @param {string} task                      key of LLM_TASKS
+ * @param {object} opts
+ * @param {LlmMessage[]} opts.messages
+ * @param {?{name:string, schema:object}} [opts.schema]
+ * @param {(data:any) => string[]} [opts.validate]  checks beyond the schema; "path: problem" strings
+ * @param {object} [opts.log]                request logger; its `context` attributes the cost
+ * @param {string} [opts.tag]                label in logs and usage records (default: task)
+ * @param {string} [opts.cacheKey]           cache the caller checked first (metered as a miss)
+ */
+export async function completeJSON(
+  task,
+  {
+    messages,
+    schema = null,
+    validate = null,
+    maxTokens,
+    temperature,
+    log = null,
+    tag = task,
+    cacheKey = "",
+    context = null,
+  } = {}
+) {
+  const cfg = LLM_TASKS[task];
+  const chain = routeFor(task);
+  const meterContext = context || log?.context || {};
+  const retries = schemaRetries();
+
+  let attempts = 0;
+  let lastText = "";
+  let lastProblems = [];
+  const failures = [];
+
+  for (const { provider, model } of chain) {
+    let prompt = messages;
+    for (let i = 0; i <= retries; i++) {
+      attempts++;
+      const started = Date.now();
+      const meter = {
+        context: meterContext,
+        tag,
+        provider: provider.id,
+        costFree: provider.costFree,
+        cache: cacheKey && attempts === 1 ? "miss" : "none",
+        cacheKey,
+      };
+
+      let result;
+      try {
+        result = await provider.complete({
+          model,
+          messages: prompt,
+          schema,
+          maxTokens: maxTokens ?? cfg.maxTokens,
+          temperature: temperature ?? cfg.temperature,
+        });
+      } catch (e) {
+        recordLlmCall({ ...meter, model, latencyMs: Date.now() - started, error: e });
+        log?.warn("LLM provider failed", { task, tag, provider: provider.id, model, err: e?.message || String(e) });
+        failures.push(`${provider.id}:${model}: ${e?.message || e}`);
+        break;
+      }
+
+      const { data, problems } = answerProblems(result.text, schema, validate);
+      recordLlmCall({
+        ...meter,
+        model: result.model,
+        resp: result.raw,
+        latencyMs: Date.now() - started,
+        error: problems.length ? `invalid output: ${problems[0]}` : null,
+      });
+
+      if (!problems.length) {
+        return { data, text: result.text, provider: provider.id, model: result.model, attempts };
+      }
+
+      lastText = result.text;
+      lastProblems = problems;
+      log?.warn("LLM output failed validation", {
+        task,
+        tag,
+        provider: provider.id,
+        model: result.model,
+        attempt: i + 1,
+        problems: problems.slice(0, 5),
+      });
+      prompt = repairMessages(messages, result.text, problems);
+    }
+  }
+
+  const invalid = lastProblems.length > 0;
+  const err = new Error(
+    invalid
+      ? `LLM task "${task}" returned no valid output after ${attempts} attempt(s): ${lastProblems[0]}`
+      : `LLM task "${task}" failed on every provider: ${failures.join("; ")}`
+  );
+  err.code = invalid ? "llm_invalid_output" : "llm_unavailable";
+  err.lastText = lastText;
+  err.problems = lastProblems;
+  err.failures = failures;
+  throw err;
+}
+
+export default {
+  defineLlmProvider,
+  registerLlmProvider,
+  getLlmProvider,
+  listLlmProviders,
+  LLM_TASKS,
+  parseRoute,
+  routeFor,
+  repairMessages,
+  completeJSON,
+};
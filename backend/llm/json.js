@@ -0,0 +1,117 @@
+// backend/llm/json.js
+// Reading JSON out of model text and checking it against the JSON schemas the
+// prompts declare. Pure functions; llm/index.js calls them for every answer.
+
+/**
+ * Parse JSON from model output, tolerating ``` fences and prose around the
+ * JSON. Objects pass through (some SDKs hand back parsed output). Throws
+ * when no JSON can be found.
+ */
+export function parseModelJSON(text) {
+  if (text && typeof text === "object") return text;
+  if (text === null || text === undefined || !String(text).trim()) throw new Error("Empty model response");
+
+  let cleaned = String(text).trim().replace(/^```(?:json)?\s*/i, "").replace(/```$/i, "").trim();
+  try {
+    return JSON.parse(cleaned);
+  } catch {}
+
+  // The first {...} or [...] block
+  const start = cleaned.search(/[[{]/);
+  const end = Math.max(cleaned.lastIndexOf("}"), cleaned.lastIndexOf("]"));
+  if (start >= 0 && end > start) {
+    try {
+      return JSON.parse(cleaned.slice(start, end + 1));
+    } catch {}
+  }
+
+  cleaned = cleaned.replace(/```/g, "");
+  return JSON.parse(cleaned);
+}
+
+// parseModelJSON that returns `fallback` instead of throwing (also used for cached values).
+export function safeJSONParse(text, fallback) {
+  try {
+    return parseModelJSON(text);
+  } catch {
+    return fallback;
+  }
+}
+
+const typeOf = (v) => {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+};
+
+const typeMatches = (actual, expected) =>
+  actual === expected || (expected === "number" && actual === "integer");
+
+const short = (v) => {
+  const s = JSON.stringify(v);
+  return s && s.length > 60 ? `${s.slice(0, 57)}...` : s;
+};
+
+/**
+ * Check `value` against the JSON Schema subset our prompts use: type (incl.
+ * "integer", "null" and type lists), enum, const, properties, required,
+ * additionalProperties: false, items, min/maxItems, minimum/maximum and
+ * min/maxLength. Returns a list of "path: problem" strings; empty means valid.
+ */
+export function validateSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((t) => typeMatches(actual, t))) {
+      return [`${path}: expected ${types.join(" or ")}, got ${actual}`];
+    }
+  }
+  if (Array.isArray(schema.enum) && !schema.enum.some((e) => e === value)) {
+    errors.push(`${path}: ${short(value)} is not one of ${short(schema.enum)}`);
+  }
+  if ("const" in schema && schema.const !== value) {
+    errors.push(`${path}: must be ${short(schema.const)}`);
+  }
+
+  if (actual === "integer" || actual === "number") {
+    if (typeof schema.minimum === "number" && value < schema.minimum) errors.push(`${path}: must be >= ${schema.minimum}`);
+    if (typeof schema.maximum === "number" && value > schema.maximum) errors.push(`${path}: must be <= ${schema.maximum}`);
+  }
+  if (actual === "string") {
+    if (typeof schema.minLength === "number" && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (typeof schema.maxLength === "number" && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (actual === "array") {
+    if (typeof schema.minItems === "number" && value.length < schema.minItems) {
+      errors.push(`${path}: needs at least ${schema.minItems} items, got ${value.length}`);
+    }
+    if (typeof schema.maxItems === "number" && value.length > schema.maxItems) {
+      errors.push(`${path}: allows at most ${schema.maxItems} items, got ${value.length}`);
+    }
+    if (schema.items) value.forEach((v, i) => errors.push(...validateSchema(v, schema.items, `${path}[${i}]`)));
+  }
+
+  if (actual === "object") {
+    const props = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) errors.push(...validateSchema(v, props[key], `${path}.${key}`));
+      else if (schema.additionalProperties === false) errors.push(`${path}: unexpected property "${key}"`);
+    }
+  }
+
+  return errors;
+}
+
+export default { parseModelJSON, safeJSONParse, validateSchema };
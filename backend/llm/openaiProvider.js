@@ -0,0 +1,76 @@
+// backend/llm/openaiProvider.js
+// OpenAI Responses API (gpt-5 family). Object schemas are sent as strict
+// json_schema formats; the gateway validates every answer either way.
+import openai from "../config/openai.js";
+
+function toResponsesInput(messages) {
+  return (messages || []).map((m) => {
+    const images = Array.isArray(m.images) ? m.images : [];
+    if (!images.length) return { role: m.role, content: String(m.content ?? "") };
+    return {
+      role: m.role,
+      content: [
+        { type: "input_text", text: String(m.content ?? "") },
+        ...images.map((url) => ({ type: "input_image", image_url: url })),
+      ],
+    };
+  });
+}
+
+function extractText(resp) {
+  if (typeof resp?.output_text === "string" && resp.output_text.trim()) return resp.output_text;
+  const parts = [];
+  for (const item of resp?.output || []) {
+    for (const c of item?.content || []) {
+      if (typeof c?.json !== "undefined") return c.json;
+      if (typeof c?.text === "string") parts.push(c.text);
+    }
+  }
+  return parts.join("");
+}
+
+// Strict mode wants every property listed in `required`.
+function strictSchema(schema) {
+  const copy = JSON.parse(JSON.stringify(schema));
+  const keys = Object.keys(copy.properties || {});
+  if (!Array.isArray(copy.required) || keys.some((k) => !copy.required.includes(k))) copy.required = keys;
+  return copy;
+}
+
+const isReasoningModel = (model) => /^(gpt-5|o\d)/.test(String(model));
+
+export default {
+  id: "openai",
+  label: "OpenAI (Responses API)",
+  capabilities: { jsonSchema: true, vision: true },
+  costFree: false,
+
+  async complete({ model, messages, schema, maxTokens }) {
+    if (!(openai && typeof openai.responses?.create === "function")) {
+      throw new Error('OpenAI SDK does not support Responses API. Please upgrade the "openai" package.');
+    }
+
+    // Strict formats only take object schemas; a top-level array is asked for in text.
+    let format = { type: "json_object" };
+    if (schema?.schema?.type === "object") {
+      format = { type: "json_schema", name: schema.name, strict: true, schema: strictSchema(schema.schema) };
+    } else if (schema) {
+      format = { type: "text" };
+    }
+
+    const payload = {
+      model,
+      input: toResponsesInput(messages),
+      top_p: 1,
+      max_output_tokens: maxTokens,
+      text: { format },
+    };
+    if (isReasoningModel(model)) {
+      payload.reasoning = { effort: "low" };
+      payload.text.verbosity = "low";
+    }
+
+    const resp = await openai.responses.create(payload);
+    return { text: extractText(resp), raw: resp, model: resp?.model || model };
+  },
+};
@@ -0,0 +1,110 @@
+// backend/llm/schemas.js
+// JSON schemas the grocery prompts declare, plus the checks a schema can't
+// express. completeJSON (llm/index.js) validates answers against both and
+// sends the problems back to the model for repair.
+
+export const INGREDIENTS_SCHEMA = {
+  name: "ingredients_payload",
+  schema: {
+    type: "object",
+    properties: {
+      dish: { type: ["string", "null"] },
+      servings: { type: ["integer", "null"], minimum: 1 },
+      ingredients: {
+        type: "array",
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            name: { type: "string", minLength: 1 },
+            amount: { type: ["number", "null"] },
+            unit: { type: ["string", "null"] },
+          },
+          required: ["name", "amount", "unit"],
+        },
+      },
+    },
+    required: ["dish", "servings", "ingredients"],
+    additionalProperties: false,
+  },
+};
+
+export const FRIDGE_ITEMS_SCHEMA = {
+  name: "fridge_items_schema",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      items: {
+        type: "array",
+        items: { type: "string" },
+      },
+    },
+    required: ["items"],
+  },
+};
+
+/** One entry per ingredient in `ingList`, each with up to `maxPerIngredient` candidate indices. */
+export function finalPicksSchema(ingList, maxPerIngredient) {
+  return {
+    name: "final_picks_schema",
+    schema: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        final_picks: {
+          type: "array",
+          minItems: ingList.length,
+          maxItems: ingList.length,
+          items: {
+            type: "object",
+            additionalProperties: false,
+            properties: {
+              ingredient: { type: "string", enum: ingList },
+              indices: {
+                type: "array",
+                items: { type: "integer", minimum: 0 },
+                minItems: 0,
+                maxItems: maxPerIngredient,
+              },
+            },
+            required: ["ingredient", "indices"],
+          },
+        },
+      },
+      required: ["final_picks"],
+    },
+  };
+}
+
+/**
+ * What finalPicksSchema can't say: every ingredient answered exactly once,
+ * and indices that point at a candidate. `candidateCounts` maps ingredient
+ * to the number of candidates shown. Returns "path: problem" strings.
+ */
+export function picksProblems(data, candidateCounts) {
+  const problems = [];
+  const seen = new Set();
+  (data?.final_picks || []).forEach((pick, i) => {
+    const ing = pick?.ingredient;
+    if (seen.has(ing)) problems.push(`$.final_picks[${i}].ingredient: "${ing}" appears more than once`);
+    seen.add(ing);
+    const count = candidateCounts[ing] ?? 0;
+    (pick?.indices || []).forEach((idx, j) => {
+      if (Number.isInteger(idx) && idx >= count) {
+        problems.push(`$.final_picks[${i}].indices[${j}]: ${idx} is out of range, "${ing}" has ${count} candidates`);
+      }
+    });
+  });
+  for (const ing of Object.keys(candidateCounts)) {
+    if (!seen.has(ing)) problems.push(`$.final_picks: no entry for "${ing}"`);
+  }
+  return problems;
+}
+
+// True when at least one ingredient got a pick; all-empty answers are not worth caching.
+export function hasPicks(finalPicks) {
+  return (finalPicks || []).some((p) => Array.isArray(p?.indices) && p.indices.length > 0);
+}
+
+export default { INGREDIENTS_SCHEMA, FRIDGE_ITEMS_SCHEMA, finalPicksSchema, picksProblems, hasPicks };
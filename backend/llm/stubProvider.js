@@ -0,0 +1,92 @@
+// backend/llm/stubProvider.js
+// Deterministic rule-based "model": no network, no cost. Useful for demos
+// without an API key, as the last link of a fallback chain, and in fixture
+// runs (mocks/openaiFixture.js answers unmatched prompts with it).
+
+function promptText(messages) {
+  return (messages || []).map((m) => String(m.content ?? "")).join("\n");
+}
+
+// The raw query from a prompt that ends with "Query: <text>".
+function queryFrom(text) {
+  return ((String(text).match(/query:\s*(.+)/i) || [])[1] || "").trim();
+}
+
+// The `candidates = {...}` block of a matching prompt: ingredient -> titles.
+function candidatesFrom(messages, text) {
+  const sources = text !== null ? [text] : (messages || []).map((m) => String(m.content ?? ""));
+  for (const src of sources) {
+    const m = String(src).match(/candidates =\s*(\{[\s\S]*\})\s*$/);
+    if (!m) continue;
+    try {
+      return JSON.parse(m[1]);
+    } catch {}
+  }
+  return null;
+}
+
+// The smallest value that satisfies `schema`: empty arrays, nulls where
+// allowed, first enum value, minimums for numbers.
+export function minimalValue(schema = {}) {
+  if (Array.isArray(schema.enum) && schema.enum.length) return schema.enum[0];
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+  if (types.includes("null")) return null;
+  if (types.includes("object")) {
+    const out = {};
+    for (const key of schema.required || Object.keys(schema.properties || {})) {
+      out[key] = minimalValue(schema.properties?.[key] || {});
+    }
+    return out;
+  }
+  if (types.includes("array")) {
+    return Array.from({ length: schema.minItems || 0 }, () => minimalValue(schema.items || {}));
+  }
+  if (types.includes("integer") || types.includes("number")) return schema.minimum ?? 0;
+  if (types.includes("boolean")) return false;
+  return "";
+}
+
+/**
+ * Answer for a schema-named prompt:
+ *   ingredients_payload   the query as one ingredient, no amount
+ *   final_picks_schema    the first candidate for every ingredient that has one
+ *   fridge_items_schema   nothing recognised
+ *   anything else         minimalValue(schema), or {} without a schema
+ */
+export function stubAnswer({ schema = null, messages = [], text = null }) {
+  const prompt = text ?? promptText(messages);
+  const name = schema?.name;
+
+  if (name === "ingredients_payload") {
+    const q = queryFrom(prompt);
+    return { dish: null, servings: null, ingredients: q ? [{ name: q, amount: null, unit: null }] : [] };
+  }
+  if (name === "final_picks_schema") {
+    const ingList = schema.schema?.properties?.final_picks?.items?.properties?.ingredient?.enum || [];
+    const candidates = candidatesFrom(messages, text);
+    return {
+      final_picks: ingList.map((ingredient) => ({
+        ingredient,
+        indices: !candidates || candidates[ingredient]?.length ? [0] : [],
+      })),
+    };
+  }
+  if (name === "fridge_items_schema") return { items: [] };
+  if (name === "products_ingredients") {
+    const q = queryFrom(prompt);
+    return q ? [q] : [];
+  }
+  return schema?.schema ? minimalValue(schema.schema) : {};
+}
+
+export default {
+  id: "stub",
+  label: "Rule-based stub",
+  capabilities: { jsonSchema: true, vision: true },
+  costFree: true,
+
+  async complete({ model, messages, schema }) {
+    const answer = stubAnswer({ schema, messages });
+    return { text: JSON.stringify(answer), raw: { model, usage: null }, model: model || "stub" };
+  },
+};
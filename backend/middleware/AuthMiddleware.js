@@ -1,32 +1,45 @@
 import jwt from "jsonwebtoken";
 import User from "../models/User.js";
+import { isSessionActive, redeemSseTicket } from "../config/sessions.js";
+import { hasPermission } from "../config/roles.js";
+
+function bearerToken(req) {
+  const [scheme, token] = String(req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token ? token : null;
+}
+
+/**
+ * User for an access token, or null. Tokens carry their session id (`sid`);
+ * a revoked or expired session kills its access tokens immediately.
+ */
+async function userFromAccessToken(token) {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  // Keep fallbacks so we don't break if payload key differs
+  const userId = decoded.id || decoded.userId || decoded._id;
+  if (!userId) return null;
+  if (decoded.sid && !(await isSessionActive(decoded.sid))) return null;
+
+  const user = await User.findById(userId);
+  if (user) user.$locals.sessionId = decoded.sid || null;
+  return user;
+}
 
 /**
  * Backward-compatible DEFAULT export (AuthRoutes.js imports this as `protect`)
- * Strict auth: requires a valid token.
- *
- * Accepts:
- *  1) Authorization: Bearer <token>
- *  2) (NEW) query token for SSE: ?token=<token>
+ * Strict auth: requires `Authorization: Bearer <access token>`.
+ * Tokens in the query string are not accepted; URLs use tickets (below).
  */
 const protect = async (req, res, next) => {
   try {
-    const token =
-      (req.headers.authorization && req.headers.authorization.split(" ")[1]) ||
-      req.query.token;
-
+    const token = bearerToken(req);
     if (!token) return res.status(401).json({ error: "No token provided" });
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-    // Keep fallbacks so we don't break if payload key differs
-    const userId = decoded.id || decoded.userId || decoded._id;
-    if (!userId) return res.status(401).json({ error: "Invalid token payload" });
-
-    const user = await User.findById(userId);
-    if (!user) return res.status(401).json({ error: "User not found" });
+    const user = await userFromAccessToken(token);
+    if (!user) return res.status(401).json({ error: "Invalid or expired token" });
 
     req.user = user;
+    req.sessionId = user.$locals.sessionId;
     next();
   } catch (err) {
     return res.status(401).json({ error: "Invalid or expired token" });
@@ -39,27 +52,62 @@ export default protect;
 export const authMiddleware = protect;
 
 /**
- * Optional auth: tries to attach req.user if token exists & is valid.
+ * Permission check; goes after `protect`. The role is read from the user
+ * document on every request, so a role change applies immediately.
+ *
+ *   router.put("/edit/:id", protect, requirePermission(PERMISSIONS.CATALOG_WRITE), ...)
+ */
+export const requirePermission = (...permissions) => (req, res, next) => {
+  if (!req.user) return res.status(401).json({ error: "No token provided" });
+
+  const missing = permissions.filter((p) => !hasPermission(req.user.role, p));
+  if (missing.length) {
+    return res.status(403).json({ error: "You do not have permission to do that", missing });
+  }
+  next();
+};
+
+/**
+ * Optional auth: tries to attach req.user if a valid Bearer token exists.
  * NEVER blocks the request.
- * Ideal for SSE endpoints where EventSource can't send Authorization headers.
  */
 export const optionalAuthMiddleware = async (req, res, next) => {
   try {
-    const token =
-      (req.headers.authorization && req.headers.authorization.split(" ")[1]) ||
-      req.query.token;
-
+    const token = bearerToken(req);
     if (!token) return next();
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const userId = decoded.id || decoded.userId || decoded._id;
-    if (!userId) return next();
+    const user = await userFromAccessToken(token);
+    if (user) {
+      req.user = user;
+      req.sessionId = user.$locals.sessionId;
+    }
+    return next();
+  } catch {
+    return next();
+  }
+};
+
+/**
+ * For SSE endpoints and browser redirects, where EventSource / a full-page
+ * navigation can't send Authorization headers: `?ticket=` from
+ * POST /auth/sse-ticket, single use and bound to `purpose`. No ticket means an
+ * anonymous request; a bad or spent ticket is rejected.
+ */
+export const ticketAuthMiddleware = (purpose) => async (req, res, next) => {
+  const ticket = req.query.ticket;
+  if (!ticket) return next();
 
-    const user = await User.findById(userId);
-    if (user) req.user = user;
+  try {
+    const redeemed = await redeemSseTicket(ticket, purpose);
+    const user = redeemed ? await User.findById(redeemed.userId) : null;
+    if (!user || (redeemed.sessionId && !(await isSessionActive(redeemed.sessionId)))) {
+      return res.status(401).json({ error: "Invalid or expired ticket" });
+    }
 
+    req.user = user;
+    req.sessionId = redeemed.sessionId;
     return next();
   } catch {
-    return next();
+    return res.status(401).json({ error: "Invalid or expired ticket" });
   }
 };
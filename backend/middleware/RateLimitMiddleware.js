@@ -0,0 +1,73 @@
+import { consume, retryAfterSeconds } from "../config/rateLimit.js";
+import { checkLlmQuota } from "../config/llmMeter.js";
+
+/**
+ * Send the standard 429: `Retry-After` header (seconds) plus the same value
+ * in the body, since browsers only expose the header when CORS allows it.
+ */
+export function sendTooManyRequests(res, retryAfterMs, error = "Too many requests. Please slow down.") {
+  const retryAfter = retryAfterSeconds(retryAfterMs);
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error, retryAfter });
+}
+
+// "40 seconds" / "5 minutes" / "3 hours" / "2 days", for messages shown to users.
+export const describeWait = (ms) => {
+  const s = retryAfterSeconds(ms);
+  if (s < 90) return `${s} seconds`;
+  if (s < 90 * 60) return `${Math.ceil(s / 60)} minutes`;
+  if (s < 48 * 3600) return `${Math.ceil(s / 3600)} hours`;
+  return `${Math.ceil(s / 86400)} days`;
+};
+
+/**
+ * Counts the request against a policy from config/rateLimit.js, per IP and
+ * (once auth has run) per user. Place it after the auth middleware:
+ *
+ *   router.get("/search/stream", ticketAuthMiddleware("search"), rateLimit("kroger_search"), ...)
+ *
+ * Redis trouble never blocks a request; the limiter just steps aside.
+ */
+export const rateLimit = (policy, { message = "You're doing that too often." } = {}) => async (req, res, next) => {
+  try {
+    const result = await consume(policy, { ip: req.ip, userId: req.user?._id });
+    if (result.limit != null) {
+      res.set("X-RateLimit-Limit", String(result.limit));
+      res.set("X-RateLimit-Remaining", String(result.remaining));
+    }
+    if (!result.allowed) {
+      return sendTooManyRequests(res, result.retryAfterMs, `${message} Try again in ${describeWait(result.retryAfterMs)}.`);
+    }
+  } catch (e) {
+    console.warn("[RATE LIMIT] check failed", { policy, err: e?.message || e });
+  }
+  return next();
+};
+
+// Message for a spent LLM quota (also used by POST /auth/sse-ticket).
+export const llmQuotaMessage = ({ period, retryAfterMs }) =>
+  `You've used this ${period === "month" ? "month's" : "day's"} search allowance. ` +
+  `It resets in ${describeWait(retryAfterMs)}.`;
+
+/**
+ * Refuses to start an LLM pipeline once the caller's daily/monthly spend
+ * (controllers/llmUsage.js quotas) is used up. Goes after auth, like rateLimit.
+ */
+export const llmQuota = async (req, res, next) => {
+  try {
+    const quota = await checkLlmQuota({ user: req.user || null, ip: req.ip });
+    if (!quota.allowed) {
+      res.set("Retry-After", String(retryAfterSeconds(quota.retryAfterMs)));
+      return res.status(429).json({
+        error: llmQuotaMessage(quota),
+        retryAfter: retryAfterSeconds(quota.retryAfterMs),
+        quotaExceeded: { period: quota.period, limitUsd: quota.limitUsd, plan: quota.quota.plan },
+      });
+    }
+  } catch (e) {
+    console.warn("[LLM QUOTA] check failed", { err: e?.message || e });
+  }
+  return next();
+};
+
+export default rateLimit;
@@ -0,0 +1,182 @@
+// backend/mocks/cassette.js
+// Record-and-replay of upstream API traffic (Kroger, Walmart, OpenAI Responses).
+//
+//   SMART_ECOM_CASSETTE=record | replay | auto   (unset = live traffic, nothing recorded)
+//   SMART_ECOM_CASSETTE_NAME=world_cuisine       cassette file name (default "default")
+//   SMART_ECOM_CASSETTE_DIR=./cassettes          default backend/cassettes
+//
+// record  every upstream call goes live and replaces what the cassette held for
+//         that request (identical calls within one run are kept in order)
+// replay  every upstream call is answered from the cassette; a miss throws
+// auto    replay hits, record misses
+//
+// Interactions are keyed by a fingerprint of (service, method, path, params,
+// body) - never headers or tokens - and response bodies are stored as the exact
+// JSON text, so a replayed run reproduces the recorded run byte for byte.
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+// Bump when the on-disk layout changes; old cassettes are then ignored, not misread.
+export const CASSETTE_VERSION = 1;
+
+const MODES = new Set(['record', 'replay', 'auto']);
+const rawMode = String(process.env.SMART_ECOM_CASSETTE || '').trim().toLowerCase();
+
+export const CASSETTE_MODE = MODES.has(rawMode) ? rawMode : null;
+
+const CASSETTE_DIR = process.env.SMART_ECOM_CASSETTE_DIR
+  ? path.resolve(process.cwd(), process.env.SMART_ECOM_CASSETTE_DIR)
+  : path.resolve(HERE, '..', 'cassettes');
+
+const CASSETTE_NAME = String(process.env.SMART_ECOM_CASSETTE_NAME || 'default').replace(/[^\w.-]/g, '_');
+
+export const CASSETTE_FILE = path.join(CASSETTE_DIR, `${CASSETTE_NAME}.v${CASSETTE_VERSION}.json`);
+
+if (CASSETTE_MODE) console.log(`[CASSETTE] ${CASSETTE_MODE} mode:`, CASSETTE_FILE);
+
+// JSON.stringify with sorted object keys, so equal requests hash equally.
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    const keys = Object.keys(v).filter((k) => v[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v ?? null);
+}
+
+export function fingerprint(request) {
+  return crypto.createHash('sha256').update(stableStringify(request)).digest('hex');
+}
+
+let cassette = null;
+const replayCursor = new Map(); // fingerprint -> next index
+const rerecorded = new Set(); // fingerprints recorded by this process
+let saveTimer = null;
+
+function load() {
+  if (cassette) return cassette;
+  cassette = { version: CASSETTE_VERSION, name: CASSETTE_NAME, interactions: {} };
+  try {
+    const parsed = JSON.parse(fs.readFileSync(CASSETTE_FILE, 'utf8'));
+    if (parsed?.version === CASSETTE_VERSION && parsed.interactions) cassette = parsed;
+    else console.warn('[CASSETTE] Ignoring cassette with unsupported version:', parsed?.version);
+  } catch (e) {
+    if (e?.code !== 'ENOENT') console.error('[CASSETTE] Failed to read cassette:', e?.message || e);
+  }
+  return cassette;
+}
+
+function writeCassette() {
+  const sorted = {};
+  for (const k of Object.keys(cassette.interactions).sort()) sorted[k] = cassette.interactions[k];
+  fs.mkdirSync(CASSETTE_DIR, { recursive: true });
+  fs.writeFileSync(
+    CASSETTE_FILE,
+    JSON.stringify({ version: CASSETTE_VERSION, name: CASSETTE_NAME, interactions: sorted }, null, 2) + '\n'
+  );
+}
+
+/** Write pending recordings now (they are otherwise written shortly after the last one, and on exit). */
+export function flushCassette() {
+  if (!saveTimer) return;
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  writeCassette();
+}
+
+// One write per burst of recordings instead of one per upstream call.
+function scheduleSave() {
+  if (saveTimer) return;
+  saveTimer = setTimeout(flushCassette, 500);
+  saveTimer.unref?.();
+}
+
+process.on('exit', flushCassette);
+
+/**
+ * Route one upstream call through the cassette.
+ *
+ * request: { service, method, path, params?, body? }  (what identifies the call)
+ * live:    () => Promise<{ status, data }>             (the real call, axios-like)
+ *
+ * Resolves to { status, data }. Outside cassette mode this is just live().
+ */
+export async function withCassette(request, live) {
+  if (!CASSETTE_MODE) return live();
+
+  const fp = fingerprint(request);
+  const store = load();
+  const recorded = store.interactions[fp] || [];
+
+  if (CASSETTE_MODE !== 'record' && recorded.length) {
+    // Identical repeated calls replay in recorded order; the last one repeats.
+    const i = replayCursor.get(fp) || 0;
+    replayCursor.set(fp, i + 1);
+    const hit = recorded[Math.min(i, recorded.length - 1)];
+    const resp = { status: hit.status, data: hit.body === null ? null : JSON.parse(hit.body) };
+    if (hit.error) {
+      const err = new Error(`Request failed with status code ${hit.status}`);
+      err.response = resp;
+      throw err;
+    }
+    return resp;
+  }
+
+  if (CASSETTE_MODE === 'replay') {
+    const err = new Error(
+      `[CASSETTE] No recorded interaction for ${request.service} ${request.method} ${request.path} (${fp.slice(0, 12)})`
+    );
+    err.cassetteMiss = true;
+    throw err;
+  }
+
+  let resp;
+  try {
+    resp = await live();
+  } catch (e) {
+    // Record upstream HTTP errors too, so replays take the same error paths.
+    if (!e?.response) throw e;
+    recordInteraction(fp, request, e.response, { error: true });
+    throw e;
+  }
+  recordInteraction(fp, request, resp);
+  return resp;
+}
+
+// Keep cassettes reviewable: long strings (e.g. base64 images) are stored as a hash.
+function compactForDisk(v) {
+  if (typeof v === 'string' && v.length > 4000) {
+    return `<${v.length} chars sha256:${crypto.createHash('sha256').update(v).digest('hex')}>`;
+  }
+  if (Array.isArray(v)) return v.map(compactForDisk);
+  if (v && typeof v === 'object') {
+    return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, compactForDisk(x)]));
+  }
+  return v;
+}
+
+function recordInteraction(fp, request, resp, { error = false } = {}) {
+  const store = load();
+  // Re-recording replaces the old responses; keeping them would replay the stale ones first.
+  if (!rerecorded.has(fp)) {
+    rerecorded.add(fp);
+    store.interactions[fp] = [];
+  }
+  store.interactions[fp].push({
+    request: compactForDisk(request),
+    status: resp?.status ?? 200,
+    ...(error ? { error: true } : {}),
+    body: resp?.data === undefined || resp?.data === null ? null : JSON.stringify(resp.data),
+  });
+  scheduleSave();
+}
+
+export default { CASSETTE_MODE, CASSETTE_FILE, CASSETTE_VERSION, fingerprint, withCassette, flushCassette };
@@ -0,0 +1,71 @@
+// backend/mocks/fixtureMode.js
+// Fixture mode swaps every upstream dependency (Kroger, Walmart, OpenAI,
+// llama_server, Redis) for offline stand-ins so the search and cart routes can
+// run deterministically in CI.
+//
+//   SMART_ECOM_FIXTURES=1                 enable
+//   SMART_ECOM_FIXTURES_DIR=./my-fixtures override the data directory (default backend/fixtures)
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const HERE = path.dirname(fileURLToPath(import.meta.url));
+
+export const FIXTURE_MODE =
+  process.env.SMART_ECOM_FIXTURES === '1' || process.env.SMART_ECOM_FIXTURES === 'true';
+
+export const FIXTURE_DIR = process.env.SMART_ECOM_FIXTURES_DIR
+  ? path.resolve(process.cwd(), process.env.SMART_ECOM_FIXTURES_DIR)
+  : path.resolve(HERE, '..', 'fixtures');
+
+if (FIXTURE_MODE) console.log('[FIXTURES] Fixture mode enabled:', FIXTURE_DIR);
+
+// File-name safe key for a search term: "Sichuan Peppercorn" -> "sichuan-peppercorn"
+export function fixtureKey(s) {
+  return String(s || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\w\s-]/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+}
+
+const cache = new Map();
+
+/**
+ * Read and parse a JSON fixture relative to FIXTURE_DIR.
+ * Missing files return `fallback` (and are logged once) so an incomplete
+ * fixture set degrades to "no results" instead of crashing the pipeline.
+ */
+export function readFixture(relPath, fallback = null) {
+  const file = path.join(FIXTURE_DIR, relPath);
+  if (cache.has(file)) return cache.get(file);
+
+  let value = fallback;
+  try {
+    value = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e?.code === 'ENOENT') console.warn('[FIXTURES] Missing fixture:', relPath);
+    else console.error('[FIXTURES] Bad fixture:', relPath, e?.message || e);
+  }
+  cache.set(file, value);
+  return value;
+}
+
+// All *.json files in a fixture sub-directory, in file-name order.
+export function readFixtureDir(relDir) {
+  const dir = path.join(FIXTURE_DIR, relDir);
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).filter((n) => n.endsWith('.json')).sort();
+  } catch {
+    return [];
+  }
+  return names.map((n) => readFixture(path.join(relDir, n), null)).filter(Boolean);
+}
+
+export default { FIXTURE_MODE, FIXTURE_DIR, fixtureKey, readFixture, readFixtureDir };
@@ -0,0 +1,63 @@
+// backend/mocks/krogerFixture.js
+// Offline stand-in for config/kroger.js.
+//
+// Data layout (under FIXTURE_DIR):
+//   kroger/locations.json            { "<zip>": "<locationId>", "default": "<locationId>" }
+//   kroger/products/<term-key>.json  raw Kroger /products `data` array for that term
+
+import { readFixture, fixtureKey } from './fixtureMode.js';
+
+export async function getLocationIdByZip(zip) {
+  const locations = readFixture('kroger/locations.json', {}) || {};
+  return locations[String(zip || '').trim()] || locations.default || null;
+}
+
+export async function searchProductsByTerm(term, { limit = 10 } = {}) {
+  const list = readFixture(`kroger/products/${fixtureKey(term)}.json`, []) || [];
+  return list.slice(0, limit);
+}
+
+export async function refreshUserToken(refreshToken) {
+  return {
+    access_token: 'fixture-access-token',
+    refresh_token: refreshToken || 'fixture-refresh-token',
+    expires_in: 1800,
+  };
+}
+
+// Kroger requires the PKCE verifier for codes issued with a challenge.
+export async function exchangeAuthorizationCode(code, { codeVerifier } = {}) {
+  if (!codeVerifier) {
+    const err = new Error('Request failed with status code 400');
+    err.response = { status: 400, data: { error: 'invalid_grant', error_description: 'code_verifier required' } };
+    throw err;
+  }
+  return {
+    access_token: 'fixture-access-token',
+    refresh_token: `fixture-refresh-token-${code || 'code'}`,
+    expires_in: 1800,
+  };
+}
+
+export async function revokeToken(token) {
+  return Boolean(token);
+}
+
+// Every add/remove succeeds, like Kroger's 204 No Content.
+export async function cartAdd(_accessToken, _items) {
+  return { status: 204, data: null };
+}
+
+export async function cartRemove(_accessToken, _items) {
+  return { status: 204, data: null };
+}
+
+export default {
+  getLocationIdByZip,
+  searchProductsByTerm,
+  refreshUserToken,
+  exchangeAuthorizationCode,
+  revokeToken,
+  cartAdd,
+  cartRemove,
+};
@@ -0,0 +1,22 @@
+// backend/mocks/llamaFixture.js
+// Offline stand-in for the llama_server loose matcher.
+//
+// Data layout (under FIXTURE_DIR):
+//   llama/matches.json   { "<ingredient>": ["<catalog title>", ...] }
+
+import { readFixture } from './fixtureMode.js';
+
+export async function queryLlamaIndexFixture(query) {
+  if (!Array.isArray(query) || query.length === 0) {
+    throw new Error('query must be a non-empty array');
+  }
+  const matches = readFixture('llama/matches.json', {}) || {};
+  const titles = [];
+  for (const q of query) {
+    const hit = matches[String(q || '').toLowerCase().trim()];
+    if (Array.isArray(hit)) titles.push(...hit);
+  }
+  return Array.from(new Set(titles));
+}
+
+export default queryLlamaIndexFixture;
@@ -0,0 +1,131 @@
+// backend/mocks/memoryRedis.js
+// In-memory stand-in for the subset of ioredis the app uses.
+// Values are strings (like Redis); expiry is checked lazily on access.
+
+function globToRegExp(pattern) {
+  const esc = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${esc.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+export function createMemoryRedis() {
+  const store = new Map(); // key -> { value, expiresAt }
+
+  const live = (key) => {
+    const entry = store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const client = {
+    status: 'ready',
+
+    on() {
+      return client;
+    },
+
+    async get(key) {
+      return live(key)?.value ?? null;
+    },
+
+    // set(key, value, ['EX', sec] | ['PX', ms], ['NX' | 'XX'])
+    async set(key, value, ...args) {
+      let expiresAt = null;
+      let nx = false;
+      let xx = false;
+      for (let i = 0; i < args.length; i++) {
+        const a = String(args[i]).toUpperCase();
+        if (a === 'EX') expiresAt = Date.now() + Number(args[++i]) * 1000;
+        else if (a === 'PX') expiresAt = Date.now() + Number(args[++i]);
+        else if (a === 'NX') nx = true;
+        else if (a === 'XX') xx = true;
+      }
+      const exists = Boolean(live(key));
+      if ((nx && exists) || (xx && !exists)) return null;
+      store.set(key, { value: String(value), expiresAt });
+      return 'OK';
+    },
+
+    async getdel(key) {
+      const v = live(key)?.value ?? null;
+      store.delete(key);
+      return v;
+    },
+
+    async mget(...keys) {
+      return keys.flat().map((k) => live(k)?.value ?? null);
+    },
+
+    async del(...keys) {
+      let n = 0;
+      for (const k of keys.flat()) if (live(k) && store.delete(k)) n++;
+      return n;
+    },
+
+    async exists(...keys) {
+      return keys.flat().filter((k) => live(k)).length;
+    },
+
+    async incrby(key, by) {
+      const entry = live(key);
+      const next = Number(entry?.value || 0) + Number(by);
+      store.set(key, { value: String(next), expiresAt: entry?.expiresAt ?? null });
+      return next;
+    },
+
+    async incr(key) {
+      return client.incrby(key, 1);
+    },
+
+    async decr(key) {
+      return client.incrby(key, -1);
+    },
+
+    async expire(key, sec) {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + Number(sec) * 1000;
+      return 1;
+    },
+
+    async pexpire(key, ms) {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+
+    async pttl(key) {
+      const entry = live(key);
+      if (!entry) return -2;
+      if (!entry.expiresAt) return -1;
+      return Math.max(0, entry.expiresAt - Date.now());
+    },
+
+    async ttl(key) {
+      const ms = await client.pttl(key);
+      return ms < 0 ? ms : Math.ceil(ms / 1000);
+    },
+
+    async keys(pattern = '*') {
+      const re = globToRegExp(pattern);
+      return Array.from(store.keys()).filter((k) => live(k) && re.test(k));
+    },
+
+    async flushall() {
+      store.clear();
+      return 'OK';
+    },
+
+    async quit() {
+      return 'OK';
+    },
+  };
+
+  return client;
+}
+
+export default createMemoryRedis;
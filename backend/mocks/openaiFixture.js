@@ -0,0 +1,86 @@
+// backend/mocks/openaiFixture.js
+// Offline stand-in for the OpenAI client (Responses + Chat Completions).
+//
+// Data layout (under FIXTURE_DIR):
+//   openai/*.json   arrays of entries, checked in file-name order:
+//     {
+//       "api": "responses" | "chat",      (default "responses")
+//       "schema": "ingredients_payload",  (optional json_schema name to match)
+//       "match": ["query: mapo tofu"],    (all must appear in the lower-cased prompt)
+//       "output": { ...parsed JSON the model should return... }
+//     }
+//
+// Requests without a matching entry get the rule-based stub's answer
+// (llm/stubProvider.js) so an incomplete fixture set still produces a
+// complete (if naive) run.
+
+import { readFixtureDir } from './fixtureMode.js';
+import { stubAnswer } from '../llm/stubProvider.js';
+
+function promptText(parts) {
+  const out = [];
+  for (const m of parts || []) {
+    if (typeof m?.content === 'string') out.push(m.content);
+    else for (const c of m?.content || []) if (typeof c?.text === 'string') out.push(c.text);
+  }
+  return out.join('\n').toLowerCase();
+}
+
+function findFixture(api, schemaName, text) {
+  for (const entries of readFixtureDir('openai')) {
+    for (const e of Array.isArray(entries) ? entries : [entries]) {
+      if ((e.api || 'responses') !== api) continue;
+      if (e.schema && e.schema !== schemaName) continue;
+      const needles = Array.isArray(e.match) ? e.match : [];
+      if (needles.every((n) => text.includes(String(n).toLowerCase()))) return e.output;
+    }
+  }
+  return undefined;
+}
+
+let seq = 0;
+
+export function createFixtureOpenAI() {
+  return {
+    responses: {
+      async create(payload) {
+        const format = payload?.text?.format || {};
+        const schemaName = format.type === 'json_schema' ? format.name : null;
+        const text = promptText(payload?.input);
+
+        let output = findFixture('responses', schemaName, text);
+        if (output === undefined) {
+          console.warn('[FIXTURES] No OpenAI fixture, using fallback', { schema: schemaName });
+          output = stubAnswer({ schema: schemaName ? { name: schemaName, schema: format.schema } : null, text });
+        }
+
+        return {
+          id: `resp_fixture_${++seq}`,
+          model: payload?.model,
+          output_text: JSON.stringify(output),
+          output: [],
+          usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 },
+        };
+      },
+    },
+    chat: {
+      completions: {
+        async create(payload) {
+          const text = promptText(payload?.messages);
+          let output = findFixture('chat', null, text);
+          if (output === undefined) {
+            console.warn('[FIXTURES] No OpenAI chat fixture, using fallback');
+            output = [];
+          }
+          return {
+            id: `chatcmpl_fixture_${++seq}`,
+            model: payload?.model,
+            choices: [{ index: 0, message: { role: 'assistant', content: JSON.stringify(output) } }],
+          };
+        },
+      },
+    },
+  };
+}
+
+export default createFixtureOpenAI;
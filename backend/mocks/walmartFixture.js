@@ -0,0 +1,13 @@
+// backend/mocks/walmartFixture.js
+// Offline stand-in for walmartAffiliate.rawSearch().
+//
+// Data layout (under FIXTURE_DIR):
+//   walmart/search/<term-key>.json   raw Walmart /search `items` array for that term
+
+import { readFixture, fixtureKey } from './fixtureMode.js';
+
+export async function rawSearch(term) {
+  return readFixture(`walmart/search/${fixtureKey(term)}.json`, []) || [];
+}
+
+export default { rawSearch };
@@ -0,0 +1,21 @@
+// backend/models/AccountToken.js
+import mongoose from "mongoose";
+
+// Single-use links mailed to a user (verify email, reset password, confirm a
+// new email). Only the hash of the token is stored.
+const AccountTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    purpose: { type: String, enum: ["verify_email", "reset_password", "change_email"], required: true },
+    tokenHash: { type: String, required: true, unique: true },
+    // The address being verified; for change_email, the new one.
+    email: { type: String, default: "" },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AccountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("AccountToken", AccountTokenSchema);
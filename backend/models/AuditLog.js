@@ -0,0 +1,29 @@
+// backend/models/AuditLog.js
+import mongoose from "mongoose";
+
+// Append-only record of an admin mutation: who did what to which entity,
+// with the document as it was before and after.
+const AuditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, required: true }, // e.g. "product.update"
+    entityType: { type: String, required: true },
+    entityId: { type: String, required: true },
+    actor: {
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      email: { type: String, default: "" },
+      role: { type: String, default: "" },
+    },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    changedFields: { type: [String], default: [] },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+AuditLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+AuditLogSchema.index({ "actor.userId": 1, createdAt: -1 });
+AuditLogSchema.index({ createdAt: -1 });
+
+export default mongoose.model("AuditLog", AuditLogSchema);
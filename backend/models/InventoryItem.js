@@ -0,0 +1,22 @@
+// backend/models/InventoryItem.js
+import mongoose from "mongoose";
+
+// Stock for one product, or one of its variants (variantKey). `reserved` is
+// what shoppers' carts hold right now (StockReservation); available to sell is
+// onHand - reserved. Products without a record aren't tracked.
+const InventoryItemSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantKey: { type: String, default: "" },
+    onHand: { type: Number, default: 0, min: 0 },
+    reserved: { type: Number, default: 0 },
+    // null: DEFAULT_LOW_STOCK_THRESHOLD (controllers/inventory.js)
+    lowStockThreshold: { type: Number, default: null, min: 0 },
+    lastRestockedAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+InventoryItemSchema.index({ productId: 1, variantKey: 1 }, { unique: true });
+
+export default mongoose.model("InventoryItem", InventoryItemSchema);
@@ -0,0 +1,36 @@
+// backend/models/LlmUsage.js
+import mongoose from "mongoose";
+
+// One model call (or one cache hit that saved a call), attributed to the
+// user and request that caused it.
+const LlmUsageSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    ip: { type: String, default: "" },
+    requestId: { type: String, default: "" },
+    route: { type: String, default: "" }, // e.g. "krogerSearchStream"
+    tag: { type: String, default: "" }, // e.g. "LLM1_ingredients"
+    provider: { type: String, default: "openai" }, // llm/index.js provider id, e.g. "local"
+    model: { type: String, default: "" },
+    // hit: served from cache, no call made; miss: cache checked, call made;
+    // none: the call has no cache in front of it
+    cache: { type: String, enum: ["hit", "miss", "none"], default: "none" },
+    cacheKey: { type: String, default: "" },
+    inputTokens: { type: Number, default: 0 },
+    cachedInputTokens: { type: Number, default: 0 },
+    outputTokens: { type: Number, default: 0 },
+    reasoningTokens: { type: Number, default: 0 },
+    costUsd: { type: Number, default: 0 },
+    priced: { type: Boolean, default: true }, // false: model missing from the price table
+    latencyMs: { type: Number, default: 0 },
+    ok: { type: Boolean, default: true },
+    error: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+LlmUsageSchema.index({ createdAt: -1 });
+LlmUsageSchema.index({ userId: 1, createdAt: -1 });
+LlmUsageSchema.index({ route: 1, createdAt: -1 });
+
+export default mongoose.model("LlmUsage", LlmUsageSchema);
@@ -0,0 +1,30 @@
+// backend/models/Notification.js
+import mongoose from "mongoose";
+
+const DeliverySchema = new mongoose.Schema(
+  {
+    channel: { type: String, required: true },
+    ok: { type: Boolean, default: false },
+    error: { type: String, default: "" },
+    at: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
+
+// In-app notification; also the record of where else it was delivered.
+const NotificationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    type: { type: String, required: true },
+    title: { type: String, required: true },
+    body: { type: String, default: "" },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+    readAt: { type: Date, default: null },
+    deliveries: { type: [DeliverySchema], default: [] },
+  },
+  { timestamps: true }
+);
+
+NotificationSchema.index({ userId: 1, createdAt: -1 });
+
+export default mongoose.model("Notification", NotificationSchema);
@@ -1,18 +1,94 @@
 import mongoose from 'mongoose';
+import { ORDER_STATUSES } from '../controllers/orderStatus.js';
+
+// Amounts are what the server priced (controllers/orderPricing.js), never
+// what the client sent.
+const AdjustmentSchema = new mongoose.Schema(
+  {
+    code: { type: String, default: '' },
+    label: { type: String, default: '' },
+    amount: { type: Number, required: true },
+  },
+  { _id: false }
+);
+
+const ActorSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: ['customer', 'staff', 'system'], default: 'system' },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+    label: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// One status change: when, by whom (customer, staff or the system) and why.
+const StatusChangeSchema = new mongoose.Schema(
+  {
+    status: { type: String, enum: ORDER_STATUSES, required: true },
+    at: { type: Date, default: Date.now },
+    actor: { type: ActorSchema, default: () => ({}) },
+    note: { type: String, default: '' },
+  },
+  { _id: false }
+);
+
+// The provider's payment intent for the order, as last reported by a
+// verified webhook (controllers/PaymentController.js).
+const PaymentSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    intentId: { type: String, required: true },
+    status: { type: String, default: 'requires_confirmation' },
+    amount: Number,
+    currency: { type: String, default: 'USD' },
+    refundedAmount: { type: Number, default: 0 },
+    // Staff member who asked for the refund the provider is processing.
+    refundRequestedBy: { type: ActorSchema, default: null },
+    lastError: { type: String, default: '' },
+    updatedAt: { type: Date, default: Date.now },
+  },
+  { _id: false }
+);
 
 const OrderSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   items: [
     {
       productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+      // The variant bought, if the product has variants (Product.variants._id)
+      variantKey: { type: String, default: '' },
+      sku: { type: String, default: '' },
+      upc: { type: String, default: '' },
       title: { type: String, required: true },
       image: { type: String, required: true },
+      unitPrice: Number,
       quantity: Number,
       total: Number,
     },
   ],
+  currency: { type: String, default: 'USD' },
+  subtotal: Number,
+  fees: { type: [AdjustmentSchema], default: [] },
+  discounts: { type: [AdjustmentSchema], default: [] },
+  tax: { type: Number, default: 0 },
+  promoCode: { type: String, default: '' },
   total: Number,
   date: { type: Date, default: Date.now },
+  // No default: orders saved before statuses existed read as LEGACY_STATUS (orderStatus.js).
+  status: { type: String, enum: ORDER_STATUSES },
+  statusHistory: { type: [StatusChangeSchema], default: [] },
+  payment: { type: PaymentSchema, default: null },
+  // Idempotency-Key of the POST /auth/placeOrder that created the order, and a
+  // hash of that request's cart/total/promo so a reused key can be told apart.
+  idempotencyKey: { type: String },
+  idempotencyFingerprint: { type: String },
 });
 
+OrderSchema.index({ status: 1, date: -1 });
+OrderSchema.index({ 'payment.intentId': 1 }, { partialFilterExpression: { 'payment.intentId': { $type: 'string' } } });
+OrderSchema.index(
+  { userId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
+
 export default mongoose.model('Order', OrderSchema);
@@ -0,0 +1,21 @@
+// backend/models/PaymentEvent.js
+import mongoose from "mongoose";
+
+// One processed webhook. Providers retry deliveries, so the unique
+// (provider, eventId) index is what makes handling an event exactly-once.
+const PaymentEventSchema = new mongoose.Schema(
+  {
+    provider: { type: String, required: true },
+    eventId: { type: String, required: true },
+    type: { type: String, required: true },
+    intentId: { type: String, default: "" },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    outcome: { type: String, default: "" }, // what applying it did, e.g. "paid", "ignored: amount mismatch"
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+PaymentEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+PaymentEventSchema.index({ orderId: 1, createdAt: -1 });
+
+export default mongoose.model("PaymentEvent", PaymentEventSchema);
@@ -0,0 +1,31 @@
+// backend/models/PricePoint.js
+import mongoose from "mongoose";
+
+// One observed shelf price. Stored in a MongoDB time-series collection keyed
+// by (retailer, upc, locationId); written by PriceHistoryController whenever a
+// search returns products.
+const PricePointSchema = new mongoose.Schema(
+  {
+    observedAt: { type: Date, required: true },
+    meta: {
+      retailer: { type: String, required: true },
+      upc: { type: String, required: true },
+      locationId: { type: String, default: "" },
+    },
+    price: { type: Number, required: true },
+    // Price per display unit (see unitKind: weight_oz, volume_floz, count, area_sqft)
+    unitPrice: { type: Number, default: null },
+    unitKind: { type: String, default: null },
+    title: { type: String, default: "" },
+    size: { type: String, default: "" },
+  },
+  {
+    timeseries: { timeField: "observedAt", metaField: "meta", granularity: "hours" },
+    expireAfterSeconds: Number(process.env.PRICE_HISTORY_TTL_DAYS || 400) * 24 * 60 * 60,
+    versionKey: false,
+  }
+);
+
+PricePointSchema.index({ "meta.upc": 1, "meta.retailer": 1, observedAt: -1 });
+
+export default mongoose.model("PricePoint", PricePointSchema);
@@ -0,0 +1,36 @@
+// backend/models/PriceWatch.js
+import mongoose from "mongoose";
+
+// A user's watchlist entry: alert when the product's price (or unit price)
+// drops below `threshold`. `armed` is cleared when an alert fires and set
+// again once the price is back at or above the threshold.
+const PriceWatchSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    retailer: { type: String, default: "kroger" },
+    upc: { type: String, required: true },
+    // Empty = any store
+    locationId: { type: String, default: "" },
+    title: { type: String, default: "" },
+    basis: { type: String, enum: ["unit", "price"], default: "unit" },
+    unitKind: { type: String, default: null },
+    threshold: { type: Number, required: true },
+    armed: { type: Boolean, default: true },
+    active: { type: Boolean, default: true },
+
+    // Delivery besides the stored notification
+    email: { type: Boolean, default: false },
+    webhookUrl: { type: String, default: "" },
+
+    lastPrice: { type: Number, default: null },
+    lastUnitPrice: { type: Number, default: null },
+    lastObservedAt: { type: Date, default: null },
+    lastAlertAt: { type: Date, default: null },
+  },
+  { timestamps: true }
+);
+
+PriceWatchSchema.index({ retailer: 1, upc: 1, active: 1 });
+PriceWatchSchema.index({ userId: 1, retailer: 1, upc: 1, locationId: 1 }, { unique: true });
+
+export default mongoose.model("PriceWatch", PriceWatchSchema);
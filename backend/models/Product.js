@@ -1,11 +1,61 @@
 import mongoose from "mongoose";
 
+// One purchasable version of a product (size, pack count, flavor). Carts,
+// stock and orders refer to it by its _id; SKU/UPC identify it to people and
+// to retailers (controllers/catalog.js validates both).
+const VariantSchema = new mongoose.Schema({
+    sku: { type: String, required: true },
+    upc: { type: String, default: "" },
+    label: { type: String, default: "" },
+    options: {
+        size: { type: String, default: "" },
+        packCount: { type: Number, default: null },
+        flavor: { type: String, default: "" },
+    },
+    price: { type: Number, required: true, min: 0 },
+    // e.g. "12 oz", "6 x 330 ml": what unit prices are computed from
+    unitSize: { type: String, default: "" },
+    imageUrl: { type: String, default: "" },
+    active: { type: Boolean, default: true },
+});
+
+const ImageSchema = new mongoose.Schema(
+    {
+        url: { type: String, required: true },
+        alt: { type: String, default: "" },
+        width: Number,
+        height: Number,
+    },
+    { _id: false }
+);
+
 const ProductSchema = new mongoose.Schema({
     title: { type: String, required: true},
     description: { type: String},
+    // With variants: the cheapest active one, kept in sync on save
     price: { type: Number, required: true},
     category: { type: String},
+    type: { type: String, default: "" }, // e.g. "dairy", "fruit"
+    rating: { type: Number, min: 0, max: 5, default: null },
+    // Primary image; `images` holds the full gallery, this one first
     imageUrl: { type: String},
+    images: { type: [ImageSchema], default: [] },
+    // Identifiers for products sold without variants
+    sku: { type: String, default: "" },
+    upc: { type: String, default: "" },
+    unitSize: { type: String, default: "" },
+    attributes: {
+        brand: { type: String, default: "" },
+        dietaryTags: { type: [String], default: [] },
+        allergens: { type: [String], default: [] },
+        origin: { type: String, default: "" },
+    },
+    variants: { type: [VariantSchema], default: [] },
 });
 
-export default mongoose.model('Product', ProductSchema);
\ No newline at end of file
+ProductSchema.index({ sku: 1 }, { unique: true, partialFilterExpression: { sku: { $gt: "" } } });
+ProductSchema.index({ "variants.sku": 1 }, { unique: true, partialFilterExpression: { "variants.sku": { $gt: "" } } });
+ProductSchema.index({ upc: 1 }, { partialFilterExpression: { upc: { $gt: "" } } });
+ProductSchema.index({ "variants.upc": 1 }, { partialFilterExpression: { "variants.upc": { $gt: "" } } });
+
+export default mongoose.model('Product', ProductSchema);
@@ -0,0 +1,26 @@
+// backend/models/Session.js
+import mongoose from "mongoose";
+
+// One login (device/browser). Only hashes of refresh tokens are stored; the
+// previous hash is kept so a replayed, already-rotated token can be detected.
+const SessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    tokenHash: { type: String, required: true },
+    previousTokenHash: { type: String, default: null },
+    rotatedAt: { type: Date, default: null },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    lastUsedAt: { type: Date, default: Date.now },
+    // Sliding: every refresh pushes it out again.
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: "" },
+  },
+  { timestamps: true }
+);
+
+// Mongo drops sessions once they expire.
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model("Session", SessionSchema);
@@ -0,0 +1,44 @@
+// backend/models/ShoppingList.js
+import mongoose from "mongoose";
+
+// One saved ingredient -> product line. Price/size are what the product cost
+// when the list was saved (or last re-priced); `available` turns false when a
+// re-price could not find the product at the retailer anymore.
+const ShoppingListItemSchema = new mongoose.Schema(
+  {
+    ingredient: { type: String, required: true },
+    amount: { type: Number, default: null },
+    unit: { type: String, default: "" },
+    retailer: { type: String, default: "kroger" },
+    upc: { type: String, default: "" },
+    productId: { type: String, default: "" },
+    title: { type: String, default: "" },
+    imageUrl: { type: String, default: "" },
+    size: { type: String, default: "" },
+    url: { type: String, default: "" },
+    price: { type: Number, default: 0 },
+    quantity: { type: Number, default: 1, min: 1 },
+    available: { type: Boolean, default: true },
+  },
+  { _id: true }
+);
+
+// A saved recipe is a list that remembers the dish(es) it came from, so it
+// can be searched again; a plain shopping list has no query.
+const ShoppingListSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    name: { type: String, required: true, trim: true },
+    query: { type: String, default: "" },
+    dishes: { type: [String], default: [] },
+    servings: { type: Number, default: null },
+    meals: { type: Number, default: 1 },
+    zip: { type: String, default: "" },
+    budgetSearch: { type: Boolean, default: false },
+    items: { type: [ShoppingListItemSchema], default: [] },
+    pricedAt: { type: Date, default: Date.now },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("ShoppingList", ShoppingListSchema);
@@ -0,0 +1,28 @@
+// backend/models/StockMovement.js
+import mongoose from "mongoose";
+import { STOCK_MOVEMENT_REASONS } from "../controllers/inventory.js";
+
+// Append-only history of on-hand stock: restocks, manual adjustments, and
+// what orders took (and gave back when cancelled).
+const StockMovementSchema = new mongoose.Schema(
+  {
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantKey: { type: String, default: "" },
+    delta: { type: Number, required: true },
+    onHandAfter: { type: Number, required: true },
+    reason: { type: String, enum: STOCK_MOVEMENT_REASONS, required: true },
+    orderId: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    actor: {
+      kind: { type: String, enum: ["customer", "staff", "system"], default: "system" },
+      userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+      label: { type: String, default: "" },
+    },
+    note: { type: String, default: "" },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+StockMovementSchema.index({ productId: 1, variantKey: 1, createdAt: -1 });
+StockMovementSchema.index({ orderId: 1 }, { partialFilterExpression: { orderId: { $type: "objectId" } } });
+
+export default mongoose.model("StockMovement", StockMovementSchema);
@@ -0,0 +1,21 @@
+// backend/models/StockReservation.js
+import mongoose from "mongoose";
+
+// Units one shopper's cart holds until expiresAt. The hold is also counted in
+// InventoryItem.reserved; InventoryController releases both together, so
+// expired holds are removed there rather than by a TTL index.
+const StockReservationSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variantKey: { type: String, default: "" },
+    quantity: { type: Number, required: true, min: 1 },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true }
+);
+
+StockReservationSchema.index({ userId: 1, productId: 1, variantKey: 1 }, { unique: true });
+StockReservationSchema.index({ expiresAt: 1 });
+
+export default mongoose.model("StockReservation", StockReservationSchema);
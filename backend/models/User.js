@@ -1,11 +1,16 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcrypt';
+import { encryptedString } from '../config/tokenCrypto.js';
+import { ROLES, DEFAULT_ROLE } from '../config/roles.js';
+import { PLANS, DEFAULT_PLAN } from '../controllers/llmUsage.js';
 
 const KrogerSnapshotSchema = new mongoose.Schema(
   {
-    accessToken: String,
-    refreshToken: String,
+    // Encrypted at rest; reads return plaintext (config/tokenCrypto.js)
+    accessToken: encryptedString('kroger.accessToken'),
+    refreshToken: encryptedString('kroger.refreshToken'),
     expiresAt: Date,
+    connectedAt: Date,
     locationId: String,
     // Local snapshot of items your app added (UPC -> qty)
     cartSnapshot: { type: Map, of: Number, default: {} },
@@ -17,6 +22,14 @@ const userSchema = new mongoose.Schema({
   username: { type: String, required: true },
   email: { type: String, unique: true, required: true },
   password: { type: String, required: true },
+  role: { type: String, enum: ROLES, default: DEFAULT_ROLE },
+  emailVerifiedAt: { type: Date, default: null },
+  // LLM spend quota: the plan's daily/monthly limits unless overridden here
+  plan: { type: String, enum: PLANS, default: DEFAULT_PLAN },
+  llmQuota: {
+    dailyUsd: { type: Number, default: null, min: 0 },
+    monthlyUsd: { type: Number, default: null, min: 0 },
+  },
   cart: { type: Map, of: Number, default: {} },
   kroger: { type: KrogerSnapshotSchema, default: {} },
 });
@@ -0,0 +1,17 @@
+// backend/notifications/emailChannel.js
+import { sendMail } from "../config/mailer.js";
+
+const emailChannel = {
+  id: "email",
+
+  async deliver(notification, { user }) {
+    if (!user?.email) throw new Error("User has no email address");
+    await sendMail({
+      to: user.email,
+      subject: notification.title,
+      text: notification.body || notification.title,
+    });
+  },
+};
+
+export default emailChannel;
@@ -0,0 +1,51 @@
+// backend/notifications/index.js
+import emailChannel from "./emailChannel.js";
+import webhookChannel from "./webhookChannel.js";
+
+/**
+ * Notification channel contract. Every notification is stored in Mongo first
+ * (that is the in-app channel); channels deliver a copy elsewhere.
+ *
+ * @typedef {Object} NotificationChannel
+ * @property {string} id
+ * @property {(notification:object, ctx:object) => Promise<void>} deliver
+ *           throws on failure; ctx carries channel-specific targets ({ user }, { url })
+ */
+
+const registry = new Map();
+
+export function registerChannel(channel) {
+  if (!channel?.id || typeof channel.deliver !== "function") {
+    throw new Error("Notification channel needs an id and deliver()");
+  }
+  registry.set(channel.id, channel);
+  return channel;
+}
+
+export function getChannel(id) {
+  return registry.get(id) || null;
+}
+
+/**
+ * Deliver to each { channel, ...ctx } target; never throws. Resolves to the
+ * delivery records stored on the notification.
+ */
+export async function deliverNotification(notification, targets = []) {
+  const deliveries = [];
+  for (const { channel: id, ...ctx } of targets) {
+    const channel = getChannel(id);
+    try {
+      if (!channel) throw new Error(`Unknown channel "${id}"`);
+      await channel.deliver(notification, ctx);
+      deliveries.push({ channel: id, ok: true, error: "", at: new Date() });
+    } catch (e) {
+      deliveries.push({ channel: id, ok: false, error: String(e?.message || e).slice(0, 300), at: new Date() });
+    }
+  }
+  return deliveries;
+}
+
+registerChannel(emailChannel);
+registerChannel(webhookChannel);
+
+export default { registerChannel, getChannel, deliverNotification };
@@ -0,0 +1,68 @@
+// backend/notifications/webhookChannel.js
+// POSTs the notification as JSON. When NOTIFY_WEBHOOK_SECRET is set the body
+// is signed: X-SmartEcom-Signature: sha256=<hex HMAC of the raw body>.
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns/promises";
+import http from "http";
+import https from "https";
+import net from "net";
+import { isAllowedWebhookUrl, isPrivateAddress } from "../controllers/priceWatch.js";
+
+const TIMEOUT = Number(process.env.NOTIFY_WEBHOOK_TIMEOUT_MS || 5000);
+const ALLOW_HTTP = process.env.NODE_ENV !== "production";
+
+/**
+ * Resolves the webhook's host at delivery time and refuses it when any of its
+ * addresses is private, so a public name pointed at an internal service is
+ * caught. Returns the checked address to connect to.
+ */
+export async function resolveWebhookAddress(url, { allowHttp = ALLOW_HTTP } = {}) {
+  if (!isAllowedWebhookUrl(url, { allowHttp })) throw new Error("Webhook URL not allowed");
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  if (!addresses.length || addresses.some((a) => isPrivateAddress(a.address))) {
+    throw new Error("Webhook URL not allowed");
+  }
+  return addresses[0];
+}
+
+// Pins the connection to the checked address; a second lookup could answer differently.
+function pinnedLookup({ address, family }) {
+  return (hostname, options, callback) =>
+    options?.all ? callback(null, [{ address, family }]) : callback(null, address, family);
+}
+
+const webhookChannel = {
+  id: "webhook",
+
+  async deliver(notification, { url }) {
+    const lookup = pinnedLookup(await resolveWebhookAddress(url));
+
+    const body = JSON.stringify({
+      id: String(notification._id || ""),
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data || {},
+      createdAt: notification.createdAt || new Date(),
+    });
+
+    const headers = { "Content-Type": "application/json" };
+    const secret = process.env.NOTIFY_WEBHOOK_SECRET;
+    if (secret) {
+      headers["X-SmartEcom-Signature"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+    }
+
+    await axios.post(url, body, {
+      headers,
+      timeout: TIMEOUT,
+      maxRedirects: 0,
+      httpAgent: new http.Agent({ lookup }),
+      httpsAgent: new https.Agent({ lookup }),
+    });
+  },
+};
+
+export default webhookChannel;
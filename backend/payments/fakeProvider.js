@@ -0,0 +1,155 @@
+// backend/payments/fakeProvider.js
+// Sandbox payment provider for local development and tests: no network, no
+// money. Intents live in Redis and behave like a card processor's:
+//   pm_card_visa       confirms (the default)
+//   pm_card_declined   fails with "card_declined"
+// Every state change produces a signed webhook delivery, returned to the
+// caller to post in-process (see PaymentController.deliverSandboxWebhooks),
+// so the signature check and event handling run exactly as for a real provider.
+//
+//   PAYMENT_WEBHOOK_SECRET=...   signing secret (a fixed dev secret outside production)
+import crypto from "crypto";
+import { redis } from "../config/redis.js";
+import { signPayload, verifySignature } from "./signature.js";
+
+export const SIGNATURE_HEADER = "fake-signature";
+export const TEST_CARDS = { ok: "pm_card_visa", declined: "pm_card_declined" };
+
+const TTL_S = 30 * 24 * 60 * 60;
+const DEV_SECRET = "whsec_sandbox_dev_only";
+
+const intentKey = (id) => `fakepay:intent:${id}`;
+const idemKey = (key) => `fakepay:idem:${key}`;
+const newId = (prefix) => `${prefix}_${crypto.randomBytes(12).toString("hex")}`;
+
+export function webhookSecret() {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  return process.env.NODE_ENV === "production" ? "" : DEV_SECRET;
+}
+
+async function loadIntent(id) {
+  const raw = typeof id === "string" && id.startsWith("pi_") ? await redis.get(intentKey(id)) : null;
+  if (!raw) throw Object.assign(new Error(`No such payment intent: ${id}`), { code: "intent_not_found" });
+  return JSON.parse(raw);
+}
+
+const saveIntent = (intent) => redis.set(intentKey(intent.id), JSON.stringify(intent), "EX", TTL_S);
+
+// What the outside world sees of an intent.
+const publicIntent = ({ id, status, amountCents, currency, clientSecret, captureMethod, lastError }) => ({
+  id,
+  status,
+  amountCents,
+  currency,
+  clientSecret,
+  captureMethod,
+  lastError: lastError || null,
+});
+
+function webhook(type, data) {
+  const event = { id: newId("evt"), type, created: Math.floor(Date.now() / 1000), data };
+  const rawBody = JSON.stringify(event);
+  return { rawBody, headers: { [SIGNATURE_HEADER]: signPayload(webhookSecret(), rawBody) } };
+}
+
+const intentEvent = (type, intent, extra = {}) =>
+  webhook(type, { intentId: intent.id, amountCents: intent.amountCents, currency: intent.currency, ...extra });
+
+export default {
+  id: "fake",
+  label: "Sandbox",
+  capabilities: { manualCapture: true, sandbox: true },
+
+  // Same idempotency key, same intent: a retried checkout never charges twice.
+  async createIntent({ amountCents, currency = "USD", idempotencyKey, captureMethod = "automatic", metadata = {} }) {
+    if (!Number.isInteger(amountCents) || amountCents <= 0) throw new Error("amountCents must be a positive integer");
+
+    if (idempotencyKey) {
+      const existingId = await redis.get(idemKey(idempotencyKey));
+      if (existingId) {
+        const existing = await loadIntent(existingId);
+        if (existing.amountCents !== amountCents || existing.currency !== currency) {
+          throw Object.assign(new Error("Idempotency key reused with different parameters"), { code: "idempotency_mismatch" });
+        }
+        return { intent: publicIntent(existing), webhooks: [] };
+      }
+    }
+
+    const intent = {
+      id: newId("pi"),
+      status: "requires_confirmation",
+      amountCents,
+      currency,
+      captureMethod,
+      clientSecret: newId("secret"),
+      metadata,
+      refundedCents: 0,
+      createdAt: new Date().toISOString(),
+    };
+    if (idempotencyKey) {
+      const claimed = await redis.set(idemKey(idempotencyKey), intent.id, "EX", TTL_S, "NX");
+      if (!claimed) return this.createIntent({ amountCents, currency, idempotencyKey, captureMethod, metadata });
+    }
+    await saveIntent(intent);
+    return { intent: publicIntent(intent), webhooks: [] };
+  },
+
+  // What the customer's browser does at a real provider.
+  async confirmIntent(intentId, { clientSecret, paymentMethod = TEST_CARDS.ok } = {}) {
+    const intent = await loadIntent(intentId);
+    if (clientSecret !== intent.clientSecret) throw Object.assign(new Error("Client secret does not match"), { code: "bad_client_secret" });
+    if (intent.status !== "requires_confirmation") return { intent: publicIntent(intent), webhooks: [] };
+
+    if (paymentMethod === TEST_CARDS.declined) {
+      intent.status = "failed";
+      intent.lastError = "card_declined";
+      await saveIntent(intent);
+      return { intent: publicIntent(intent), webhooks: [intentEvent("payment.failed", intent, { reason: "card_declined" })] };
+    }
+
+    intent.status = intent.captureMethod === "manual" ? "requires_capture" : "succeeded";
+    await saveIntent(intent);
+    const type = intent.status === "succeeded" ? "payment.succeeded" : "payment.authorized";
+    return { intent: publicIntent(intent), webhooks: [intentEvent(type, intent)] };
+  },
+
+  async captureIntent(intentId) {
+    const intent = await loadIntent(intentId);
+    if (intent.status !== "requires_capture") {
+      throw Object.assign(new Error(`Cannot capture a payment that is ${intent.status}`), { code: "invalid_state" });
+    }
+    intent.status = "succeeded";
+    await saveIntent(intent);
+    return { intent: publicIntent(intent), webhooks: [intentEvent("payment.succeeded", intent)] };
+  },
+
+  async refund(intentId, { amountCents, idempotencyKey } = {}) {
+    if (idempotencyKey) {
+      const existing = await redis.get(idemKey(idempotencyKey));
+      if (existing) return { refund: JSON.parse(existing), webhooks: [] };
+    }
+
+    const intent = await loadIntent(intentId);
+    if (intent.status !== "succeeded") {
+      throw Object.assign(new Error(`Cannot refund a payment that is ${intent.status}`), { code: "invalid_state" });
+    }
+    const amount = amountCents ?? intent.amountCents - intent.refundedCents;
+    if (!Number.isInteger(amount) || amount <= 0 || amount > intent.amountCents - intent.refundedCents) {
+      throw Object.assign(new Error("Refund amount exceeds what is left to refund"), { code: "invalid_amount" });
+    }
+
+    intent.refundedCents += amount;
+    await saveIntent(intent);
+    const refund = { id: newId("re"), intentId, amountCents: amount, currency: intent.currency, status: "succeeded" };
+    if (idempotencyKey) await redis.set(idemKey(idempotencyKey), JSON.stringify(refund), "EX", TTL_S);
+    return { refund, webhooks: [intentEvent("refund.succeeded", intent, { refundId: refund.id, amountCents: amount })] };
+  },
+
+  // Verified event, normalized: { id, type, intentId, amountCents, currency, refundId?, reason? }.
+  verifyWebhook(rawBody, headers = {}) {
+    const check = verifySignature(webhookSecret(), rawBody, headers[SIGNATURE_HEADER]);
+    if (!check.ok) throw Object.assign(new Error(`Invalid webhook signature (${check.reason})`), { code: "bad_signature" });
+    const event = JSON.parse(Buffer.from(rawBody).toString("utf8"));
+    return { id: event.id, type: event.type, ...event.data };
+  },
+};
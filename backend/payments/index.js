@@ -0,0 +1,106 @@
+// backend/payments/index.js
+import fakeProvider from "./fakeProvider.js";
+
+/**
+ * Payment provider contract.
+ *
+ * Checkout talks to whichever processor is active through one plain object
+ * with this shape. Every call that changes money also reports the change
+ * through a signed webhook; orders only move on verified webhooks
+ * (PaymentController.processWebhook), never on what the client says.
+ * Amounts are integer cents.
+ *
+ * @typedef {Object} PaymentIntent
+ * @property {string} id
+ * @property {"requires_confirmation"|"requires_capture"|"succeeded"|"failed"} status
+ * @property {number} amountCents
+ * @property {string} currency
+ * @property {string} clientSecret           handed to the browser to confirm the payment
+ *
+ * @typedef {Object} PaymentProvider
+ * @property {string} id                     stable key used in routes and on orders (e.g. "fake")
+ * @property {string} label                  human readable name
+ * @property {{manualCapture:boolean, sandbox:boolean}} capabilities
+ * @property {(opts:{amountCents:number, currency:string, idempotencyKey?:string, captureMethod?:"automatic"|"manual", metadata?:object}) => Promise<{intent:PaymentIntent, webhooks:object[]}>} createIntent
+ *           the same idempotencyKey must return the same intent, never a second charge
+ * @property {(intentId:string) => Promise<{intent:PaymentIntent, webhooks:object[]}>} captureIntent
+ * @property {(intentId:string, opts:{amountCents?:number, idempotencyKey?:string}) => Promise<{refund:object, webhooks:object[]}>} refund
+ *           refunds the remaining amount when amountCents is omitted
+ * @property {(rawBody:Buffer|string, headers:object) => object} verifyWebhook
+ *           throws (code "bad_signature") unless the delivery is authentic; returns the
+ *           normalized event { id, type, intentId, amountCents, currency, refundId?, reason? }
+ * @property {(intentId:string, opts:{clientSecret:string, paymentMethod?:string}) => Promise<{intent:PaymentIntent, webhooks:object[]}>} [confirmIntent]
+ *           sandbox providers only: stands in for the provider's hosted payment page
+ *
+ * `webhooks` are deliveries ({ rawBody, headers }) a sandbox provider hands
+ * back for in-process posting; real providers send theirs over HTTP and
+ * return [].
+ */
+
+export const PAYMENT_EVENTS = ["payment.authorized", "payment.succeeded", "payment.failed", "refund.succeeded", "refund.failed"];
+
+const REQUIRED_FNS = ["createIntent", "captureIntent", "refund", "verifyWebhook"];
+
+const registry = new Map();
+
+export function definePaymentProvider(provider) {
+  if (!provider || typeof provider !== "object") {
+    throw new Error("Payment provider must be an object");
+  }
+  if (!provider.id || typeof provider.id !== "string") {
+    throw new Error("Payment provider is missing a string id");
+  }
+  for (const fn of REQUIRED_FNS) {
+    if (typeof provider[fn] !== "function") {
+      throw new Error(`Payment provider "${provider.id}" is missing ${fn}()`);
+    }
+  }
+
+  return {
+    label: provider.id,
+    ...provider,
+    capabilities: { manualCapture: false, sandbox: false, ...(provider.capabilities || {}) },
+  };
+}
+
+export function registerPaymentProvider(provider) {
+  const def = definePaymentProvider(provider);
+  registry.set(def.id, def);
+  return def;
+}
+
+export function getPaymentProvider(id) {
+  return registry.get(String(id || "").toLowerCase()) || null;
+}
+
+export function listPaymentProviders() {
+  return Array.from(registry.values());
+}
+
+let warnedSandbox = false;
+
+/**
+ * The provider new checkouts use. PAYMENT_PROVIDER=<id> picks a registered
+ * provider; unset means the sandbox, which is never what production wants.
+ */
+export function activePaymentProvider() {
+  const id = String(process.env.PAYMENT_PROVIDER || "fake").trim();
+  const provider = getPaymentProvider(id);
+  if (!provider) throw new Error(`Unknown PAYMENT_PROVIDER "${id}"`);
+  if (provider.capabilities.sandbox && process.env.NODE_ENV === "production" && !warnedSandbox) {
+    warnedSandbox = true;
+    console.warn(`[payments] "${provider.id}" is a sandbox provider; no real payments are taken`);
+  }
+  return provider;
+}
+
+registerPaymentProvider(fakeProvider);
+
+export default {
+  definePaymentProvider,
+  registerPaymentProvider,
+  getPaymentProvider,
+  listPaymentProviders,
+  activePaymentProvider,
+  PAYMENT_EVENTS,
+};
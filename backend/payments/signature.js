@@ -0,0 +1,43 @@
+// backend/payments/signature.js
+// Webhook signatures: HMAC-SHA256 over "<timestamp>.<raw body>", sent as
+//   <Provider>-Signature: t=<unix seconds>,v1=<hex digest>
+// The timestamp is signed too, so a captured delivery can't be replayed
+// after the tolerance window.
+import crypto from "crypto";
+
+export const SIGNATURE_TOLERANCE_S = 5 * 60;
+
+const digest = (secret, timestamp, rawBody) =>
+  crypto.createHmac("sha256", secret).update(`${timestamp}.`).update(rawBody).digest("hex");
+
+export function signPayload(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},v1=${digest(secret, timestamp, Buffer.from(rawBody))}`;
+}
+
+/**
+ * Check a signature header against the raw request body (Buffer or string;
+ * never re-serialized JSON). Returns { ok: true } or { ok: false, reason }.
+ */
+export function verifySignature(secret, rawBody, header, { toleranceS = SIGNATURE_TOLERANCE_S, now = Date.now() } = {}) {
+  if (!secret) return { ok: false, reason: "no_secret" };
+  if (!header || typeof header !== "string") return { ok: false, reason: "missing_signature" };
+
+  const parts = Object.fromEntries(
+    header.split(",").map((kv) => {
+      const i = kv.indexOf("=");
+      return [kv.slice(0, i).trim(), kv.slice(i + 1).trim()];
+    })
+  );
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !/^[a-f0-9]{64}$/.test(parts.v1 || "")) {
+    return { ok: false, reason: "malformed_signature" };
+  }
+  if (Math.abs(now / 1000 - timestamp) > toleranceS) return { ok: false, reason: "timestamp_out_of_range" };
+
+  const expected = Buffer.from(digest(secret, timestamp, Buffer.from(rawBody ?? "")), "hex");
+  const given = Buffer.from(parts.v1, "hex");
+  if (!crypto.timingSafeEqual(expected, given)) return { ok: false, reason: "bad_signature" };
+  return { ok: true };
+}
+
+export default { SIGNATURE_TOLERANCE_S, signPayload, verifySignature };
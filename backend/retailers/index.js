@@ -0,0 +1,104 @@
+// backend/retailers/index.js
+import krogerAdapter from "./krogerAdapter.js";
+import walmartAdapter from "./walmartAdapter.js";
+
+/**
+ * Retailer adapter contract.
+ *
+ * Every grocer the search pipeline can fan out to is described by one plain
+ * object with this shape. Kroger and Walmart are the built-in adapters; a
+ * regional grocer only needs its own adapter file plus a registerRetailer()
+ * call, nothing in KrogerController has to change.
+ *
+ * @typedef {Object} RetailerAdapter
+ * @property {string} id                     stable key used in payloads (e.g. "kroger")
+ * @property {string} label                  human readable name (e.g. "Kroger")
+ * @property {{cart:boolean, locationScoped:boolean}} capabilities
+ * @property {(zip:string|undefined, ctx:{user?:object}) => Promise<string|null>} [resolveLocation]
+ * @property {(term:string, opts:{locationId?:string|null, limit?:number}) => Promise<object[]>} search
+ *           returns the retailer's RAW product list for a search term
+ * @property {(raw:object) => string} candidateTitle
+ *           title shown to the matching LLM for one raw product
+ * @property {(raw:object, ctx:{locationId?:string|null}) => object} normalize
+ *           maps a raw product to { _id, title, imageUrl, price, upc, retailer, size, url, raw }
+ * @property {(product:object) => string[]} sizeTexts
+ *           strings (most specific first) that may contain the package size of a normalized product
+ */
+
+const REQUIRED_FNS = ["search", "candidateTitle", "normalize", "sizeTexts"];
+
+const registry = new Map();
+
+export function defineRetailerAdapter(adapter) {
+  if (!adapter || typeof adapter !== "object") {
+    throw new Error("Retailer adapter must be an object");
+  }
+  if (!adapter.id || typeof adapter.id !== "string") {
+    throw new Error("Retailer adapter is missing a string id");
+  }
+  for (const fn of REQUIRED_FNS) {
+    if (typeof adapter[fn] !== "function") {
+      throw new Error(`Retailer adapter "${adapter.id}" is missing ${fn}()`);
+    }
+  }
+
+  return {
+    label: adapter.id,
+    ...adapter,
+    capabilities: { cart: false, locationScoped: false, ...(adapter.capabilities || {}) },
+  };
+}
+
+export function registerRetailer(adapter) {
+  const def = defineRetailerAdapter(adapter);
+  registry.set(def.id.toLowerCase(), def);
+  return def;
+}
+
+export function getRetailer(id) {
+  return registry.get(String(id || "").toLowerCase()) || null;
+}
+
+export function listRetailers() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Enabled retailers in fan-out order.
+ * SMART_ECOM_RETAILERS=kroger,walmart,<regional id> narrows/reorders the list;
+ * unset means every registered adapter.
+ */
+export function getEnabledRetailers() {
+  const raw = String(process.env.SMART_ECOM_RETAILERS || "").trim();
+  if (!raw) return listRetailers();
+
+  return raw
+    .split(",")
+    .map((s) => getRetailer(s.trim()))
+    .filter(Boolean);
+}
+
+// The primary retailer drives ingredient matching and owns the cart flow.
+export const PRIMARY_RETAILER_ID = "kroger";
+
+export function getPrimaryRetailer() {
+  return getRetailer(PRIMARY_RETAILER_ID);
+}
+
+export function getSecondaryRetailers() {
+  return getEnabledRetailers().filter((r) => r.id !== PRIMARY_RETAILER_ID);
+}
+
+registerRetailer(krogerAdapter);
+registerRetailer(walmartAdapter);
+
+export default {
+  defineRetailerAdapter,
+  registerRetailer,
+  getRetailer,
+  listRetailers,
+  getEnabledRetailers,
+  getPrimaryRetailer,
+  getSecondaryRetailers,
+  PRIMARY_RETAILER_ID,
+};
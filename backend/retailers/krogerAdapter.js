@@ -0,0 +1,74 @@
+// backend/retailers/krogerAdapter.js
+import Kroger from "../config/kroger.js";
+
+function pickBestImage(p) {
+  const prefOrder = ["xlarge", "large", "medium", "small", "thumbnail"];
+  const imgs = Array.isArray(p.images) ? p.images : [];
+  const front = imgs.find((i) => i.perspective === "front") || {};
+  const sizes = [
+    ...(front.sizes || []),
+    ...imgs.filter((i) => i !== front).flatMap((i) => i.sizes || []),
+  ];
+  if (!sizes.length) return "";
+  sizes.sort(
+    (a, b) => prefOrder.indexOf(a.size || "") - prefOrder.indexOf(b.size || "")
+  );
+  return sizes[0]?.url || "";
+}
+
+export function normalizeKroger(p, locationId) {
+  const img = pickBestImage(p);
+  const price =
+    p.items?.[0]?.price?.promo ?? p.items?.[0]?.price?.regular ?? 0;
+  const size = p.items?.[0]?.size || p.items?.[0]?.soldBy || "";
+  return {
+    _id: p.productId,
+    title: p.description,
+    imageUrl: img,
+    price,
+    category: p.categories?.[0] || "",
+    description: p.brand,
+    upc: p.upc,
+    locationId,
+    retailer: "kroger",
+    size,
+    raw: p,
+  };
+}
+
+const krogerAdapter = {
+  id: "kroger",
+  label: "Kroger",
+  capabilities: { cart: true, locationScoped: true },
+
+  // A linked Kroger account pins the store; otherwise resolve by ZIP.
+  async resolveLocation(zip, { user } = {}) {
+    if (user?.kroger?.locationId) return user.kroger.locationId;
+    return Kroger.getLocationIdByZip(zip || process.env.KROGER_DEFAULT_ZIP);
+  },
+
+  search(term, { locationId, limit = 20 } = {}) {
+    return Kroger.searchProductsByTerm(term, {
+      locationId,
+      limit,
+      allowNoLocationFallback: true,
+    });
+  },
+
+  candidateTitle: (raw) => raw?.description || "",
+
+  normalize: (raw, { locationId } = {}) => normalizeKroger(raw, locationId),
+
+  // Produce sold by weight is priced per pound regardless of the size text.
+  sizeTexts: (product) => {
+    const item = product?.raw?.items?.[0] || {};
+    return [
+      item.soldBy === "WEIGHT" ? "per lb" : "",
+      product?.size,
+      item.size,
+      product?.title,
+    ].filter((x) => typeof x === "string" && x);
+  },
+};
+
+export default krogerAdapter;
@@ -0,0 +1,30 @@
+// backend/retailers/walmartAdapter.js
+import { rawSearch, normalize as normalizeWalmart } from "../config/walmartAffiliate.js";
+
+const walmartAdapter = {
+  id: "walmart",
+  label: "Walmart",
+  capabilities: { cart: false, locationScoped: false },
+
+  search: (term) => rawSearch(term),
+
+  candidateTitle: (raw) => raw?.name || "",
+
+  normalize: (raw) => normalizeWalmart(raw),
+
+  // Affiliate items rarely carry a clean size field, so fall back to the name.
+  sizeTexts: (product) => {
+    const raw = product?.raw || {};
+    return [
+      product?.size,
+      raw.size,
+      raw.sizeString,
+      raw.packageSize,
+      raw.packSize,
+      raw.name,
+      product?.title,
+    ].filter((x) => typeof x === "string" && x);
+  },
+};
+
+export default walmartAdapter;
@@ -0,0 +1,38 @@
+// backend/routes/AdminRoutes.js
+import express from "express";
+import { authMiddleware, requirePermission } from "../middleware/AuthMiddleware.js";
+import { PERMISSIONS } from "../config/roles.js";
+import { listAuditLog, setUserRole } from "../controllers/AuditController.js";
+import { getLlmUsageReport, getUserLlmQuota, setUserLlmQuota } from "../controllers/LlmUsageController.js";
+import { listOrders, setOrderStatus, refundOrder } from "../controllers/OrderController.js";
+import {
+  listInventory,
+  setInventory,
+  restockProduct,
+  inventoryHistory,
+} from "../controllers/InventoryController.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get("/audit", requirePermission(PERMISSIONS.AUDIT_READ), listAuditLog);
+router.put("/users/:id/role", requirePermission(PERMISSIONS.USERS_MANAGE), setUserRole);
+
+// LLM spend: report by route/user/model, and per-user plan and quota overrides
+router.get("/llm-usage", requirePermission(PERMISSIONS.USAGE_READ), getLlmUsageReport);
+router.get("/users/:id/llm-quota", requirePermission(PERMISSIONS.USAGE_READ), getUserLlmQuota);
+router.put("/users/:id/llm-quota", requirePermission(PERMISSIONS.USERS_MANAGE), setUserLlmQuota);
+
+// Orders: every customer's, moved along the status graph (controllers/orderStatus.js)
+router.get("/orders", requirePermission(PERMISSIONS.ORDERS_READ_ALL), listOrders);
+router.put("/orders/:id/status", requirePermission(PERMISSIONS.ORDERS_MANAGE), setOrderStatus);
+router.post("/orders/:id/refund", requirePermission(PERMISSIONS.ORDERS_MANAGE), refundOrder);
+
+// Inventory: stock levels and low-stock alerts, restocks/adjustments and their history
+router.get("/inventory", requirePermission(PERMISSIONS.INVENTORY_MANAGE), listInventory);
+router.put("/inventory/:productId", requirePermission(PERMISSIONS.INVENTORY_MANAGE), setInventory);
+router.post("/inventory/:productId/restock", requirePermission(PERMISSIONS.INVENTORY_MANAGE), restockProduct);
+router.get("/inventory/:productId/history", requirePermission(PERMISSIONS.INVENTORY_MANAGE), inventoryHistory);
+
+export default router;
@@ -1,15 +1,63 @@
 import express from 'express';
 import AuthController from '../controllers/AuthController.js';
 import protect from '../middleware/AuthMiddleware.js';
+import { rateLimit } from '../middleware/RateLimitMiddleware.js';
+import {
+  resendVerification,
+  verifyEmail,
+  forgotPassword,
+  resetPassword,
+  changePassword,
+  requestEmailChange,
+  confirmEmailChange,
+  deleteAccount,
+} from '../controllers/AccountController.js';
+import { quoteOrder, placeOrder, cancelOrder } from '../controllers/OrderController.js';
 
-const { signup, login, getUser, updateCart, placeOrder } = AuthController;
+const {
+  signup,
+  login,
+  adminLogin,
+  getUser,
+  updateCart,
+  refresh,
+  logout,
+  getSessions,
+  deleteSession,
+  revokeAll,
+  createSseTicket,
+} = AuthController;
 
 const router = express.Router();
 
-router.post('/signup', signup);
-router.post('/login', login);
+// Per-IP attempt budgets; failed logins also lock out progressively (AuthController)
+router.post('/signup', rateLimit('signup'), signup);
+router.post('/login', rateLimit('login', { message: 'Too many login attempts.' }), login);
+router.post('/admin/login', rateLimit('login', { message: 'Too many login attempts.' }), adminLogin);
+router.post('/refresh', refresh);
+router.post('/logout', logout);
 router.get('/user', protect, getUser);
 router.put('/cart', protect, updateCart);
+
+// Checkout: priced on the server, the client's total must match
+router.post('/order/quote', protect, quoteOrder);
 router.post('/placeOrder', protect, placeOrder);
+router.post('/orders/:id/cancel', protect, cancelOrder);
+
+// Account lifecycle (emailed links carry single-use tokens)
+router.post('/verify-email/send', protect, resendVerification);
+router.post('/verify-email', verifyEmail);
+router.post('/password/forgot', rateLimit('password_forgot'), forgotPassword);
+router.post('/password/reset', resetPassword);
+router.put('/password', protect, changePassword);
+router.put('/email', protect, requestEmailChange);
+router.post('/email/confirm', confirmEmailChange);
+router.delete('/account', protect, deleteAccount);
+
+// Sessions (one per login) and single-use tickets for SSE URLs
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions/:id', protect, deleteSession);
+router.post('/sessions/revoke-all', protect, revokeAll);
+router.post('/sse-ticket', protect, createSseTicket);
 
 export default router;
\ No newline at end of file
@@ -1,14 +1,24 @@
 // backend/routes/KrogerRoutes.js
 import express from "express";
 import multer from "multer";
-import { authMiddleware, optionalAuthMiddleware } from "../middleware/AuthMiddleware.js";
+import { authMiddleware, optionalAuthMiddleware, ticketAuthMiddleware } from "../middleware/AuthMiddleware.js";
+import { rateLimit, llmQuota } from "../middleware/RateLimitMiddleware.js";
 import {
   krogerSearch,
   krogerSearchStream,
+  krogerMealPlanStream,
   krogerCartAddStream,
   krogerFridgeUpload, // ✅ NEW
   krogerTestEval,
 } from "../controllers/KrogerController.js";
+import {
+  krogerLogin,
+  krogerCallback,
+  getKrogerConnection,
+  disconnectKroger,
+  addToKrogerCart,
+  getKrogerCartSnapshot,
+} from "../controllers/KrogerOAuthController.js";
 
 const router = express.Router();
 
@@ -17,18 +27,35 @@ const upload = multer({
   limits: { fileSize: 6 * 1024 * 1024 }, // 6MB
 });
 
+// Account linking: login needs the app user (a "kroger_login" ticket, since it is a
+// browser redirect); the callback is identified by its stored state.
+router.get("/oauth/login", ticketAuthMiddleware("kroger_login"), krogerLogin);
+router.get("/oauth/callback", krogerCallback);
+router.get("/connection", authMiddleware, getKrogerConnection);
+router.post("/disconnect", authMiddleware, disconnectKroger);
+
+// Manual cart edits and the local "in cart" snapshot
+router.post("/cart/add", authMiddleware, addToKrogerCart);
+router.get("/cart/snapshot", authMiddleware, getKrogerCartSnapshot);
+
 // JSON
-router.post("/search", authMiddleware, krogerSearch);
+router.post("/search", authMiddleware, rateLimit("kroger_search"), llmQuota, krogerSearch);
+
+// SSE search stream. Searches cost LLM calls, so they are rate limited and
+// stop once the caller's LLM quota is spent; the ticket endpoint checks both
+// first (an EventSource can't read a 429).
+router.get("/search/stream", ticketAuthMiddleware("search"), rateLimit("kroger_search"), llmQuota, krogerSearchStream);
 
-// SSE search stream
-router.get("/search/stream", optionalAuthMiddleware, krogerSearchStream);
+// SSE meal plan stream (several dishes, one shopping list)
+router.get("/mealplan/stream", ticketAuthMiddleware("search"), rateLimit("meal_plan"), llmQuota, krogerMealPlanStream);
 
 // SSE add-to-cart stream
-router.get("/cart/add/stream", optionalAuthMiddleware, krogerCartAddStream);
+router.get("/cart/add/stream", ticketAuthMiddleware("cart_add"), krogerCartAddStream);
 
 // ✅ NEW: fridge photo upload (requires auth)
-router.post("/fridge/upload", authMiddleware, upload.single("image"), krogerFridgeUpload);
+router.post("/fridge/upload", authMiddleware, rateLimit("fridge_upload"), llmQuota, upload.single("image"), krogerFridgeUpload);
 
-router.get("/test/eval", optionalAuthMiddleware, krogerTestEval);
+// Eval runs the full search pipeline (same LLM calls), so it shares the search budget.
+router.get("/test/eval", optionalAuthMiddleware, rateLimit("kroger_search"), llmQuota, krogerTestEval);
 
 export default router;
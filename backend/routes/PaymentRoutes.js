@@ -0,0 +1,15 @@
+// backend/routes/PaymentRoutes.js
+import express from "express";
+import { authMiddleware } from "../middleware/AuthMiddleware.js";
+import { paymentWebhook, confirmSandboxPayment } from "../controllers/PaymentController.js";
+
+const router = express.Router();
+
+// Providers sign the exact bytes they send, so webhooks get the raw body.
+// Mounted ahead of express.json() in index.js for that reason.
+router.post("/webhook/:provider", express.raw({ type: "*/*", limit: "1mb" }), paymentWebhook);
+
+// Stand-in for a provider's hosted payment page (sandbox providers only)
+router.post("/sandbox/intents/:id/confirm", express.json(), authMiddleware, confirmSandboxPayment);
+
+export default router;
@@ -0,0 +1,33 @@
+// backend/routes/PriceRoutes.js
+import express from "express";
+import { authMiddleware } from "../middleware/AuthMiddleware.js";
+import {
+  getPriceHistory,
+  listPriceWatches,
+  createPriceWatch,
+  updatePriceWatch,
+  deletePriceWatch,
+  listNotifications,
+  markNotificationsRead,
+} from "../controllers/PriceHistoryController.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Observed prices for one product (?retailer=&locationId=&days=)
+router.get("/history/:upc", getPriceHistory);
+
+// Watchlist: alert when a price drops below a threshold
+router.get("/watchlist", listPriceWatches);
+router.post("/watchlist", createPriceWatch);
+router.put("/watchlist/:id", updatePriceWatch);
+router.delete("/watchlist/:id", deletePriceWatch);
+
+export const notificationRouter = express.Router();
+
+notificationRouter.use(authMiddleware);
+notificationRouter.get("/", listNotifications);
+notificationRouter.post("/read", markNotificationsRead);
+
+export default router;
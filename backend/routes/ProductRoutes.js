@@ -4,8 +4,12 @@ import multerS3 from 'multer-s3';
 import s3 from '../config/s3.js';
 import dotenv from 'dotenv';
 import ProductController from '../controllers/ProductController.js'
+import protect, { requirePermission, optionalAuthMiddleware } from '../middleware/AuthMiddleware.js';
+import { rateLimit, llmQuota } from '../middleware/RateLimitMiddleware.js';
+import { PERMISSIONS } from '../config/roles.js';
+import { MAX_IMAGES } from '../controllers/catalog.js';
 
-const { addProduct, getAllProducts, editProduct, deleteProduct, searchProducts } = ProductController
+const { addProduct, getAllProducts, editProduct, deleteProduct, getProductOffers, searchProducts } = ProductController
 
 const router = express.Router();
 
@@ -21,11 +25,22 @@ const upload = multer({
   }),
 });
 
-router.post('/add', upload.single('image'), addProduct);
+// `image` is the primary image, `images` more for the gallery
+const productImages = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MAX_IMAGES },
+]);
+
+// Catalog mutations: checked before multer so anonymous uploads never reach S3
+const canWriteCatalog = [protect, requirePermission(PERMISSIONS.CATALOG_WRITE)];
+
+router.post('/add', canWriteCatalog, productImages, addProduct);
 router.get('/', getAllProducts);
-router.put('/edit/:id', upload.single('image'), editProduct);
-router.delete('/delete/:id', deleteProduct);
-router.post('/search', searchProducts);
+router.get('/:id/offers', getProductOffers);
+router.put('/edit/:id', canWriteCatalog, productImages, editProduct);
+router.delete('/delete/:id', canWriteCatalog, deleteProduct);
+// Two LLM calls per search: budgeted per IP, and per user when signed in
+router.post('/search', optionalAuthMiddleware, rateLimit('products_search'), llmQuota, searchProducts);
 
 export default router;
 
@@ -0,0 +1,30 @@
+// backend/routes/ShoppingListRoutes.js
+import express from "express";
+import { authMiddleware } from "../middleware/AuthMiddleware.js";
+import {
+  listShoppingLists,
+  getShoppingList,
+  createShoppingList,
+  updateShoppingList,
+  deleteShoppingList,
+  rerunShoppingList,
+  addShoppingListToCart,
+} from "../controllers/ShoppingListController.js";
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+router.get("/", listShoppingLists);
+router.post("/", createShoppingList);
+router.get("/:id", getShoppingList);
+router.put("/:id", updateShoppingList);
+router.delete("/:id", deleteShoppingList);
+
+// Re-price saved products against current retailer prices
+router.post("/:id/rerun", rerunShoppingList);
+
+// Send the list's Kroger lines to the user's Kroger cart
+router.post("/:id/cart", addShoppingListToCart);
+
+export default router;
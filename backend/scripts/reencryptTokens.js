@@ -0,0 +1,109 @@
+// backend/scripts/reencryptTokens.js
+// Moves every stored retailer credential onto the active token key:
+// plaintext from before encryption was enabled, and values wrapped with a
+// retired key after a rotation. Safe to re-run; rows already on the active
+// key are skipped, and rows whose tokens changed while the script ran (a
+// refresh) are left alone and reported as skipped for the next run.
+//
+//   npm run tokens:reencrypt -- [--dry-run] [--batch=500]
+//   npm run tokens:reencrypt -- --new-key     (print a fresh key and exit)
+//
+// Rotation: add the new key (keyring file or TOKEN_ENCRYPTION_KEY, with the
+// old one moved to TOKEN_ENCRYPTION_OLD_KEYS), deploy, run this, then retire
+// the old key once the summary reports nothing left on it.
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import { getKeyProvider, generateKey } from "../config/keyProviders.js";
+import { keyIdOf, reencryptFields } from "../config/tokenCrypto.js";
+
+dotenv.config();
+
+// Encrypted paths on the users collection (see models/User.js).
+const USER_SECRET_PATHS = ["kroger.accessToken", "kroger.refreshToken"];
+
+const valueAt = (doc, path) => path.split(".").reduce((o, k) => o?.[k], doc);
+
+function parseArgs(argv) {
+  const args = { dryRun: false, batch: 500, newKey: false };
+  for (const a of argv) {
+    if (a === "--dry-run") args.dryRun = true;
+    else if (a === "--new-key") args.newKey = true;
+    else if (a.startsWith("--batch=")) args.batch = Math.max(1, Number(a.slice(8)) || 500);
+    else throw new Error(`Unknown argument ${a}`);
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (args.newKey) {
+    console.log(generateKey());
+    return;
+  }
+
+  const provider = getKeyProvider();
+  const activeId = provider.activeKey().id;
+  console.log(`[TOKENS] provider=${provider.id} activeKey=${activeId}${args.dryRun ? " (dry run)" : ""}`);
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  // Raw driver access: model getters/setters would hide what is actually stored.
+  const projection = Object.fromEntries(USER_SECRET_PATHS.map((p) => [p, 1]));
+  const cursor = User.collection.find(
+    { $or: USER_SECRET_PATHS.map((p) => ({ [p]: { $type: "string" } })) },
+    { projection }
+  );
+
+  const stats = { scanned: 0, updated: 0, skipped: 0, failed: 0, byKey: {} };
+  let ops = [];
+  const flush = async () => {
+    if (!ops.length) return;
+    if (args.dryRun) {
+      stats.updated += ops.length;
+    } else {
+      const { matchedCount } = await User.collection.bulkWrite(ops, { ordered: false });
+      stats.updated += matchedCount;
+      stats.skipped += ops.length - matchedCount;
+    }
+    ops = [];
+  };
+
+  for await (const doc of cursor) {
+    stats.scanned++;
+    for (const p of USER_SECRET_PATHS) {
+      const value = valueAt(doc, p);
+      if (typeof value !== "string" || !value) continue;
+      const kid = keyIdOf(value) || "plaintext";
+      stats.byKey[kid] = (stats.byKey[kid] || 0) + 1;
+    }
+
+    let $set;
+    try {
+      $set = reencryptFields(doc, USER_SECRET_PATHS, provider);
+    } catch (e) {
+      stats.failed++;
+      console.warn(`[TOKENS] user ${doc._id}: ${e.message}`);
+      continue;
+    }
+    if (!Object.keys($set).length) continue;
+
+    // Only if the stored ciphertexts are still the ones read above.
+    const filter = { _id: doc._id };
+    for (const p of USER_SECRET_PATHS) filter[p] = valueAt(doc, p) ?? null;
+    ops.push({ updateOne: { filter, update: { $set } } });
+    if (ops.length >= args.batch) await flush();
+  }
+  await flush();
+
+  console.log("[TOKENS] done", stats);
+  if (stats.skipped) console.log(`[TOKENS] ${stats.skipped} user(s) changed during the run; run again to pick them up`);
+  if (stats.failed) process.exitCode = 1;
+}
+
+main()
+  .catch((e) => {
+    console.error("[TOKENS] re-encryption failed:", e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,48 @@
+// backend/scripts/setUserRole.js
+// Grant a role from the command line, e.g. the first superadmin (after that,
+// PUT /admin/users/:id/role does it and is audited).
+//
+//   npm run users:set-role -- someone@example.com superadmin
+import dotenv from "dotenv";
+import mongoose from "mongoose";
+import User from "../models/User.js";
+import AuditLog from "../models/AuditLog.js";
+import { ROLES, isRole } from "../config/roles.js";
+
+dotenv.config();
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+  if (!email || !isRole(role)) {
+    throw new Error(`Usage: setUserRole.js <email> <${ROLES.join("|")}>`);
+  }
+
+  await mongoose.connect(process.env.MONGO_URL);
+
+  const user = await User.findOne({ email });
+  if (!user) throw new Error(`No user with email ${email}`);
+
+  const previous = user.role;
+  user.role = role;
+  await user.save();
+
+  await AuditLog.create({
+    action: "user.role",
+    entityType: "User",
+    entityId: String(user._id),
+    actor: { email: "cli", role: "" },
+    before: { _id: String(user._id), email, role: previous },
+    after: { _id: String(user._id), email, role },
+    changedFields: previous === role ? [] : ["role"],
+    userAgent: "scripts/setUserRole.js",
+  });
+
+  console.log(`[ROLES] ${email}: ${previous} -> ${role}`);
+}
+
+main()
+  .catch((e) => {
+    console.error("[ROLES]", e.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -3,6 +3,8 @@
 // Usage: node test.js --csv ./world_cuisine_test_suite.csv [--out ./dish_test_report.csv]
 // Env:   API_BASE (default http://localhost:4000), ZIP (optional), ENDPOINT (/kroger/test-eval),
 //        REPORT (dish_test_report.csv), THRESHOLD (e.g., 0.9)
+// Regression diffing: start the server once with SMART_ECOM_CASSETTE=record to capture a
+// known-good run, then with SMART_ECOM_CASSETTE=replay and diff the two report CSVs.
 
 import fs from 'node:fs/promises';
 import path from 'node:path';
@@ -0,0 +1,77 @@
+// backend/tests/account.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import {
+  normalizeEmail,
+  isValidEmail,
+  passwordProblem,
+  accountLink,
+  passwordResetMail,
+  verificationMail,
+} from "../controllers/accountRules.js";
+import { sendMail, registerTransport } from "../config/mailer.js";
+
+test("emails are compared trimmed and lower-cased", () => {
+  assert.equal(normalizeEmail("  Ann@Example.COM "), "ann@example.com");
+  assert.equal(isValidEmail("ann@example.com"), true);
+  assert.equal(isValidEmail("ann@example"), false);
+  assert.equal(isValidEmail("ann example@x.com"), false);
+  assert.equal(isValidEmail(""), false);
+});
+
+test("password policy", () => {
+  assert.match(passwordProblem("short1"), /at least 8/);
+  assert.match(passwordProblem("longenough"), /letter and a number/);
+  assert.match(passwordProblem("12345678"), /letter and a number/);
+  assert.match(passwordProblem("a1".repeat(101)), /at most/);
+  assert.equal(passwordProblem("correct horse 9"), null);
+  assert.match(passwordProblem(undefined), /at least/);
+});
+
+test("mailed links point at the frontend and carry the token", () => {
+  const link = accountLink("http://localhost:3000/", "reset", "abc_-123");
+  assert.equal(link, "http://localhost:3000/account/reset?token=abc_-123");
+
+  const mail = passwordResetMail({ username: "ann" }, link);
+  assert.match(mail.text, /Hi ann/);
+  assert.ok(mail.text.includes(link));
+  assert.match(mail.text, /1 hour/);
+  assert.match(verificationMail({}, link).text, /24 hours/);
+});
+
+test("mailer: file transport writes one JSON message per mail", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "mail-"));
+  const prev = { transport: process.env.MAIL_TRANSPORT, dir: process.env.MAIL_DIR };
+  process.env.MAIL_TRANSPORT = "file";
+  process.env.MAIL_DIR = dir;
+  try {
+    const res = await sendMail({ to: "ann@example.com", subject: "Hi", text: "Body" });
+    assert.equal(res.transport, "file");
+    const saved = JSON.parse(fs.readFileSync(res.file, "utf8"));
+    assert.equal(saved.to, "ann@example.com");
+    assert.equal(saved.text, "Body");
+
+    const sent = [];
+    registerTransport("memory", async (msg) => {
+      sent.push(msg);
+      return { ok: true, transport: "memory" };
+    });
+    process.env.MAIL_TRANSPORT = "memory";
+    await sendMail({ to: "bob@example.com", subject: "S", text: "T" });
+    assert.equal(sent[0].to, "bob@example.com");
+
+    process.env.MAIL_TRANSPORT = "pigeon";
+    await assert.rejects(sendMail({ to: "x@example.com", subject: "S", text: "T" }), /Unknown MAIL_TRANSPORT/);
+    await assert.rejects(sendMail({ subject: "S", text: "T" }), /Missing recipient/);
+  } finally {
+    if (prev.transport === undefined) delete process.env.MAIL_TRANSPORT;
+    else process.env.MAIL_TRANSPORT = prev.transport;
+    if (prev.dir === undefined) delete process.env.MAIL_DIR;
+    else process.env.MAIL_DIR = prev.dir;
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,267 @@
+// backend/tests/budgetCompare.test.js
+// Titles below are real Kroger/Walmart matches taken from dish_test_report.csv.
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseUnitQuantityFromText,
+  defaultSizeTexts,
+  bestComparableOffer,
+  chooseWinnerForIngredient,
+} from "../controllers/budgetCompare.js";
+
+const close = (actual, expected, msg) =>
+  assert.ok(Math.abs(actual - expected) < 1e-6, `${msg}: expected ${expected}, got ${actual}`);
+
+test("parseUnitQuantityFromText: real titles", async (t) => {
+  const cases = [
+    // [title, kind, qty]
+    ["Kroger® 80/20 Ground Beef Tray 1 LB", "weight_oz", 16],
+    ["Berrak Pickled Cabbage - 1.5lb", "weight_oz", 24],
+    ["Laxmi Jaggery Powder 2lb", "weight_oz", 32],
+    ["Khitan Food Iru - Fermented Locust Beans - 0.5lb", "weight_oz", 8],
+    ["Pure Indian Foods Organic Tamarind Paste, 11 oz (310 g)", "weight_oz", 11],
+    ["Rani Toor Dal (Split Pigeon Peas) 64oz (4lbs) 1.81kg ~ All Natural", "weight_oz", 64],
+    ["SWAD Sabudana (Sago) Tapioca Pearls - 2lb (908g)", "weight_oz", 32],
+    ["Natural Scent Leaves (Efinrin/Nchanwu) 250g Bag. Perfect for Soups", "weight_oz", 250 * 0.0352739619],
+    ["Orange Blossom Water (Cortas) 10fl oz", "volume_floz", 10],
+    ["Mt. Olive Hamburger Dill Pickle Chips - 32 fl oz jar", "volume_floz", 32],
+    ["Fusion Select Authentic Chinese Cooking Wine - Traditional Shaoxing Rice Wine, 750 mL", "volume_floz", 750 * 0.0338140227],
+    ["Fresh Sweet Corn on the Cob - 4 Count", "count", 4],
+  ];
+
+  for (const [title, kind, qty] of cases) {
+    await t.test(title, () => {
+      const parsed = parseUnitQuantityFromText(title);
+      assert.ok(parsed, "expected a parsed quantity");
+      assert.equal(parsed.kind, kind);
+      close(parsed.qty, qty, title);
+    });
+  }
+});
+
+test("parseUnitQuantityFromText: multi-pack strings multiply out", async (t) => {
+  const cases = [
+    ["6 x 12 fl oz", "volume_floz", 72],
+    ["LaCroix Sparkling Water 12 x 12 fl oz", "volume_floz", 144],
+    ["Tomato Paste 4 × 6 oz", "weight_oz", 24],
+    ["Coconut Milk 2 x 400 ml", "volume_floz", 800 * 0.0338140227],
+    ["Basmati Rice 2 x 1 kg", "weight_oz", 2 * 35.2739619],
+    ["Eggs 2 x 12 ct", "count", 24],
+  ];
+
+  for (const [title, kind, qty] of cases) {
+    await t.test(title, () => {
+      const parsed = parseUnitQuantityFromText(title);
+      assert.equal(parsed?.kind, kind);
+      close(parsed.qty, qty, title);
+    });
+  }
+});
+
+test("parseUnitQuantityFromText: metric and imperial agree", () => {
+  const lb = parseUnitQuantityFromText("1 lb");
+  const g = parseUnitQuantityFromText("453.592 g");
+  const kg = parseUnitQuantityFromText("0.453592 kg");
+  assert.equal(lb.kind, g.kind);
+  assert.equal(lb.kind, kg.kind);
+  assert.ok(Math.abs(lb.qty - g.qty) < 0.001);
+  assert.ok(Math.abs(lb.qty - kg.qty) < 0.001);
+
+  const l = parseUnitQuantityFromText("1 L");
+  const ml = parseUnitQuantityFromText("1000 ml");
+  assert.equal(l.kind, "volume_floz");
+  assert.ok(Math.abs(l.qty - ml.qty) < 1e-6);
+  assert.ok(Math.abs(l.qty - 33.814) < 0.001);
+});
+
+test("parseUnitQuantityFromText: unparseable titles return null", () => {
+  for (const title of [
+    "",
+    null,
+    "Kroger® Whole Garlic Bulbs",
+    "McCormick Pure Vanilla Extract",
+    "Galbani Whole Milk Mozzarella Block Cheese",
+  ]) {
+    assert.equal(parseUnitQuantityFromText(title), null, String(title));
+  }
+});
+
+test("defaultSizeTexts prefers size, then raw fields, then title", () => {
+  const p = {
+    title: "Great Value Organic Extra Firm Tofu",
+    size: "",
+    raw: { size: "14 oz", name: "Great Value Organic Extra Firm Tofu" },
+  };
+  assert.deepEqual(defaultSizeTexts(p), [
+    "14 oz",
+    "Great Value Organic Extra Firm Tofu",
+    "Great Value Organic Extra Firm Tofu",
+  ]);
+});
+
+test("bestComparableOffer: Walmart raw.size fallback is used when the title has no size", () => {
+  const offer = bestComparableOffer([
+    {
+      title: "Great Value Organic Extra Firm Tofu",
+      price: 1.98,
+      raw: { size: "14 oz", name: "Great Value Organic Extra Firm Tofu" },
+    },
+  ]);
+  assert.equal(offer.basis, "unit");
+  assert.equal(offer.unitKind, "weight_oz");
+  assert.equal(offer.unitQty, 14);
+  close(offer.unitPrice, 1.98 / 14, "unit price");
+});
+
+test("bestComparableOffer: picks the lowest unit price, not the lowest shelf price", () => {
+  const small = { title: "Kroger® Red Onion 3 lb Bag", price: 3.49 };
+  const big = { title: "Red Onions, 10 lb Bag", price: 7.99 };
+  const offer = bestComparableOffer([small, big]);
+  assert.equal(offer.product, big);
+});
+
+test("bestComparableOffer: falls back to shelf price when sizes are unknown", () => {
+  const a = { title: "Kroger® Whole Garlic Bulbs", price: 0.79 };
+  const b = { title: "Simple Truth Organic® Garlic Bulbs", price: 1.29 };
+  const offer = bestComparableOffer([b, a]);
+  assert.equal(offer.product, a);
+  assert.equal(offer.basis, "price");
+  assert.equal(offer.unitPrice, null);
+});
+
+test("bestComparableOffer: empty input", () => {
+  assert.equal(bestComparableOffer([]), null);
+  assert.equal(bestComparableOffer(undefined), null);
+});
+
+test("chooseWinnerForIngredient: unit price decides when unit kinds match", () => {
+  const decision = chooseWinnerForIngredient({
+    kroger: [{ title: "Kroger® Jasmine Rice 2 lb", price: 3.99 }],
+    walmart: [{ title: "Great Value Jasmine Rice, 5 lb", price: 6.84 }],
+  });
+  assert.equal(decision.winner, "walmart");
+  assert.equal(decision.reason, "unit_price");
+  assert.equal(decision.best.kroger.unitQty, 32);
+  assert.equal(decision.best.walmart.unitQty, 80);
+});
+
+test("chooseWinnerForIngredient: mismatched unit kinds without a profile fall back to shelf price", () => {
+  const decision = chooseWinnerForIngredient(
+    {
+      kroger: [{ title: "Kroger® Fresh Basil 0.75 oz", price: 2.49 }],
+      walmart: [{ title: "Fresh Basil, 1 Bunch", price: 1.98 }],
+    },
+    { ingredient: "fresh basil" }
+  );
+  assert.equal(decision.best.kroger.unitKind, "weight_oz");
+  assert.equal(decision.best.walmart.unitKind, "count");
+  assert.equal(decision.winner, "walmart");
+  assert.equal(decision.reason, "price_fallback");
+  assert.equal(decision.comparedIn, null);
+});
+
+test("chooseWinnerForIngredient: converts between dimensions through the grocery profile", async (t) => {
+  await t.test("milk: gallon vs pounds", () => {
+    const decision = chooseWinnerForIngredient(
+      {
+        kroger: [{ title: "Kroger® 2% Reduced Fat Milk 1 gal", price: 3.29 }],
+        walmart: [{ title: "Great Value 2% Milk, 8 lb", price: 3.49 }],
+      },
+      { ingredient: "milk" }
+    );
+    assert.equal(decision.reason, "unit_price_converted");
+    assert.equal(decision.comparedIn, "mass");
+    // 1 gal of milk is ~8.6 lb, so $3.29/gal beats $3.49 for 8 lb
+    assert.equal(decision.winner, "kroger");
+  });
+
+  await t.test("eggs: dozen vs per weight", () => {
+    const decision = chooseWinnerForIngredient(
+      {
+        kroger: [{ title: "Kroger® Grade A Large Eggs 1 Dozen", price: 2.99 }],
+        walmart: [{ title: "Farm Fresh Eggs 1.5 lb", price: 2.5 }],
+      },
+      { ingredient: "eggs" }
+    );
+    assert.equal(decision.reason, "unit_price_converted");
+    assert.equal(decision.winner, "walmart");
+  });
+
+  await t.test("lemons: each vs weighed produce", () => {
+    const decision = chooseWinnerForIngredient(
+      {
+        kroger: [{ title: "Fresh Large Lemon - Each", price: 0.79 }],
+        walmart: [{ title: "Fresh Lemons, 2 lb Bag", price: 3.97 }],
+      },
+      { ingredient: "lemon" }
+    );
+    assert.equal(decision.best.kroger.unitKind, "count");
+    assert.equal(decision.reason, "unit_price_converted");
+    // 0.79 per ~100 g lemon vs 3.97 per ~907 g
+    assert.equal(decision.winner, "walmart");
+  });
+});
+
+test("chooseWinnerForIngredient: Kroger produce sold by weight is priced per lb", () => {
+  const krogerSizeTexts = (p) => [p.raw?.items?.[0]?.soldBy === "WEIGHT" ? "per lb" : "", p.title];
+  const decision = chooseWinnerForIngredient(
+    {
+      kroger: [
+        {
+          title: "Roma Tomato",
+          price: 1.29,
+          size: "WEIGHT",
+          raw: { items: [{ soldBy: "WEIGHT" }] },
+        },
+      ],
+      walmart: [{ title: "Fresh Roma Tomatoes, 2 lb Bag", price: 2.84 }],
+    },
+    { sizeTextsFor: (id) => (id === "kroger" ? krogerSizeTexts : null), ingredient: "roma tomatoes" }
+  );
+  assert.equal(decision.best.kroger.quantity.perUnit, true);
+  assert.equal(decision.best.kroger.unitQty, 16);
+  assert.equal(decision.reason, "unit_price");
+  assert.equal(decision.winner, "kroger");
+});
+
+test("chooseWinnerForIngredient: single retailer and no offers", () => {
+  const only = chooseWinnerForIngredient({
+    kroger: [],
+    walmart: [{ title: "Koon Chun Chinese Douchi Fermented Black Beans 16 oz (454 g)", price: 5.5 }],
+  });
+  assert.equal(only.winner, "walmart");
+  assert.equal(only.reason, "only_walmart");
+  assert.equal(only.best.kroger, null);
+
+  const none = chooseWinnerForIngredient({ kroger: [], walmart: [] });
+  assert.equal(none.winner, "none");
+  assert.equal(none.reason, "none");
+});
+
+test("chooseWinnerForIngredient: earlier retailer wins ties and N retailers are compared", () => {
+  const tie = chooseWinnerForIngredient({
+    kroger: [{ title: "Soy Sauce 10 fl oz", price: 2.5 }],
+    walmart: [{ title: "Soy Sauce 10 fl oz", price: 2.5 }],
+  });
+  assert.equal(tie.winner, "kroger");
+
+  const three = chooseWinnerForIngredient({
+    kroger: [{ title: "Tofu 14 oz", price: 2.49 }],
+    walmart: [{ title: "Tofu 14 oz", price: 1.98 }],
+    regional: [{ title: "Tofu 16 oz", price: 1.99 }],
+  });
+  assert.equal(three.winner, "regional");
+  assert.equal(three.reason, "unit_price");
+});
+
+test("chooseWinnerForIngredient: per-retailer size extractors are honoured", () => {
+  const decision = chooseWinnerForIngredient(
+    {
+      kroger: [{ title: "Tofu", price: 2, size: "14 oz" }],
+      walmart: [{ title: "Tofu", price: 2, pkg: "28 oz" }],
+    },
+    { sizeTextsFor: (id) => (id === "walmart" ? (p) => [p.pkg] : null) }
+  );
+  assert.equal(decision.best.walmart.unitQty, 28);
+  assert.equal(decision.winner, "walmart");
+});
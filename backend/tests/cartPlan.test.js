@@ -0,0 +1,208 @@
+// backend/tests/cartPlan.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_PACKAGES_PER_ITEM,
+  normalizeServings,
+  servingsScale,
+  scaleIngredientAmounts,
+  normalizeRecipeIngredients,
+  recipeQuantity,
+  formatRecipeAmount,
+  packagesNeeded,
+  buildCartPlan,
+  estimatePlanCost,
+  estimateRetailerCosts,
+} from "../controllers/cartPlan.js";
+
+test("normalizeRecipeIngredients: keeps order, drops blanks/duplicates, keeps amounts", () => {
+  const out = normalizeRecipeIngredients([
+    { name: "basmati rice", amount: 6, unit: "cup" },
+    { name: "paneer", amount: 500, unit: "g" },
+    { name: "salt", amount: null, unit: null },
+    { name: "", amount: 1, unit: "cup" },
+    { name: "paneer", amount: 200, unit: "g" },
+    { name: "egg", amount: 3, unit: "" },
+  ]);
+  assert.deepEqual(out.ingredients, ["basmati rice", "paneer", "salt", "egg"]);
+  assert.deepEqual(out.ingredientAmounts, {
+    "basmati rice": { amount: 6, unit: "cup" },
+    paneer: { amount: 500, unit: "g" },
+    egg: { amount: 3, unit: "" },
+  });
+});
+
+test("recipeQuantity / formatRecipeAmount", () => {
+  assert.equal(recipeQuantity({ amount: 2, unit: "cup" }).dimension, "volume");
+  assert.equal(recipeQuantity({ amount: 3, unit: "" }).dimension, "count");
+  assert.equal(recipeQuantity({ amount: 2, unit: "cloves" }), null);
+  assert.equal(recipeQuantity(null), null);
+  assert.equal(formatRecipeAmount({ amount: 0.3333333, unit: "cup" }), "0.33 cup");
+  assert.equal(formatRecipeAmount({ amount: 3, unit: "" }), "3");
+  assert.equal(formatRecipeAmount(null), "");
+});
+
+test("packagesNeeded: real package sizes", async (t) => {
+  const cases = [
+    // [label, amount, product, expected quantity, basis]
+    ["28 oz tofu from 14 oz blocks", { amount: 28, unit: "oz" }, { title: "Kroger® Firm Tofu", size: "14 oz" }, 2, "recipe_amount"],
+    ["2 lb from 16 oz exactly", { amount: 2, unit: "lb" }, { title: "Ground Pork", size: "16 oz" }, 2, "recipe_amount"],
+    ["500 g paneer from 12 oz", { amount: 500, unit: "g" }, { title: "Gopi Paneer 12 oz" }, 2, "recipe_amount"],
+    ["2 tbsp soy sauce from a bottle", { amount: 2, unit: "tbsp" }, { title: "Kikkoman Soy Sauce", size: "10 fl oz" }, 1, "recipe_amount"],
+    // 12 cups of rice is ~2 kg through the rice density, so two 2 lb bags are not enough
+    ["12 cups rice from 2 lb bags", { amount: 12, unit: "cup" }, { title: "Kroger® Basmati Rice 2 lb" }, 3, "recipe_amount"],
+    ["18 eggs from a dozen", { amount: 18, unit: "" }, { title: "Kroger® Grade A Large Eggs 1 Dozen" }, 2, "recipe_amount"],
+    ["3 onions from a 3 lb bag", { amount: 3, unit: "" }, { title: "Yellow Onions 3 lb Bag" }, 1, "recipe_amount"],
+    ["no amount", null, { title: "Tofu 14 oz" }, 1, "default"],
+    ["unknown unit", { amount: 4, unit: "cloves" }, { title: "Garlic 3 ct" }, 1, "default"],
+    ["unparseable package", { amount: 2, unit: "cup" }, { title: "Fresh Cilantro" }, 1, "default"],
+    ["no conversion known", { amount: 2, unit: "tsp" }, { title: "Ground Cumin 2 oz" }, 1, "default"],
+  ];
+
+  for (const [label, amount, product, quantity, basis] of cases) {
+    await t.test(label, () => {
+      const out = packagesNeeded(amount, product, { ingredient: label.split(" from ")[0] });
+      assert.equal(out.quantity, quantity);
+      assert.equal(out.basis, basis);
+    });
+  }
+});
+
+test("packagesNeeded: caps runaway quantities", () => {
+  const out = packagesNeeded({ amount: 50, unit: "lb" }, { title: "Garam Masala 3 oz" });
+  assert.equal(out.quantity, MAX_PACKAGES_PER_ITEM);
+});
+
+test("packagesNeeded: per-lb produce buys whole pounds", () => {
+  const out = packagesNeeded(
+    { amount: 2.5, unit: "lb" },
+    { title: "Roma Tomato", raw: { items: [{ soldBy: "WEIGHT" }] } },
+    { sizeTexts: (p) => [p.raw.items[0].soldBy === "WEIGHT" ? "per lb" : "", p.title] }
+  );
+  assert.equal(out.quantity, 3);
+});
+
+test("buildCartPlan: biryani for 12 buys more rice than biryani for 4", () => {
+  const byIngredient = {
+    "basmati rice": [
+      { upc: "0001", title: "Royal Basmati Rice - 2 lb", size: "2 lb", price: 5.49 },
+      { upc: "0002", title: "Kroger® Basmati Rice 5 lb", size: "5 lb" },
+    ],
+    "chicken thigh": [{ upc: "0003", title: "Chicken Thighs", size: "1.5 lb" }],
+    saffron: [{ upc: "0004", title: "Saffron 0.5 g" }],
+    "bay leaf": [{ title: "no upc" }],
+  };
+
+  const forFour = buildCartPlan(byIngredient, {
+    "basmati rice": { amount: 2, unit: "cup" },
+    "chicken thigh": { amount: 1.5, unit: "lb" },
+  });
+  const forTwelve = buildCartPlan(byIngredient, {
+    "basmati rice": { amount: 6, unit: "cup" },
+    "chicken thigh": { amount: 4.5, unit: "lb" },
+  });
+
+  assert.deepEqual(
+    forFour.map((x) => [x.upc, x.quantity]),
+    [
+      ["0001", 1],
+      ["0003", 1],
+      ["0004", 1],
+    ]
+  );
+  assert.deepEqual(
+    forTwelve.map((x) => [x.upc, x.quantity]),
+    [
+      ["0001", 2],
+      ["0003", 3],
+      ["0004", 1],
+    ]
+  );
+  assert.deepEqual(forTwelve[0], {
+    upc: "0001",
+    quantity: 2,
+    ingredient: "basmati rice",
+    title: "Royal Basmati Rice - 2 lb",
+    price: 5.49,
+    need: "6 cup",
+    packageSize: "2 lb",
+    basis: "recipe_amount",
+  });
+  assert.equal(forTwelve[2].basis, "default");
+});
+
+test("buildCartPlan: requireUpc=false keeps link-out products for estimates", () => {
+  const byIngredient = { tofu: [{ title: "Great Value Tofu 14 oz", price: 1.98 }] };
+  assert.equal(buildCartPlan(byIngredient, {}).length, 0);
+  const plan = buildCartPlan(byIngredient, { tofu: { amount: 28, unit: "oz" } }, { requireUpc: false });
+  assert.deepEqual(
+    plan.map((x) => [x.upc, x.quantity]),
+    [["", 2]]
+  );
+});
+
+test("normalizeServings clamps request values", () => {
+  assert.deepEqual(normalizeServings({}), { servings: null, meals: 1 });
+  assert.deepEqual(normalizeServings({ servings: "12", meals: "3" }), { servings: 12, meals: 3 });
+  assert.deepEqual(normalizeServings({ servings: "0", meals: "-2" }), { servings: null, meals: 1 });
+  assert.deepEqual(normalizeServings({ servings: "abc" }), { servings: null, meals: 1 });
+  assert.deepEqual(normalizeServings({ servings: 5000, meals: 500 }), { servings: 100, meals: 21 });
+});
+
+test("servingsScale / scaleIngredientAmounts", () => {
+  assert.equal(servingsScale({ recipeServings: 4, servings: 12 }), 3);
+  assert.equal(servingsScale({ recipeServings: 4, servings: 2, meals: 2 }), 1);
+  assert.equal(servingsScale({ recipeServings: 4, servings: null }), 1);
+  // nothing to scale against, only meals apply
+  assert.equal(servingsScale({ recipeServings: null, servings: 10, meals: 3 }), 3);
+
+  const amounts = { rice: { amount: 2, unit: "cup" }, egg: { amount: 3, unit: "" } };
+  assert.deepEqual(scaleIngredientAmounts(amounts, 2.5), {
+    rice: { amount: 5, unit: "cup" },
+    egg: { amount: 7.5, unit: "" },
+  });
+  assert.deepEqual(scaleIngredientAmounts(amounts, 1), amounts);
+  assert.notEqual(scaleIngredientAmounts(amounts, 1), amounts);
+});
+
+test("estimatePlanCost: 2 vs 20 people", () => {
+  const byIngredient = {
+    rice: [{ upc: "1", title: "Jasmine Rice 2 lb", price: 3.99 }],
+    paneer: [{ upc: "2", title: "Paneer 12 oz", price: 5.49 }],
+  };
+  const recipe = { rice: { amount: 2, unit: "cup" }, paneer: { amount: 400, unit: "g" } };
+
+  const small = estimatePlanCost(buildCartPlan(byIngredient, scaleIngredientAmounts(recipe, 2 / 4)));
+  const large = estimatePlanCost(buildCartPlan(byIngredient, scaleIngredientAmounts(recipe, 20 / 4)));
+
+  assert.equal(small.total, 9.48);
+  assert.deepEqual(
+    large.lines.map((x) => [x.ingredient, x.quantity, x.lineTotal]),
+    [
+      ["rice", 3, 11.97],
+      ["paneer", 6, 32.94],
+    ]
+  );
+  assert.equal(large.total, 44.91);
+});
+
+test("estimateRetailerCosts: the total buys each ingredient once, per-retailer figures overlap", () => {
+  const byRetailer = {
+    kroger: { byIngredient: { milk: [{ upc: "1", title: "Milk", price: 3 }] } },
+    walmart: {
+      byIngredient: {
+        milk: [{ upc: "w1", title: "Milk", price: 2.5 }],
+        flour: [{ upc: "w2", title: "Flour", price: 4 }],
+      },
+    },
+  };
+
+  const est = estimateRetailerCosts(byRetailer, {});
+  assert.equal(est.byRetailer.kroger.total, 3);
+  assert.equal(est.byRetailer.walmart.total, 6.5);
+  assert.deepEqual(est.lines.map((l) => [l.ingredient, l.retailer]), [["milk", "kroger"], ["flour", "walmart"]]);
+  assert.equal(est.total, 7, "first matching retailer supplies milk; not 3 + 6.5");
+
+  const chosen = estimateRetailerCosts(byRetailer, {}, { suppliers: { milk: "walmart" } });
+  assert.equal(chosen.total, 6.5);
+});
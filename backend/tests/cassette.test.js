@@ -0,0 +1,113 @@
+// backend/tests/cassette.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+const DIR = fs.mkdtempSync(path.join(os.tmpdir(), "cassette-"));
+process.env.SMART_ECOM_CASSETTE_DIR = DIR;
+process.env.SMART_ECOM_CASSETTE_NAME = "test";
+
+// The mode is read once per module instance; a query string gives a fresh one.
+let instances = 0;
+async function cassetteIn(mode) {
+  process.env.SMART_ECOM_CASSETTE = mode;
+  return import(`../mocks/cassette.js?${mode}-${++instances}`);
+}
+
+const request = { service: "kroger", method: "GET", path: "/products", params: { term: "tofu", limit: 5 } };
+
+const liveReturning = (...responses) => {
+  let calls = 0;
+  const live = async () => {
+    const resp = responses[Math.min(calls++, responses.length - 1)];
+    if (resp instanceof Error) throw resp;
+    return resp;
+  };
+  return Object.assign(live, { calls: () => calls });
+};
+
+const httpError = (status, data) => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, data } });
+
+test("fingerprints ignore key order and undefined fields", async () => {
+  const { fingerprint } = await cassetteIn("off");
+  const a = fingerprint({ service: "s", params: { b: 1, a: [{ y: 2, x: 1 }] }, body: undefined });
+  const b = fingerprint({ params: { a: [{ x: 1, y: 2 }], b: 1 }, service: "s" });
+  assert.equal(a, b);
+  assert.notEqual(a, fingerprint({ service: "s", params: { b: 2, a: [{ x: 1, y: 2 }] } }));
+  assert.notEqual(fingerprint({ list: [1, 2] }), fingerprint({ list: [2, 1] }), "array order matters");
+});
+
+test("without a mode every call goes live", async () => {
+  const { withCassette, CASSETTE_MODE } = await cassetteIn("");
+  const live = liveReturning({ status: 200, data: { n: 1 } });
+  assert.equal(CASSETTE_MODE, null);
+  assert.deepEqual(await withCassette(request, live), { status: 200, data: { n: 1 } });
+  assert.equal(live.calls(), 1);
+});
+
+test("record then replay reproduces responses, repeats and errors", async () => {
+  const rec = await cassetteIn("record");
+  const live = liveReturning({ status: 200, data: { page: 1 } }, { status: 200, data: { page: 2 } });
+  await rec.withCassette(request, live);
+  await rec.withCassette({ ...request, params: { limit: 5, term: "tofu" } }, live);
+  await assert.rejects(
+    rec.withCassette({ ...request, path: "/cart" }, liveReturning(httpError(401, { error: "expired" }))),
+    /status code 401/
+  );
+  rec.flushCassette();
+
+  const file = JSON.parse(fs.readFileSync(rec.CASSETTE_FILE, "utf8"));
+  assert.equal(file.version, rec.CASSETTE_VERSION);
+  assert.equal(Object.keys(file.interactions).length, 2);
+
+  const play = await cassetteIn("replay");
+  const offline = liveReturning(new Error("live call during replay"));
+  assert.deepEqual(await play.withCassette(request, offline), { status: 200, data: { page: 1 } });
+  assert.deepEqual(await play.withCassette(request, offline), { status: 200, data: { page: 2 } });
+  assert.deepEqual(await play.withCassette(request, offline), { status: 200, data: { page: 2 } }, "the last one repeats");
+
+  await assert.rejects(play.withCassette({ ...request, path: "/cart" }, offline), (err) => {
+    assert.equal(err.response.status, 401);
+    assert.deepEqual(err.response.data, { error: "expired" });
+    return true;
+  });
+  await assert.rejects(play.withCassette({ ...request, params: { term: "eggs" } }, offline), (err) => err.cassetteMiss === true);
+  assert.equal(offline.calls(), 0);
+});
+
+test("re-recording replaces a request's old responses", async () => {
+  const first = await cassetteIn("record");
+  await first.withCassette(request, liveReturning({ status: 200, data: { price: 1 } }));
+  await first.withCassette({ ...request, path: "/locations" }, liveReturning({ status: 200, data: { id: "L1" } }));
+  first.flushCassette();
+
+  const again = await cassetteIn("record");
+  await again.withCassette(request, liveReturning({ status: 200, data: { price: 2 } }));
+  again.flushCassette();
+
+  const play = await cassetteIn("replay");
+  const offline = liveReturning(new Error("live call during replay"));
+  assert.deepEqual((await play.withCassette(request, offline)).data, { price: 2 });
+  assert.deepEqual((await play.withCassette(request, offline)).data, { price: 2 }, "the stale response is gone");
+  assert.deepEqual(
+    (await play.withCassette({ ...request, path: "/locations" }, offline)).data,
+    { id: "L1" },
+    "requests not made again keep their recording"
+  );
+});
+
+test("auto replays hits and records misses", async () => {
+  const auto = await cassetteIn("auto");
+  const live = liveReturning({ status: 200, data: { fresh: true } });
+  assert.deepEqual((await auto.withCassette(request, live)).data, { price: 2 });
+  assert.deepEqual((await auto.withCassette({ ...request, path: "/new" }, live)).data, { fresh: true });
+  assert.equal(live.calls(), 1);
+  auto.flushCassette();
+
+  const play = await cassetteIn("replay");
+  assert.deepEqual((await play.withCassette({ ...request, path: "/new" }, live)).data, { fresh: true });
+});
+
+test.after(() => fs.rmSync(DIR, { recursive: true, force: true }));
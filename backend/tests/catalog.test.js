@@ -0,0 +1,150 @@
+// backend/tests/catalog.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  MAX_VARIANTS,
+  isValidGtin,
+  normalizeUpc,
+  upcLookupKeys,
+  variantLabel,
+  findVariant,
+  basePrice,
+  unitPriceOf,
+  compareOffers,
+  sanitizeProductInput,
+} from "../controllers/catalog.js";
+import { priceOrder, normalizeCart } from "../controllers/orderPricing.js";
+
+const V1 = "1".repeat(24);
+const V2 = "2".repeat(24);
+
+test("UPCs are checked against their check digit", () => {
+  assert.equal(isValidGtin("036000291452"), true);
+  assert.equal(isValidGtin("036000291453"), false);
+  assert.equal(isValidGtin("4006381333931"), true, "EAN-13");
+  assert.equal(normalizeUpc("0 36000-29145 2"), "036000291452");
+  assert.equal(normalizeUpc("12345"), "");
+});
+
+test("upcLookupKeys covers the forms retailers store a barcode under", () => {
+  const keys = upcLookupKeys("036000291452");
+  assert.ok(keys.includes("036000291452"));
+  assert.ok(keys.includes("00036000291452"), "GTIN-14");
+  assert.ok(keys.includes("0003600029145"), "Kroger: 13 digits, no check digit");
+  assert.deepEqual(upcLookupKeys("not a upc"), []);
+});
+
+test("variants are labelled from their options when no label is given", () => {
+  assert.equal(variantLabel({ options: { size: "Large", packCount: 12, flavor: "Vanilla" } }), "Large · 12 pack · Vanilla");
+  assert.equal(variantLabel({ label: "Family size", options: { size: "L" } }), "Family size");
+  assert.equal(variantLabel({ sku: "YOG-1", options: {} }), "YOG-1");
+});
+
+test("a product with variants is priced from its cheapest active one", () => {
+  const product = {
+    price: 9,
+    variants: [
+      { _id: V1, price: 4.5, active: true },
+      { _id: V2, price: 2, active: false },
+    ],
+  };
+  assert.equal(basePrice(product), 4.5);
+  assert.equal(basePrice({ price: 9, variants: [] }), 9);
+  assert.equal(findVariant(product, V2).price, 2);
+  assert.equal(findVariant(product, ""), null);
+});
+
+test("sanitizeProductInput parses multipart JSON fields", () => {
+  const { value, error } = sanitizeProductInput({
+    title: " Greek Yogurt ",
+    description: "Thick",
+    category: "Dairy",
+    price: "",
+    rating: "4.5",
+    attributes: JSON.stringify({ brand: "Fage", dietaryTags: "Gluten free, vegetarian", allergens: "Milk" }),
+    variants: JSON.stringify([
+      { _id: V1, sku: "fage-500", upc: "036000291452", price: "4.99", unitSize: "17.6 oz", options: { size: "500g" } },
+      { sku: "fage-1k", price: 8.5, options: { size: "1kg", packCount: "" } },
+    ]),
+  });
+  assert.equal(error, undefined);
+  assert.equal(value.title, "Greek Yogurt");
+  assert.equal(value.rating, 4.5);
+  assert.deepEqual(value.attributes, {
+    brand: "Fage",
+    dietaryTags: ["gluten_free", "vegetarian"],
+    allergens: ["milk"],
+    origin: "",
+  });
+  assert.equal(value.variants[0]._id, V1, "edits keep the variant id");
+  assert.equal(value.variants[0].sku, "FAGE-500");
+  assert.equal(value.variants[1].options.packCount, null);
+  assert.equal(value.price, 4.99, "price comes from the cheapest variant");
+});
+
+test("sanitizeProductInput rejects bad catalog data", () => {
+  const base = { title: "Milk", price: 2 };
+  assert.match(sanitizeProductInput({ ...base, upc: "123" }).error, /not a valid UPC/);
+  assert.match(sanitizeProductInput({ ...base, attributes: "{" }).error, /valid JSON/);
+  assert.match(sanitizeProductInput({ ...base, attributes: { allergens: ["gluten"] } }).error, /Unknown allergen/);
+  assert.match(sanitizeProductInput({ ...base, rating: 7 }).error, /rating/);
+  assert.match(sanitizeProductInput({ title: "Milk" }).error, /price/);
+  assert.match(
+    sanitizeProductInput({ ...base, sku: "M-1", variants: [{ sku: "m-1", price: 1 }] }).error,
+    /SKU "M-1" is used more than once/
+  );
+  assert.match(
+    sanitizeProductInput({ ...base, variants: Array.from({ length: MAX_VARIANTS + 1 }, (_, i) => ({ sku: `S${i}`, price: 1 })) }).error,
+    /at most/
+  );
+  assert.match(sanitizeProductInput({ ...base, variants: [{ sku: "A", price: 1, options: { packCount: 0 } }] }).error, /pack count/);
+});
+
+test("partial input only carries the fields sent", () => {
+  assert.deepEqual(sanitizeProductInput({ description: "New" }, { partial: true }), { value: { description: "New" } });
+  assert.match(sanitizeProductInput({ title: "" }, { partial: true }).error, /title/);
+});
+
+test("unit prices and retailer comparisons", () => {
+  assert.deepEqual(unitPriceOf(3, "12 oz"), { unitPrice: 0.25, unitKind: "weight_oz" });
+  assert.deepEqual(unitPriceOf(3, ""), { unitPrice: null, unitKind: null });
+
+  const points = [
+    { meta: { retailer: "walmart" }, price: 3.5, unitPrice: 0.2917, unitKind: "weight_oz", observedAt: new Date() },
+    { meta: { retailer: "kroger", locationId: "123" }, price: 2.5, unitPrice: 2.5, unitKind: "count", observedAt: new Date() },
+  ];
+  const result = compareOffers({ price: 3, unitSize: "12 oz" }, points);
+  assert.deepEqual(result.offers.map((o) => o.retailer), ["kroger", "walmart"]);
+  assert.equal(result.offers[0].priceDiff, -0.5);
+  assert.equal(result.offers[0].unitPriceDiff, null, "different unit kinds are not compared");
+  assert.equal(result.offers[1].unitPriceDiff, 0.0417);
+  assert.equal(result.cheapest, false);
+  assert.equal(compareOffers({ price: 3 }, []).cheapest, true);
+});
+
+test("cart lines for variants are priced from the variant", () => {
+  const P = "a".repeat(24);
+  const products = {
+    [P]: {
+      title: "Greek Yogurt",
+      price: 4.99,
+      imageUrl: "yogurt.png",
+      variants: [
+        { _id: V1, sku: "FAGE-500", label: "500g", price: 4.99, active: true },
+        { _id: V2, sku: "FAGE-1K", label: "1kg", price: 8.5, active: false },
+      ],
+    },
+  };
+
+  const { lines } = normalizeCart({ [`${P}:${V1}`]: 2 });
+  assert.deepEqual(lines, [{ productId: P, variantKey: V1, quantity: 2 }]);
+
+  const quote = priceOrder({ lines, products });
+  assert.equal(quote.items[0].title, "Greek Yogurt (500g)");
+  assert.equal(quote.items[0].sku, "FAGE-500");
+  assert.equal(quote.subtotal, 9.98);
+
+  assert.match(priceOrder({ lines: [{ productId: P, variantKey: V2, quantity: 1 }], products }).problems[0], /no longer available/);
+  assert.match(priceOrder({ lines: [{ productId: P, quantity: 1 }], products }).problems[0], /Choose an option/);
+});
@@ -0,0 +1,80 @@
+// backend/tests/db.test.js
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import mongoose from "mongoose";
+
+import { withTransaction } from "../config/db.js";
+
+// A session on a standalone mongod: starting a transaction fails with code 20.
+function standaloneServer() {
+  const session = {
+    ended: false,
+    async withTransaction() {
+      throw Object.assign(new Error("Transaction numbers are only allowed on a replica set member or mongos"), { code: 20 });
+    },
+    async endSession() {
+      this.ended = true;
+    },
+  };
+  mock.method(mongoose, "startSession", async () => session);
+  return session;
+}
+
+function withEnv(env, fn) {
+  const before = Object.fromEntries(Object.keys(env).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, env);
+  return fn().finally(() => {
+    for (const [k, v] of Object.entries(before)) {
+      if (v === undefined) delete process.env[k];
+      else process.env[k] = v;
+    }
+  });
+}
+
+test.afterEach(() => mock.restoreAll());
+
+test("withTransaction refuses to write without a transaction by default", async () => {
+  const session = standaloneServer();
+  const fn = mock.fn(async () => "written");
+
+  await withEnv({ NODE_ENV: "development", ALLOW_NON_TRANSACTIONAL_WRITES: "" }, () =>
+    assert.rejects(withTransaction(fn), /ALLOW_NON_TRANSACTIONAL_WRITES/)
+  );
+  assert.equal(fn.mock.callCount(), 0);
+  assert.equal(session.ended, true);
+});
+
+test("withTransaction runs without a session when development opts in", async () => {
+  standaloneServer();
+  mock.method(console, "warn", () => {});
+  const fn = mock.fn(async (session) => session);
+
+  await withEnv({ NODE_ENV: "development", ALLOW_NON_TRANSACTIONAL_WRITES: "1" }, async () => {
+    assert.equal(await withTransaction(fn), null);
+  });
+  assert.equal(fn.mock.callCount(), 1);
+});
+
+test("withTransaction never writes without a transaction in production", async () => {
+  standaloneServer();
+  const fn = mock.fn(async () => "written");
+
+  await withEnv({ NODE_ENV: "production", ALLOW_NON_TRANSACTIONAL_WRITES: "1" }, () =>
+    assert.rejects(withTransaction(fn), /transactions are unavailable/)
+  );
+  assert.equal(fn.mock.callCount(), 0);
+});
+
+test("withTransaction passes other errors through", async () => {
+  mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async (run) => run(),
+    endSession: async () => {},
+  }));
+
+  await assert.rejects(
+    withTransaction(async () => {
+      throw new Error("sold out");
+    }),
+    /sold out/
+  );
+});
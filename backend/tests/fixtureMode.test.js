@@ -0,0 +1,173 @@
+// backend/tests/fixtureMode.test.js
+// The search and cart streams, end to end against backend/fixtures and the
+// in-memory Redis: no Kroger, Walmart, OpenAI or llama_server traffic.
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SMART_ECOM_FIXTURES = "1";
+const { redis } = await import("../config/redis.js");
+const { default: User } = await import("../models/User.js");
+const { default: openai } = await import("../config/openai.js");
+const { getSpend, spendSubject } = await import("../config/llmMeter.js");
+const { krogerSearch, krogerSearchStream, krogerCartAddStream, krogerTestEval } = await import(
+  "../controllers/KrogerController.js"
+);
+
+// Runs an SSE handler and resolves to its events, in order.
+function runStream(handler, req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    const res = {
+      setHeader() {},
+      flushHeaders() {},
+      write: (chunk) => {
+        body += chunk;
+      },
+      end: () =>
+        resolve(
+          body
+            .split("\n\n")
+            .filter(Boolean)
+            .map((block) => {
+              const [, event] = block.match(/^event: (.*)$/m);
+              const [, data] = block.match(/^data: (.*)$/m);
+              return { event, data: JSON.parse(data) };
+            })
+        ),
+    };
+    Promise.resolve(handler({ ip: "127.0.0.1", method: "GET", get: () => "", ...req }, res)).catch(reject);
+  });
+}
+
+const doneOf = (events) => events.find((e) => e.event === "done")?.data;
+
+// Runs a JSON handler and resolves to { status, body }.
+async function runJson(handler, req) {
+  const out = { status: 200, body: null };
+  const res = {
+    status(code) {
+      out.status = code;
+      return this;
+    },
+    json(body) {
+      out.body = body;
+      return this;
+    },
+  };
+  await handler({ ip: "127.0.0.1", get: () => "", ...req }, res);
+  return out;
+}
+
+// A signed-in shopper; Mongo is not part of fixture mode, so reads and saves stay in memory.
+function fixtureUser(kroger = {}) {
+  const user = new User({ username: "shopper", email: "shopper@example.com", password: "secret", kroger });
+  mock.method(User, "findById", (id) => {
+    const found = String(id) === String(user._id) ? user : null;
+    return Object.assign(Promise.resolve(found), { lean: async () => found?.toObject() ?? null });
+  });
+  mock.method(user, "save", async () => user);
+  return user;
+}
+
+test.afterEach(() => mock.restoreAll());
+
+test("search stream matches the dish offline", async () => {
+  const events = await runStream(krogerSearchStream, { query: { query: "mapo tofu", zip: "45202" } });
+  const done = doneOf(events);
+
+  assert.ok(events.some((e) => e.event === "phase"), "phases are streamed before the result");
+  assert.equal(done.error, undefined);
+  assert.deepEqual(done.ingredients, ["tofu", "ground pork", "soy sauce", "sichuan peppercorn"]);
+  assert.deepEqual(done.byRetailer.kroger.matched, ["tofu", "ground pork", "soy sauce"]);
+  assert.ok(done.byRetailer.walmart.matched.includes("sichuan peppercorn"));
+  assert.deepEqual(done.unmatchedIngredients, ["sichuan peppercorn"]);
+  assert.equal(done.byRetailer.kroger.products[0].locationId, "01400943", "zip resolved from the fixture locations");
+});
+
+test("JSON search and test eval return the stream's payload", async () => {
+  const streamed = doneOf(await runStream(krogerSearchStream, { query: { query: "mapo tofu", zip: "45202" } }));
+  const { autoAdd, cartSessionId, ...expected } = streamed;
+
+  const json = await runJson(krogerSearch, { method: "POST", body: { query: "mapo tofu", zip: "45202" } });
+  assert.equal(json.status, 200);
+  assert.deepEqual(json.body, expected);
+
+  const evaluated = await runJson(krogerTestEval, { method: "GET", query: { query: "mapo tofu", zip: "45202" } });
+  assert.equal(evaluated.status, 200);
+  assert.deepEqual(evaluated.body, expected);
+
+  assert.equal((await runJson(krogerTestEval, { method: "GET", query: {} })).status, 400);
+});
+
+test("budget JSON search counts toward the shopper's LLM spend", async () => {
+  const user = fixtureUser();
+  // The fixture client reports no usage; bill every answer as 1k tokens in, 100 out.
+  const create = openai.responses.create.bind(openai.responses);
+  mock.method(openai.responses, "create", async (payload) => ({
+    ...(await create(payload)),
+    usage: { input_tokens: 1000, output_tokens: 100, total_tokens: 1100 },
+  }));
+
+  const before = await getSpend(spendSubject({ userId: user._id }));
+  const json = await runJson(krogerSearch, {
+    method: "POST",
+    user,
+    body: { query: "mapo tofu for the budget", zip: "45202", budgetSearch: true },
+  });
+  assert.equal(json.status, 200);
+  assert.ok(json.body.byRetailer.walmart);
+
+  const after = await getSpend(spendSubject({ userId: user._id }));
+  assert.ok(after.dayUsd > before.dayUsd, "the search's LLM calls are billed to the user");
+  assert.equal((await getSpend(spendSubject({ ip: "127.0.0.1" }))).dayUsd, 0, "not to their IP");
+});
+
+test("auto-add stores a cart plan that the cart stream adds to Kroger", async () => {
+  const user = fixtureUser({ accessToken: "fixture-access-token", expiresAt: new Date(Date.now() + 30 * 60 * 1000) });
+
+  const search = doneOf(
+    await runStream(krogerSearchStream, { query: { query: "mapo tofu", zip: "45202", autoAdd: "1" }, user })
+  );
+  assert.equal(search.autoAdd, true);
+  assert.ok(search.cartSessionId);
+
+  const plan = JSON.parse(await redis.get(`cartplan:${search.cartSessionId}`));
+  assert.deepEqual(plan.items.map((i) => i.ingredient), ["tofu", "ground pork", "soy sauce"]);
+  assert.equal(plan.items.find((i) => i.ingredient === "tofu").quantity, 2, "28 oz of tofu is two 14 oz packs");
+
+  const events = await runStream(krogerCartAddStream, { query: { sid: search.cartSessionId }, user });
+  assert.deepEqual(events[0], { event: "cart_add_start", data: { total: 3, skippedCount: 0 } });
+  assert.equal(events.filter((e) => e.event === "cart_item_added" && e.data.ok).length, 3);
+  assert.deepEqual(doneOf(events), { ok: true, addedCount: 3, skippedCount: 0 });
+  assert.equal(user.kroger.cartSnapshot.get(plan.items[0].upc), plan.items[0].quantity);
+});
+
+test("cart stream asks for Kroger sign-in when the shopper has no token", async () => {
+  const user = fixtureUser();
+  const sid = "fixture-plan";
+  await redis.set(
+    `cartplan:${sid}`,
+    JSON.stringify({ items: [{ upc: "0001111091342", quantity: 1, ingredient: "tofu" }], returnTo: "/" }),
+    "EX",
+    60
+  );
+
+  const events = await runStream(krogerCartAddStream, { query: { sid }, user });
+  const done = doneOf(events);
+  assert.equal(done.ok, false);
+  assert.equal(done.needKrogerAuth, true);
+  assert.match(done.loginUrl, /^https?:\/\//);
+  assert.ok(events.some((e) => e.event === "need_kroger_auth"));
+});
+
+test("cart stream rejects unknown sessions and anonymous callers", async () => {
+  const user = fixtureUser();
+  assert.deepEqual(doneOf(await runStream(krogerCartAddStream, { query: { sid: "nope" }, user })), {
+    ok: false,
+    error: "invalid_or_expired_sid",
+  });
+  assert.deepEqual(doneOf(await runStream(krogerCartAddStream, { query: { sid: "nope" } })), {
+    ok: false,
+    error: "not_authenticated",
+  });
+});
@@ -0,0 +1,166 @@
+// backend/tests/inventory.test.js
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_LOW_STOCK_THRESHOLD,
+  DEFAULT_RESERVATION_MINUTES,
+  stockKey,
+  reservationMinutes,
+  reservationExpiry,
+  availableStock,
+  isLowStock,
+  stockSummary,
+  stockProblems,
+} from "../controllers/inventory.js";
+import { commitOrderStock } from "../controllers/InventoryController.js";
+import InventoryItem from "../models/InventoryItem.js";
+import StockReservation from "../models/StockReservation.js";
+import StockMovement from "../models/StockMovement.js";
+
+const P1 = "a".repeat(24);
+const P2 = "b".repeat(24);
+
+test("available stock leaves out what other carts hold", () => {
+  const item = { onHand: 10, reserved: 4 };
+  assert.equal(availableStock(item), 6);
+  assert.equal(availableStock(item, { heldByMe: 3 }), 9, "my own hold is mine to buy");
+  assert.equal(availableStock({ onHand: 2, reserved: 5 }), 0);
+  assert.equal(availableStock(undefined), Infinity, "untracked products never run out");
+});
+
+test("low stock uses the item's threshold, or the default", () => {
+  assert.equal(isLowStock({ onHand: DEFAULT_LOW_STOCK_THRESHOLD, reserved: 0 }), true);
+  assert.equal(isLowStock({ onHand: DEFAULT_LOW_STOCK_THRESHOLD + 1, reserved: 0 }), false);
+  assert.equal(isLowStock({ onHand: 30, reserved: 0, lowStockThreshold: 40 }), true);
+  assert.equal(isLowStock({ onHand: 1, reserved: 0, lowStockThreshold: 0 }), false);
+  assert.equal(isLowStock(null), false);
+});
+
+test("the storefront summary hides counts behind badges", () => {
+  assert.deepEqual(stockSummary(null), { tracked: false, inStock: true, lowStock: false, available: null });
+  assert.deepEqual(stockSummary({ onHand: 3, reserved: 3 }), { tracked: true, inStock: false, lowStock: false, available: 0 });
+  assert.deepEqual(stockSummary({ onHand: 3, reserved: 1 }), { tracked: true, inStock: true, lowStock: true, available: 2 });
+});
+
+test("stockProblems flags lines asking for more than is free", () => {
+  const items = { [stockKey(P1)]: { onHand: 5, reserved: 4 }, [stockKey(P2)]: { onHand: 1, reserved: 1 } };
+  const titles = { [P1]: "Milk", [P2]: "Eggs" };
+  const lines = [
+    { productId: P1, quantity: 3 },
+    { productId: P2, quantity: 1 },
+    { productId: "c".repeat(24), quantity: 50 },
+  ];
+  assert.deepEqual(stockProblems(lines, { items, titles }), ['Only 1 of "Milk" left in stock.', '"Eggs" is out of stock.']);
+  assert.deepEqual(stockProblems(lines, { items, titles, held: { [stockKey(P1)]: 2, [stockKey(P2)]: 1 } }), []);
+});
+
+test("variants have their own stock keys", () => {
+  assert.equal(stockKey(P1), P1);
+  assert.equal(stockKey(P1, "1l"), `${P1}:1l`);
+});
+
+test("reservations expire after CART_RESERVATION_MINUTES", () => {
+  assert.equal(reservationMinutes({}), DEFAULT_RESERVATION_MINUTES);
+  assert.equal(reservationMinutes({ CART_RESERVATION_MINUTES: "30" }), 30);
+  assert.equal(reservationMinutes({ CART_RESERVATION_MINUTES: "-1" }), DEFAULT_RESERVATION_MINUTES);
+  assert.equal(reservationMinutes({ CART_RESERVATION_MINUTES: "99999" }), 24 * 60);
+  const now = new Date("2024-01-01T00:00:00Z");
+  assert.equal(reservationExpiry(now, 15).toISOString(), "2024-01-01T00:15:00.000Z");
+});
+
+// In-memory stand-ins for the inventory collections; no Mongo needed.
+function stockStore({ items, holds }) {
+  const movements = [];
+  const byId = (id) => items.find((i) => i._id === id);
+  const query = (rows) => ({ session: () => ({ lean: async () => rows.map((r) => ({ ...r })) }) });
+
+  mock.method(InventoryItem, "find", () => query(items));
+  mock.method(StockReservation, "find", () => query(holds));
+  mock.method(InventoryItem, "findOneAndUpdate", async ({ _id }, { $inc }) => {
+    const item = byId(_id);
+    const [quantity, mine] = [-$inc.onHand, -$inc.reserved];
+    if (item.onHand - (item.reserved - mine) < quantity) return null;
+    item.onHand += $inc.onHand;
+    item.reserved += $inc.reserved;
+    return { ...item };
+  });
+  mock.method(InventoryItem, "updateOne", async (filter, { $inc }) => {
+    const item = filter._id ? byId(filter._id) : items.find((i) => i.productId === filter.productId);
+    for (const [k, v] of Object.entries($inc)) item[k] += v;
+  });
+  mock.method(StockReservation, "deleteOne", async (filter) => {
+    const at = holds.findIndex((h) => (filter._id ? h._id === filter._id : h.productId === filter.productId));
+    if (at < 0) return { deletedCount: 0 };
+    holds.splice(at, 1);
+    return { deletedCount: 1 };
+  });
+  mock.method(StockMovement, "create", async (docs) => movements.push(...docs));
+  return { items, holds, movements };
+}
+
+const orderStock = () =>
+  stockStore({
+    items: [
+      { _id: "i1", productId: P1, variantKey: "", onHand: 5, reserved: 2 },
+      { _id: "i2", productId: P2, variantKey: "", onHand: 1, reserved: 0 },
+    ],
+    holds: [{ _id: "h1", userId: "u1", productId: P1, variantKey: "", quantity: 2 }],
+  });
+
+test("commitOrderStock puts back the lines it took when a later one is short", async (t) => {
+  t.after(() => mock.restoreAll());
+  const store = orderStock();
+
+  const problems = await commitOrderStock(
+    "u1",
+    [
+      { productId: P1, quantity: 3 },
+      { productId: P2, quantity: 2 },
+    ],
+    { orderId: "o1", titles: { [P2]: "Eggs" } }
+  );
+
+  assert.deepEqual(problems, ['"Eggs" no longer has 2 in stock.']);
+  assert.deepEqual(
+    store.items.map(({ onHand, reserved }) => ({ onHand, reserved })),
+    [
+      { onHand: 5, reserved: 2 },
+      { onHand: 1, reserved: 0 },
+    ],
+    "stock is back where it was, without relying on a transaction"
+  );
+  assert.equal(store.holds.length, 1, "the cart keeps its hold");
+  assert.equal(store.movements.length, 0);
+});
+
+test("commitOrderStock turns the cart's holds into the sale", async (t) => {
+  t.after(() => mock.restoreAll());
+  const store = orderStock();
+
+  const problems = await commitOrderStock(
+    "u1",
+    [
+      { productId: P1, quantity: 3 },
+      { productId: P2, quantity: 1 },
+    ],
+    { orderId: "o1" }
+  );
+
+  assert.deepEqual(problems, []);
+  assert.deepEqual(
+    store.items.map(({ onHand, reserved }) => ({ onHand, reserved })),
+    [
+      { onHand: 2, reserved: 0 },
+      { onHand: 0, reserved: 0 },
+    ]
+  );
+  assert.equal(store.holds.length, 0);
+  assert.deepEqual(
+    store.movements.map((m) => [m.productId, m.delta, m.onHandAfter, m.reason]),
+    [
+      [P1, -3, 2, "order"],
+      [P2, -1, 0, "order"],
+    ]
+  );
+});
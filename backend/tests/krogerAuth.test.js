@@ -0,0 +1,174 @@
+// backend/tests/krogerAuth.test.js
+// Runs against the Kroger fixture client (no network, in-memory Redis).
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SMART_ECOM_FIXTURES = "1";
+const {
+  OAUTH_STATE_TTL_S,
+  pkceChallenge,
+  createOAuthState,
+  consumeOAuthState,
+  buildAuthorizeUrl,
+  saveCartIntent,
+  consumeCartIntent,
+  safeReturnTo,
+  isTokenValid,
+  refreshUserTokens,
+  getValidUserToken,
+  disconnectUser,
+  connectionStatus,
+} = await import("../config/krogerAuth.js");
+const { default: User } = await import("../models/User.js");
+const { krogerCallback, getKrogerConnection, getKrogerCartSnapshot } = await import(
+  "../controllers/KrogerOAuthController.js"
+);
+
+function fakeUser(kroger = {}) {
+  const user = {
+    _id: "64b000000000000000000001",
+    kroger: { cartSnapshot: new Map([["0001", 2]]), ...kroger },
+    saves: 0,
+    async save() {
+      this.saves++;
+    },
+  };
+  return user;
+}
+
+test("OAuth state: opaque, single use, expires", async () => {
+  const { state, codeChallenge } = await createOAuthState({ userId: "u1", returnTo: "/search" });
+  assert.match(state, /^[A-Za-z0-9_-]{43}$/);
+
+  const saved = await consumeOAuthState(state);
+  assert.equal(saved.userId, "u1");
+  assert.equal(saved.returnTo, "/search");
+  assert.equal(pkceChallenge(saved.codeVerifier), codeChallenge);
+
+  assert.equal(await consumeOAuthState(state), null, "a replayed callback finds nothing");
+  assert.equal(await consumeOAuthState("garbage"), null);
+  assert.equal(await consumeOAuthState(null), null);
+
+  const late = await createOAuthState({ userId: "u1" });
+  const realNow = Date.now;
+  Date.now = () => realNow() + (OAUTH_STATE_TTL_S + 1) * 1000;
+  try {
+    assert.equal(await consumeOAuthState(late.state), null);
+  } finally {
+    Date.now = realNow;
+  }
+});
+
+test("buildAuthorizeUrl: PKCE S256 and no cart items in the URL", async () => {
+  const intentId = await saveCartIntent("u1", [{ upc: "0001111", quantity: 2 }]);
+  const url = new URL(await buildAuthorizeUrl({ userId: "u1", returnTo: "https://evil.example.com", intentId }));
+
+  assert.equal(url.searchParams.get("code_challenge_method"), "S256");
+  assert.ok(!url.toString().includes("0001111"));
+
+  const saved = await consumeOAuthState(url.searchParams.get("state"));
+  assert.equal(pkceChallenge(saved.codeVerifier), url.searchParams.get("code_challenge"));
+  assert.equal(saved.intentId, intentId);
+  assert.equal(saved.returnTo, "/", "returnTo is checked before it is stored");
+});
+
+test("cart intents: only the owner can redeem them, once", async () => {
+  assert.equal(await saveCartIntent("u1", []), null);
+
+  const id = await saveCartIntent("u1", [{ upc: " 0001 ", quantity: "2.7" }, { upc: "" }, { upc: "0002" }]);
+  assert.deepEqual(await consumeCartIntent(id, "u1"), [
+    { upc: "0001", quantity: 2 },
+    { upc: "0002", quantity: 1 },
+  ]);
+  assert.equal(await consumeCartIntent(id, "u1"), null);
+
+  const other = await saveCartIntent("u1", [{ upc: "0003" }]);
+  assert.equal(await consumeCartIntent(other, "u2"), null);
+});
+
+test("safeReturnTo: relative paths and the frontend origin only", () => {
+  assert.equal(safeReturnTo("/search?q=x"), "/search?q=x");
+  assert.equal(safeReturnTo("http://localhost:3000/search"), "http://localhost:3000/search");
+  assert.equal(safeReturnTo("https://evil.example.com/"), "/");
+  assert.equal(safeReturnTo("//evil.example.com"), "/");
+  assert.equal(safeReturnTo("javascript:alert(1)"), "/");
+  assert.equal(safeReturnTo("", "/lists"), "/lists");
+});
+
+test("getValidUserToken: uses a fresh token, refreshes an expired one", async () => {
+  const fresh = fakeUser({ accessToken: "a1", refreshToken: "r1", expiresAt: new Date(Date.now() + 3600_000) });
+  assert.equal(await getValidUserToken(fresh), "a1");
+  assert.equal(fresh.saves, 0);
+
+  const expired = fakeUser({ accessToken: "old", refreshToken: "r1", expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(await getValidUserToken(expired), "fixture-access-token");
+  assert.equal(expired.saves, 1);
+  assert.equal(isTokenValid(expired.kroger), true);
+
+  assert.equal(await getValidUserToken(fakeUser()), null);
+});
+
+test("refreshUserTokens: concurrent callers share one refresh", async () => {
+  const user = fakeUser({ accessToken: "old", refreshToken: "r1", expiresAt: new Date(0) });
+  const [a, b] = await Promise.all([refreshUserTokens(user), refreshUserTokens(user)]);
+  assert.equal(a, "fixture-access-token");
+  assert.equal(b, a);
+  assert.equal(user.saves, 1);
+});
+
+test("disconnectUser / connectionStatus: wipes tokens and the cart snapshot", async () => {
+  const user = fakeUser({
+    accessToken: "a1",
+    refreshToken: "r1",
+    expiresAt: new Date(Date.now() + 3600_000),
+    locationId: "01400943",
+  });
+  assert.equal(connectionStatus(user).connected, true);
+
+  const { revoked } = await disconnectUser(user);
+  assert.equal(revoked, true);
+  assert.equal(user.kroger.accessToken, undefined);
+  assert.equal(user.kroger.refreshToken, undefined);
+  assert.equal(user.kroger.cartSnapshot.size, 0);
+  assert.equal(user.saves, 1);
+
+  const status = connectionStatus(user);
+  assert.equal(status.connected, false);
+  assert.equal(status.needsReauth, false);
+  assert.equal(status.locationId, "01400943", "store choice survives a disconnect");
+});
+
+test("OAuth routes answer instead of hanging when the database fails", async (t) => {
+  t.after(() => mock.restoreAll());
+  mock.method(User, "findById", async () => {
+    throw new Error("connection lost");
+  });
+  mock.method(console, "error", () => {});
+
+  const sent = {};
+  const res = {
+    status(code) {
+      sent.status = code;
+      return this;
+    },
+    json(body) {
+      sent.body = body;
+      return this;
+    },
+    redirect(url) {
+      sent.redirect = url;
+      return this;
+    },
+  };
+  const req = { user: { _id: "64b000000000000000000001" } };
+
+  await getKrogerConnection(req, res);
+  assert.equal(sent.status, 500);
+  sent.status = null;
+  await getKrogerCartSnapshot(req, res);
+  assert.equal(sent.status, 500);
+
+  const { state } = await createOAuthState({ userId: "64b000000000000000000001", returnTo: "/search" });
+  await krogerCallback({ query: { code: "abc", state } }, res);
+  assert.match(sent.redirect, /^\/search\?kroger=error$/);
+});
@@ -0,0 +1,226 @@
+// backend/tests/llmGateway.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { parseModelJSON, safeJSONParse, validateSchema } from "../llm/json.js";
+import { minimalValue, stubAnswer } from "../llm/stubProvider.js";
+import { finalPicksSchema, picksProblems, hasPicks } from "../llm/schemas.js";
+
+// The gateway meters through Redis; use the in-memory one.
+process.env.SMART_ECOM_FIXTURES = "1";
+const { registerLlmProvider, parseRoute, routeFor, completeJSON, repairMessages } = await import("../llm/index.js");
+
+const PICKS = {
+  name: "final_picks_schema",
+  schema: {
+    type: "object",
+    additionalProperties: false,
+    properties: {
+      final_picks: {
+        type: "array",
+        minItems: 2,
+        maxItems: 2,
+        items: {
+          type: "object",
+          additionalProperties: false,
+          properties: {
+            ingredient: { type: "string", enum: ["tomato", "onion"] },
+            indices: { type: "array", items: { type: "integer", minimum: 0 }, maxItems: 2 },
+          },
+          required: ["ingredient", "indices"],
+        },
+      },
+    },
+    required: ["final_picks"],
+  },
+};
+
+// A provider that answers from a script and records what it was asked.
+function scripted(id, answers, { vision = false } = {}) {
+  const calls = [];
+  registerLlmProvider({
+    id,
+    capabilities: { vision },
+    costFree: true,
+    async complete(req) {
+      calls.push(req);
+      const next = answers[Math.min(calls.length - 1, answers.length - 1)];
+      if (next instanceof Error) throw next;
+      return { text: next, raw: { usage: null }, model: req.model };
+    },
+  });
+  return calls;
+}
+
+function withEnv(vars, fn) {
+  const saved = Object.fromEntries(Object.keys(vars).map((k) => [k, process.env[k]]));
+  Object.assign(process.env, vars);
+  return Promise.resolve()
+    .then(fn)
+    .finally(() => {
+      for (const [k, v] of Object.entries(saved)) {
+        if (v === undefined) delete process.env[k];
+        else process.env[k] = v;
+      }
+    });
+}
+
+test("parseModelJSON tolerates fences and prose", () => {
+  assert.deepEqual(parseModelJSON('```json\n{"a":1}\n```'), { a: 1 });
+  assert.deepEqual(parseModelJSON('Sure! Here it is: ["x","y"] Enjoy.'), ["x", "y"]);
+  assert.deepEqual(parseModelJSON({ a: 1 }), { a: 1 });
+  assert.throws(() => parseModelJSON(""), /Empty/);
+  assert.throws(() => parseModelJSON("no json here"));
+  assert.deepEqual(safeJSONParse("nope", { items: [] }), { items: [] });
+});
+
+test("validateSchema reports paths for each problem", () => {
+  assert.deepEqual(validateSchema({ final_picks: [{ ingredient: "tomato", indices: [0] }, { ingredient: "onion", indices: [] }] }, PICKS.schema), []);
+
+  const problems = validateSchema(
+    { final_picks: [{ ingredient: "garlic", indices: [-1, 1.5] }], extra: true },
+    PICKS.schema
+  );
+  assert.ok(problems.includes("$.final_picks: needs at least 2 items, got 1"));
+  assert.ok(problems.some((p) => p.startsWith('$.final_picks[0].ingredient: "garlic" is not one of')));
+  assert.ok(problems.includes("$.final_picks[0].indices[0]: must be >= 0"));
+  assert.ok(problems.includes("$.final_picks[0].indices[1]: expected integer, got number"));
+  assert.ok(problems.includes('$: unexpected property "extra"'));
+
+  assert.deepEqual(validateSchema(null, { type: ["integer", "null"] }), []);
+  assert.deepEqual(validateSchema({}, { type: "object", required: ["dish"] }), ['$: missing required property "dish"']);
+});
+
+test("the stub answers every schema validly", () => {
+  const picks = stubAnswer({ schema: PICKS });
+  assert.deepEqual(picks, { final_picks: [{ ingredient: "tomato", indices: [0] }, { ingredient: "onion", indices: [0] }] });
+  assert.deepEqual(validateSchema(picks, PICKS.schema), []);
+
+  assert.deepEqual(stubAnswer({ schema: { name: "products_ingredients" }, messages: [{ role: "user", content: "Query: paneer" }] }), ["paneer"]);
+  assert.deepEqual(minimalValue({ type: "object", properties: { n: { type: "integer", minimum: 1 }, s: { type: ["string", "null"] } } }), { n: 1, s: null });
+});
+
+test("routes split on the first colon and fall back through LLM_FALLBACK", async () => {
+  assert.deepEqual(parseRoute(" local:llama3.1:8b , stub"), [
+    { provider: "local", model: "llama3.1:8b" },
+    { provider: "stub", model: "" },
+  ]);
+
+  await withEnv({ LLM_ROUTE_INGREDIENTS: "local:qwen2.5,nope:x", LLM_FALLBACK: "stub,local:qwen2.5" }, () => {
+    const chain = routeFor("ingredients").map(({ provider, model }) => `${provider.id}:${model}`);
+    assert.deepEqual(chain, ["local:qwen2.5", "stub:stub"]);
+  });
+
+  assert.equal(routeFor("products_match")[0].provider.id, "openai-chat");
+  assert.throws(() => routeFor("nope"), /Unknown LLM task/);
+});
+
+test("vision tasks skip providers without vision", async () => {
+  scripted("t-blind", ['{"items":[]}']);
+  await withEnv({ LLM_ROUTE_FRIDGE_VISION: "t-blind:m,stub" }, () => {
+    assert.deepEqual(routeFor("fridge_vision").map((r) => r.provider.id), ["stub"]);
+  });
+});
+
+test("completeJSON retries answers that break the schema", async () => {
+  const calls = scripted("t-retry", [
+    '{"final_picks":[{"ingredient":"garlic","indices":[0]}]}',
+    '```json\n{"final_picks":[{"ingredient":"tomato","indices":[1]},{"ingredient":"onion","indices":[]}]}\n```',
+  ]);
+  await withEnv({ LLM_ROUTE_KROGER_MATCH: "t-retry:m1", LLM_SCHEMA_RETRIES: "1" }, async () => {
+    const out = await completeJSON("kroger_match", { messages: [{ role: "user", content: "match" }], schema: PICKS });
+    assert.equal(out.attempts, 2);
+    assert.equal(out.provider, "t-retry");
+    assert.deepEqual(out.data.final_picks[0], { ingredient: "tomato", indices: [1] });
+  });
+  assert.equal(calls.length, 2);
+  assert.equal(calls[0].maxTokens, 4000);
+});
+
+test("completeJSON moves on when a provider errors or keeps failing validation", async () => {
+  scripted("t-down", [new Error("connect ECONNREFUSED")]);
+  const bad = scripted("t-bad", ["not json"]);
+  await withEnv({ LLM_ROUTE_KROGER_MATCH: "t-down:m,t-bad:m,stub", LLM_SCHEMA_RETRIES: "1" }, async () => {
+    const out = await completeJSON("kroger_match", { messages: [{ role: "user", content: "match" }], schema: PICKS });
+    assert.equal(out.provider, "stub");
+    assert.equal(out.attempts, 4); // t-down once, t-bad twice, stub once
+  });
+  assert.equal(bad.length, 2);
+
+  await withEnv({ LLM_ROUTE_KROGER_MATCH: "t-bad:m", LLM_SCHEMA_RETRIES: "0" }, async () => {
+    await assert.rejects(
+      completeJSON("kroger_match", { messages: [], schema: PICKS }),
+      (e) => e.code === "llm_invalid_output" && e.lastText === "not json" && e.problems.length === 1
+    );
+  });
+
+  await withEnv({ LLM_ROUTE_KROGER_MATCH: "t-down:m" }, async () => {
+    await assert.rejects(
+      completeJSON("kroger_match", { messages: [], schema: PICKS }),
+      (e) => e.code === "llm_unavailable" && /ECONNREFUSED/.test(e.message)
+    );
+  });
+});
+
+test("picksProblems catches duplicates, gaps and out-of-range indices", () => {
+  const counts = { tomato: 3, onion: 0 };
+  assert.deepEqual(
+    validateSchema({ final_picks: [{ ingredient: "tomato", indices: [0, 1] }, { ingredient: "onion", indices: [] }] }, finalPicksSchema(["tomato", "onion"], 2).schema),
+    []
+  );
+  assert.deepEqual(picksProblems({ final_picks: [{ ingredient: "tomato", indices: [2] }, { ingredient: "onion", indices: [] }] }, counts), []);
+  assert.deepEqual(picksProblems({ final_picks: [{ ingredient: "tomato", indices: [3] }, { ingredient: "tomato", indices: [] }] }, counts), [
+    '$.final_picks[0].indices[0]: 3 is out of range, "tomato" has 3 candidates',
+    '$.final_picks[1].ingredient: "tomato" appears more than once',
+    '$.final_picks: no entry for "onion"',
+  ]);
+
+  assert.equal(hasPicks([{ ingredient: "tomato", indices: [] }]), false);
+  assert.equal(hasPicks([{ ingredient: "tomato", indices: [] }, { ingredient: "onion", indices: [1] }]), true);
+});
+
+test("the stub leaves ingredients without candidates unpicked", () => {
+  const schema = finalPicksSchema(["tomato", "onion"], 2);
+  const prompt = 'ingredients = ["tomato","onion"]\ncandidates =\n{"tomato":["0: Roma Tomato"],"onion":[]}';
+  const answer = stubAnswer({ schema, messages: [{ role: "user", content: prompt }] });
+  assert.deepEqual(answer.final_picks, [
+    { ingredient: "tomato", indices: [0] },
+    { ingredient: "onion", indices: [] },
+  ]);
+  assert.deepEqual(picksProblems(answer, { tomato: 1, onion: 0 }), []);
+});
+
+test("completeJSON sends validation problems back for repair", async () => {
+  const calls = scripted("t-repair", [
+    '{"final_picks":[{"ingredient":"tomato","indices":[7]},{"ingredient":"onion","indices":[]}]}',
+    '{"final_picks":[{"ingredient":"tomato","indices":[0]},{"ingredient":"onion","indices":[]}]}',
+  ]);
+  const messages = [{ role: "user", content: "match" }];
+  await withEnv({ LLM_ROUTE_KROGER_MATCH: "t-repair:m" }, async () => {
+    const out = await completeJSON("kroger_match", {
+      messages,
+      schema: PICKS,
+      validate: (data) => picksProblems(data, { tomato: 2, onion: 0 }),
+    });
+    assert.equal(out.attempts, 2);
+    assert.deepEqual(out.data.final_picks[0].indices, [0]);
+  });
+
+  assert.equal(calls[0].messages, messages);
+  const repair = calls[1].messages;
+  assert.equal(repair.length, 3);
+  assert.equal(repair[1].role, "assistant");
+  assert.match(repair[1].content, /"indices":\[7\]/);
+  assert.match(repair[2].content, /indices\[0\]: 7 is out of range/);
+
+  const many = repairMessages(messages, "x", Array.from({ length: 10 }, (_, i) => `p${i}`));
+  assert.match(many[2].content, /and 2 more/);
+});
+
+test("repairs are bounded by LLM_SCHEMA_RETRIES", async () => {
+  const calls = scripted("t-stubborn", ['{"final_picks":[]}']);
+  await withEnv({ LLM_ROUTE_KROGER_MATCH: "t-stubborn:m", LLM_SCHEMA_RETRIES: "2" }, async () => {
+    await assert.rejects(completeJSON("kroger_match", { messages: [], schema: PICKS }), { code: "llm_invalid_output" });
+  });
+  assert.equal(calls.length, 3);
+});
@@ -0,0 +1,120 @@
+// backend/tests/llmUsage.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  normalizeUsage,
+  priceFor,
+  costUsd,
+  quotaFor,
+  quotaPeriods,
+  checkQuota,
+  toMicros,
+  PLAN_QUOTAS,
+} from "../controllers/llmUsage.js";
+
+// The meter keeps its counters in Redis; use the in-memory one.
+process.env.SMART_ECOM_FIXTURES = "1";
+const { addSpend, getSpend, checkLlmQuota, recordLlmCall, spendSubject } = await import("../config/llmMeter.js");
+
+test("normalizeUsage reads Responses and Chat Completions usage", () => {
+  assert.deepEqual(
+    normalizeUsage({
+      usage: {
+        input_tokens: 1200,
+        input_tokens_details: { cached_tokens: 200 },
+        output_tokens: 300,
+        output_tokens_details: { reasoning_tokens: 100 },
+      },
+    }),
+    { inputTokens: 1200, cachedInputTokens: 200, outputTokens: 300, reasoningTokens: 100 }
+  );
+  assert.deepEqual(normalizeUsage({ usage: { prompt_tokens: 50, completion_tokens: 7 } }), {
+    inputTokens: 50,
+    cachedInputTokens: 0,
+    outputTokens: 7,
+    reasoningTokens: 0,
+  });
+  assert.deepEqual(normalizeUsage(null), { inputTokens: 0, cachedInputTokens: 0, outputTokens: 0, reasoningTokens: 0 });
+});
+
+test("prices match model families by longest prefix", () => {
+  assert.equal(priceFor("gpt-5-2025-08-07").input, 1.25);
+  assert.equal(priceFor("gpt-5-mini-2025-08-07").input, 0.25);
+  assert.equal(priceFor("gpt-4o-mini").output, 0.6);
+  assert.equal(priceFor("claude-x"), null);
+
+  // 1M fresh input at 1.25 + 1M cached at 0.125 + 1M output at 10
+  const usage = { inputTokens: 2_000_000, cachedInputTokens: 1_000_000, outputTokens: 1_000_000 };
+  assert.equal(costUsd("gpt-5", usage), 11.375);
+  assert.equal(costUsd("mystery-model", usage), null);
+});
+
+test("quotaFor: plan defaults, per-user overrides, anonymous", () => {
+  assert.deepEqual(quotaFor(null), { plan: "anonymous", ...PLAN_QUOTAS.anonymous });
+  assert.deepEqual(quotaFor({ plan: "plus" }), { plan: "plus", ...PLAN_QUOTAS.plus });
+  assert.deepEqual(quotaFor({ plan: "gold" }), { plan: "free", ...PLAN_QUOTAS.free });
+  assert.deepEqual(quotaFor({ plan: "pro", llmQuota: { dailyUsd: 1, monthlyUsd: null } }), {
+    plan: "pro",
+    dailyUsd: 1,
+    monthlyUsd: PLAN_QUOTAS.pro.monthlyUsd,
+  });
+});
+
+test("quota periods are UTC days and months", () => {
+  const p = quotaPeriods(new Date("2026-01-31T23:00:00Z"));
+  assert.equal(p.day, "2026-01-31");
+  assert.equal(p.month, "2026-01");
+  assert.equal(p.dayEndsInMs, 60 * 60 * 1000);
+  assert.equal(p.monthEndsInMs, 60 * 60 * 1000);
+});
+
+test("checkQuota: the month limit wins over the day limit", () => {
+  const now = new Date("2026-03-10T12:00:00Z");
+  const quota = { dailyUsd: 1, monthlyUsd: 10 };
+  assert.equal(checkQuota({ dayUsd: 0.5, monthUsd: 3 }, quota, now).allowed, true);
+  assert.equal(checkQuota({ dayUsd: 0.5, monthUsd: 3 }, quota, now).remainingUsd, 0.5);
+
+  const day = checkQuota({ dayUsd: 1, monthUsd: 3 }, quota, now);
+  assert.equal(day.period, "day");
+  assert.equal(day.retryAfterMs, 12 * 60 * 60 * 1000);
+
+  const month = checkQuota({ dayUsd: 1, monthUsd: 10 }, quota, now);
+  assert.equal(month.period, "month");
+  assert.equal(month.retryAfterMs, 22 * 24 * 60 * 60 * 1000 - 12 * 60 * 60 * 1000);
+});
+
+test("spend counters: per subject, per day, and enforced by checkLlmQuota", async () => {
+  const user = { _id: "64b0000000000000000000f1", plan: "free" };
+  const subject = spendSubject({ userId: user._id });
+  const day1 = new Date("2026-05-04T10:00:00Z");
+  const day2 = new Date("2026-05-05T10:00:00Z");
+
+  await addSpend(subject, toMicros(0.3), day1);
+  await addSpend(subject, toMicros(0.25), day1);
+  assert.deepEqual(await getSpend(subject, day1), { dayUsd: 0.55, monthUsd: 0.55 });
+  assert.deepEqual(await getSpend(spendSubject({ ip: "10.0.0.1" }), day1), { dayUsd: 0, monthUsd: 0 });
+
+  const blocked = await checkLlmQuota({ user }, day1);
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.period, "day");
+
+  const nextDay = await checkLlmQuota({ user }, day2);
+  assert.equal(nextDay.allowed, true);
+  assert.equal(nextDay.spent.monthUsd, 0.55);
+});
+
+test("recordLlmCall adds the call's cost to the caller's spend and never throws", async () => {
+  const context = { userId: "64b0000000000000000000f2", route: "krogerSearchStream", requestId: "r1" };
+  await recordLlmCall({
+    context,
+    tag: "LLM1_ingredients",
+    model: "gpt-5",
+    resp: { model: "gpt-5-2025-08-07", usage: { input_tokens: 1_000_000, output_tokens: 100_000 } },
+    latencyMs: 1200,
+  });
+  assert.equal((await getSpend(spendSubject(context))).dayUsd, 2.25);
+
+  await recordLlmCall({ context, tag: "x", model: "gpt-5", error: new Error("boom") });
+  assert.equal((await getSpend(spendSubject(context))).dayUsd, 2.25);
+});
@@ -0,0 +1,184 @@
+// backend/tests/mealPlan.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_MEAL_PLAN_DISHES,
+  parseDishList,
+  mergeRecipeAmounts,
+  consolidateMealPlan,
+} from "../controllers/mealPlan.js";
+
+test("parseDishList: semicolons, JSON arrays, repeated dish params, dedupe", () => {
+  assert.deepEqual(parseDishList({ dishes: "Mapo tofu; fried rice;;mapo TOFU" }), [
+    "Mapo tofu",
+    "fried rice",
+  ]);
+  assert.deepEqual(parseDishList({ dishes: '["pad thai","  ramen "]' }), ["pad thai", "ramen"]);
+  assert.deepEqual(parseDishList({ dishes: "pad thai", dish: ["ramen", "Pad Thai"] }), [
+    "pad thai",
+    "ramen",
+  ]);
+  assert.deepEqual(parseDishList({}), []);
+
+  const many = Array.from({ length: 30 }, (_, i) => `dish ${i}`).join(";");
+  assert.equal(parseDishList({ dishes: many }).length, MAX_MEAL_PLAN_DISHES);
+});
+
+test("mergeRecipeAmounts: convertible units add up in the first unit", () => {
+  const out = mergeRecipeAmounts(
+    [
+      { amount: 2, unit: "tbsp" },
+      { amount: 0.25, unit: "cup" },
+    ],
+    "soy sauce"
+  );
+  assert.equal(out.unit, "tbsp");
+  assert.equal(out.amount, 6);
+  assert.equal(out.approximate, undefined);
+});
+
+test("mergeRecipeAmounts: unknown but identical units add, mismatches are approximate", () => {
+  assert.deepEqual(
+    mergeRecipeAmounts(
+      [
+        { amount: 3, unit: "cloves" },
+        { amount: 2, unit: "cloves" },
+      ],
+      "garlic"
+    ),
+    { amount: 5, unit: "cloves" }
+  );
+
+  const mixed = mergeRecipeAmounts(
+    [
+      { amount: 1, unit: "bunch" },
+      { amount: 2, unit: "oz" },
+    ],
+    "basil"
+  );
+  assert.equal(mixed.amount, 1);
+  assert.equal(mixed.unit, "bunch");
+  assert.equal(mixed.approximate, true);
+
+  assert.equal(mergeRecipeAmounts([], "salt"), null);
+  assert.equal(mergeRecipeAmounts([{ amount: 0, unit: "g" }], "salt"), null);
+});
+
+function dishPayload(dishName, ingredientAmounts, products) {
+  return {
+    dishName,
+    servings: 4,
+    meals: 1,
+    ingredients: Object.keys(ingredientAmounts),
+    ingredientAmounts,
+    byRetailer: {
+      kroger: {
+        id: "kroger",
+        label: "Kroger",
+        byIngredient: Object.fromEntries(
+          Object.entries(products).map(([ing, p]) => [ing, [p]])
+        ),
+      },
+    },
+  };
+}
+
+test("consolidateMealPlan: shared ingredients become one line and one package", () => {
+  const soySauce = { upc: "111", title: "Kikkoman Soy Sauce", size: "10 fl oz", price: 3.49 };
+  const tofu = { upc: "222", title: "Firm Tofu", size: "14 oz", price: 2.29 };
+  const rice = { upc: "333", title: "Jasmine Rice", size: "2 lb", price: 4.99 };
+
+  const plan = consolidateMealPlan([
+    {
+      query: "mapo tofu",
+      payload: dishPayload(
+        "Mapo tofu",
+        { "soy sauce": { amount: 2, unit: "tbsp" }, tofu: { amount: 28, unit: "oz" } },
+        { "soy sauce": soySauce, tofu }
+      ),
+    },
+    {
+      query: "fried rice",
+      payload: dishPayload(
+        "Fried rice",
+        { "Soy Sauce": { amount: 3, unit: "tbsp" }, rice: { amount: 2, unit: "cup" } },
+        { "Soy Sauce": soySauce, rice }
+      ),
+    },
+  ]);
+
+  assert.deepEqual(
+    plan.dishes.map((d) => d.dishName),
+    ["Mapo tofu", "Fried rice"]
+  );
+  assert.deepEqual(plan.ingredients, ["soy sauce", "tofu", "rice"]);
+  assert.deepEqual(plan.ingredientAmounts["soy sauce"], { amount: 5, unit: "tbsp" });
+
+  const soy = plan.shoppingList.find((l) => l.ingredient === "soy sauce");
+  assert.deepEqual(soy.dishes, ["Mapo tofu", "Fried rice"]);
+  assert.equal(soy.quantity, 1);
+  assert.equal(soy.need, "5 tbsp");
+
+  assert.deepEqual(
+    plan.cartPlan.map((l) => [l.upc, l.quantity]),
+    [
+      ["111", 1],
+      ["222", 2],
+      ["333", 1],
+    ]
+  );
+  assert.equal(plan.cartEstimate.total, Math.round((3.49 + 2 * 2.29 + 4.99) * 100) / 100);
+  assert.deepEqual(plan.byRetailer.kroger.matched, ["soy sauce", "tofu", "rice"]);
+});
+
+test("consolidateMealPlan: ingredients nobody matched stay on the list as unmatched", () => {
+  const plan = consolidateMealPlan([
+    {
+      query: "salad",
+      payload: dishPayload("Salad", { sumac: { amount: 1, unit: "tsp" } }, {}),
+    },
+  ]);
+  assert.equal(plan.shoppingList.length, 1);
+  assert.equal(plan.shoppingList[0].basis, "unmatched");
+  assert.equal(plan.shoppingList[0].retailer, null);
+  assert.deepEqual(plan.cartPlan, []);
+});
+
+test("consolidateMealPlan: an ingredient matched at two retailers is priced once, from its supplier", () => {
+  const krogerTofu = { upc: "222", title: "Firm Tofu", size: "14 oz", price: 2.29 };
+  const walmartTofu = { upc: "w222", title: "Great Value Tofu", size: "14 oz", price: 1.98 };
+  const walmartPeppercorn = { upc: "w444", title: "Sichuan Peppercorns", size: "2 oz", price: 6.98 };
+
+  const payload = dishPayload("Mapo tofu", { tofu: { amount: 28, unit: "oz" }, "sichuan peppercorn": { amount: 1, unit: "tsp" } }, {
+    tofu: krogerTofu,
+  });
+  payload.byRetailer.walmart = {
+    id: "walmart",
+    label: "Walmart",
+    byIngredient: { tofu: [walmartTofu], "sichuan peppercorn": [walmartPeppercorn] },
+  };
+
+  const plan = consolidateMealPlan([{ query: "mapo tofu", payload }]);
+
+  const suppliers = Object.fromEntries(plan.shoppingList.map((l) => [l.ingredient, l.retailer]));
+  assert.deepEqual(suppliers, { tofu: "kroger", "sichuan peppercorn": "walmart" });
+
+  // What each store would cost on its own, overlapping on tofu
+  assert.equal(plan.cartEstimate.byRetailer.kroger.total, 4.58);
+  assert.equal(plan.cartEstimate.byRetailer.walmart.total, Math.round((2 * 1.98 + 6.98) * 100) / 100);
+
+  // The basket buys tofu once, where the shopping list buys it
+  assert.deepEqual(
+    plan.cartEstimate.lines.map((l) => [l.ingredient, l.retailer, l.quantity]),
+    [
+      ["tofu", "kroger", 2],
+      ["sichuan peppercorn", "walmart", 1],
+    ]
+  );
+  assert.equal(plan.cartEstimate.total, Math.round((2 * 2.29 + 6.98) * 100) / 100);
+  assert.equal(
+    plan.cartEstimate.total,
+    Math.round(plan.shoppingList.reduce((acc, l) => acc + l.lineTotal, 0) * 100) / 100,
+    "the estimate agrees with the shopping list"
+  );
+});
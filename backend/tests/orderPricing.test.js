@@ -0,0 +1,106 @@
+// backend/tests/orderPricing.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  DEFAULT_PRICING_RULES,
+  MAX_LINE_QUANTITY,
+  pricingRules,
+  normalizeCart,
+  priceOrder,
+  totalMismatch,
+} from "../controllers/orderPricing.js";
+
+const A = "a".repeat(24);
+const B = "b".repeat(24);
+const products = {
+  [A]: { title: "Basmati Rice", price: 3.33, category: "Pantry", imageUrl: "https://cdn.example/img/rice.png" },
+  [B]: { title: "Paneer", price: 4.99, category: "Dairy", imageUrl: "paneer.png" },
+};
+
+const rules = (overrides = {}) => ({ ...JSON.parse(JSON.stringify(DEFAULT_PRICING_RULES)), ...overrides });
+
+test("normalizeCart drops zero lines and rejects bad ids and quantities", () => {
+  assert.deepEqual(normalizeCart({ [A]: 2, [B]: 0 }), { lines: [{ productId: A, quantity: 2 }], problems: [] });
+  assert.deepEqual(normalizeCart({ [B]: 0 }).problems, ["Cart is empty."]);
+  assert.equal(normalizeCart(null).problems.length, 1);
+
+  const { lines, problems } = normalizeCart({ nope: 1, [A]: 1.5, [B]: MAX_LINE_QUANTITY + 1 });
+  assert.deepEqual(lines, []);
+  assert.equal(problems.length, 3);
+  assert.match(problems[0], /Unknown product "nope"/);
+});
+
+test("priceOrder recomputes lines from catalog prices in cents", () => {
+  const quote = priceOrder({ lines: [{ productId: A, quantity: 3 }, { productId: B, quantity: 1 }], products });
+  assert.deepEqual(quote.items[0], {
+    productId: A,
+    title: "Basmati Rice",
+    image: "rice.png",
+    category: "Pantry",
+    unitPrice: 3.33,
+    quantity: 3,
+    total: 9.99,
+  });
+  assert.equal(quote.subtotal, 14.98);
+  assert.deepEqual(quote.fees, [{ code: "delivery", label: "Delivery Fee", amount: 4 }]);
+  assert.equal(quote.tax, 0);
+  assert.equal(quote.total, 18.98);
+  assert.deepEqual(quote.problems, []);
+});
+
+test("missing products block the order instead of crashing", () => {
+  const quote = priceOrder({ lines: [{ productId: B, quantity: 1 }, { productId: "c".repeat(24), quantity: 1 }], products });
+  assert.equal(quote.items.length, 1);
+  assert.match(quote.problems[0], /no longer available/);
+});
+
+test("promotions, free-delivery thresholds and tax apply in order", () => {
+  const r = rules({
+    taxRate: 0.1,
+    promotions: [
+      { type: "percent", percent: 10, label: "Dairy week", category: "Dairy" },
+      { type: "amount", amount: 2, label: "Welcome", code: "HELLO", minSubtotal: 10 },
+      { type: "free_fee", fee: "delivery", label: "Free delivery", minSubtotal: 30 },
+    ],
+  });
+  const lines = [{ productId: A, quantity: 3 }, { productId: B, quantity: 2 }]; // 9.99 + 9.98
+
+  const auto = priceOrder({ lines, products, rules: r });
+  assert.deepEqual(auto.discounts, [{ code: "", label: "Dairy week", amount: 1 }]);
+  assert.equal(auto.tax, 1.9); // 10% of 18.97
+  assert.equal(auto.total, 24.87);
+
+  const coded = priceOrder({ lines, products, rules: r, promoCode: " hello " });
+  assert.equal(coded.discountTotal, 3);
+  assert.equal(coded.total, 22.67); // 16.97 + 4 + 1.70
+
+  const bad = priceOrder({ lines, products, rules: r, promoCode: "NOPE" });
+  assert.match(bad.problems[0], /Promo code "NOPE"/);
+
+  const big = priceOrder({ lines: [{ productId: A, quantity: 10 }], products, rules: r });
+  assert.deepEqual(big.fees, []);
+});
+
+test("pricingRules reads ORDER_* overrides and ignores junk", () => {
+  const r = pricingRules({
+    ORDER_TAX_RATE: "0.0725",
+    ORDER_DELIVERY_FEE: "5.5",
+    ORDER_FREE_DELIVERY_OVER: "35",
+    ORDER_PROMOTIONS: '[{"type":"amount","amount":1},{"type":"bogus"}]',
+  });
+  assert.equal(r.taxRate, 0.0725);
+  assert.deepEqual(r.fees[0], { code: "delivery", label: "Delivery Fee", amount: 5.5, freeOver: 35 });
+  assert.equal(r.promotions.length, 1);
+
+  assert.deepEqual(pricingRules({ ORDER_TAX_RATE: "2", ORDER_PROMOTIONS: "{" }), DEFAULT_PRICING_RULES);
+});
+
+test("totalMismatch catches tampered totals to the cent", () => {
+  const quote = { total: 18.98 };
+  assert.equal(totalMismatch(18.98, quote), false);
+  assert.equal(totalMismatch("18.98", quote), false);
+  assert.equal(totalMismatch(18.97, quote), true);
+  assert.equal(totalMismatch(0.01, quote), true);
+  assert.equal(totalMismatch(undefined, quote), true);
+});
@@ -0,0 +1,69 @@
+// backend/tests/orderStatus.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  statusOf,
+  canTransition,
+  wasPaid,
+  transitionProblem,
+  historyEntry,
+  timeline,
+} from "../controllers/orderStatus.js";
+
+const staff = { kind: "staff", userId: "s1", label: "support" };
+const customer = { kind: "customer", userId: "u1" };
+const order = (status, history = []) => ({ status, statusHistory: history.map((s) => ({ status: s })) });
+
+test("the transition graph only names known statuses and ends at refunded", () => {
+  for (const [from, tos] of Object.entries(ORDER_TRANSITIONS)) {
+    assert.ok(ORDER_STATUSES.includes(from), from);
+    for (const to of tos) assert.ok(ORDER_STATUSES.includes(to), `${from} -> ${to}`);
+  }
+  assert.deepEqual(ORDER_TRANSITIONS.refunded, []);
+  assert.equal(canTransition("pending", "paid"), true);
+  assert.equal(canTransition("shipped", "cancelled"), false);
+  assert.equal(canTransition("delivered", "picking"), false);
+});
+
+test("orders from before statuses existed read as paid", () => {
+  assert.equal(statusOf({}), "paid");
+  assert.equal(wasPaid({ date: new Date() }), true);
+  const [entry] = timeline({ date: new Date("2024-01-02") });
+  assert.equal(entry.status, "paid");
+  assert.equal(entry.at.toISOString(), "2024-01-02T00:00:00.000Z");
+});
+
+test("customers may only cancel, and only before picking starts", () => {
+  assert.equal(transitionProblem(order("pending", ["pending"]), "cancelled", customer), null);
+  assert.equal(transitionProblem(order("paid", ["pending", "paid"]), "cancelled", customer), null);
+  assert.match(transitionProblem(order("picking"), "cancelled", customer), /can no longer be cancelled/);
+  assert.match(transitionProblem(order("paid"), "picking", customer), /Only the store/);
+  assert.match(transitionProblem(order("shipped"), "cancelled", staff), /cannot become cancelled/);
+});
+
+test("only a confirmed payment marks an order paid", () => {
+  assert.match(transitionProblem(order("pending", ["pending"]), "paid", staff), /payment provider confirms/);
+  assert.equal(transitionProblem(order("pending", ["pending"]), "paid", { kind: "system" }), null);
+});
+
+test("refunds need a payment", () => {
+  assert.match(transitionProblem(order("cancelled", ["pending", "cancelled"]), "refunded", staff), /never paid/);
+  assert.equal(transitionProblem(order("cancelled", ["pending", "paid", "cancelled"]), "refunded", staff), null);
+  assert.equal(transitionProblem(order("delivered", ["pending", "paid", "picking", "shipped", "delivered"]), "refunded", staff), null);
+  assert.match(transitionProblem(order("refunded", ["paid", "refunded"]), "refunded", staff), /already refunded/);
+  assert.match(transitionProblem(order("paid"), "lost", staff), /Unknown order status/);
+});
+
+test("historyEntry records who moved the order and trims notes", () => {
+  const at = new Date("2024-05-01T10:00:00Z");
+  assert.deepEqual(historyEntry("picking", staff, { note: "x".repeat(600), at }), {
+    status: "picking",
+    at,
+    actor: { kind: "staff", userId: "s1", label: "support" },
+    note: "x".repeat(500),
+  });
+  assert.equal(historyEntry("paid").actor.kind, "system");
+});
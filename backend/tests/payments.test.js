@@ -0,0 +1,104 @@
+// backend/tests/payments.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { signPayload, verifySignature } from "../payments/signature.js";
+
+process.env.SMART_ECOM_FIXTURES = "1";
+const { definePaymentProvider, getPaymentProvider } = await import("../payments/index.js");
+const { default: fake, SIGNATURE_HEADER, TEST_CARDS } = await import("../payments/fakeProvider.js");
+
+const uniqueKey = (name) => `${name}:${Date.now()}:${Math.random()}`;
+
+test("signatures cover the body and the timestamp", () => {
+  const now = Date.UTC(2024, 0, 1);
+  const t = now / 1000;
+  const header = signPayload("whsec", '{"a":1}', t);
+
+  assert.deepEqual(verifySignature("whsec", '{"a":1}', header, { now }), { ok: true });
+  assert.equal(verifySignature("whsec", '{"a":2}', header, { now }).reason, "bad_signature");
+  assert.equal(verifySignature("other", '{"a":1}', header, { now }).reason, "bad_signature");
+  assert.equal(verifySignature("whsec", '{"a":1}', header, { now: now + 10 * 60 * 1000 }).reason, "timestamp_out_of_range");
+  assert.equal(verifySignature("whsec", '{"a":1}', header.replace(`t=${t}`, `t=${t + 1}`), { now }).reason, "bad_signature");
+  assert.equal(verifySignature("whsec", '{"a":1}', "v1=abc", { now }).reason, "malformed_signature");
+  assert.equal(verifySignature("whsec", '{"a":1}', undefined, { now }).reason, "missing_signature");
+  assert.equal(verifySignature("", '{"a":1}', header, { now }).reason, "no_secret");
+});
+
+test("providers must implement the whole contract", () => {
+  assert.throws(() => definePaymentProvider({ id: "half", createIntent() {} }), /missing captureIntent/);
+  assert.equal(getPaymentProvider("FAKE").id, "fake");
+  assert.equal(getPaymentProvider("fake").capabilities.sandbox, true);
+});
+
+test("the same idempotency key never creates a second intent", async () => {
+  const idempotencyKey = uniqueKey("order");
+  const first = await fake.createIntent({ amountCents: 1250, currency: "USD", idempotencyKey });
+  const again = await fake.createIntent({ amountCents: 1250, currency: "USD", idempotencyKey });
+  assert.equal(again.intent.id, first.intent.id);
+  assert.equal(first.intent.status, "requires_confirmation");
+
+  await assert.rejects(fake.createIntent({ amountCents: 999, currency: "USD", idempotencyKey }), { code: "idempotency_mismatch" });
+  const other = await fake.createIntent({ amountCents: 1250, currency: "USD", idempotencyKey: uniqueKey("order") });
+  assert.notEqual(other.intent.id, first.intent.id);
+});
+
+test("confirming sends a signed payment.succeeded webhook", async () => {
+  const { intent } = await fake.createIntent({ amountCents: 500, idempotencyKey: uniqueKey("order") });
+  await assert.rejects(fake.confirmIntent(intent.id, { clientSecret: "nope" }), { code: "bad_client_secret" });
+
+  const confirmed = await fake.confirmIntent(intent.id, { clientSecret: intent.clientSecret });
+  assert.equal(confirmed.intent.status, "succeeded");
+  assert.equal(confirmed.webhooks.length, 1);
+
+  const [{ rawBody, headers }] = confirmed.webhooks;
+  const event = fake.verifyWebhook(rawBody, headers);
+  assert.equal(event.type, "payment.succeeded");
+  assert.equal(event.intentId, intent.id);
+  assert.equal(event.amountCents, 500);
+
+  const tampered = rawBody.replace('"amountCents":500', '"amountCents":5');
+  assert.throws(() => fake.verifyWebhook(tampered, headers), { code: "bad_signature" });
+  assert.throws(() => fake.verifyWebhook(rawBody, {}), { code: "bad_signature" });
+  assert.throws(() => fake.verifyWebhook(rawBody, { [SIGNATURE_HEADER]: signPayload("forged", rawBody) }), { code: "bad_signature" });
+
+  // Confirming again changes nothing and sends nothing.
+  const twice = await fake.confirmIntent(intent.id, { clientSecret: intent.clientSecret });
+  assert.equal(twice.webhooks.length, 0);
+});
+
+test("the declined test card fails the payment", async () => {
+  const { intent } = await fake.createIntent({ amountCents: 700, idempotencyKey: uniqueKey("order") });
+  const result = await fake.confirmIntent(intent.id, { clientSecret: intent.clientSecret, paymentMethod: TEST_CARDS.declined });
+  assert.equal(result.intent.status, "failed");
+
+  const event = fake.verifyWebhook(result.webhooks[0].rawBody, result.webhooks[0].headers);
+  assert.equal(event.type, "payment.failed");
+  assert.equal(event.reason, "card_declined");
+  await assert.rejects(fake.refund(intent.id), { code: "invalid_state" });
+});
+
+test("manual capture, then refunds up to what was paid", async () => {
+  const { intent } = await fake.createIntent({ amountCents: 1000, captureMethod: "manual", idempotencyKey: uniqueKey("order") });
+  const authorized = await fake.confirmIntent(intent.id, { clientSecret: intent.clientSecret });
+  assert.equal(authorized.intent.status, "requires_capture");
+  assert.equal(fake.verifyWebhook(authorized.webhooks[0].rawBody, authorized.webhooks[0].headers).type, "payment.authorized");
+
+  const captured = await fake.captureIntent(intent.id);
+  assert.equal(captured.intent.status, "succeeded");
+  await assert.rejects(fake.captureIntent(intent.id), { code: "invalid_state" });
+
+  const refundKey = uniqueKey("refund");
+  const partial = await fake.refund(intent.id, { amountCents: 400, idempotencyKey: refundKey });
+  const retried = await fake.refund(intent.id, { amountCents: 400, idempotencyKey: refundKey });
+  assert.equal(retried.refund.id, partial.refund.id);
+  assert.equal(retried.webhooks.length, 0);
+
+  const event = fake.verifyWebhook(partial.webhooks[0].rawBody, partial.webhooks[0].headers);
+  assert.equal(event.type, "refund.succeeded");
+  assert.equal(event.amountCents, 400);
+
+  await assert.rejects(fake.refund(intent.id, { amountCents: 700 }), { code: "invalid_amount" });
+  const rest = await fake.refund(intent.id);
+  assert.equal(rest.refund.amountCents, 600);
+});
@@ -0,0 +1,161 @@
+// backend/tests/priceWatch.test.js
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import {
+  OBSERVATION_DEDUPE_MS,
+  observationFromProduct,
+  dedupeObservations,
+  watchValue,
+  evaluateWatch,
+  sanitizeWatchInput,
+  summarizeHistory,
+  isPrivateAddress,
+  isAllowedWebhookUrl,
+} from "../controllers/priceWatch.js";
+import axios from "axios";
+import dns from "dns/promises";
+import webhookChannel, { resolveWebhookAddress } from "../notifications/webhookChannel.js";
+
+const at = new Date("2026-01-01T00:00:00Z");
+
+test("observationFromProduct: price, unit price per display unit, identity", () => {
+  const obs = observationFromProduct(
+    "kroger",
+    { upc: "0001", title: "Whole Milk", size: "1 gal", price: 3.84, locationId: "014" },
+    { observedAt: at }
+  );
+  assert.deepEqual(obs.meta, { retailer: "kroger", upc: "0001", locationId: "014" });
+  assert.equal(obs.price, 3.84);
+  assert.equal(obs.unitKind, "volume_floz");
+  assert.equal(obs.unitPrice, 0.03);
+  assert.equal(obs.observedAt, at);
+
+  const noSize = observationFromProduct("walmart", { _id: "wm_9", title: "Thing", price: 2 });
+  assert.equal(noSize.meta.upc, "wm_9");
+  assert.equal(noSize.unitPrice, null);
+
+  assert.equal(observationFromProduct("kroger", { upc: "1", price: 0 }), null);
+  assert.equal(observationFromProduct("kroger", { title: "no id", price: 2 }), null);
+});
+
+test("dedupeObservations: same price within the window is recorded once", () => {
+  const seen = new Map();
+  const obs = (price) => ({ meta: { retailer: "kroger", upc: "1", locationId: "" }, price });
+
+  assert.equal(dedupeObservations([obs(2), obs(2)], seen, 0).length, 1);
+  assert.equal(dedupeObservations([obs(2)], seen, 1000).length, 0);
+  assert.equal(dedupeObservations([obs(1.5)], seen, 2000).length, 1, "price change is recorded");
+  assert.equal(dedupeObservations([obs(1.5)], seen, 2000 + OBSERVATION_DEDUPE_MS).length, 1);
+});
+
+test("watchValue: unit watches need the same unit kind; price watches use shelf price", () => {
+  const obs = { price: 4, unitPrice: 0.25, unitKind: "weight_oz" };
+  assert.equal(watchValue({ basis: "unit", unitKind: "weight_oz" }, obs), 0.25);
+  assert.equal(watchValue({ basis: "unit", unitKind: "volume_floz" }, obs), null);
+  assert.equal(watchValue({ basis: "unit", unitKind: "weight_oz" }, { price: 4, unitPrice: null }), null);
+  assert.equal(watchValue({ basis: "price" }, obs), 4);
+});
+
+test("evaluateWatch: fires once below the threshold and re-arms above it", () => {
+  let watch = { basis: "price", threshold: 3, armed: true };
+  const step = (price) => {
+    const r = evaluateWatch(watch, { price });
+    watch = { ...watch, armed: r.armed };
+    return r.fire;
+  };
+
+  assert.equal(step(3.5), false);
+  assert.equal(step(2.99), true);
+  assert.equal(step(2.5), false, "still low: no second alert");
+  assert.equal(step(3), false, "back at threshold re-arms");
+  assert.equal(step(2.8), true);
+});
+
+test("sanitizeWatchInput: validation and partial updates", () => {
+  assert.deepEqual(sanitizeWatchInput({ upc: " 0001 ", threshold: "0.2" }).value, {
+    retailer: "kroger",
+    upc: "0001",
+    basis: "unit",
+    threshold: 0.2,
+    armed: true,
+  });
+  assert.equal(sanitizeWatchInput({ threshold: 1 }).error, "upc is required");
+  assert.match(sanitizeWatchInput({ upc: "1", threshold: -1 }).error, /threshold/);
+  assert.match(sanitizeWatchInput({ upc: "1", threshold: 1, basis: "weekly" }).error, /basis/);
+  assert.deepEqual(sanitizeWatchInput({ email: 1 }, { partial: true }).value, { email: true });
+});
+
+test("summarizeHistory: range, change and unit prices in one kind", () => {
+  assert.deepEqual(summarizeHistory([]), { count: 0 });
+
+  const s = summarizeHistory([
+    { observedAt: 1, price: 4.29, unitPrice: 0.27, unitKind: "weight_oz" },
+    { observedAt: 2, price: 3.99, unitPrice: 0.25, unitKind: "weight_oz" },
+    { observedAt: 3, price: 4.49, unitPrice: 0.28, unitKind: "weight_oz" },
+  ]);
+  assert.equal(s.count, 3);
+  assert.equal(s.min, 3.99);
+  assert.equal(s.max, 4.49);
+  assert.equal(s.change, 0.2);
+  assert.equal(s.minUnitPrice, 0.25);
+  assert.equal(s.latestUnitPrice, 0.28);
+
+  const mixed = summarizeHistory([
+    { observedAt: 1, price: 1, unitPrice: 0.1, unitKind: "weight_oz" },
+    { observedAt: 2, price: 1, unitPrice: 0.1, unitKind: "count" },
+  ]);
+  assert.equal(mixed.unitKind, undefined);
+});
+
+test("isAllowedWebhookUrl: public https only", () => {
+  assert.equal(isAllowedWebhookUrl("https://hooks.example.com/price"), true);
+  assert.equal(isAllowedWebhookUrl("http://hooks.example.com/price"), false);
+  assert.equal(isAllowedWebhookUrl("http://hooks.example.com/price", { allowHttp: true }), true);
+  assert.equal(isAllowedWebhookUrl("https://localhost/x"), false);
+  assert.equal(isAllowedWebhookUrl("https://127.0.0.1/x"), false);
+  assert.equal(isAllowedWebhookUrl("https://10.0.0.5/x"), false);
+  assert.equal(isAllowedWebhookUrl("https://169.254.169.254/latest"), false);
+  assert.equal(isAllowedWebhookUrl("https://user:pw@example.com/x"), false);
+  assert.equal(isAllowedWebhookUrl("not a url"), false);
+});
+
+test("isAllowedWebhookUrl: IPv6 literals, including IPv4-mapped ones", () => {
+  assert.equal(isAllowedWebhookUrl("https://[::ffff:7f00:1]/x"), false);
+  assert.equal(isAllowedWebhookUrl("https://[::ffff:127.0.0.1]/x"), false);
+  assert.equal(isAllowedWebhookUrl("https://[::ffff:a9fe:a9fe]/latest"), false, "169.254.169.254");
+  assert.equal(isAllowedWebhookUrl("https://[::1]/x"), false);
+  assert.equal(isAllowedWebhookUrl("https://[fe80::1]/x"), false);
+  assert.equal(isAllowedWebhookUrl("https://[2606:4700::1111]/x"), true);
+  assert.equal(isAllowedWebhookUrl("https://0x7f.1/x"), false, "URL parsing normalizes to 127.0.0.1");
+  assert.equal(isPrivateAddress("100.64.0.1"), true);
+  assert.equal(isPrivateAddress("93.184.216.34"), false);
+  assert.equal(isPrivateAddress("hooks.example.com"), false);
+});
+
+test("webhook delivery checks what the host resolves to", async (t) => {
+  t.after(() => mock.restoreAll());
+  const post = mock.method(axios, "post", async () => ({ status: 200 }));
+  const answers = {
+    "hooks.example.com": [{ address: "93.184.216.34", family: 4 }],
+    "rebind.example.com": [{ address: "10.0.0.7", family: 4 }],
+    "mixed.example.com": [
+      { address: "93.184.216.34", family: 4 },
+      { address: "::ffff:7f00:1", family: 6 },
+    ],
+    "empty.example.com": [],
+  };
+  mock.method(dns, "lookup", async (host) => answers[host]);
+
+  for (const host of ["rebind.example.com", "mixed.example.com", "empty.example.com"]) {
+    await assert.rejects(webhookChannel.deliver({ type: "price_drop" }, { url: `https://${host}/hook` }), /not allowed/, host);
+  }
+  assert.equal(post.mock.callCount(), 0);
+
+  assert.deepEqual(await resolveWebhookAddress("https://hooks.example.com/hook"), { address: "93.184.216.34", family: 4 });
+  await webhookChannel.deliver({ type: "price_drop", title: "Milk" }, { url: "https://hooks.example.com/hook" });
+  assert.equal(post.mock.callCount(), 1);
+
+  const { httpsAgent } = post.mock.calls[0].arguments[2];
+  const pinned = await new Promise((resolve) => httpsAgent.options.lookup("hooks.example.com", { all: true }, (err, list) => resolve(list)));
+  assert.deepEqual(pinned, [{ address: "93.184.216.34", family: 4 }], "connects to the checked address");
+});
@@ -0,0 +1,152 @@
+// backend/tests/rateLimit.test.js
+// Rate limit buckets and login lockout against the in-memory Redis.
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SMART_ECOM_FIXTURES = "1";
+const { hit, consume, lockoutMs, LOGIN_LOCKOUT, RATE_LIMITS, loginLockRemaining, recordLoginFailure, clearLoginFailures } =
+  await import("../config/rateLimit.js");
+const { rateLimit } = await import("../middleware/RateLimitMiddleware.js");
+
+function withClock(start) {
+  const realNow = Date.now;
+  let now = start;
+  Date.now = () => now;
+  return {
+    advance: (ms) => {
+      now += ms;
+    },
+    restore: () => {
+      Date.now = realNow;
+    },
+  };
+}
+
+test("hit: counts within a fixed window and resets after it", async () => {
+  const clock = withClock(1_000_000);
+  try {
+    const opts = { limit: 2, windowMs: 60_000 };
+    assert.equal((await hit("rl:test:a", opts)).allowed, true);
+    assert.equal((await hit("rl:test:a", opts)).remaining, 0);
+
+    const blocked = await hit("rl:test:a", opts);
+    assert.equal(blocked.allowed, false);
+    assert.equal(blocked.retryAfterMs, 60_000);
+
+    clock.advance(30_000);
+    assert.equal((await hit("rl:test:a", opts)).retryAfterMs, 30_000);
+
+    clock.advance(30_001);
+    assert.equal((await hit("rl:test:a", opts)).allowed, true);
+  } finally {
+    clock.restore();
+  }
+});
+
+test("consume: user and IP buckets are separate; dry runs don't count", async () => {
+  const { perUser, perIp } = RATE_LIMITS.meal_plan;
+  for (let i = 0; i < perUser; i++) {
+    assert.equal((await consume("meal_plan", { ip: "10.0.0.1", userId: "u1" })).allowed, true);
+  }
+
+  const dry = await consume("meal_plan", { ip: "10.0.0.1", userId: "u1" }, { dryRun: true });
+  assert.equal(dry.allowed, false);
+  assert.equal(dry.scope, "user");
+
+  const blocked = await consume("meal_plan", { ip: "10.0.0.1", userId: "u1" });
+  assert.equal(blocked.allowed, false);
+  assert.equal(blocked.scope, "user");
+  assert.ok(blocked.retryAfterMs > 0);
+
+  // Another user on the same IP still has the IP's remaining budget.
+  const other = await consume("meal_plan", { ip: "10.0.0.1", userId: "u2" });
+  assert.equal(other.allowed, true);
+  assert.ok(perIp > perUser);
+
+  // Dry runs on a fresh subject leave it untouched.
+  await consume("meal_plan", { ip: "10.0.0.9" }, { dryRun: true });
+  assert.equal((await consume("meal_plan", { ip: "10.0.0.9" })).remaining, perIp - 1);
+
+  await assert.rejects(consume("nope", { ip: "1.1.1.1" }), /Unknown rate limit policy/);
+});
+
+test("lockoutMs: none below the threshold, then doubling up to the cap", () => {
+  const rule = { threshold: 5, baseMs: 60_000, maxMs: 3_600_000 };
+  assert.equal(lockoutMs(4, rule), 0);
+  assert.equal(lockoutMs(5, rule), 60_000);
+  assert.equal(lockoutMs(6, rule), 120_000);
+  assert.equal(lockoutMs(8, rule), 480_000);
+  assert.equal(lockoutMs(50, rule), 3_600_000);
+});
+
+test("login lockout: per email, case-insensitive, cleared by a good login", async () => {
+  const clock = withClock(5_000_000);
+  try {
+    const subject = { email: "Victim@Example.com", ip: "10.1.0.1" };
+    const { threshold, baseMs } = LOGIN_LOCKOUT.email;
+
+    for (let i = 1; i < threshold; i++) assert.equal(await recordLoginFailure(subject), 0);
+    assert.equal(await loginLockRemaining(subject), 0);
+
+    assert.equal(await recordLoginFailure(subject), baseMs);
+    // Other IPs are locked out of the same account too.
+    assert.equal(await loginLockRemaining({ email: "victim@example.com", ip: "10.9.9.9" }), baseMs);
+
+    clock.advance(baseMs);
+    assert.equal(await loginLockRemaining(subject), 0);
+    assert.equal(await recordLoginFailure(subject), baseMs * 2);
+
+    await clearLoginFailures(subject);
+    assert.equal(await loginLockRemaining({ email: subject.email }), 0);
+    assert.equal(await recordLoginFailure({ email: subject.email }), 0);
+  } finally {
+    clock.restore();
+  }
+});
+
+test("login lockout: one IP trying many accounts gets locked", async () => {
+  const ip = "10.2.0.1";
+  let locked = 0;
+  for (let i = 0; i < LOGIN_LOCKOUT.ip.threshold; i++) {
+    locked = await recordLoginFailure({ email: `user${i}@example.com`, ip });
+  }
+  assert.equal(locked, LOGIN_LOCKOUT.ip.baseMs);
+  assert.ok((await loginLockRemaining({ email: "fresh@example.com", ip })) > 0);
+});
+
+test("rateLimit middleware: 429 with Retry-After once the budget is spent", async () => {
+  const run = async (req) => {
+    const headers = {};
+    const res = {
+      statusCode: 200,
+      body: null,
+      set(name, value) {
+        headers[name] = value;
+        return this;
+      },
+      status(code) {
+        this.statusCode = code;
+        return this;
+      },
+      json(body) {
+        this.body = body;
+        return this;
+      },
+    };
+    let nextCalled = false;
+    await rateLimit("signup")(req, res, () => {
+      nextCalled = true;
+    });
+    return { res, headers, nextCalled };
+  };
+
+  const req = { ip: "10.3.0.1" };
+  for (let i = 0; i < RATE_LIMITS.signup.perIp; i++) assert.equal((await run(req)).nextCalled, true);
+
+  const { res, headers, nextCalled } = await run(req);
+  assert.equal(nextCalled, false);
+  assert.equal(res.statusCode, 429);
+  assert.equal(headers["Retry-After"], String(res.body.retryAfter));
+  assert.ok(res.body.retryAfter > 0 && res.body.retryAfter <= RATE_LIMITS.signup.windowS);
+  assert.match(res.body.error, /Try again in \d+ minutes/);
+});
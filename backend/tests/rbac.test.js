@@ -0,0 +1,79 @@
+// backend/tests/rbac.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+import { ROLES, PERMISSIONS, hasPermission, permissionsFor, isRole } from "../config/roles.js";
+import { auditSnapshot, changedFields } from "../controllers/auditLog.js";
+
+// The middleware module pulls in Redis; use the in-memory one.
+process.env.SMART_ECOM_FIXTURES = "1";
+const { requirePermission } = await import("../middleware/AuthMiddleware.js");
+
+function run(middleware, user) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  let nextCalled = false;
+  middleware({ user }, res, () => {
+    nextCalled = true;
+  });
+  return { res, nextCalled };
+}
+
+test("roles: catalog writes are limited to catalog_admin and superadmin", () => {
+  const writers = ROLES.filter((r) => hasPermission(r, PERMISSIONS.CATALOG_WRITE));
+  assert.deepEqual(writers.sort(), ["catalog_admin", "superadmin"]);
+
+  assert.equal(hasPermission("customer", PERMISSIONS.ADMIN_LOGIN), false);
+  assert.equal(hasPermission("support", PERMISSIONS.AUDIT_READ), true);
+  assert.equal(hasPermission("support", PERMISSIONS.CATALOG_WRITE), false);
+  assert.equal(hasPermission("catalog_admin", PERMISSIONS.INVENTORY_MANAGE), true);
+  assert.equal(hasPermission("support", PERMISSIONS.INVENTORY_MANAGE), false);
+  assert.equal(hasPermission(undefined, PERMISSIONS.CATALOG_WRITE), false, "pre-role users get nothing");
+  assert.deepEqual(permissionsFor("superadmin").sort(), Object.values(PERMISSIONS).sort());
+  assert.equal(isRole("root"), false);
+});
+
+test("requirePermission: 401 without a user, 403 without the permission", () => {
+  const mw = requirePermission(PERMISSIONS.CATALOG_WRITE);
+
+  assert.equal(run(mw, null).res.statusCode, 401);
+
+  const denied = run(mw, { role: "support" });
+  assert.equal(denied.nextCalled, false);
+  assert.equal(denied.res.statusCode, 403);
+  assert.deepEqual(denied.res.body.missing, [PERMISSIONS.CATALOG_WRITE]);
+
+  assert.equal(run(mw, { role: "catalog_admin" }).nextCalled, true);
+});
+
+test("audit snapshots: plain JSON without secrets, diffed by top-level field", () => {
+  const before = auditSnapshot({
+    _id: "p1",
+    title: "Milk",
+    price: 3.49,
+    __v: 0,
+    updatedAt: new Date(0),
+    toObject() {
+      const { toObject, ...rest } = this;
+      return rest;
+    },
+  });
+  assert.deepEqual(before, { _id: "p1", title: "Milk", price: 3.49, updatedAt: "1970-01-01T00:00:00.000Z" });
+  assert.equal(auditSnapshot({ email: "a@b.c", password: "hash" }).password, undefined);
+  assert.equal(auditSnapshot(null), null);
+
+  const after = { ...before, price: 2.99, updatedAt: "2026-01-01T00:00:00.000Z", category: "dairy" };
+  assert.deepEqual(changedFields(before, after), ["category", "price"]);
+  assert.deepEqual(changedFields(null, { title: "x" }), ["title"]);
+  assert.deepEqual(changedFields(before, null), ["_id", "price", "title"]);
+});
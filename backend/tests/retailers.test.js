@@ -0,0 +1,100 @@
+// backend/tests/retailers.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+
+process.env.SMART_ECOM_FIXTURES = "1";
+const {
+  defineRetailerAdapter,
+  registerRetailer,
+  getRetailer,
+  listRetailers,
+  getEnabledRetailers,
+  getPrimaryRetailer,
+  getSecondaryRetailers,
+} = await import("../retailers/index.js");
+const { buildFinalPayload } = await import("../controllers/KrogerController.js");
+
+// A regional grocer, registered the way a new adapter file would.
+const regional = {
+  id: "HEB",
+  label: "H-E-B",
+  search: async () => [],
+  candidateTitle: (raw) => raw?.name || "",
+  normalize: (raw) => ({ ...raw, retailer: "heb" }),
+  sizeTexts: (product) => [product?.size, product?.title].filter(Boolean),
+};
+
+const withRetailersEnv = (value, fn) => {
+  const before = process.env.SMART_ECOM_RETAILERS;
+  process.env.SMART_ECOM_RETAILERS = value;
+  try {
+    return fn();
+  } finally {
+    if (before === undefined) delete process.env.SMART_ECOM_RETAILERS;
+    else process.env.SMART_ECOM_RETAILERS = before;
+  }
+};
+
+test("adapters must implement the whole contract", () => {
+  assert.throws(() => defineRetailerAdapter(null), /must be an object/);
+  assert.throws(() => defineRetailerAdapter({ search() {} }), /missing a string id/);
+  assert.throws(() => defineRetailerAdapter({ ...regional, sizeTexts: undefined }), /missing sizeTexts\(\)/);
+
+  const { label, ...unlabelled } = regional;
+  const def = defineRetailerAdapter({ ...unlabelled, capabilities: { cart: true } });
+  assert.equal(def.label, "HEB", "label falls back to the id");
+  assert.deepEqual(def.capabilities, { cart: true, locationScoped: false });
+});
+
+test("getRetailer ignores case and unknown ids", () => {
+  assert.equal(getRetailer("KROGER").id, "kroger");
+  assert.equal(getRetailer("Walmart").label, "Walmart");
+  assert.equal(getRetailer("nope"), null);
+  assert.equal(getRetailer(undefined), null);
+  assert.equal(getPrimaryRetailer().id, "kroger");
+});
+
+test("a registered grocer joins the fan-out", () => {
+  registerRetailer(regional);
+
+  assert.equal(getRetailer("heb").label, "H-E-B", "mixed-case ids are found by their lowercase form");
+  assert.equal(getRetailer("HEB").label, "H-E-B");
+  assert.deepEqual(listRetailers().map((r) => r.id), ["kroger", "walmart", "HEB"]);
+
+  withRetailersEnv("", () => {
+    assert.deepEqual(getSecondaryRetailers().map((r) => r.id), ["walmart", "HEB"]);
+  });
+  withRetailersEnv("heb, kroger, unknown", () => {
+    assert.deepEqual(getEnabledRetailers().map((r) => r.id), ["HEB", "kroger"]);
+    assert.deepEqual(getSecondaryRetailers().map((r) => r.id), ["HEB"]);
+  });
+});
+
+test("buildFinalPayload keys every retailer's results by its id", () => {
+  registerRetailer({ ...regional, id: "heb" });
+
+  const kroger = {
+    dishName: "Pancakes",
+    ingredients: ["milk", "flour"],
+    ingredientAmounts: {},
+    products: [{ _id: "k1", title: "Kroger Milk", price: 2.5 }],
+    matchedInKroger: ["milk"],
+    krogerMatchedByIngredient: { milk: [{ _id: "k1", title: "Kroger Milk", price: 2.5 }] },
+  };
+  const retailerResults = {
+    walmart: { products: [], matched: [], byIngredient: {} },
+    heb: {
+      products: [{ _id: "h1", title: "H-E-B Flour", price: 3 }],
+      matched: ["flour"],
+      byIngredient: { flour: [{ _id: "h1", title: "H-E-B Flour", price: 3 }] },
+    },
+  };
+
+  const payload = buildFinalPayload(kroger, retailerResults, { budgetSearch: false });
+  assert.deepEqual(Object.keys(payload.byRetailer), ["kroger", "walmart", "heb"]);
+  assert.equal(payload.byRetailer.heb.label, "H-E-B");
+  assert.deepEqual(payload.byRetailer.heb.matched, ["flour"]);
+  assert.deepEqual(payload.matchedInKroger, ["milk"], "legacy fields still come from Kroger");
+  assert.deepEqual(payload.walmartProducts, []);
+  assert.deepEqual(payload.unmatchedIngredients, ["flour"], "only the primary retailer decides what is unmatched");
+});
@@ -0,0 +1,114 @@
+// backend/tests/sessions.test.js
+// Token and ticket rules; runs against the in-memory Redis (no Mongo needed).
+import test, { mock } from "node:test";
+import assert from "node:assert/strict";
+import jwt from "jsonwebtoken";
+
+process.env.SMART_ECOM_FIXTURES = "1";
+process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+const {
+  ROTATION_GRACE_MS,
+  SSE_TICKET_TTL_S,
+  hashToken,
+  signAccessToken,
+  parseRefreshToken,
+  checkRefreshToken,
+  mintSseTicket,
+  redeemSseTicket,
+} = await import("../config/sessions.js");
+const { default: AuthController } = await import("../controllers/AuthController.js");
+const { default: User } = await import("../models/User.js");
+const { default: Session } = await import("../models/Session.js");
+
+const SID = "64b0000000000000000000aa";
+const token = (secret = "s".repeat(43)) => `${SID}.${secret}`;
+
+test("signAccessToken: short-lived and bound to the session", () => {
+  const access = signAccessToken({ _id: "u1", email: "a@b.c", username: "ann" }, SID);
+  const decoded = jwt.verify(access, process.env.JWT_SECRET);
+  assert.equal(decoded.id, "u1");
+  assert.equal(decoded.sid, SID);
+  assert.ok(decoded.exp - decoded.iat <= 15 * 60);
+});
+
+test("parseRefreshToken: session id + secret, nothing else", () => {
+  assert.deepEqual(parseRefreshToken(token()), { sessionId: SID, secret: "s".repeat(43) });
+  assert.equal(parseRefreshToken(`${SID}.short`), null);
+  assert.equal(parseRefreshToken(`not-an-id.${"s".repeat(43)}`), null);
+  assert.equal(parseRefreshToken(`${token()}.extra`), null);
+  assert.equal(parseRefreshToken(undefined), null);
+});
+
+test("checkRefreshToken: current, rotated, replayed, revoked, expired", () => {
+  const now = Date.now();
+  const current = token("c".repeat(43));
+  const previous = token("p".repeat(43));
+  const session = {
+    tokenHash: hashToken(current),
+    previousTokenHash: hashToken(previous),
+    rotatedAt: new Date(now - 1000),
+    expiresAt: new Date(now + 60_000),
+    revokedAt: null,
+  };
+
+  assert.equal(checkRefreshToken(session, current, now), "ok");
+  assert.equal(checkRefreshToken(session, previous, now), "stale", "concurrent refresh from another tab");
+  assert.equal(checkRefreshToken(session, previous, now + ROTATION_GRACE_MS + 1000), "reused");
+  assert.equal(checkRefreshToken(session, token("x".repeat(43)), now), "invalid");
+  assert.equal(checkRefreshToken({ ...session, revokedAt: new Date() }, current, now), "revoked");
+  assert.equal(checkRefreshToken({ ...session, expiresAt: new Date(now - 1) }, current, now), "expired");
+  assert.equal(checkRefreshToken(null, current, now), "invalid");
+});
+
+test("SSE tickets: single use, purpose-bound, short-lived", async () => {
+  const t = await mintSseTicket({ userId: "u1", sessionId: SID, purpose: "search" });
+  assert.deepEqual(await redeemSseTicket(t, "search"), { userId: "u1", sessionId: SID, purpose: "search" });
+  assert.equal(await redeemSseTicket(t, "search"), null);
+
+  const cart = await mintSseTicket({ userId: "u1", purpose: "cart_add" });
+  assert.equal(await redeemSseTicket(cart, "search"), null, "wrong purpose");
+  assert.equal(await redeemSseTicket(cart, "cart_add"), null, "a misused ticket is spent");
+
+  const late = await mintSseTicket({ userId: "u1", purpose: "kroger_login" });
+  const realNow = Date.now;
+  Date.now = () => realNow() + (SSE_TICKET_TTL_S + 1) * 1000;
+  try {
+    assert.equal(await redeemSseTicket(late, "kroger_login"), null);
+  } finally {
+    Date.now = realNow;
+  }
+
+  await assert.rejects(mintSseTicket({ userId: "u1", purpose: "admin" }), /Unknown ticket purpose/);
+  assert.equal(await redeemSseTicket("../etc", "search"), null);
+});
+
+test("signup: a user that failed to save gets no session", async () => {
+  const created = [];
+  mock.method(User, "findOne", async () => null);
+  mock.method(Session, "create", async (doc) => created.push(doc));
+  const duplicate = Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+  const save = mock.method(User.prototype, "save", async () => {
+    throw duplicate;
+  });
+
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    },
+  };
+  try {
+    await AuthController.signup({ body: { username: "ann", email: "ann@example.com", password: "pw" }, get: () => "" }, res);
+  } finally {
+    mock.restoreAll();
+  }
+
+  assert.equal(save.mock.callCount(), 1);
+  assert.equal(res.statusCode, 409, "the duplicate-email race is a conflict, not a success");
+  assert.equal(res.body.token, undefined);
+  assert.deepEqual(created, []);
+});
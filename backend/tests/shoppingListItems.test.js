@@ -0,0 +1,116 @@
+// backend/tests/shoppingListItems.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_LIST_ITEMS,
+  sanitizeListItems,
+  sanitizeListFields,
+  itemsFromSearchPayload,
+  listItemKey,
+  applyFreshPrices,
+  listTotal,
+  krogerCartItems,
+} from "../controllers/shoppingListItems.js";
+import { MAX_PACKAGES_PER_ITEM } from "../controllers/cartPlan.js";
+
+test("sanitizeListItems: drops lines without an ingredient and coerces the rest", () => {
+  const out = sanitizeListItems([
+    { ingredient: "  tofu ", upc: "222", price: "2.29", quantity: "3", retailer: "KROGER" },
+    { ingredient: "", upc: "999" },
+    { ingredient: "salt", amount: -1, unit: "tsp", quantity: 0, price: "abc" },
+    { ingredient: "rice", quantity: 500 },
+    null,
+  ]);
+  assert.equal(out.length, 3);
+  assert.equal(out[0].ingredient, "tofu");
+  assert.equal(out[0].retailer, "kroger");
+  assert.equal(out[0].price, 2.29);
+  assert.equal(out[0].quantity, 3);
+  assert.equal(out[1].amount, null);
+  assert.equal(out[1].unit, "");
+  assert.equal(out[1].quantity, 1);
+  assert.equal(out[1].price, 0);
+  assert.equal(out[2].quantity, MAX_PACKAGES_PER_ITEM);
+
+  const many = Array.from({ length: MAX_LIST_ITEMS + 5 }, (_, i) => ({ ingredient: `i${i}` }));
+  assert.equal(sanitizeListItems(many).length, MAX_LIST_ITEMS);
+});
+
+test("sanitizeListFields: only returns keys present in the body", () => {
+  assert.deepEqual(sanitizeListFields({ name: " Weeknight " }), { name: "Weeknight" });
+  assert.deepEqual(sanitizeListFields({ servings: "6" }), { servings: 6 });
+  assert.deepEqual(sanitizeListFields({ meals: 0, budgetSearch: 1 }), { meals: 1, budgetSearch: true });
+  assert.deepEqual(sanitizeListFields({ dishes: ["a", "", 3] }), { dishes: ["a", "3"] });
+});
+
+test("itemsFromSearchPayload: first matching retailer and recipe-sized quantity", () => {
+  const payload = {
+    ingredients: ["tofu", "soy sauce", "sichuan peppercorn"],
+    ingredientAmounts: { tofu: { amount: 28, unit: "oz" } },
+    byRetailer: {
+      kroger: {
+        id: "kroger",
+        byIngredient: {
+          tofu: [{ _id: "p1", upc: "222", title: "Firm Tofu", size: "14 oz", price: 2.29 }],
+        },
+      },
+      walmart: {
+        id: "walmart",
+        byIngredient: {
+          "soy sauce": [{ _id: "w1", title: "Soy Sauce", price: 3.1, url: "https://example.com/w1" }],
+        },
+      },
+    },
+    cartEstimate: {
+      byRetailer: { kroger: { lines: [{ ingredient: "tofu", upc: "222", quantity: 2 }] } },
+    },
+  };
+
+  const items = itemsFromSearchPayload(payload);
+  assert.deepEqual(
+    items.map((it) => [it.ingredient, it.retailer, it.upc || it.productId, it.quantity, it.available]),
+    [
+      ["tofu", "kroger", "222", 2, true],
+      ["soy sauce", "walmart", "w1", 1, true],
+      ["sichuan peppercorn", "kroger", "", 1, false],
+    ]
+  );
+  assert.equal(items[0].amount, 28);
+  assert.equal(items[0].unit, "oz");
+});
+
+test("applyFreshPrices: updates prices, flags products that disappeared, reports changes", () => {
+  const items = [
+    { ingredient: "tofu", retailer: "kroger", upc: "222", title: "Firm Tofu", price: 2.29, quantity: 2 },
+    { ingredient: "pork", retailer: "kroger", upc: "333", title: "Ground Pork", price: 4.99, quantity: 1 },
+    { ingredient: "rice", retailer: "kroger", upc: "444", title: "Rice", price: 3.0, quantity: 1 },
+    { ingredient: "salt", retailer: "kroger", upc: "", title: "", price: 0, quantity: 1 },
+  ];
+  const fresh = new Map([
+    [listItemKey(items[0]), { upc: "222", title: "Firm Tofu", price: 2.49 }],
+    [listItemKey(items[1]), null],
+    [listItemKey(items[2]), { upc: "444", title: "Rice", price: 3.0 }],
+  ]);
+
+  const { items: next, changes } = applyFreshPrices(items, fresh);
+  assert.equal(next[0].price, 2.49);
+  assert.equal(next[1].available, false);
+  assert.equal(next[1].price, 4.99);
+  assert.deepEqual(changes, [
+    { ingredient: "tofu", title: "Firm Tofu", from: 2.29, to: 2.49 },
+    { ingredient: "pork", title: "Ground Pork", from: 4.99, to: null },
+  ]);
+  assert.equal(items[0].price, 2.29, "input is not mutated");
+
+  assert.equal(listTotal(next), Math.round((2.49 * 2 + 3.0) * 100) / 100);
+});
+
+test("krogerCartItems: Kroger lines with a UPC that are still available", () => {
+  const out = krogerCartItems([
+    { ingredient: "tofu", retailer: "kroger", upc: "222", quantity: 2, title: "Tofu" },
+    { ingredient: "pork", retailer: "kroger", upc: "333", quantity: 1, available: false },
+    { ingredient: "soy sauce", retailer: "walmart", productId: "w1", quantity: 1 },
+    { ingredient: "salt", retailer: "kroger", upc: "", quantity: 1 },
+  ]);
+  assert.deepEqual(out, [{ upc: "222", quantity: 2, ingredient: "tofu", title: "Tofu" }]);
+});
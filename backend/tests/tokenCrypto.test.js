@@ -0,0 +1,127 @@
+// backend/tests/tokenCrypto.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+import { envKeyProvider, fileKeyProvider, generateKey, setKeyProvider } from "../config/keyProviders.js";
+import {
+  isEncrypted,
+  keyIdOf,
+  encryptSecret,
+  decryptSecret,
+  needsReencryption,
+  reencryptSecret,
+  reencryptFields,
+} from "../config/tokenCrypto.js";
+import User from "../models/User.js";
+
+const K1 = generateKey();
+const K2 = generateKey();
+
+test("encryptSecret: round-trips, fresh ciphertext per call, plaintext passes through", () => {
+  const provider = envKeyProvider({ TOKEN_ENCRYPTION_KEY: K1, TOKEN_ENCRYPTION_KEY_ID: "k1" });
+  const a = encryptSecret("refresh-123", provider);
+  const b = encryptSecret("refresh-123", provider);
+
+  assert.ok(isEncrypted(a));
+  assert.notEqual(a, b);
+  assert.equal(keyIdOf(a), "k1");
+  assert.ok(!a.includes("refresh-123"));
+  assert.equal(decryptSecret(a, provider), "refresh-123");
+
+  assert.equal(encryptSecret(a, provider), a, "already encrypted values are left alone");
+  assert.equal(decryptSecret("legacy-plain", provider), "legacy-plain");
+  assert.equal(encryptSecret(undefined, provider), undefined);
+  assert.equal(encryptSecret("", provider), "");
+});
+
+test("decryptSecret: rejects tampering and unknown keys", () => {
+  const provider = envKeyProvider({ TOKEN_ENCRYPTION_KEY: K1, TOKEN_ENCRYPTION_KEY_ID: "k1" });
+  const enc = encryptSecret("token", provider);
+
+  const parts = enc.split(":");
+  const payload = Buffer.from(parts[4], "base64url");
+  payload[payload.length - 1] ^= 1;
+  parts[4] = payload.toString("base64url");
+  assert.throws(() => decryptSecret(parts.join(":"), provider));
+
+  const other = envKeyProvider({ TOKEN_ENCRYPTION_KEY: K2, TOKEN_ENCRYPTION_KEY_ID: "k2" });
+  assert.throws(() => decryptSecret(enc, other), /Unknown token key "k1"/);
+});
+
+test("rotation: old keys still decrypt, re-encryption moves values to the active key", () => {
+  const before = envKeyProvider({ TOKEN_ENCRYPTION_KEY: K1, TOKEN_ENCRYPTION_KEY_ID: "k1" });
+  const enc = encryptSecret("token", before);
+
+  const after = envKeyProvider({
+    TOKEN_ENCRYPTION_KEY: K2,
+    TOKEN_ENCRYPTION_KEY_ID: "k2",
+    TOKEN_ENCRYPTION_OLD_KEYS: `k1:${K1}`,
+  });
+  assert.equal(decryptSecret(enc, after), "token");
+  assert.equal(needsReencryption(enc, after), true);
+
+  const moved = reencryptSecret(enc, after);
+  assert.equal(keyIdOf(moved), "k2");
+  assert.equal(decryptSecret(moved, after), "token");
+  assert.equal(needsReencryption(moved, after), false);
+  assert.equal(reencryptSecret(moved, after), moved);
+
+  const $set = reencryptFields(
+    { kroger: { accessToken: enc, refreshToken: "plain-refresh" } },
+    ["kroger.accessToken", "kroger.refreshToken", "missing.path"],
+    after
+  );
+  assert.deepEqual(Object.keys($set).sort(), ["kroger.accessToken", "kroger.refreshToken"]);
+  assert.equal(decryptSecret($set["kroger.refreshToken"], after), "plain-refresh");
+  assert.deepEqual(reencryptFields({ kroger: { accessToken: moved } }, ["kroger.accessToken"], after), {});
+});
+
+test("fileKeyProvider: reads the keyring and validates it", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "keyring-"));
+  const file = path.join(dir, "keyring.json");
+  try {
+    fs.writeFileSync(file, JSON.stringify({ active: "2026-10", keys: { "2026-09": K1, "2026-10": K2 } }));
+    const provider = fileKeyProvider(file);
+    assert.equal(provider.activeKey().id, "2026-10");
+    assert.equal(keyIdOf(encryptSecret("x", provider)), "2026-10");
+    assert.ok(provider.getKey("2026-09"));
+
+    fs.writeFileSync(file, JSON.stringify({ active: "nope", keys: { "2026-09": K1 } }));
+    assert.throws(() => fileKeyProvider(file), /not in the keyring/);
+
+    fs.writeFileSync(file, JSON.stringify({ active: "short", keys: { short: "abcd" } }));
+    assert.throws(() => fileKeyProvider(file), /32 bytes/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("envKeyProvider: requires a key in production", () => {
+  assert.throws(() => envKeyProvider({ NODE_ENV: "production" }), /TOKEN_ENCRYPTION_KEY/);
+  assert.equal(envKeyProvider({ JWT_SECRET: "s" }).activeKey().id, "dev");
+});
+
+test("User model: Kroger tokens are stored encrypted and read back as plaintext", () => {
+  setKeyProvider(envKeyProvider({ TOKEN_ENCRYPTION_KEY: K1, TOKEN_ENCRYPTION_KEY_ID: "k1" }));
+  try {
+    const user = new User({ username: "u", email: "u@example.com", password: "pw" });
+    user.kroger.accessToken = "access-abc";
+    user.kroger.refreshToken = "refresh-abc";
+
+    assert.equal(user.kroger.accessToken, "access-abc");
+    assert.equal(user.kroger.refreshToken, "refresh-abc");
+
+    const stored = user.toObject({ getters: false });
+    assert.ok(isEncrypted(stored.kroger.accessToken));
+    assert.ok(isEncrypted(stored.kroger.refreshToken));
+
+    // A key that left the keyring reads as "not connected" instead of throwing.
+    setKeyProvider(envKeyProvider({ TOKEN_ENCRYPTION_KEY: K2, TOKEN_ENCRYPTION_KEY_ID: "k2" }));
+    assert.equal(user.kroger.accessToken, undefined);
+  } finally {
+    setKeyProvider(null);
+  }
+});
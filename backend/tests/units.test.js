@@ -0,0 +1,132 @@
+// backend/tests/units.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseQuantity,
+  convertQuantity,
+  commonDimension,
+  toDisplayQuantity,
+  findGroceryProfile,
+} from "../units/index.js";
+
+const close = (actual, expected, msg, eps = 1e-6) =>
+  assert.ok(Math.abs(actual - expected) < eps, `${msg}: expected ${expected}, got ${actual}`);
+
+test("parseQuantity: units the old parser could not read", async (t) => {
+  const cases = [
+    // [text, dimension, unit, base qty]
+    ["Kroger® Grade A Large Eggs 1 Dozen", "count", "dozen", 12],
+    ["Eggland's Best Large Eggs, 2 dozen", "count", "dozen", 24],
+    ["Great Value Large White Eggs, Dozen", "count", "dozen", 12],
+    ["Kroger® Whole Milk 1 gal", "volume", "gal", 3785.411784],
+    ["Simple Truth Organic® 2% Milk Half Gallon", "volume", "gal", 1892.705892],
+    ["Heavy Whipping Cream 1 qt", "volume", "qt", 946.352946],
+    ["Half & Half 1 pt", "volume", "pt", 473.176473],
+    ["Green Top Red Radishes 1 Bunch", "count", "bunch", 1],
+    ["Cilantro Bunch", "count", "bunch", 1],
+    ["Fresh Large Lemon - Each", "count", "each", 1],
+    ["Reynolds Wrap Aluminum Foil, 75 sq ft", "area", "sq_ft", 75],
+    ["Parchment Paper 45 square feet", "area", "sq_ft", 45],
+    ["Royal Basmati Rice - 5 lbs", "mass", "lb", 5 * 453.59237],
+    ["Gold Medal Flour 5 pounds", "mass", "lb", 5 * 453.59237],
+    ["Pure Vanilla Extract 2 fl. oz", "volume", "fl_oz", 2 * 29.5735295625],
+    ["Ground Cumin 1 1/2 oz", "mass", "oz", 1.5 * 28.349523125],
+  ];
+
+  for (const [text, dimension, unit, qty] of cases) {
+    await t.test(text, () => {
+      const q = parseQuantity(text);
+      assert.ok(q, "expected a parsed quantity");
+      assert.equal(q.dimension, dimension);
+      assert.equal(q.unit, unit);
+      close(q.qty, qty, text);
+    });
+  }
+});
+
+test("parseQuantity: per-lb produce", async (t) => {
+  for (const text of ["Bananas $0.59/lb", "Roma Tomatoes, per lb", "Sold by weight", "Russet Potatoes by the pound"]) {
+    await t.test(text, () => {
+      const q = parseQuantity(text);
+      assert.equal(q.dimension, "mass");
+      assert.equal(q.unit, "lb");
+      assert.equal(q.perUnit, true);
+      close(q.qty, 453.59237, text);
+    });
+  }
+});
+
+test("parseQuantity: packs multiply the per-item measure", async (t) => {
+  const cases = [
+    ["(12 pack) Canada Dry Ginger Ale 10 fl oz", "volume", 120 * 29.5735295625],
+    ["Hunt's Tomato Sauce (16 oz, 2-Pack)", "mass", 32 * 28.349523125],
+    ["Pack of 6, Kikkoman Soy Sauce 5 fl oz", "volume", 30 * 29.5735295625],
+    ["6 x 12 fl oz", "volume", 72 * 29.5735295625],
+    ["Sparkling Water 12 pack", "count", 12],
+  ];
+  for (const [text, dimension, qty] of cases) {
+    await t.test(text, () => {
+      const q = parseQuantity(text);
+      assert.equal(q.dimension, dimension);
+      close(q.qty, qty, text);
+    });
+  }
+});
+
+test("parseQuantity: does not read units out of ordinary words", () => {
+  for (const text of [
+    "Kroger® 80/20 Ground Beef",
+    "12 Large Grade A",
+    "Simple Truth Organic® Garlic Bulbs",
+    "Head & Shoulders Shampoo",
+    "",
+  ]) {
+    assert.equal(parseQuantity(text), null, text);
+  }
+});
+
+test("convertQuantity: same dimension, density and per-item weight", () => {
+  const gal = parseQuantity("1 gal");
+  const milk = findGroceryProfile("whole milk");
+  close(convertQuantity(gal, "volume"), 3785.411784, "gal -> ml");
+  close(convertQuantity(gal, "mass", milk), 3785.411784 * 1.03, "gal milk -> g");
+  assert.equal(convertQuantity(gal, "mass"), null);
+
+  const dozen = parseQuantity("1 dozen");
+  const egg = findGroceryProfile("large eggs");
+  close(convertQuantity(dozen, "mass", egg), 600, "dozen eggs -> g");
+  close(convertQuantity(parseQuantity("600 g"), "count", egg), 12, "600 g eggs -> each");
+
+  const bunch = parseQuantity("1 bunch");
+  assert.equal(convertQuantity(bunch, "mass", findGroceryProfile("lemon")), null);
+  assert.equal(convertQuantity(parseQuantity("75 sq ft"), "mass", milk), null);
+});
+
+test("commonDimension prefers the shared dimension, then converts", () => {
+  const flour = findGroceryProfile("all-purpose flour");
+  assert.deepEqual(commonDimension([parseQuantity("5 lb"), parseQuantity("2 kg")]), {
+    dimension: "mass",
+    converted: false,
+  });
+  assert.deepEqual(commonDimension([parseQuantity("5 lb"), parseQuantity("4 cups")], flour), {
+    dimension: "mass",
+    converted: true,
+  });
+  assert.equal(commonDimension([parseQuantity("5 lb"), parseQuantity("4 cups")]), null);
+  assert.equal(commonDimension([parseQuantity("5 lb"), null], flour), null);
+});
+
+test("findGroceryProfile: specific entries beat generic ones", () => {
+  assert.equal(findGroceryProfile("lemon juice").id, "juice");
+  assert.equal(findGroceryProfile("peanut butter").id, "peanut_butter");
+  assert.equal(findGroceryProfile("extra virgin olive oil").id, "olive_oil");
+  assert.equal(findGroceryProfile("", "Kikkoman Soy Sauce 10 fl oz").id, "soy_sauce");
+  assert.equal(findGroceryProfile("sichuan peppercorn"), null);
+});
+
+test("toDisplayQuantity reports the legacy budget units", () => {
+  assert.deepEqual(toDisplayQuantity(parseQuantity("2 lb")), { kind: "weight_oz", qty: 32 });
+  assert.equal(toDisplayQuantity(parseQuantity("1 gal")).kind, "volume_floz");
+  close(toDisplayQuantity(parseQuantity("1 gal")).qty, 128, "gal -> fl oz");
+  assert.deepEqual(toDisplayQuantity(parseQuantity("75 sq ft")), { kind: "area_sqft", qty: 75 });
+});
@@ -0,0 +1,76 @@
+// backend/units/definitions.js
+// Units of measure known to the size parser, grouped by dimension.
+// `factor` converts one of the unit into the dimension's base unit.
+
+export const DIMENSIONS = {
+  mass: { base: "g" },
+  volume: { base: "ml" },
+  count: { base: "each" },
+  area: { base: "sq_ft" },
+};
+
+/**
+ * `aliases` are regex sources matched case-insensitively right after a number
+ * ("12 fl oz", "2lbs", "1 dozen"). Longer aliases are tried first, so
+ * "fl oz" wins over "oz" and "kg" over "g".
+ */
+export const UNITS = [
+  /* ===== mass ===== */
+  { id: "mg", dimension: "mass", factor: 0.001, aliases: ["mg", "milligrams?"] },
+  { id: "g", dimension: "mass", factor: 1, aliases: ["g", "gr", "gm", "grams?", "grammes?"] },
+  { id: "kg", dimension: "mass", factor: 1000, aliases: ["kg", "kgs", "kilos?", "kilograms?"] },
+  { id: "oz", dimension: "mass", factor: 28.349523125, aliases: ["oz", "ozs", "ounces?"] },
+  { id: "lb", dimension: "mass", factor: 453.59237, aliases: ["lb", "lbs", "pounds?"] },
+
+  /* ===== volume ===== */
+  { id: "ml", dimension: "volume", factor: 1, aliases: ["ml", "mls", "millilit(?:er|re)s?"] },
+  { id: "cl", dimension: "volume", factor: 10, aliases: ["cl", "centilit(?:er|re)s?"] },
+  { id: "l", dimension: "volume", factor: 1000, aliases: ["l", "lt", "ltr", "lit(?:er|re)s?"] },
+  {
+    id: "fl_oz",
+    dimension: "volume",
+    factor: 29.5735295625,
+    aliases: ["fl\\.?\\s*oz", "fluid\\s+ounces?", "fl\\.?\\s*ounces?"],
+  },
+  { id: "tsp", dimension: "volume", factor: 4.92892159375, aliases: ["tsp", "teaspoons?"] },
+  { id: "tbsp", dimension: "volume", factor: 14.78676478125, aliases: ["tbsp", "tablespoons?"] },
+  { id: "cup", dimension: "volume", factor: 236.5882365, aliases: ["cups?"] },
+  { id: "pt", dimension: "volume", factor: 473.176473, aliases: ["pt", "pts", "pints?"] },
+  { id: "qt", dimension: "volume", factor: 946.352946, aliases: ["qt", "qts", "quarts?"] },
+  { id: "gal", dimension: "volume", factor: 3785.411784, aliases: ["gal", "gals", "gallons?"] },
+
+  /* ===== count ===== */
+  { id: "each", dimension: "count", factor: 1, aliases: ["ct", "cnt", "count", "each", "ea", "pcs?", "pieces?"] },
+  { id: "dozen", dimension: "count", factor: 12, aliases: ["dozen", "doz"] },
+  { id: "bunch", dimension: "count", factor: 1, aliases: ["bunch(?:es)?"] },
+  { id: "head", dimension: "count", factor: 1, aliases: ["heads?"] },
+
+  /* ===== area ===== */
+  {
+    id: "sq_in",
+    dimension: "area",
+    factor: 1 / 144,
+    aliases: ["sq\\.?\\s*in(?:ch(?:es)?)?", "square\\s+inch(?:es)?"],
+  },
+  {
+    id: "sq_ft",
+    dimension: "area",
+    factor: 1,
+    aliases: ["sq\\.?\\s*ft", "sqft", "square\\s+f(?:ee|oo)t"],
+  },
+  { id: "sq_yd", dimension: "area", factor: 9, aliases: ["sq\\.?\\s*yds?", "square\\s+yards?"] },
+  {
+    id: "sq_m",
+    dimension: "area",
+    factor: 10.7639104167,
+    aliases: ["sq\\.?\\s*m", "m2", "square\\s+met(?:er|re)s?"],
+  },
+];
+
+const byId = new Map(UNITS.map((u) => [u.id, u]));
+
+export function getUnit(id) {
+  return byId.get(id) || null;
+}
+
+export default { DIMENSIONS, UNITS, getUnit };
@@ -0,0 +1,75 @@
+// backend/units/densities.js
+// Rough physical profiles for common groceries, used to convert between
+// dimensions when retailers list the same item differently (a gallon of milk
+// vs a 128 fl oz jug is easy; 5 lb of flour vs 80 oz by volume is not).
+//
+// gPerMl   - density, for mass <-> volume
+// gPerEach - average weight of one item, for count <-> mass (loose produce, eggs)
+//
+// Order matters: the first profile whose pattern matches wins, so specific
+// entries ("peanut butter", "lemon juice") sit above generic ones.
+
+export const GROCERY_PROFILES = [
+  /* ===== oils, syrups, sauces ===== */
+  { id: "olive_oil", match: /\bolive oil\b/, gPerMl: 0.91 },
+  { id: "oil", match: /\boils?\b/, gPerMl: 0.92 },
+  { id: "honey", match: /\bhoney\b/, gPerMl: 1.42 },
+  { id: "maple_syrup", match: /\bmaple syrup\b/, gPerMl: 1.32 },
+  { id: "corn_syrup", match: /\bcorn syrup\b/, gPerMl: 1.38 },
+  { id: "molasses", match: /\bmolasses\b/, gPerMl: 1.4 },
+  { id: "soy_sauce", match: /\b(soy sauce|shoyu|tamari)\b/, gPerMl: 1.2 },
+  { id: "fish_sauce", match: /\bfish sauce\b/, gPerMl: 1.2 },
+  { id: "vinegar", match: /\bvinegar\b/, gPerMl: 1.01 },
+  { id: "peanut_butter", match: /\bpeanut butter\b/, gPerMl: 1.09 },
+  { id: "ketchup", match: /\bketchup\b/, gPerMl: 1.14 },
+  { id: "mayonnaise", match: /\bmayo(nnaise)?\b/, gPerMl: 0.91 },
+
+  /* ===== drinks, dairy ===== */
+  { id: "juice", match: /\bjuice\b/, gPerMl: 1.05 },
+  { id: "wine", match: /\b(wine|mirin|sake)\b/, gPerMl: 0.99 },
+  { id: "broth", match: /\b(broth|stock)\b/, gPerMl: 1.0 },
+  { id: "water", match: /\bwater\b/, gPerMl: 1.0 },
+  { id: "milk", match: /\b(butter)?milk\b/, gPerMl: 1.03 },
+  { id: "cream", match: /\bcream\b/, gPerMl: 1.0 },
+  { id: "yogurt", match: /\by(o|og)h?urt\b/, gPerMl: 1.05 },
+  { id: "butter", match: /\bbutter\b/, gPerMl: 0.911 },
+
+  /* ===== dry goods ===== */
+  { id: "brown_sugar", match: /\bbrown sugar\b/, gPerMl: 0.83 },
+  { id: "powdered_sugar", match: /\b(powdered|confectioners'?) sugar\b/, gPerMl: 0.56 },
+  { id: "sugar", match: /\bsugar\b/, gPerMl: 0.85 },
+  { id: "flour", match: /\bflour\b/, gPerMl: 0.53 },
+  { id: "salt", match: /\bsalt\b/, gPerMl: 1.22 },
+  { id: "rice", match: /\brice\b/, gPerMl: 0.85 },
+  { id: "oats", match: /\boats?\b/, gPerMl: 0.41 },
+
+  /* ===== produce and eggs (per item) ===== */
+  { id: "egg", match: /\beggs?\b/, gPerEach: 50 },
+  { id: "lemon", match: /\blemons?\b/, gPerEach: 100 },
+  { id: "lime", match: /\blimes?\b/, gPerEach: 67 },
+  { id: "avocado", match: /\bavocados?\b/, gPerEach: 170 },
+  { id: "onion", match: /\bonions?\b/, gPerEach: 150 },
+  { id: "potato", match: /\bpotato(es)?\b/, gPerEach: 213 },
+  { id: "tomato", match: /\btomato(es)?\b/, gPerEach: 123 },
+  { id: "bell_pepper", match: /\bbell peppers?\b/, gPerEach: 150 },
+  { id: "banana", match: /\bbananas?\b/, gPerEach: 118 },
+  { id: "apple", match: /\bapples?\b/, gPerEach: 182 },
+  { id: "orange", match: /\boranges?\b/, gPerEach: 131 },
+  { id: "cucumber", match: /\bcucumbers?\b/, gPerEach: 300 },
+];
+
+/**
+ * First profile matching any of the given texts, checked in order, so pass
+ * the ingredient name before product titles.
+ */
+export function findGroceryProfile(...texts) {
+  for (const text of texts) {
+    const s = String(text || "").toLowerCase();
+    if (!s) continue;
+    const hit = GROCERY_PROFILES.find((p) => p.match.test(s));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+export default { GROCERY_PROFILES, findGroceryProfile };
@@ -0,0 +1,217 @@
+// backend/units/index.js
+// Units-of-measure library: parse package sizes out of free-form retailer
+// text into { dimension, qty } in base units (g, ml, each, sq ft) and convert
+// between dimensions when a grocery profile is known.
+import { DIMENSIONS, UNITS, getUnit } from "./definitions.js";
+import { GROCERY_PROFILES, findGroceryProfile } from "./densities.js";
+
+/**
+ * @typedef {Object} Quantity
+ * @property {"mass"|"volume"|"count"|"area"} dimension
+ * @property {number} qty        amount in the dimension's base unit
+ * @property {string} unit       unit id as written ("lb", "fl_oz", "dozen", ...)
+ * @property {number} amount     amount in `unit` (after multiplying out packs)
+ * @property {number} packCount  1 unless the text was a multi-pack
+ * @property {boolean} perUnit   price is per `unit` (weighed produce, "$1.99/lb")
+ */
+
+/* ===== patterns ===== */
+const NUM = String.raw`(\d+\s+\d+\/\d+|\d+\/\d+|\d*\.\d+|\d+)`;
+const NUM_START = String.raw`(?<![\w.\/])`;
+const UNIT_END = String.raw`(?![a-z])`;
+
+const ALL_ALIASES = UNITS.flatMap((u) => u.aliases).sort((a, b) => b.length - a.length);
+const UNIT_ALT = `(${ALL_ALIASES.join("|")})`;
+const UNIT_MATCHERS = UNITS.map((u) => ({
+  unit: u,
+  re: new RegExp(`^(?:${u.aliases.join("|")})$`),
+}));
+
+const MEASURE_RE = new RegExp(`${NUM_START}${NUM}\\s*-?\\s*${UNIT_ALT}${UNIT_END}`, "g");
+const MULTIPACK_RE = new RegExp(
+  `${NUM_START}(\\d+)\\s*x\\s*${NUM}\\s*-?\\s*${UNIT_ALT}${UNIT_END}`
+);
+const PACK_RES = [
+  /(?<![\w.])(\d+)\s*-?\s*(?:packs?|pks?)(?![a-z])/,
+  /\bpack\s*of\s*(\d+)\b/,
+];
+const PER_UNIT_RE = /(?:\/\s*|\bper\s+|\bprice\s+per\s+)(lbs?|pounds?|kg|oz)(?![a-z])/;
+const SOLD_BY_WEIGHT_RE = /\b(sold\s+by\s+(the\s+)?(weight|pound)|by\s+the\s+pound)\b/;
+const BARE_COUNT_RE = /\b(dozen|each|ea|bunch)\b/;
+
+function parseNumber(s) {
+  const str = String(s || "").trim();
+  const mixed = str.match(/^(\d+)\s+(\d+)\/(\d+)$/);
+  if (mixed) return Number(mixed[1]) + Number(mixed[2]) / Number(mixed[3]);
+  const frac = str.match(/^(\d+)\/(\d+)$/);
+  if (frac) return Number(frac[2]) ? Number(frac[1]) / Number(frac[2]) : NaN;
+  return Number(str);
+}
+
+function unitFromToken(token) {
+  const t = String(token || "").trim();
+  return UNIT_MATCHERS.find((m) => m.re.test(t))?.unit || null;
+}
+
+function makeQuantity(unit, amount, { packCount = 1, perUnit = false } = {}) {
+  if (!unit || !Number.isFinite(amount) || amount <= 0) return null;
+  const total = amount * packCount;
+  return {
+    dimension: unit.dimension,
+    qty: total * unit.factor,
+    unit: unit.id,
+    amount: total,
+    packCount,
+    perUnit,
+  };
+}
+
+function normalizeText(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/×/g, "x")
+    .replace(/\s+/g, " ")
+    .replace(/\bhalf[\s-]gal(?:lon)?\b/g, "0.5 gal")
+    .trim();
+}
+
+function findPackCount(s) {
+  for (const re of PACK_RES) {
+    const m = s.match(re);
+    const n = m ? Number(m[1]) : NaN;
+    if (Number.isFinite(n) && n > 0) return n;
+  }
+  return null;
+}
+
+/**
+ * Parse the package size out of a title or size string.
+ *
+ * Order of preference:
+ *   1. per-unit pricing ("$1.99/lb", "sold by weight") - the shelf price buys one unit
+ *   2. explicit multipacks ("6 x 12 fl oz")
+ *   3. the first mass/volume/area measure, multiplied by a pack count if present
+ *      ("(12 pack) 10 fl oz", "16 oz, 2-Pack")
+ *   4. counts ("4 count", "2 dozen", "1 bunch"), then bare packs ("12 pack")
+ *   5. bare "dozen" / "each" / "bunch"
+ *
+ * @returns {Quantity|null}
+ */
+export function parseQuantity(text) {
+  const s = normalizeText(text);
+  if (!s) return null;
+
+  const per = s.match(PER_UNIT_RE);
+  if (per) return makeQuantity(unitFromToken(per[1]), 1, { perUnit: true });
+  if (SOLD_BY_WEIGHT_RE.test(s)) return makeQuantity(getUnit("lb"), 1, { perUnit: true });
+
+  const multi = s.match(MULTIPACK_RE);
+  if (multi) {
+    const q = makeQuantity(unitFromToken(multi[3]), parseNumber(multi[2]), {
+      packCount: Number(multi[1]),
+    });
+    if (q) return q;
+  }
+
+  let firstMeasure = null;
+  let firstCount = null;
+  for (const m of s.matchAll(MEASURE_RE)) {
+    const unit = unitFromToken(m[2]);
+    const amount = parseNumber(m[1]);
+    if (!unit || !Number.isFinite(amount) || amount <= 0) continue;
+    if (unit.dimension === "count") {
+      if (!firstCount) firstCount = { unit, amount };
+    } else if (!firstMeasure) {
+      firstMeasure = { unit, amount };
+    }
+  }
+
+  const packCount = findPackCount(s);
+
+  if (firstMeasure) {
+    return makeQuantity(firstMeasure.unit, firstMeasure.amount, { packCount: packCount || 1 });
+  }
+  if (firstCount) return makeQuantity(firstCount.unit, firstCount.amount);
+  if (packCount) return makeQuantity(getUnit("each"), packCount);
+
+  const bare = s.match(BARE_COUNT_RE);
+  if (bare) return makeQuantity(unitFromToken(bare[1]), 1);
+
+  return null;
+}
+
+/* ===== conversion ===== */
+function gramsOf(q, profile) {
+  if (q.dimension === "mass") return q.qty;
+  if (q.dimension === "volume" && profile?.gPerMl) return q.qty * profile.gPerMl;
+  // Only loose items have a meaningful per-item weight; a "bunch" does not.
+  if (q.dimension === "count" && profile?.gPerEach && q.unit !== "bunch" && q.unit !== "head") {
+    return q.qty * profile.gPerEach;
+  }
+  return null;
+}
+
+/**
+ * Amount of `q` expressed in the base unit of `dimension`, or null when no
+ * conversion is known. Area never converts.
+ */
+export function convertQuantity(q, dimension, profile = null) {
+  if (!q || !DIMENSIONS[dimension]) return null;
+  if (q.dimension === dimension) return q.qty;
+  if (q.dimension === "area" || dimension === "area") return null;
+
+  const grams = gramsOf(q, profile);
+  if (grams === null) return null;
+
+  if (dimension === "mass") return grams;
+  if (dimension === "volume") return profile?.gPerMl ? grams / profile.gPerMl : null;
+  if (dimension === "count") return profile?.gPerEach ? grams / profile.gPerEach : null;
+  return null;
+}
+
+const CONVERSION_ORDER = ["mass", "volume", "count"];
+
+/**
+ * The dimension every quantity can be expressed in, preferring the one they
+ * already share. Returns { dimension, converted } or null.
+ */
+export function commonDimension(quantities, profile = null) {
+  const list = Array.isArray(quantities) ? quantities : [];
+  if (!list.length || list.some((q) => !q)) return null;
+
+  const first = list[0].dimension;
+  if (list.every((q) => q.dimension === first)) return { dimension: first, converted: false };
+
+  for (const dimension of CONVERSION_ORDER) {
+    if (list.every((q) => convertQuantity(q, dimension, profile) > 0)) {
+      return { dimension, converted: true };
+    }
+  }
+  return null;
+}
+
+/* ===== display units ===== */
+// Display units per dimension; also the legacy `unitKind` values budget mode reported.
+const DISPLAY = {
+  mass: { kind: "weight_oz", unit: "oz" },
+  volume: { kind: "volume_floz", unit: "fl_oz" },
+  count: { kind: "count", unit: "each" },
+  area: { kind: "area_sqft", unit: "sq_ft" },
+};
+
+export function toDisplayQuantity(q) {
+  if (!q) return null;
+  const d = DISPLAY[q.dimension];
+  return { kind: d.kind, qty: q.qty / getUnit(d.unit).factor };
+}
+
+export { DIMENSIONS, UNITS, GROCERY_PROFILES, getUnit, findGroceryProfile };
+
+export default {
+  parseQuantity,
+  convertQuantity,
+  commonDimension,
+  toDisplayQuantity,
+  findGroceryProfile,
+  getUnit,
+};
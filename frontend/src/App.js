@@ -9,6 +9,8 @@ import Orders from './Components/Pages/Orders';
 import { useContext } from 'react';
 import { ShopContext } from './Components/Context/ShopContext';
 import SearchResults from './Components/Pages/SearchResults';
+import SavedLists from './Components/Pages/SavedLists';
+import Account from './Components/Pages/Account';
 
 function App() {
   
@@ -26,11 +28,14 @@ function App() {
           <Route path='/household' element={<ShopCategory category="household"/>}/>
           <Route path='/search' element={<SearchResults />} />
           <Route path='/orders' element={<Orders/>}/>
+          <Route path='/lists' element={<SavedLists/>}/>
           <Route path='/product' element={<Product/>}>
             <Route path=':productId' element={<Product/>}/>
           </Route>
           <Route path='/cart' element={<Cart/>}/>
           <Route path='/login' element={<LoginSignup/>}/>
+          <Route path='/account' element={<Account/>}/>
+          <Route path='/account/:action' element={<Account/>}/>
         </Routes>
       </BrowserRouter>
       
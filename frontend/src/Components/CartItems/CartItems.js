@@ -10,17 +10,58 @@ const roundToTwoDecimals = (value) => Math.round(value * 100) / 100;
 const CartItems = () => {
 
   const [showModal, setShowModal] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [promoCode, setPromoCode] = useState('');
+  const [checkoutError, setCheckoutError] = useState('');
+  const [placing, setPlacing] = useState(false);
+  const [checkoutKey, setCheckoutKey] = useState('');
 
-  const {products, cart, addToCart, removeFromCart, removeFromCartList, totalCartValue, placeOrder, isLoggedIn, setTab } = useContext(ShopContext)
+  const {cart, cartLine, addToCart, removeFromCart, removeFromCartList, totalCartValue, quoteOrder, placeOrder, isLoggedIn, setTab } = useContext(ShopContext)
+
+  // One key per quote the customer confirms: retrying it can't place a second order.
+  const newCheckoutKey = () =>
+    setCheckoutKey(window.crypto?.randomUUID ? window.crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
 
   const deliveryFee = Object.values(cart).some((count) => count > 0) ? 4 : 0;
 
+  // Checkout shows the server's price for the cart; that is the total the order is placed at.
+  const refreshQuote = async (code = promoCode) => {
+    setCheckoutError('');
+    const result = await quoteOrder(code);
+    if (!result.ok) {
+      setQuote(null);
+      setCheckoutError(result.error);
+      return;
+    }
+    setQuote(result.quote);
+    newCheckoutKey();
+    if (result.quote.problems?.length) setCheckoutError(result.quote.problems[0]);
+  };
+
+  const openCheckout = async () => {
+    setShowModal(true);
+    await refreshQuote();
+  };
+
   const handlePlaceOrder = async () => {
-    await placeOrder();
+    setPlacing(true);
+    const result = await placeOrder(quote, checkoutKey);
+    setPlacing(false);
+    if (!result.ok) {
+      // Prices moved: show the new quote for the customer to confirm again.
+      if (result.quote) {
+        setQuote(result.quote);
+        newCheckoutKey();
+      }
+      setCheckoutError(result.error);
+      return;
+    }
     setTab("orders");
     setShowModal(false);
   };
 
+  const canPlace = quote && !quote.problems?.length && !placing;
+
 
   return isLoggedIn ? (
     <div className='cartitems'>
@@ -33,21 +74,22 @@ const CartItems = () => {
             <p><b>Remove</b></p>
         </div>
         <hr/>
-        {products.map((e) => {
-            if(cart[e._id] > 0) {
+        {Object.keys(cart).map((key) => {
+            const line = cart[key] > 0 ? cartLine(key) : null;
+            if (line) {
                 return (
-                        <div>
+                        <div key={key}>
                             <div className='cartitems-format-main'>
-                                <img className='image' src={e.imageUrl} alt=""></img>
-                                <p>{e.title}</p>
-                                <p>{`$${e.price}`}</p>
+                                <img className='image' src={line.imageUrl} alt=""></img>
+                                <p>{line.title}</p>
+                                <p>{`$${line.price}`}</p>
                                 <div className='div_quantity'>
-                                    <button className='minus_btn' type='button' onClick={() => {removeFromCart(e._id)}}>➖</button>
-                                    <p className='quantity'>{`${cart[e._id]}`}</p>
-                                    <button className='plus_btn' type='button' onClick={() => {addToCart(e._id)}}>➕</button>
+                                    <button className='minus_btn' type='button' onClick={() => {removeFromCart(key)}}>➖</button>
+                                    <p className='quantity'>{`${cart[key]}`}</p>
+                                    <button className='plus_btn' type='button' onClick={() => {addToCart(...key.split(':'))}}>➕</button>
                                 </div>
-                                <p>{`$${roundToTwoDecimals(e.price * cart[e._id])}`}</p>
-                                <button className='remove' onClick={() => {removeFromCartList(e._id)}}>❌</button>
+                                <p>{`$${roundToTwoDecimals(line.price * cart[key])}`}</p>
+                                <button className='remove' onClick={() => {removeFromCartList(key)}}>❌</button>
                             </div>
                         </div>
                     )
@@ -72,7 +114,7 @@ const CartItems = () => {
                     <h3>${roundToTwoDecimals(totalCartValue + deliveryFee)}</h3>
                 </div>
             </div>
-            {Object.keys(cart).length > 0 ? (<button onClick={() => setShowModal(true)}>Proceed to Checkout</button>) : null}
+            {Object.keys(cart).length > 0 ? (<button onClick={openCheckout}>Proceed to Checkout</button>) : null}
         </div>
 
         <Modal
@@ -84,24 +126,45 @@ const CartItems = () => {
         >
         <h2>Checkout</h2>
         <div className="modal-body">
-           {Object.entries(cart).map(([productId, quantity]) => {
-             const product = products.find((p) => p._id === productId);
-             return (
-               <div key={productId} className="modal-item">
-                 <img className="modal-image" src={product.imageUrl} alt={product.title} />
-                 <p>{product.title}</p><hr/>
-                 <p>Quantity: {quantity}</p><hr/>
-                 <p>Total: ${product.price * quantity}</p>
-               </div>
-             );
-           })}
-           <hr />
-           <p>Subtotal: ${roundToTwoDecimals(totalCartValue)}</p>
-           <p>Delivery Fee: ${deliveryFee}</p>
-           <h3>Total: ${roundToTwoDecimals(totalCartValue + deliveryFee)}</h3>
+           {!quote && !checkoutError ? <p>Pricing your cart...</p> : null}
+           {quote ? (
+             <>
+               {quote.items.map((item) => {
+                 const key = item.variantKey ? `${item.productId}:${item.variantKey}` : item.productId;
+                 return (
+                   <div key={key} className="modal-item">
+                     <img className="modal-image" src={cartLine(key)?.imageUrl} alt={item.title} />
+                     <p>{item.title}</p><hr/>
+                     <p>Quantity: {item.quantity}</p><hr/>
+                     <p>Total: ${item.total.toFixed(2)}</p>
+                   </div>
+                 );
+               })}
+               <hr />
+               <p>Subtotal: ${quote.subtotal.toFixed(2)}</p>
+               {quote.discounts.map((d) => (
+                 <p key={d.code || d.label} className="checkout-discount">{d.label}: -${d.amount.toFixed(2)}</p>
+               ))}
+               {quote.fees.map((f) => (
+                 <p key={f.code}>{f.label}: ${f.amount.toFixed(2)}</p>
+               ))}
+               {quote.tax > 0 ? <p>Tax: ${quote.tax.toFixed(2)}</p> : null}
+               <h3>Total: ${quote.total.toFixed(2)}</h3>
+             </>
+           ) : null}
+           <div className="checkout-promo">
+             <input
+               type="text"
+               placeholder="Promo code"
+               value={promoCode}
+               onChange={(e) => setPromoCode(e.target.value)}
+             />
+             <button type="button" onClick={() => refreshQuote(promoCode)}>Apply</button>
+           </div>
+           {checkoutError ? <p className="checkout-error">{checkoutError}</p> : null}
          </div>
         Are you sure you want to place the above order?<br/>
-        <button onClick={() => handlePlaceOrder()}>Place Order</button>
+        <button onClick={() => handlePlaceOrder()} disabled={!canPlace}>{placing ? 'Placing...' : 'Place Order'}</button>
         <button onClick={() => setShowModal(false)}>Cancel</button>
       </Modal>
     </div>) : (<div>
@@ -8,6 +8,46 @@ export const ShopContext = createContext();
 
 const API_BASE = 'http://localhost:4000';
 
+const clearStoredSession = () => {
+  localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
+};
+
+// Text for a 429: the server's message, else one built from Retry-After.
+const rateLimitMessage = (err) => {
+  const data = err?.response?.data || {};
+  if (data.error) return data.error;
+  const seconds = Number(data.retryAfter || err?.response?.headers?.['retry-after']) || 0;
+  return seconds
+    ? `Too many requests. Please try again in ${seconds < 90 ? `${seconds} seconds` : `${Math.ceil(seconds / 60)} minutes`}.`
+    : 'Too many requests. Please try again in a moment.';
+};
+
+// One refresh at a time; every request that hit a 401 waits for the same one.
+let refreshInFlight = null;
+
+const refreshSession = () => {
+  if (refreshInFlight) return refreshInFlight;
+
+  const sent = localStorage.getItem('refreshToken');
+  refreshInFlight = (async () => {
+    if (!sent) return null;
+    try {
+      const { data } = await axios.post(`${API_BASE}/auth/refresh`, { refreshToken: sent });
+      localStorage.setItem('token', data.token);
+      localStorage.setItem('refreshToken', data.refreshToken);
+      return data.token;
+    } catch {
+      // Another tab may have rotated it first; its new tokens are already stored.
+      const current = localStorage.getItem('refreshToken');
+      return current && current !== sent ? localStorage.getItem('token') : null;
+    }
+  })().finally(() => {
+    refreshInFlight = null;
+  });
+  return refreshInFlight;
+};
+
 const ShopProvider = ({ children }) => {
   // --- Global app state ---
   const [user, setUser] = useState(null);
@@ -31,6 +71,19 @@ const ShopProvider = ({ children }) => {
   const [krogerResults, setKrogerResults] = useState([]);
   const [walmartResults, setWalmartResults] = useState([]);
   const [unmatchedTerms, setUnmatchedTerms] = useState([]);
+  // every retailer the backend fanned out to: { [retailerId]: { label, products, ... } }
+  const [retailerResults, setRetailerResults] = useState({});
+  // dish/servings info + recipe-sized cost estimate from the last search
+  const [searchMeta, setSearchMeta] = useState(null);
+  // multi-dish search: { dishes, shoppingList, failedDishes } plus per-dish progress
+  const [mealPlan, setMealPlan] = useState(null);
+  const [mealPlanProgress, setMealPlanProgress] = useState(null);
+
+  // Saved recipes / shopping lists (backend /lists)
+  const [shoppingLists, setShoppingLists] = useState([]);
+
+  // Linked Kroger account: { connected, needsReauth, expiresAt, ... } from /kroger/connection
+  const [krogerConnection, setKrogerConnection] = useState(null);
 
   // Kroger cart snapshot + optimistic cart
   const [krogerCart, setKrogerCart] = useState({});
@@ -52,11 +105,13 @@ const ShopProvider = ({ children }) => {
   const [fridgeItems, setFridgeItems] = useState([]);
 
   // ---- Persist/restore last search (for post-OAuth return) ----
-  const saveLastSearch = (q, z, budgetSearch = false, autoAdd = false) => {
+  const saveLastSearch = (q, z, budgetSearch = false, autoAdd = false, { servings, meals } = {}) => {
     sessionStorage.setItem('lastSearchQ', q || '');
     sessionStorage.setItem('lastSearchZ', z || '');
     sessionStorage.setItem('lastSearchBudget', budgetSearch ? '1' : '0');
     sessionStorage.setItem('lastSearchAutoAdd', autoAdd ? '1' : '0');
+    sessionStorage.setItem('lastSearchServings', servings ? String(servings) : '');
+    sessionStorage.setItem('lastSearchMeals', meals ? String(meals) : '');
   };
 
   const readLastSearch = () => ({
@@ -64,12 +119,50 @@ const ShopProvider = ({ children }) => {
     z: sessionStorage.getItem('lastSearchZ') || '',
     budget: sessionStorage.getItem('lastSearchBudget') === '1',
     autoAdd: sessionStorage.getItem('lastSearchAutoAdd') === '1',
+    servings: Number(sessionStorage.getItem('lastSearchServings')) || undefined,
+    meals: Number(sessionStorage.getItem('lastSearchMeals')) || undefined,
   });
 
   useEffect(() => {
     sessionStorage.setItem('tab', tab);
   }, [tab]);
 
+  // Access tokens are short-lived: on a 401, refresh once and replay the request.
+  useEffect(() => {
+    const id = axios.interceptors.response.use(undefined, async (err) => {
+      // Rate limited: say so wherever the call came from.
+      if (err?.response?.status === 429) {
+        setError(rateLimitMessage(err));
+        throw err;
+      }
+
+      const original = err?.config;
+      const isAuthCall = /\/auth\/(login|signup|refresh|logout)$/.test(original?.url || '');
+      if (
+        err?.response?.status !== 401 ||
+        !original ||
+        original._retried ||
+        isAuthCall ||
+        err.response.data?.needKrogerAuth ||
+        !original.headers?.Authorization
+      ) {
+        throw err;
+      }
+
+      const token = await refreshSession();
+      if (!token) {
+        clearStoredSession();
+        setUser(null);
+        setIsLoggedIn(false);
+        throw err;
+      }
+      original._retried = true;
+      original.headers.Authorization = `Bearer ${token}`;
+      return axios(original);
+    });
+    return () => axios.interceptors.response.eject(id);
+  }, []);
+
   useEffect(() => {
     const token = localStorage.getItem('token');
     if (token) setIsLoggedIn(true);
@@ -77,12 +170,23 @@ const ShopProvider = ({ children }) => {
     fetchProducts();
     fetchUserData();
 
-    if (token) loadKrogerSnapshot().catch(() => {});
+    if (token) {
+      loadKrogerSnapshot().catch(() => {});
+      loadKrogerConnection().catch(() => {});
+    }
 
-    if (window.location.search.includes('kroger=added')) {
-      const { q, z, budget, autoAdd } = readLastSearch();
-      if (q) {
-        fetchMatchedProductsPhased(q, z || undefined, budget, autoAdd, fridgeSessionId).catch(() => {});
+    // Back from Kroger's consent screen: added | connected | denied | error
+    const krogerResult = new URLSearchParams(window.location.search).get('kroger');
+    if (krogerResult) {
+      if (krogerResult === 'added') {
+        const { q, z, budget, autoAdd, servings, meals } = readLastSearch();
+        if (q) {
+          fetchMatchedProductsPhased(q, z || undefined, budget, autoAdd, fridgeSessionId, { servings, meals }).catch(() => {});
+        }
+      } else if (krogerResult === 'denied') {
+        setError('Kroger account was not connected.');
+      } else if (krogerResult === 'error') {
+        setError('Connecting your Kroger account failed. Please try again.');
       }
       const url = new URL(window.location.href);
       url.searchParams.delete('kroger');
@@ -101,17 +205,51 @@ const ShopProvider = ({ children }) => {
     return token ? { Authorization: `Bearer ${token}` } : {};
   };
 
-  const getTotalCartValue = () => {
-    if (cart && products.length > 0) {
-      const totalValue = Object.entries(cart).reduce((acc, [productId, quantity]) => {
-        const product = products.find((p) => p._id === productId);
-        if (product) return acc + product.price * quantity;
-        return acc;
-      }, 0);
-      setTotalCartValue(totalValue);
+  // EventSource and full-page redirects can't send headers; they carry a
+  // single-use ticket instead of the access token. Rate-limited streams are
+  // checked here (an EventSource can't read a 429): resolves to
+  // { rateLimited: true } when the budget is spent, so the stream isn't opened.
+  const getSseTicket = async (purpose, budget) => {
+    if (!localStorage.getItem('token')) return null;
+    try {
+      const { data } = await axios.post(`${API_BASE}/auth/sse-ticket`, { purpose, budget }, { headers: authHeaders() });
+      return data?.ticket || null;
+    } catch (err) {
+      if (err?.response?.status === 429) return { rateLimited: true };
+      return null;
     }
   };
 
+  // Cart keys are `productId` or `productId:variantId` (one line per variant).
+  const cartLine = (key) => {
+    const [productId, variantId] = String(key).split(':');
+    const product = products.find((p) => p._id === productId);
+    if (!product) return null;
+    const variant = variantId ? (product.variants || []).find((v) => v._id === variantId) : null;
+    if (variantId && !variant) return null;
+    return {
+      key,
+      product,
+      variant,
+      title: variant ? `${product.title} (${variant.label})` : product.title,
+      price: variant ? variant.price : product.price,
+      imageUrl: variant?.imageUrl || product.imageUrl,
+      stock: variant ? variant.stock : product.stock,
+    };
+  };
+
+  const cartValue = (entries) =>
+    roundToTwoDecimals(
+      entries.reduce((acc, [key, quantity]) => {
+        const line = cartLine(key);
+        return line ? acc + line.price * quantity : acc;
+      }, 0)
+    );
+
+  const getTotalCartValue = () => {
+    if (cart && products.length > 0) setTotalCartValue(cartValue(Object.entries(cart)));
+  };
+
   const fetchProducts = async () => {
     try {
       const response = await axios.get(`${API_BASE}/products`);
@@ -150,7 +288,7 @@ const ShopProvider = ({ children }) => {
   };
 
   // Start cart add stream after results render
-  const startCartAddStream = (cartSessionId) => {
+  const startCartAddStream = async (cartSessionId) => {
     if (!cartSessionId) return;
 
     setOptimisticKrogerCart({});
@@ -161,8 +299,8 @@ const ShopProvider = ({ children }) => {
     const url = new URL(`${API_BASE}/kroger/cart/add/stream`);
     url.searchParams.set('sid', cartSessionId);
 
-    const token = localStorage.getItem('token');
-    if (token) url.searchParams.set('token', token);
+    const ticket = await getSseTicket('cart_add');
+    if (ticket) url.searchParams.set('ticket', ticket);
 
     const es = new EventSource(url.toString(), { withCredentials: false });
 
@@ -257,12 +395,25 @@ const ShopProvider = ({ children }) => {
   };
 
   // Streaming search (SSE) with fridgeSid pass-through
-  const fetchMatchedProductsPhased = (query, zip, budgetSearch = false, autoAdd = false, fridgeSid = null) => {
-    saveLastSearch(query, zip, budgetSearch, autoAdd);
+  const fetchMatchedProductsPhased = async (
+    query,
+    zip,
+    budgetSearch = false,
+    autoAdd = false,
+    fridgeSid = null,
+    { servings, meals } = {}
+  ) => {
+    saveLastSearch(query, zip, budgetSearch, autoAdd, { servings, meals });
+    const ticket = await getSseTicket('search', 'kroger_search');
+    if (ticket?.rateLimited) return;
 
     return new Promise((resolve, reject) => {
       setKrogerResults([]);
       setWalmartResults([]);
+      setRetailerResults({});
+      setSearchMeta(null);
+      setMealPlan(null);
+      setMealPlanProgress(null);
       setUnmatchedTerms([]);
       setLoadingSearch(true);
       setSearchPhase('finding');
@@ -279,9 +430,10 @@ const ShopProvider = ({ children }) => {
       if (budgetSearch) url.searchParams.set('budget', '1');
       if (autoAdd) url.searchParams.set('autoAdd', '1');
       if (fridgeSid) url.searchParams.set('fridgeSid', fridgeSid);
+      if (servings) url.searchParams.set('servings', String(servings));
+      if (meals && meals > 1) url.searchParams.set('meals', String(meals));
 
-      const token = localStorage.getItem('token');
-      if (token) url.searchParams.set('token', token);
+      if (ticket) url.searchParams.set('ticket', ticket);
 
       const es = new EventSource(url.toString(), { withCredentials: false });
       let doneReceived = false;
@@ -302,7 +454,21 @@ const ShopProvider = ({ children }) => {
 
           setKrogerResults(payload?.krogerProducts || []);
           setWalmartResults(payload?.walmartProducts || []);
+          setRetailerResults(payload?.byRetailer || {});
           setUnmatchedTerms(payload?.unmatchedTerms || []);
+          setSearchMeta(
+            payload?.error
+              ? null
+              : {
+                  dishName: payload?.dishName || null,
+                  servings: payload?.servings || null,
+                  recipeServings: payload?.recipeServings || null,
+                  meals: payload?.meals || 1,
+                  ingredients: payload?.ingredients || [],
+                  ingredientAmounts: payload?.ingredientAmounts || {},
+                  cartEstimate: payload?.cartEstimate || null,
+                }
+          );
 
           cartSessionId = payload?.cartSessionId || null;
 
@@ -312,7 +478,9 @@ const ShopProvider = ({ children }) => {
           console.error('SSE parse error:', e);
           setKrogerResults([]);
           setWalmartResults([]);
+          setRetailerResults({});
           setUnmatchedTerms([]);
+          setSearchMeta(null);
           setError('Search failed. Please try again.');
         } finally {
           setLoadingSearch(false);
@@ -336,7 +504,9 @@ const ShopProvider = ({ children }) => {
         setSearchPhase('idle');
         setKrogerResults([]);
         setWalmartResults([]);
+        setRetailerResults({});
         setUnmatchedTerms([]);
+        setSearchMeta(null);
         setError('Search failed. Please try again.');
         es.close();
         reject(new Error('Search stream failed'));
@@ -344,6 +514,275 @@ const ShopProvider = ({ children }) => {
     });
   };
 
+  // Meal plan (SSE): several dishes, one merged shopping list
+  const fetchMealPlanPhased = async (
+    dishes,
+    zip,
+    budgetSearch = false,
+    autoAdd = false,
+    fridgeSid = null,
+    { servings, meals } = {}
+  ) => {
+    const ticket = await getSseTicket('search', 'meal_plan');
+    if (ticket?.rateLimited) return;
+    return new Promise((resolve, reject) => {
+      setKrogerResults([]);
+      setWalmartResults([]);
+      setRetailerResults({});
+      setSearchMeta(null);
+      setMealPlan(null);
+      setMealPlanProgress({ total: dishes.length, index: 0, dish: dishes[0] || '', done: [], failed: [] });
+      setUnmatchedTerms([]);
+      setLoadingSearch(true);
+      setSearchPhase('finding');
+      setError('');
+
+      setOptimisticKrogerCart({});
+      setAgenticActiveUpc(null);
+      setAgenticCartProgress({ active: false, total: 0, addedCount: 0, ok: true, skippedCount: 0 });
+      setAgenticMessage('');
+
+      const url = new URL(`${API_BASE}/kroger/mealplan/stream`);
+      url.searchParams.set('dishes', JSON.stringify(dishes));
+      if (zip) url.searchParams.set('zip', zip);
+      if (budgetSearch) url.searchParams.set('budget', '1');
+      if (autoAdd) url.searchParams.set('autoAdd', '1');
+      if (fridgeSid) url.searchParams.set('fridgeSid', fridgeSid);
+      if (servings) url.searchParams.set('servings', String(servings));
+      if (meals && meals > 1) url.searchParams.set('meals', String(meals));
+
+      if (ticket) url.searchParams.set('ticket', ticket);
+
+      const es = new EventSource(url.toString(), { withCredentials: false });
+      let doneReceived = false;
+
+      es.addEventListener('phase', (evt) => {
+        try {
+          const { phase, dish, index } = JSON.parse(evt.data || '{}');
+          if (phase) setSearchPhase(phase);
+          if (dish) setMealPlanProgress((prev) => ({ ...(prev || {}), dish, index }));
+        } catch {}
+      });
+
+      es.addEventListener('dish_done', (evt) => {
+        try {
+          const { query } = JSON.parse(evt.data || '{}');
+          setMealPlanProgress((prev) => ({ ...(prev || {}), done: [...(prev?.done || []), query] }));
+        } catch {}
+      });
+
+      es.addEventListener('dish_error', (evt) => {
+        try {
+          const { query } = JSON.parse(evt.data || '{}');
+          setMealPlanProgress((prev) => ({ ...(prev || {}), failed: [...(prev?.failed || []), query] }));
+        } catch {}
+      });
+
+      es.addEventListener('done', (evt) => {
+        doneReceived = true;
+        let cartSessionId = null;
+
+        try {
+          const payload = JSON.parse(evt.data || '{}');
+
+          setKrogerResults(payload?.krogerProducts || []);
+          setWalmartResults(payload?.walmartProducts || []);
+          setRetailerResults(payload?.byRetailer || {});
+          setUnmatchedTerms([]);
+          setMealPlan(
+            payload?.error
+              ? null
+              : {
+                  dishes: payload?.dishes || [],
+                  shoppingList: payload?.shoppingList || [],
+                  failedDishes: payload?.failedDishes || [],
+                }
+          );
+          setSearchMeta(
+            payload?.error
+              ? null
+              : {
+                  dishName: null,
+                  servings: payload?.servings || null,
+                  recipeServings: null,
+                  meals: payload?.meals || 1,
+                  ingredients: payload?.ingredients || [],
+                  ingredientAmounts: payload?.ingredientAmounts || {},
+                  cartEstimate: payload?.cartEstimate || null,
+                }
+          );
+
+          cartSessionId = payload?.cartSessionId || null;
+
+          if (payload?.error) setError(payload.error);
+          else setError('');
+        } catch (e) {
+          console.error('SSE parse error:', e);
+          setKrogerResults([]);
+          setWalmartResults([]);
+          setRetailerResults({});
+          setSearchMeta(null);
+          setMealPlan(null);
+          setError('Meal plan failed. Please try again.');
+        } finally {
+          setLoadingSearch(false);
+          setSearchPhase('idle');
+          setMealPlanProgress(null);
+          es.close();
+
+          if (autoAdd && cartSessionId) {
+            setTimeout(() => startCartAddStream(cartSessionId), 0);
+          }
+          resolve();
+        }
+      });
+
+      es.addEventListener('error', (evt) => {
+        if (doneReceived || es.readyState === 2) {
+          try { es.close(); } catch {}
+          return;
+        }
+        console.error('SSE error:', evt);
+        setLoadingSearch(false);
+        setSearchPhase('idle');
+        setMealPlanProgress(null);
+        setKrogerResults([]);
+        setWalmartResults([]);
+        setRetailerResults({});
+        setSearchMeta(null);
+        setMealPlan(null);
+        setError('Meal plan failed. Please try again.');
+        es.close();
+        reject(new Error('Meal plan stream failed'));
+      });
+    });
+  };
+
+  // ---- Saved recipes / shopping lists ----
+  const fetchShoppingLists = async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE}/lists`, { headers: authHeaders() });
+      setShoppingLists(data?.lists || []);
+      return data?.lists || [];
+    } catch (e) {
+      console.error(e?.response?.data || e);
+      return [];
+    }
+  };
+
+  const replaceShoppingList = (list) => {
+    if (!list?._id) return;
+    setShoppingLists((prev) => {
+      const rest = prev.filter((l) => l._id !== list._id);
+      return [list, ...rest];
+    });
+  };
+
+  // Save the current search results; only the first product per ingredient is sent.
+  const saveSearchAsList = async (name, { query, dishes, zip, budgetSearch } = {}) => {
+    if (!searchMeta) return null;
+    const byRetailer = Object.fromEntries(
+      Object.entries(retailerResults || {}).map(([id, r]) => [
+        id,
+        {
+          id,
+          byIngredient: Object.fromEntries(
+            Object.entries(r?.byIngredient || {})
+              .filter(([, arr]) => (arr || []).length > 0)
+              .map(([ing, arr]) => {
+                const { raw, ...product } = arr[0];
+                return [ing, [product]];
+              })
+          ),
+        },
+      ])
+    );
+
+    try {
+      const { data } = await axios.post(
+        `${API_BASE}/lists`,
+        {
+          name,
+          query: query || '',
+          dishes: dishes || (mealPlan?.dishes || []).map((d) => d.dishName),
+          servings: searchMeta.servings || null,
+          meals: searchMeta.meals || 1,
+          zip: zip || '',
+          budgetSearch: Boolean(budgetSearch),
+          search: {
+            dishName: searchMeta.dishName,
+            ingredients: searchMeta.ingredients || [],
+            ingredientAmounts: searchMeta.ingredientAmounts || {},
+            cartEstimate: searchMeta.cartEstimate || null,
+            byRetailer,
+          },
+        },
+        { headers: authHeaders() }
+      );
+      replaceShoppingList(data?.list);
+      return data?.list || null;
+    } catch (e) {
+      console.error(e?.response?.data || e);
+      setError(e?.response?.data?.error || 'Failed to save list.');
+      return null;
+    }
+  };
+
+  const updateShoppingList = async (id, changes) => {
+    try {
+      const { data } = await axios.put(`${API_BASE}/lists/${id}`, changes, { headers: authHeaders() });
+      replaceShoppingList(data?.list);
+      return data?.list || null;
+    } catch (e) {
+      console.error(e?.response?.data || e);
+      setError(e?.response?.data?.error || 'Failed to update list.');
+      return null;
+    }
+  };
+
+  const deleteShoppingList = async (id) => {
+    try {
+      await axios.delete(`${API_BASE}/lists/${id}`, { headers: authHeaders() });
+      setShoppingLists((prev) => prev.filter((l) => l._id !== id));
+      return true;
+    } catch (e) {
+      console.error(e?.response?.data || e);
+      setError(e?.response?.data?.error || 'Failed to delete list.');
+      return false;
+    }
+  };
+
+  // Re-price a saved list; resolves to { list, previousTotal, changes }.
+  const rerunShoppingList = async (id, { zip } = {}) => {
+    try {
+      const { data } = await axios.post(`${API_BASE}/lists/${id}/rerun`, { zip }, { headers: authHeaders() });
+      replaceShoppingList(data?.list);
+      return data;
+    } catch (e) {
+      console.error(e?.response?.data || e);
+      setError(e?.response?.data?.error || 'Failed to refresh prices.');
+      return null;
+    }
+  };
+
+  const addShoppingListToCart = async (id) => {
+    try {
+      const { data } = await axios.post(`${API_BASE}/lists/${id}/cart`, {}, { headers: authHeaders() });
+      await loadKrogerSnapshot();
+      return data;
+    } catch (e) {
+      const status = e?.response?.status;
+      const loginUrl = e?.response?.data?.loginUrl;
+      if (status === 401 && loginUrl) {
+        window.location.href = loginUrl;
+        return null;
+      }
+      console.error(e?.response?.data || e);
+      setError(e?.response?.data?.error || 'Failed to add list to cart.');
+      return null;
+    }
+  };
+
   // Kroger helpers
   const loadKrogerSnapshot = async () => {
     try {
@@ -354,6 +793,43 @@ const ShopProvider = ({ children }) => {
     } catch {}
   };
 
+  const loadKrogerConnection = async () => {
+    try {
+      const { data } = await axios.get(`${API_BASE}/kroger/connection`, {
+        headers: authHeaders(),
+      });
+      setKrogerConnection(data || null);
+      return data;
+    } catch {
+      setKrogerConnection(null);
+      return null;
+    }
+  };
+
+  // Full-page redirect through Kroger's consent screen; comes back with ?kroger=connected
+  const connectKroger = async () => {
+    const ticket = await getSseTicket('kroger_login');
+    if (!ticket) return;
+    const url = new URL(`${API_BASE}/kroger/oauth/login`);
+    url.searchParams.set('ticket', ticket);
+    url.searchParams.set('returnTo', window.location.href);
+    window.location.href = url.toString();
+  };
+
+  const disconnectKroger = async () => {
+    try {
+      const { data } = await axios.post(`${API_BASE}/kroger/disconnect`, {}, { headers: authHeaders() });
+      setKrogerConnection(data || null);
+      setKrogerCart({});
+      setOptimisticKrogerCart({});
+      return true;
+    } catch (e) {
+      console.error(e?.response?.data || e);
+      setError(e?.response?.data?.error || 'Failed to disconnect Kroger account.');
+      return false;
+    }
+  };
+
   const getInCartQty = (upc) => {
     const snap = Number(krogerCart?.[upc] || 0);
     const opt = Number(optimisticKrogerCart?.[upc] || 0);
@@ -383,43 +859,48 @@ const ShopProvider = ({ children }) => {
   };
 
   // Local cart + auth (unchanged from your project)
-  const addToCart = (productId) => {
+  const addToCart = (productId, variantId) => {
     if (!isLoggedIn) {
       alert('Please login to add products to the cart');
       return;
     }
-    const updatedCart = { ...cart, [productId]: (cart[productId] || 0) + 1 };
-    const product = products.find((item) => item._id === productId);
-    setTotalCartValue((prev) => roundToTwoDecimals(prev + product.price));
+    const key = variantId ? `${productId}:${variantId}` : productId;
+    const line = cartLine(key);
+    if (!line) return;
+    if (line.stock?.tracked && !line.stock.inStock) {
+      alert(`"${line.title}" is out of stock`);
+      return;
+    }
+    const updatedCart = { ...cart, [key]: (cart[key] || 0) + 1 };
+    setTotalCartValue((prev) => roundToTwoDecimals(prev + line.price));
     setCart(updatedCart);
     saveCartToBackend(updatedCart);
   };
 
-  const removeFromCart = (productId) => {
+  // `key` is a cart key: a productId, or productId:variantId
+  const removeFromCart = (key) => {
     if (!isLoggedIn) {
       alert('Please login to update the cart');
       return;
     }
-    if (cart[productId] > 1) {
-      const updatedCart = { ...cart, [productId]: cart[productId] - 1 };
-      const product = products.find((item) => item._id === productId);
-      setTotalCartValue((prev) => roundToTwoDecimals(prev - product.price));
+    if (cart[key] > 1) {
+      const updatedCart = { ...cart, [key]: cart[key] - 1 };
+      setTotalCartValue((prev) => roundToTwoDecimals(prev - (cartLine(key)?.price || 0)));
       setCart(updatedCart);
       saveCartToBackend(updatedCart);
     } else {
-      removeFromCartList(productId);
+      removeFromCartList(key);
     }
   };
 
-  const removeFromCartList = (productId) => {
+  const removeFromCartList = (key) => {
     if (!isLoggedIn) {
       alert('Please login to update the cart');
       return;
     }
     const updatedCart = { ...cart };
-    const product = products.find((item) => item._id === productId);
-    setTotalCartValue((prev) => roundToTwoDecimals(prev - product.price * cart[productId]));
-    delete updatedCart[productId];
+    setTotalCartValue((prev) => roundToTwoDecimals(prev - (cartLine(key)?.price || 0) * cart[key]));
+    delete updatedCart[key];
     setCart(updatedCart);
     saveCartToBackend(updatedCart);
   };
@@ -427,11 +908,18 @@ const ShopProvider = ({ children }) => {
   const getTotalCartItems = () =>
     Object.values(cart).reduce((total, quantity) => total + quantity, 0);
 
+  // Saving the cart also holds its stock; lines the store can't fill come back cut down.
   const saveCartToBackend = async (updatedCart) => {
     const token = localStorage.getItem('token');
     if (!token) return;
     try {
-      await axios.put(`${API_BASE}/auth/cart`, { cart: updatedCart }, { headers: authHeaders() });
+      const { data } = await axios.put(`${API_BASE}/auth/cart`, { cart: updatedCart }, { headers: authHeaders() });
+      if (data.problems?.length) {
+        const saved = data.cart || {};
+        setCart(saved);
+        setTotalCartValue(cartValue(Object.entries(saved)));
+        alert(data.problems[0]);
+      }
     } catch (err) {
       console.error('Failed to save cart to backend:', err.response?.data?.error || err.message);
     }
@@ -440,8 +928,9 @@ const ShopProvider = ({ children }) => {
   const signup = async (username, email, password) => {
     try {
       const response = await axios.post(`${API_BASE}/auth/signup`, { username, email, password });
-      const { token, cart } = response.data;
+      const { token, refreshToken, cart } = response.data;
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       setUser({ username, email });
       setCart(cart);
       alert('Signup successful!');
@@ -457,9 +946,10 @@ const ShopProvider = ({ children }) => {
   const login = async (email, password) => {
     try {
       const response = await axios.post(`${API_BASE}/auth/login`, { email, password });
-      const { token, username, cart, orders } = response.data;
+      const { token, refreshToken, username, cart, orders } = response.data;
 
       localStorage.setItem('token', token);
+      localStorage.setItem('refreshToken', refreshToken);
       alert('Login successful!');
       setUser({ username, email });
       setCart(cart);
@@ -478,11 +968,14 @@ const ShopProvider = ({ children }) => {
   };
 
   const logout = () => {
-    localStorage.removeItem('token');
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) axios.post(`${API_BASE}/auth/logout`, { refreshToken }).catch(() => {});
+    clearStoredSession();
     setUser(null);
     setCart({});
     setOrders([]);
     setIsLoggedIn(false);
+    setKrogerConnection(null);
     setKrogerCart({});
     setOptimisticKrogerCart({});
     setAgenticActiveUpc(null);
@@ -503,14 +996,14 @@ const ShopProvider = ({ children }) => {
         headers: authHeaders(),
       });
 
-      const { username, email, cart, orders } = response.data;
-      setUser({ username, email });
+      const { username, email, emailVerified, cart, orders } = response.data;
+      setUser({ username, email, emailVerified });
       setCart(cart);
       setOrders(orders || []);
       setIsLoggedIn(true);
     } catch (err) {
       if (err?.response?.status === 401) {
-        localStorage.removeItem('token');
+        clearStoredSession();
         setUser(null);
         setCart({});
         setOrders([]);
@@ -520,27 +1013,133 @@ const ShopProvider = ({ children }) => {
     }
   };
 
-  const placeOrder = async () => {
+  // Our price for the product (and each variant) next to retailers selling the same UPC.
+  const getProductOffers = async (productId) => {
     try {
-      const token = localStorage.getItem('token');
-      const deliveryFee = Object.values(cart).some((count) => count > 0) ? 4 : 0;
-      const total = roundToTwoDecimals(totalCartValue + deliveryFee);
+      const { data } = await axios.get(`${API_BASE}/products/${productId}/offers`);
+      return data.comparisons || [];
+    } catch {
+      return [];
+    }
+  };
+
+  /* ===== Checkout ===== */
+
+  // The server prices the cart (fees, promotions, tax); show its numbers, not ours.
+  const quoteOrder = async (promoCode = '') => {
+    try {
+      const { data } = await axios.post(
+        `${API_BASE}/auth/order/quote`,
+        { cart, promoCode },
+        { headers: authHeaders() }
+      );
+      return { ok: true, quote: data.quote };
+    } catch (err) {
+      return { ok: false, error: err?.response?.data?.error || 'Could not price your cart. Please try again.' };
+    }
+  };
 
+  // Places the order the customer confirmed; a changed total comes back as a new quote to review.
+  // `idempotencyKey` stays the same across retries of one checkout, so a retried
+  // request returns the first order instead of charging twice.
+  const placeOrder = async (quote, idempotencyKey) => {
+    try {
       const response = await axios.post(
         `${API_BASE}/auth/placeOrder`,
-        { cart, total },
-        { headers: { Authorization: `Bearer ${token}` } }
+        { cart, total: quote.total, promoCode: quote.promoCode || '' },
+        { headers: { ...authHeaders(), 'Idempotency-Key': idempotencyKey } }
       );
+      let { order } = response.data;
+      const { payment } = response.data;
+
+      // The sandbox provider has no payment page: confirm with its test card.
+      // The order turns paid when the provider's webhook arrives, not here.
+      if (payment?.sandbox && payment.status === 'requires_confirmation') {
+        const { data } = await axios.post(
+          `${API_BASE}/payments/sandbox/intents/${payment.intentId}/confirm`,
+          { clientSecret: payment.clientSecret, paymentMethod: 'pm_card_visa' },
+          { headers: authHeaders() }
+        );
+        order = data.order;
+      }
 
       setCart({});
-      setOrders((prev) => [...prev, response.data.order]);
+      setOrders((prev) => [...prev.filter((o) => o._id !== order._id), order]);
       setTotalCartValue(0);
       window.location.href = '/orders';
+      return { ok: true };
     } catch (err) {
       console.error('Failed to place order:', err);
+      const data = err?.response?.data || {};
+      return { ok: false, error: data.error || 'Failed to place order. Please try again.', quote: data.quote || null };
+    }
+  };
+
+  // Customers can cancel until the store starts picking; the server enforces it.
+  const cancelOrder = async (orderId, reason = '') => {
+    try {
+      const { data } = await axios.post(
+        `${API_BASE}/auth/orders/${orderId}/cancel`,
+        { reason },
+        { headers: authHeaders() }
+      );
+      setOrders((prev) => prev.map((o) => (o._id === orderId ? data.order : o)));
+      return { ok: true };
+    } catch (err) {
+      return { ok: false, error: err?.response?.data?.error || 'Could not cancel this order. Please try again.' };
+    }
+  };
+
+  /* ===== Account ===== */
+
+  // Every account call resolves to { ok, data?, error? } for the Account page to show.
+  const accountCall = async (method, path, body, { auth = false } = {}) => {
+    try {
+      const { data } = await axios({
+        method,
+        url: `${API_BASE}${path}`,
+        data: body,
+        headers: auth ? authHeaders() : {},
+      });
+      return { ok: true, data };
+    } catch (err) {
+      return { ok: false, error: err?.response?.data?.error || 'Something went wrong. Please try again.' };
     }
   };
 
+  const requestPasswordReset = (email) => accountCall('post', '/auth/password/forgot', { email });
+
+  const resetPassword = (token, password) => accountCall('post', '/auth/password/reset', { token, password });
+
+  const verifyEmail = async (token) => {
+    const res = await accountCall('post', '/auth/verify-email', { token });
+    if (res.ok) setUser((prev) => (prev ? { ...prev, emailVerified: true } : prev));
+    return res;
+  };
+
+  const resendVerification = () => accountCall('post', '/auth/verify-email/send', {}, { auth: true });
+
+  const changePassword = (currentPassword, newPassword) =>
+    accountCall('put', '/auth/password', { currentPassword, newPassword }, { auth: true });
+
+  const changeEmail = (currentPassword, newEmail) =>
+    accountCall('put', '/auth/email', { currentPassword, newEmail }, { auth: true });
+
+  const confirmEmailChange = async (token) => {
+    const res = await accountCall('post', '/auth/email/confirm', { token });
+    if (res.ok) setUser((prev) => (prev ? { ...prev, email: res.data.email, emailVerified: true } : prev));
+    return res;
+  };
+
+  const deleteAccount = async (password) => {
+    const res = await accountCall('delete', '/auth/account', { password }, { auth: true });
+    if (res.ok) {
+      clearStoredSession();
+      logout();
+    }
+    return res;
+  };
+
   return (
     <ShopContext.Provider
       value={{
@@ -549,19 +1148,31 @@ const ShopProvider = ({ children }) => {
         signup,
         login,
         logout,
+        requestPasswordReset,
+        resetPassword,
+        verifyEmail,
+        resendVerification,
+        changePassword,
+        changeEmail,
+        confirmEmailChange,
+        deleteAccount,
 
         cart,
+        cartLine,
         addToCart,
         removeFromCart,
         removeFromCartList,
         getTotalCartItems,
         saveCartToBackend,
+        quoteOrder,
         placeOrder,
+        cancelOrder,
         orders,
 
         products,
         totalCartValue,
         fetchProducts,
+        getProductOffers,
 
         error,
         setError,
@@ -569,12 +1180,30 @@ const ShopProvider = ({ children }) => {
         fetchMatchedProductsPhased,
         krogerResults,
         walmartResults,
+        retailerResults,
+        searchMeta,
+        fetchMealPlanPhased,
+        mealPlan,
+        mealPlanProgress,
         unmatchedTerms,
+
+        shoppingLists,
+        fetchShoppingLists,
+        saveSearchAsList,
+        updateShoppingList,
+        deleteShoppingList,
+        rerunShoppingList,
+        addShoppingListToCart,
+
         addToKrogerCart,
         loadingSearch,
         searchPhase,
         getInCartQty,
         loadKrogerSnapshot,
+        krogerConnection,
+        loadKrogerConnection,
+        connectKroger,
+        disconnectKroger,
 
         agenticActiveUpc,
         agenticCartProgress,
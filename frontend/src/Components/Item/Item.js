@@ -1,28 +1,36 @@
 import React from 'react'
 import './Item.css'
-import { Link } from 'react-router-dom'
+import { Link, useNavigate } from 'react-router-dom'
 import { ShopContext } from '../Context/ShopContext';
 import { useContext } from 'react';
 
 const Item = (props) => {
 
   const { addToCart } = useContext(ShopContext);
+  const navigate = useNavigate();
+  // Untracked products have no stock badge and never sell out.
+  const soldOut = props.stock?.tracked && !props.stock.inStock;
 
   return (
-    <div className="item">
+    <div className={`item${soldOut ? ' item-sold-out' : ''}`}>
         <Link to={`/product/${props.id}`}><img onClick={window.scrollTo({ top: 0, behavior: 'smooth' })} src={props.image} alt="" /></Link>
+        {soldOut ? <span className="stock-badge out">Out of stock</span> : null}
+        {!soldOut && props.stock?.lowStock ? <span className="stock-badge low">Only {props.stock.available} left</span> : null}
         <p>{props.name}</p>
         <div className="item-prices">
             {props.price}
         </div>
         <button
           type="button"
+          disabled={soldOut}
           onClick={(e) => {
             e.stopPropagation(); // avoid triggering the Link if the card is clickable
-            addToCart(props.id);
+            // Products with variants are added from their page, once an option is picked
+            if (props.hasOptions) navigate(`/product/${props.id}`);
+            else addToCart(props.id);
           }}
           >
-          Add to Cart
+          {soldOut ? 'Out of stock' : props.hasOptions ? 'Choose options' : 'Add to Cart'}
         </button>
     </div>
   )
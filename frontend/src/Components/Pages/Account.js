@@ -0,0 +1,230 @@
+import React, { useContext, useEffect, useRef, useState } from 'react';
+import { Link, useLocation, useParams } from 'react-router-dom';
+import { ShopContext } from '../Context/ShopContext';
+import './css/Account.css';
+
+// /account               signed-in settings
+// /account/verify?token  link from the verification mail
+// /account/email?token   link sent to a new address
+// /account/reset?token   link from the password reset mail
+const Account = () => {
+  const { action } = useParams();
+  const token = new URLSearchParams(useLocation().search).get('token') || '';
+  const {
+    user,
+    isLoggedIn,
+    verifyEmail,
+    confirmEmailChange,
+    resetPassword,
+    resendVerification,
+    changePassword,
+    changeEmail,
+    deleteAccount,
+  } = useContext(ShopContext);
+
+  // Link confirmations run once, even if the component re-renders.
+  const [linkResult, setLinkResult] = useState(null);
+  const ranFor = useRef(null);
+
+  useEffect(() => {
+    if (!token || (action !== 'verify' && action !== 'email')) return;
+    if (ranFor.current === token) return;
+    ranFor.current = token;
+    const confirm = action === 'verify' ? verifyEmail : confirmEmailChange;
+    confirm(token).then(setLinkResult);
+    // eslint-disable-next-line
+  }, [action, token]);
+
+  if (action === 'verify' || action === 'email') {
+    return (
+      <div className="account">
+        <h2>{action === 'verify' ? 'Confirm email' : 'Confirm new email'}</h2>
+        {!token && <p className="account-error">This link is missing its token.</p>}
+        {token && !linkResult && <p className="muted">Checking your link...</p>}
+        {linkResult?.ok && (
+          <p className="account-ok">
+            {action === 'verify' ? 'Your email address is confirmed.' : `Your account email is now ${linkResult.data.email}.`}
+          </p>
+        )}
+        {linkResult && !linkResult.ok && <p className="account-error">{linkResult.error}</p>}
+        <Link to={isLoggedIn ? '/account' : '/login'}>{isLoggedIn ? 'Back to account' : 'Go to login'}</Link>
+      </div>
+    );
+  }
+
+  if (action === 'reset') return <ResetPassword token={token} resetPassword={resetPassword} />;
+
+  if (!isLoggedIn) {
+    return (
+      <div className="account">
+        <h2>Account</h2>
+        <p>
+          <Link to="/login">Log in</Link> to manage your account.
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="account">
+      <h2>Account</h2>
+      <p>
+        Signed in as <strong>{user?.username}</strong> ({user?.email}){' '}
+        {user?.emailVerified ? <span className="account-badge">verified</span> : <span className="account-badge warn">not verified</span>}
+      </p>
+      {!user?.emailVerified && <ResendVerification resendVerification={resendVerification} />}
+      <ChangePassword changePassword={changePassword} />
+      <ChangeEmail changeEmail={changeEmail} />
+      <DeleteAccount deleteAccount={deleteAccount} />
+    </div>
+  );
+};
+
+/* ---- Sections ---- */
+
+// Tracks one form submit: busy flag plus the { ok, error } it resolved to.
+const useSubmit = () => {
+  const [busy, setBusy] = useState(false);
+  const [result, setResult] = useState(null);
+  const run = async (fn) => {
+    setBusy(true);
+    setResult(null);
+    try {
+      const res = await fn();
+      setResult(res);
+      return res;
+    } finally {
+      setBusy(false);
+    }
+  };
+  return { busy, result, run };
+};
+
+const Status = ({ result, ok }) => {
+  if (!result) return null;
+  return result.ok
+    ? <p className="account-ok">{ok}</p>
+    : <p className="account-error">{result.error}</p>;
+};
+
+const ResendVerification = ({ resendVerification }) => {
+  const { busy, result, run } = useSubmit();
+  return (
+    <section className="account-section">
+      <h3>Confirm your email</h3>
+      <p className="muted">We sent you a link when you signed up.</p>
+      <button disabled={busy} onClick={() => run(resendVerification)}>Send the link again</button>
+      <Status result={result} ok="Check your inbox for a new link." />
+    </section>
+  );
+};
+
+const ChangePassword = ({ changePassword }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const { busy, result, run } = useSubmit();
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const res = await run(() => changePassword(currentPassword, newPassword));
+    if (res.ok) {
+      setCurrentPassword('');
+      setNewPassword('');
+    }
+  };
+
+  return (
+    <section className="account-section">
+      <h3>Change password</h3>
+      <form className="fields" onSubmit={onSubmit}>
+        <input type="password" placeholder="Current password" value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)} required />
+        <input type="password" placeholder="New password (8+ characters, a letter and a number)" value={newPassword}
+          onChange={(e) => setNewPassword(e.target.value)} required />
+        <button type="submit" disabled={busy}>Change password</button>
+      </form>
+      <Status result={result} ok="Password changed. Your other devices were signed out." />
+    </section>
+  );
+};
+
+const ChangeEmail = ({ changeEmail }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newEmail, setNewEmail] = useState('');
+  const { busy, result, run } = useSubmit();
+
+  const onSubmit = async (e) => {
+    e.preventDefault();
+    const res = await run(() => changeEmail(currentPassword, newEmail));
+    if (res.ok) setCurrentPassword('');
+  };
+
+  return (
+    <section className="account-section">
+      <h3>Change email</h3>
+      <form className="fields" onSubmit={onSubmit}>
+        <input type="email" placeholder="New email" value={newEmail}
+          onChange={(e) => setNewEmail(e.target.value)} required />
+        <input type="password" placeholder="Current password" value={currentPassword}
+          onChange={(e) => setCurrentPassword(e.target.value)} required />
+        <button type="submit" disabled={busy}>Send confirmation link</button>
+      </form>
+      <Status result={result} ok={`We sent a link to ${result?.data?.pendingEmail}. The change applies once you open it.`} />
+    </section>
+  );
+};
+
+const DeleteAccount = ({ deleteAccount }) => {
+  const [password, setPassword] = useState('');
+  const { busy, result, run } = useSubmit();
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    if (!window.confirm('Delete your account, orders and saved lists? This cannot be undone.')) return;
+    run(() => deleteAccount(password));
+  };
+
+  return (
+    <section className="account-section danger">
+      <h3>Delete account</h3>
+      <p className="muted">Removes your account, order history, saved lists and price alerts, and disconnects Kroger.</p>
+      <form className="fields" onSubmit={onSubmit}>
+        <input type="password" placeholder="Password" value={password}
+          onChange={(e) => setPassword(e.target.value)} required />
+        <button type="submit" disabled={busy}>Delete my account</button>
+      </form>
+      {result && !result.ok && <p className="account-error">{result.error}</p>}
+    </section>
+  );
+};
+
+const ResetPassword = ({ token, resetPassword }) => {
+  const [password, setPassword] = useState('');
+  const { busy, result, run } = useSubmit();
+
+  const onSubmit = (e) => {
+    e.preventDefault();
+    run(() => resetPassword(token, password));
+  };
+
+  return (
+    <div className="account">
+      <h2>Choose a new password</h2>
+      {!token && <p className="account-error">This link is missing its token.</p>}
+      {result?.ok ? (
+        <p className="account-ok">
+          Password changed. <Link to="/login">Log in</Link> with your new password.
+        </p>
+      ) : (
+        <form className="fields" onSubmit={onSubmit}>
+          <input type="password" placeholder="New password" value={password}
+            onChange={(e) => setPassword(e.target.value)} required />
+          <button type="submit" disabled={busy || !token}>Save password</button>
+        </form>
+      )}
+      {result && !result.ok && <p className="account-error">{result.error}</p>}
+    </div>
+  );
+};
+
+export default Account;
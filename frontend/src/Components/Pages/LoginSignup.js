@@ -2,11 +2,12 @@ import React, { useContext, useState } from 'react';
 import { ShopContext } from '../Context/ShopContext';
 
 export const LoginSignup = () => {
-  const { login, signup, error } = useContext(ShopContext);
+  const { login, signup, error, requestPasswordReset } = useContext(ShopContext);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [username, setUsername] = useState('');
   const [isLoginMode, setIsLoginMode] = useState(true);
+  const [resetNote, setResetNote] = useState('');
 
   const handleLogin = (e) => {
     e.preventDefault();
@@ -18,11 +19,21 @@ export const LoginSignup = () => {
     signup(username, email, password);
   };
 
+  const handleForgotPassword = async () => {
+    if (!email) {
+      setResetNote('Enter your email above first.');
+      return;
+    }
+    const res = await requestPasswordReset(email);
+    setResetNote(res.ok ? res.data.message : res.error);
+  };
+
   const toggleMode = () => {
     setIsLoginMode(!isLoginMode);
     setEmail('');
     setPassword('');
     setUsername('');
+    setResetNote('');
   };
 
   return (
@@ -55,6 +66,12 @@ export const LoginSignup = () => {
         />
         <button type="submit">{isLoginMode ? 'Login' : 'Signup'}</button>
       </form>
+      {isLoginMode && (
+        <button type="button" className="link-btn" onClick={handleForgotPassword}>
+          Forgot password?
+        </button>
+      )}
+      {resetNote && <p>{resetNote}</p>}
       <button onClick={toggleMode}>
         {isLoginMode ? 'Switch to Signup' : 'Switch to Login'}
       </button>
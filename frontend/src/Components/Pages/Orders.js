@@ -1,33 +1,118 @@
-import React, { useContext } from 'react';
+import React, { useContext, useState } from 'react';
 import { ShopContext } from '../Context/ShopContext';
 import './css/Orders.css';
 
+// Mirrors backend/controllers/orderStatus.js
+const STATUS_LABELS = {
+  pending: 'Pending payment',
+  paid: 'Paid',
+  picking: 'Being picked',
+  shipped: 'Shipped',
+  ready_for_pickup: 'Ready for pickup',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded',
+};
+const CUSTOMER_CANCELLABLE = ['pending', 'paid'];
+const LEGACY_STATUS = 'paid';
+
+const statusOf = (order) => order.status || LEGACY_STATUS;
+
+// Orders placed before statuses existed have no history: show where they stand.
+const timelineOf = (order) =>
+  order.statusHistory?.length ? order.statusHistory : [{ status: statusOf(order), at: order.date, actor: { kind: 'system' } }];
+
+const ACTOR_LABELS = { customer: 'by you', staff: 'by the store' };
+
+const formatWhen = (at) => (at ? `${new Date(at).toLocaleDateString()} ${new Date(at).toLocaleTimeString()}` : '');
+
+const money = (n) => `$${Number(n || 0).toFixed(2)}`;
+
+const Timeline = ({ order }) => {
+  const entries = timelineOf(order);
+  return (
+    <ol className="order-timeline">
+      {entries.map((entry, i) => (
+        <li
+          key={`${entry.status}-${i}`}
+          className={`timeline-step status-${entry.status}${i === entries.length - 1 ? ' current' : ''}`}
+        >
+          <span className="timeline-dot" />
+          <div>
+            <p className="timeline-status">{STATUS_LABELS[entry.status] || entry.status}</p>
+            <p className="timeline-meta">
+              {formatWhen(entry.at)} {ACTOR_LABELS[entry.actor?.kind] || ''}
+            </p>
+            {entry.note ? <p className="timeline-note">{entry.note}</p> : null}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+const OrderCard = ({ order }) => {
+  const { cancelOrder } = useContext(ShopContext);
+  const [error, setError] = useState('');
+  const [busy, setBusy] = useState(false);
+  const status = statusOf(order);
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this order?')) return;
+    setBusy(true);
+    setError('');
+    const result = await cancelOrder(order._id);
+    setBusy(false);
+    if (!result.ok) setError(result.error);
+  };
+
+  return (
+    <div className="order-receipt">
+      <div className="order-header">
+        <h3>Order #{`${order._id}`}</h3>
+        <span className={`order-status status-${status}`}>{STATUS_LABELS[status] || status}</span>
+      </div>
+      <div className='date-time'>
+        <p>Date: {new Date(order.date).toLocaleDateString()}</p>
+        <p>Time: {new Date(order.date).toLocaleTimeString()}</p>
+      </div>
+      <Timeline order={order} />
+      <div className='order-items'>
+      {order.items.map((item) => (
+        <div key={item._id}>
+          <img src={`${process.env.REACT_APP_AWS_CLOUDFRONT_URL}${item.image}`} alt={item.title} style={{ width: '50px', height: '50px' }} />
+          <p>{item.title}</p>
+          <p>Quantity: {item.quantity}</p>
+          <p>Total: {money(item.total)}</p>
+        </div>
+      ))}
+      </div>
+      {(order.discounts || []).map((d) => (
+        <p key={d.code || d.label}>{d.label}: -{money(d.amount)}</p>
+      ))}
+      {(order.fees || []).map((f) => (
+        <p key={f.code}>{f.label}: {money(f.amount)}</p>
+      ))}
+      {order.tax > 0 ? <p>Tax: {money(order.tax)}</p> : null}
+      <h3>Total: {money(order.total)}</h3>
+      {CUSTOMER_CANCELLABLE.includes(status) ? (
+        <button className="order-cancel" onClick={handleCancel} disabled={busy}>
+          {busy ? 'Cancelling...' : 'Cancel order'}
+        </button>
+      ) : null}
+      {error ? <p className="order-error">{error}</p> : null}
+    </div>
+  );
+};
+
 const Orders = () => {
   const { orders } = useContext(ShopContext);
 
   return (
     <div className="orders">
       <h1>Order History</h1>
-      {orders.map((order, index) => (
-        <div key={index} className="order-receipt">
-          <h3>Order #{`${order._id}`}</h3>
-          <div className='date-time'>
-            <p>Date: {new Date(order.date).toLocaleDateString()}</p>
-            <p>Time: {new Date(order.date).toLocaleTimeString()}</p>
-          </div>
-          <div className='order-items'>
-          {order.items.map((item) => (
-            <div key={item._id}>
-              <img src={`${process.env.REACT_APP_AWS_CLOUDFRONT_URL}${item.image}`} alt={item.title} style={{ width: '50px', height: '50px' }} />
-              <p>{item.title}</p>
-              <p>Quantity: {item.quantity}</p>
-              <p>Total: ${item.total}</p>
-            </div>
-          ))}
-          </div>
-          <h3>Total: ${order.total}</h3>
-          <hr />
-        </div>
+      {orders.map((order) => (
+        <OrderCard key={order._id} order={order} />
       ))}
     </div>
   );
@@ -0,0 +1,183 @@
+import React, { useContext, useEffect, useState } from 'react';
+import { ShopContext } from '../Context/ShopContext';
+import './css/SavedLists.css';
+
+const money = (n) => `$${(Number(n) || 0).toFixed(2)}`;
+
+const SavedLists = () => {
+  const {
+    isLoggedIn,
+    error,
+    shoppingLists,
+    fetchShoppingLists,
+    updateShoppingList,
+    deleteShoppingList,
+    rerunShoppingList,
+    addShoppingListToCart,
+  } = useContext(ShopContext);
+
+  const [busyId, setBusyId] = useState(null);
+  // listId -> message shown under the list after re-pricing / adding to cart
+  const [notes, setNotes] = useState({});
+
+  useEffect(() => {
+    if (isLoggedIn) fetchShoppingLists();
+    // eslint-disable-next-line
+  }, [isLoggedIn]);
+
+  const withBusy = async (id, fn) => {
+    setBusyId(id);
+    try {
+      return await fn();
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const setNote = (id, text) => setNotes((prev) => ({ ...prev, [id]: text }));
+
+  const onRename = (list) => {
+    const name = window.prompt('List name', list.name);
+    if (name && name.trim() && name.trim() !== list.name) {
+      withBusy(list._id, () => updateShoppingList(list._id, { name: name.trim() }));
+    }
+  };
+
+  const onQuantity = (list, index, quantity) => {
+    const items = list.items.map((it, i) => (i === index ? { ...it, quantity } : it));
+    withBusy(list._id, () => updateShoppingList(list._id, { items }));
+  };
+
+  const onRemoveItem = (list, index) => {
+    const items = list.items.filter((_, i) => i !== index);
+    withBusy(list._id, () => updateShoppingList(list._id, { items }));
+  };
+
+  const onRerun = (list) =>
+    withBusy(list._id, async () => {
+      const data = await rerunShoppingList(list._id);
+      if (!data) return;
+      const changed = data.changes?.length || 0;
+      setNote(
+        list._id,
+        changed
+          ? `${changed} price change${changed === 1 ? '' : 's'}: ${money(data.previousTotal)} → ${money(data.list?.total)}`
+          : 'Prices unchanged.'
+      );
+    });
+
+  const onAddToCart = (list) =>
+    withBusy(list._id, async () => {
+      const data = await addShoppingListToCart(list._id);
+      if (data?.ok) setNote(list._id, `Added ${data.addedCount}/${data.total} items to your Kroger cart.`);
+    });
+
+  const onDelete = (list) => {
+    if (window.confirm(`Delete "${list.name}"?`)) {
+      withBusy(list._id, () => deleteShoppingList(list._id));
+    }
+  };
+
+  if (!isLoggedIn) {
+    return (
+      <div className="saved-lists">
+        <h1>Saved lists</h1>
+        <p className="muted">Log in to see your saved recipes and shopping lists.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="saved-lists">
+      <h1>Saved lists</h1>
+      {error && <div className="error">{error}</div>}
+      {shoppingLists.length === 0 && (
+        <p className="muted">Nothing saved yet. Run a search and use “Save list”.</p>
+      )}
+
+      {shoppingLists.map((list) => {
+        const busy = busyId === list._id;
+        return (
+          <div className="saved-list" key={list._id}>
+            <div className="saved-list-header">
+              <div>
+                <h3>{list.name}</h3>
+                <div className="muted">
+                  {list.dishes?.length ? list.dishes.join(', ') : list.query}
+                  {list.servings ? ` · ${list.servings} servings` : ''}
+                  {list.meals > 1 ? ` × ${list.meals} meals` : ''}
+                  {' · priced '}
+                  {new Date(list.pricedAt).toLocaleDateString()}
+                </div>
+              </div>
+              <div className="saved-list-total">{money(list.total)}</div>
+            </div>
+
+            <table className="saved-list-table">
+              <thead>
+                <tr>
+                  <th>Ingredient</th>
+                  <th>Product</th>
+                  <th>Price</th>
+                  <th>Qty</th>
+                  <th />
+                </tr>
+              </thead>
+              <tbody>
+                {list.items.map((it, i) => (
+                  <tr key={it._id || `${it.ingredient}-${i}`} className={it.available === false ? 'unavailable' : ''}>
+                    <td>
+                      {it.ingredient}
+                      {it.amount ? <em className="muted"> ({it.amount} {it.unit})</em> : null}
+                    </td>
+                    <td>
+                      {it.title || <em className="muted">no product</em>}
+                      {it.retailer && it.title ? <em className="muted"> · {it.retailer}</em> : null}
+                      {it.available === false ? <em className="muted"> · unavailable</em> : null}
+                    </td>
+                    <td>{it.title ? money(it.price) : '—'}</td>
+                    <td>
+                      <input
+                        className="servings-input"
+                        type="number"
+                        min="1"
+                        max="12"
+                        value={it.quantity}
+                        onChange={(e) => onQuantity(list, i, Number(e.target.value) || 1)}
+                        disabled={busy}
+                      />
+                    </td>
+                    <td>
+                      <button type="button" className="link-btn" onClick={() => onRemoveItem(list, i)} disabled={busy}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {notes[list._id] && <div className="saved-list-note">{notes[list._id]}</div>}
+
+            <div className="saved-list-actions">
+              <button type="button" onClick={() => onRerun(list)} disabled={busy}>
+                Refresh prices
+              </button>
+              <button type="button" onClick={() => onAddToCart(list)} disabled={busy}>
+                Add to Kroger cart
+              </button>
+              <button type="button" onClick={() => onRename(list)} disabled={busy}>
+                Rename
+              </button>
+              <button type="button" className="danger" onClick={() => onDelete(list)} disabled={busy}>
+                Delete
+              </button>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default SavedLists;
@@ -8,7 +8,17 @@ const SearchResults = () => {
     fetchMatchedProductsPhased,
     krogerResults,
     walmartResults,
+    retailerResults,
+    searchMeta,
+    fetchMealPlanPhased,
+    mealPlan,
+    mealPlanProgress,
     unmatchedTerms,
+    saveSearchAsList,
+    isLoggedIn,
+    krogerConnection,
+    connectKroger,
+    disconnectKroger,
     loadingSearch,
     searchPhase,
     error,
@@ -29,11 +39,15 @@ const SearchResults = () => {
 
   const [query, setQuery] = useState('');
   const [zip, setZip] = useState('');
+  const [servings, setServings] = useState('');
+  const [meals, setMeals] = useState('1');
   const [budgetSearch, setBudgetSearch] = useState(false);
+  const [mealPlanMode, setMealPlanMode] = useState(false);
   const [autoAddToCart, setAutoAddToCart] = useState(true);
 
   const [hasSearched, setHasSearched] = useState(false);
   const [pendingUpc, setPendingUpc] = useState(null);
+  const [savedListName, setSavedListName] = useState('');
 
   // ✅ NEW: local upload UI
   const [fridgeUploading, setFridgeUploading] = useState(false);
@@ -44,14 +58,49 @@ const SearchResults = () => {
   const [cursorVisible, setCursorVisible] = useState(false);
   const [cursorXY, setCursorXY] = useState({ x: -9999, y: -9999 });
 
-  const phaseText =
+  const stepText =
     searchPhase === 'finding' ? 'Finding ingredients...' :
     searchPhase === 'fetching' ? 'Fetching products...' :
     searchPhase === 'matching' ? 'Matching products...' :
-    searchPhase === 'walmart' ? 'Searching Walmart...' :
+    searchPhase === 'retailers' ? 'Searching other retailers...' :
     searchPhase === 'selecting' ? 'Comparing prices...' :
+    searchPhase === 'consolidating' ? 'Merging shopping list...' :
     'Working...';
 
+  // Meal plans search one dish at a time; say which one.
+  const phaseText =
+    mealPlanProgress?.dish && searchPhase !== 'consolidating'
+      ? `${mealPlanProgress.dish} (${(mealPlanProgress.index || 0) + 1}/${mealPlanProgress.total}): ${stepText}`
+      : stepText;
+
+  // Kroger and Walmart have dedicated sections; any other registered retailer renders generically.
+  const otherRetailers = useMemo(
+    () =>
+      Object.values(retailerResults || {}).filter(
+        (r) => r && r.id !== 'kroger' && r.id !== 'walmart' && (r.products || []).length > 0
+      ),
+    [retailerResults]
+  );
+
+  // Recipe-sized quantities for the Kroger cards, keyed by UPC.
+  const krogerPlanByUpc = useMemo(() => {
+    const lines = searchMeta?.cartEstimate?.byRetailer?.kroger?.lines || [];
+    return new Map(lines.filter((l) => l.upc).map((l) => [String(l.upc), l]));
+  }, [searchMeta]);
+
+  const estimateRows = useMemo(
+    () =>
+      Object.entries(searchMeta?.cartEstimate?.byRetailer || {})
+        .filter(([, est]) => (est?.lines || []).length > 0)
+        .map(([id, est]) => ({
+          id,
+          label: retailerResults?.[id]?.label || id,
+          total: est.total || 0,
+          count: est.lines.length,
+        })),
+    [searchMeta, retailerResults]
+  );
+
   const krogerUpcsSet = useMemo(
     () => new Set(krogerResults.map(p => String(p.upc || '').trim()).filter(Boolean)),
     [krogerResults]
@@ -61,11 +110,35 @@ const SearchResults = () => {
     e.preventDefault();
     if (!query.trim()) return;
     setHasSearched(true);
+    setSavedListName('');
 
     const q = query.trim();
     const z = zip.trim() || undefined;
+    const opts = {
+      servings: Number(servings) > 0 ? Number(servings) : undefined,
+      meals: Number(meals) > 1 ? Number(meals) : undefined,
+    };
+
+    if (mealPlanMode) {
+      const dishes = q.split(';').map((d) => d.trim()).filter(Boolean);
+      await fetchMealPlanPhased(dishes, z, budgetSearch, autoAddToCart, fridgeSessionId, opts);
+      return;
+    }
 
-    await fetchMatchedProductsPhased(q, z, budgetSearch, autoAddToCart, fridgeSessionId);
+    await fetchMatchedProductsPhased(q, z, budgetSearch, autoAddToCart, fridgeSessionId, opts);
+  };
+
+  const onSaveList = async () => {
+    const suggested = searchMeta?.dishName || query.trim();
+    const name = window.prompt('Save list as', suggested);
+    if (!name || !name.trim()) return;
+
+    const list = await saveSearchAsList(name.trim(), {
+      query: query.trim(),
+      zip: zip.trim(),
+      budgetSearch,
+    });
+    if (list) setSavedListName(list.name);
   };
 
   const onPickFridgePhoto = async (e) => {
@@ -171,7 +244,7 @@ const SearchResults = () => {
       <form className="search-bar" onSubmit={onSearch}>
         <input
           type="text"
-          placeholder="Search dish or ingredient..."
+          placeholder={mealPlanMode ? 'Dishes, separated by ;' : 'Search dish or ingredient...'}
           value={query}
           onChange={(e) => setQuery(e.target.value)}
           disabled={loadingSearch}
@@ -185,6 +258,30 @@ const SearchResults = () => {
           disabled={loadingSearch}
         />
 
+        <input
+          className="servings-input"
+          type="number"
+          min="1"
+          max="100"
+          placeholder="Servings"
+          title="People to cook for (blank = recipe default)"
+          value={servings}
+          onChange={(e) => setServings(e.target.value)}
+          disabled={loadingSearch}
+        />
+
+        <input
+          className="servings-input"
+          type="number"
+          min="1"
+          max="21"
+          placeholder="Meals"
+          title="How many times you'll cook it"
+          value={meals}
+          onChange={(e) => setMeals(e.target.value)}
+          disabled={loadingSearch}
+        />
+
         <label className="budget-toggle">
           <input
             type="checkbox"
@@ -195,6 +292,16 @@ const SearchResults = () => {
           <span>Budget Search</span>
         </label>
 
+        <label className="budget-toggle" title="Search several dishes (separated by ;) and merge their ingredients">
+          <input
+            type="checkbox"
+            checked={mealPlanMode}
+            onChange={(e) => setMealPlanMode(e.target.checked)}
+            disabled={loadingSearch}
+          />
+          <span>Meal plan</span>
+        </label>
+
         <label className="agent-toggle" title="Backend will auto-add matched Kroger items to your Kroger cart">
           <input
             type="checkbox"
@@ -210,6 +317,30 @@ const SearchResults = () => {
         </button>
       </form>
 
+      {isLoggedIn && krogerConnection && (
+        <div className="kroger-connection">
+          {krogerConnection.connected && !krogerConnection.needsReauth ? (
+            <>
+              <span>Kroger account connected</span>
+              <button type="button" className="link-btn" onClick={disconnectKroger} disabled={loadingSearch}>
+                Disconnect
+              </button>
+            </>
+          ) : (
+            <>
+              <span>
+                {krogerConnection.needsReauth
+                  ? 'Your Kroger session expired.'
+                  : 'Connect your Kroger account to add items to your cart.'}
+              </span>
+              <button type="button" className="link-btn" onClick={connectKroger} disabled={loadingSearch}>
+                {krogerConnection.needsReauth ? 'Reconnect' : 'Connect Kroger'}
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {/* ✅ NEW: Fridge photo upload panel */}
       <div className="fridge-panel">
         <div className="fridge-header">
@@ -274,10 +405,83 @@ const SearchResults = () => {
         </div>
       ) : (
         <>
-          {hasSearched && krogerResults.length === 0 && walmartResults.length === 0 && (
+          {hasSearched && krogerResults.length === 0 && walmartResults.length === 0 && otherRetailers.length === 0 && (
             <div className="empty-hint">No matching products found.</div>
           )}
 
+          {searchMeta && estimateRows.length > 0 && (
+            <div className="estimate-panel">
+              <div className="estimate-title">
+                {searchMeta.dishName || 'Estimated cost'}
+                {searchMeta.servings ? ` · ${searchMeta.servings} servings` : ''}
+                {searchMeta.meals > 1 ? ` × ${searchMeta.meals} meals` : ''}
+                {searchMeta.recipeServings && searchMeta.recipeServings !== searchMeta.servings && (
+                  <em className="muted"> (recipe serves {searchMeta.recipeServings})</em>
+                )}
+              </div>
+              <div className="estimate-rows">
+                {/* Per retailer: everything it matched, so these overlap and don't add up */}
+                {estimateRows.map((r) => (
+                  <span className="estimate-chip" key={r.id}>
+                    {r.label}: ${r.total.toFixed(2)} <em className="muted">({r.count} items)</em>
+                  </span>
+                ))}
+                {estimateRows.length > 1 && (
+                  <span className="estimate-chip estimate-chip--total">
+                    Total: ${(searchMeta.cartEstimate.total || 0).toFixed(2)}{' '}
+                    <em className="muted">(each item from one store)</em>
+                  </span>
+                )}
+                {isLoggedIn && (
+                  <button type="button" className="estimate-chip estimate-save" onClick={onSaveList}>
+                    {savedListName ? `Saved as “${savedListName}”` : 'Save list'}
+                  </button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {mealPlan && mealPlan.shoppingList.length > 0 && (
+            <div className="mealplan-panel">
+              <div className="section-title">
+                Shopping list for {mealPlan.dishes.map((d) => d.dishName).join(', ')}
+              </div>
+              {mealPlan.failedDishes.length > 0 && (
+                <div className="empty-hint">Could not search: {mealPlan.failedDishes.join(', ')}</div>
+              )}
+              <table className="mealplan-table">
+                <thead>
+                  <tr>
+                    <th>Ingredient</th>
+                    <th>Need</th>
+                    <th>Product</th>
+                    <th>Qty</th>
+                    <th>Cost</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {mealPlan.shoppingList.map((l) => (
+                    <tr key={l.ingredient}>
+                      <td>
+                        {l.ingredient}
+                        {l.dishes.length > 1 && (
+                          <em className="muted"> ({l.dishes.length} dishes)</em>
+                        )}
+                      </td>
+                      <td>
+                        {l.need || '—'}
+                        {l.approximate ? ' (approx.)' : ''}
+                      </td>
+                      <td>{l.basis === 'unmatched' ? <em className="muted">not found</em> : l.title}</td>
+                      <td>{l.quantity || '—'}</td>
+                      <td>{l.lineTotal ? `$${l.lineTotal.toFixed(2)}` : '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+
           {krogerResults.length > 0 && (
             <>
               <div className="section-title">Kroger products</div>
@@ -286,6 +490,7 @@ const SearchResults = () => {
                   const qty = getInCartQty(p.upc);
                   const busy = pendingUpc === p.upc;
                   const isActive = agenticActiveUpc === p.upc;
+                  const planLine = krogerPlanByUpc.get(String(p.upc || ''));
 
                   return (
                     <div
@@ -295,6 +500,12 @@ const SearchResults = () => {
                     >
                       <img src={p.imageUrl} alt={p.title} />
                       <h3>{p.title}</h3>
+                      {planLine && (
+                        <div className="plan-hint">
+                          Buy {planLine.quantity}
+                          {planLine.need ? ` for ${planLine.need}` : ''}
+                        </div>
+                      )}
 
                       <div className="card-footer">
                         <span className="product-price">${(p.price ?? 0).toFixed(2)}</span>
@@ -368,6 +579,30 @@ const SearchResults = () => {
               </div>
             </>
           )}
+
+          {otherRetailers.map((r) => (
+            <React.Fragment key={r.id}>
+              <div className="section-title">{r.label || r.id} products</div>
+              <div className="products">
+                {r.products.map((p) => (
+                  <a
+                    className="product-card product-card--link"
+                    key={p._id}
+                    href={p.url || '#'}
+                    target="_blank"
+                    rel="noreferrer"
+                  >
+                    <img src={p.imageUrl} alt={p.title} />
+                    <h3>{p.title}</h3>
+                    <div className="card-footer">
+                      <span className="product-price">${(p.price ?? 0).toFixed(2)}</span>
+                      <span className="retailer-badge">View at {r.label || r.id} ↗</span>
+                    </div>
+                  </a>
+                ))}
+              </div>
+            </React.Fragment>
+          ))}
         </>
       )}
     </div>
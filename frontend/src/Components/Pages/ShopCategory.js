@@ -11,7 +11,7 @@ export const ShopCategory = (props) => {
     <div className='shopcategory-products'>
       {products.map((item, i)=> {
         if (props.category===item.category) {
-          return <Item key={item._id} id={item._id} name={item.title} image={item.imageUrl} price={`$${item.price}`}/>
+          return <Item key={item._id} id={item._id} name={item.title} image={item.imageUrl} price={`${item.variants?.some((v) => v.active) ? 'From ' : ''}$${item.price}`} stock={item.stock} hasOptions={item.variants?.some((v) => v.active)}/>
         }
         else {
           return null
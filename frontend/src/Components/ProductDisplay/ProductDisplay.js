@@ -1,30 +1,125 @@
-import React, { useContext } from 'react'
+import React, { useContext, useEffect, useState } from 'react'
 import '../ProductDisplay/ProductDisplay.css'
 import { ShopContext } from '../Context/ShopContext';
 
+const tagLabel = (tag) => tag.replace(/_/g, ' ');
+
+// Unit kinds priced by the backend (same as budget mode's)
+const UNIT_LABELS = { weight_oz: 'oz', volume_floz: 'fl oz', count: 'each', area_sqft: 'sq ft' };
+
+const unitPriceText = (unitPrice, unitKind) =>
+  unitPrice != null ? `$${unitPrice.toFixed(2)} / ${UNIT_LABELS[unitKind] || unitKind}` : null;
+
 const ProductDisplay = (props) => {
 
   const {product} = props;
-  const {addToCart} = useContext(ShopContext);
-  
+  const {addToCart, getProductOffers} = useContext(ShopContext);
+  const [variantId, setVariantId] = useState('');
+  const [imageUrl, setImageUrl] = useState('');
+  const [offers, setOffers] = useState([]);
+
+  const variants = (product?.variants || []).filter((v) => v.active !== false);
+  const variant = variants.find((v) => v._id === variantId) || null;
+
+  useEffect(() => {
+    setVariantId('');
+    setImageUrl('');
+    setOffers([]);
+    if (product?._id) getProductOffers(product._id).then(setOffers);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [product?._id]);
 
   if (!product) {
     return <div>Product not found</div>;
   }
 
+  const images = product.images?.length ? product.images : [{ url: product.imageUrl, alt: product.title }];
+  const shownUrl = imageUrl || images[0].url;
+  // Price, unit size and stock of what would go in the cart
+  const unit = variant || product;
+  const stock = unit.stock;
+  const soldOut = stock?.tracked && !stock.inStock;
+  const needsOption = variants.length > 0 && !variant;
+  const offer = offers.find((c) => c.variantKey === (variant?._id || ''));
+  const { brand, origin, dietaryTags = [], allergens = [] } = product.attributes || {};
+
   return (
     <div className='product_display'>
-      <h1>{product.title}</h1>
-      <img src={product.imageUrl} alt = ""/>
-      <p>{product.description}</p>
-      <div className='price-star'>
-        <span>{`$${product.price}`}</span>
-        <span>{`Review: ${product.rating} star`}</span>
+      <div className='gallery'>
+        <img src={shownUrl} alt={product.title}/>
+        {images.length > 1 ? (
+          <div className='thumbnails'>
+            {images.map((img) => (
+              <button key={img.url} type='button' className={img.url === shownUrl ? 'active' : ''} onClick={() => setImageUrl(img.url)}>
+                <img src={img.url} alt={img.alt || ''}/>
+              </button>
+            ))}
+          </div>
+        ) : null}
+      </div>
+      <div className='details'>
+        <h1>{product.title}</h1>
+        {brand ? <p className='brand'>{brand}</p> : null}
+        <p>{product.description}</p>
+        <div className='price-star'>
+          <span className='price'>{`${needsOption ? 'From ' : ''}$${unit.price}`}</span>
+          {unitPriceText(unit.unitPrice, unit.unitKind) ? <span className='unit-price'>{unitPriceText(unit.unitPrice, unit.unitKind)}</span> : null}
+          {product.rating != null ? <span>{`Review: ${product.rating} star`}</span> : null}
+        </div>
+        {variants.length ? (
+          <label className='variant-picker'>
+            Option
+            <select
+              value={variantId}
+              onChange={(e) => {
+                const picked = variants.find((v) => v._id === e.target.value);
+                setVariantId(e.target.value);
+                if (picked?.imageUrl) setImageUrl(picked.imageUrl);
+              }}
+            >
+              <option value=''>Choose an option</option>
+              {variants.map((v) => (
+                <option key={v._id} value={v._id} disabled={v.stock?.tracked && !v.stock.inStock}>
+                  {`${v.label} - $${v.price}${v.stock?.tracked && !v.stock.inStock ? ' (out of stock)' : ''}`}
+                </option>
+              ))}
+            </select>
+          </label>
+        ) : null}
+        <dl className='product-facts'>
+          {unit.unitSize ? <><dt>Size</dt><dd>{unit.unitSize}</dd></> : null}
+          {unit.sku ? <><dt>SKU</dt><dd>{unit.sku}</dd></> : null}
+          {origin ? <><dt>Origin</dt><dd>{origin}</dd></> : null}
+          {allergens.length ? <><dt>Contains</dt><dd>{allergens.map(tagLabel).join(', ')}</dd></> : null}
+        </dl>
+        {dietaryTags.length ? (
+          <div className='dietary-tags'>
+            {dietaryTags.map((tag) => <span key={tag} className='tag'>{tagLabel(tag)}</span>)}
+          </div>
+        ) : null}
+        {stock?.lowStock ? <p>Only {stock.available} left in stock</p> : null}
+        {soldOut ? (
+          <button type='button' className='add' disabled>Out of stock</button>
+        ) : (
+          <button type='button' className='add' disabled={needsOption} onClick={() => {addToCart(product._id, variant?._id)}}>
+            {needsOption ? 'Choose an option' : 'Add to Cart'}
+          </button>
+        )}
+        {offer?.offers.length ? (
+          <div className='retailer-offers'>
+            <h3>Elsewhere</h3>
+            {offer.offers.map((o) => (
+              <p key={`${o.retailer}-${o.locationId}`}>
+                {`${o.retailer}: $${o.price.toFixed(2)}`}
+                {o.unitPriceDiff != null ? ` (${unitPriceText(o.unitPrice, o.unitKind)})` : ''}
+              </p>
+            ))}
+            {offer.cheapest ? <p className='cheapest'>Our price is the lowest we've seen.</p> : null}
+          </div>
+        ) : null}
       </div>
-      <br/>
-      <button type='button' onClick={() => {addToCart(product._id)}}>Add to Cart</button>
     </div>
   )
 }
 
-export default ProductDisplay;
\ No newline at end of file
+export default ProductDisplay;
@@ -13,7 +13,7 @@ const RelatedProducts = () => {
         <hr/>
         <div className='related-items'>
             {products.map((item, i) => {
-                return <Item key={item._id} id={item._id} name={item.title} image={item.imageUrl} price={`$${item.price}`}/>
+                return <Item key={item._id} id={item._id} name={item.title} image={item.imageUrl} price={`${item.variants?.some((v) => v.active) ? 'From ' : ''}$${item.price}`} stock={item.stock} hasOptions={item.variants?.some((v) => v.active)}/>
             })}
         </div>
     </div>